@@ -0,0 +1,216 @@
+/**
+ * Express 應用程式（中間件、路由與錯誤處理）
+ * 不啟動監聽與背景排程，供 server.js 與整合測試共用
+ */
+const express = require("express");
+const cors = require("cors");
+const helmet = require("helmet");
+const rateLimit = require("express-rate-limit");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Import logger
+const { log, requestLogger } = require("./utils/logger");
+
+const app = express();
+
+// ===========================================
+// 安全性中間件
+// ===========================================
+
+// 1. Helmet - 設定安全 HTTP Headers
+app.use(helmet());
+
+// 2. CORS - 限制允許的來源
+const allowedOrigins = [
+  // iOS App URL Scheme (Deep Link)
+  "raibu://",
+];
+
+// 開發環境允許 localhost
+if (process.env.NODE_ENV !== "production") {
+  allowedOrigins.push("http://localhost:3000");
+  allowedOrigins.push("http://localhost:5173");
+  allowedOrigins.push("http://127.0.0.1:3000");
+}
+
+app.use(
+  cors({
+    origin: function (origin, callback) {
+      // 允許沒有 origin 的請求（如 iOS App 原生請求、Postman）
+      if (!origin) return callback(null, true);
+
+      if (allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        log.warn(`CORS blocked origin: ${origin}`, { origin });
+        callback(new Error("Not allowed by CORS"));
+      }
+    },
+    credentials: true,
+  })
+);
+
+// 3. Rate Limiting - 防止暴力破解與 DoS
+const generalLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 200,
+  message: {
+    error: {
+      code: "RESOURCE_EXHAUSTED",
+      message: "請求過於頻繁，請稍後再試",
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const uploadLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 50,
+  message: {
+    error: {
+      code: "RESOURCE_EXHAUSTED",
+      message: "上傳次數已達上限，請稍後再試",
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+app.use("/api/", generalLimiter);
+
+// JSON 解析
+app.use(express.json());
+
+// Request Logger (在所有路由之前)
+app.use(requestLogger);
+
+// Import error handler
+const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
+
+// Import routes
+const uploadRoutes = require("./routes/upload");
+const recordsRoutes = require("./routes/records");
+const asksRoutes = require("./routes/asks");
+const repliesRoutes = require("./routes/replies");
+const likesRoutes = require("./routes/likes");
+const usersRoutes = require("./routes/users");
+const reportsRoutes = require("./routes/reports");
+const adminRoutes = require("./routes/admin");
+const mapRoutes = require("./routes/map");
+const tilesRoutes = require("./routes/tiles");
+const notificationsRoutes = require("./routes/notifications");
+const pushRoutes = require("./routes/push");
+const feedRoutes = require("./routes/feed");
+const searchRoutes = require("./routes/search");
+const tagsRoutes = require("./routes/tags");
+const streamRoutes = require("./routes/stream");
+const { buildDocument } = require("./utils/openapi");
+
+// API v1 Routes
+// 同一份清單用於掛載路由與產生 OpenAPI 文件（/api/v1/openapi.json）
+const apiRoutes = [
+  { path: "/api/v1/upload", router: uploadRoutes, middleware: [uploadLimiter] },
+  { path: "/api/v1/records", router: recordsRoutes },
+  { path: "/api/v1/asks", router: asksRoutes },
+  { path: "/api/v1/replies", router: repliesRoutes },
+  { path: "/api/v1/likes", router: likesRoutes },
+  { path: "/api/v1/users", router: usersRoutes },
+  { path: "/api/v1/reports", router: reportsRoutes },
+  { path: "/api/v1/map", router: mapRoutes },
+  { path: "/api/v1/tiles", router: tilesRoutes },
+  { path: "/api/v1/notifications", router: notificationsRoutes },
+  { path: "/api/v1/push", router: pushRoutes },
+  { path: "/api/v1/feed", router: feedRoutes },
+  { path: "/api/v1/search", router: searchRoutes },
+  { path: "/api/v1/tags", router: tagsRoutes },
+  { path: "/api/v1/stream", router: streamRoutes },
+];
+
+for (const { path, router, middleware = [] } of apiRoutes) {
+  app.use(path, ...middleware, router);
+}
+
+// OpenAPI 文件（由各路由的 operation() 宣告產生，第一次請求時建立後快取）
+let openApiDocument = null;
+
+app.get("/api/v1/openapi.json", (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildDocument({
+      info: {
+        title: "Raibu Backend API",
+        version: require("./package.json").version,
+      },
+      servers: [{ url: "/" }],
+      mounts: apiRoutes,
+    });
+  }
+  res.json(openApiDocument);
+});
+
+// Admin 後台（HTML + API）
+// helmet 預設會阻擋 inline script，admin 頁面需要放寬 CSP
+app.use(
+  "/admin",
+  (req, res, next) => {
+    res.setHeader(
+      "Content-Security-Policy",
+      "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'"
+    );
+    next();
+  },
+  adminRoutes
+);
+
+// Health Check
+app.get("/", (req, res) => {
+  res.json({
+    status: "ok",
+    message: "Raibu Backend API v1",
+    version: "3.2",
+    environment: process.env.NODE_ENV || "development",
+    endpoints: {
+      upload: "/api/v1/upload",
+      records: "/api/v1/records",
+      asks: "/api/v1/asks",
+      replies: "/api/v1/replies",
+      likes: "/api/v1/likes",
+      users: "/api/v1/users",
+      reports: "/api/v1/reports",
+      map: "/api/v1/map",
+      tiles: "/api/v1/tiles",
+      notifications: "/api/v1/notifications",
+      push: "/api/v1/push",
+      feed: "/api/v1/feed",
+      search: "/api/v1/search",
+      tags: "/api/v1/tags",
+      stream: "/api/v1/stream",
+      openapi: "/api/v1/openapi.json",
+      admin: "/admin",
+    },
+  });
+});
+
+// 404 Handler
+app.use(notFoundHandler);
+
+// Global Error Handler
+app.use(errorHandler);
+
+// 詢問標點生命週期事件（排程由 server.js 啟動）
+const askLifecycle = require("./services/askLifecycleService");
+const notificationService = require("./services/notificationService");
+const pushService = require("./services/pushService");
+const geocodingService = require("./services/geocodingService");
+const realtimeService = require("./services/realtimeService");
+
+// 詢問狀態轉換（採納、解決、到期）寫入站內通知；新詢問推播給附近的使用者並反查中心點地址
+// 新增與狀態轉換同時推送給即時更新連線
+notificationService.attachAskEvents(askLifecycle);
+pushService.attachAskEvents(askLifecycle);
+geocodingService.attachAskEvents(askLifecycle);
+realtimeService.attachAskEvents(askLifecycle);
+
+module.exports = app;
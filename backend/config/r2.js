@@ -5,17 +5,33 @@ const accountId = process.env.R2_ACCOUNT_ID;
 const accessKeyId = process.env.R2_ACCESS_KEY_ID;
 const secretAccessKey = process.env.R2_SECRET_ACCESS_KEY;
 
-if (!accountId || !accessKeyId || !secretAccessKey) {
+// 本機開發可用 R2_ENDPOINT 指向 S3 相容服務（例如 MinIO），未設定時使用 Cloudflare R2
+const endpoint = process.env.R2_ENDPOINT;
+
+if (!endpoint && (!accountId || !accessKeyId || !secretAccessKey)) {
   console.warn('R2 credentials are missing in .env');
 }
 
-const r2 = new S3Client({
-  region: 'auto',
-  endpoint: `https://${accountId}.r2.cloudflarestorage.com`,
-  credentials: {
-    accessKeyId: accessKeyId,
-    secretAccessKey: secretAccessKey,
-  },
-});
+function createClient(clientEndpoint) {
+  return new S3Client({
+    region: 'auto',
+    endpoint: clientEndpoint,
+    // MinIO 等 S3 相容服務需要 path-style（http://host/bucket/key）
+    forcePathStyle: Boolean(endpoint),
+    credentials: {
+      accessKeyId: accessKeyId,
+      secretAccessKey: secretAccessKey,
+    },
+  });
+}
+
+const r2 = createClient(endpoint || `https://${accountId}.r2.cloudflarestorage.com`);
+
+// 簽發給客戶端的 Presigned URL 需使用客戶端連得到的主機
+// 本機開發時後端在容器內以服務名稱連線，客戶端則走 localhost，以 R2_PUBLIC_ENDPOINT 區分
+const presignClient = process.env.R2_PUBLIC_ENDPOINT
+  ? createClient(process.env.R2_PUBLIC_ENDPOINT)
+  : r2;
 
 module.exports = r2;
+module.exports.presignClient = presignClient;
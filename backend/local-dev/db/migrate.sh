@@ -0,0 +1,54 @@
+#!/bin/sh
+# ============================================
+# 本機開發資料庫遷移
+# 全新資料庫：套用 Supabase 相容層、schema.sql、rpc_functions.sql，並把現有 migrations/ 記為已套用
+#   （schema.sql 已包含所有 migration 的結果）
+# 既有資料庫：依檔名順序套用尚未記錄的 migrations/*.sql，再重新套用 rpc_functions.sql
+# 連線設定使用 psql 的 PGHOST / PGPORT / PGUSER / PGPASSWORD / PGDATABASE
+# 用法：sh local-dev/db/migrate.sh [backend 目錄，預設為此腳本的上兩層]
+# ============================================
+set -eu
+
+BACKEND_DIR="${1:-$(cd "$(dirname "$0")/../.." && pwd)}"
+PSQL="psql -v ON_ERROR_STOP=1 --quiet --no-psqlrc"
+
+apply() {
+  echo "→ $1"
+  $PSQL -f "$1"
+}
+
+# 等待資料庫可以連線
+for _ in $(seq 1 30); do
+  if pg_isready --quiet; then break; fi
+  sleep 1
+done
+
+initialized=$($PSQL -tAc "SELECT to_regclass('local_dev.schema_migrations') IS NOT NULL")
+
+if [ "$initialized" != "t" ]; then
+  echo "Initializing local database"
+  apply "$BACKEND_DIR/local-dev/db/supabase_compat.sql"
+  apply "$BACKEND_DIR/schema.sql"
+  apply "$BACKEND_DIR/rpc_functions.sql"
+
+  $PSQL -c "CREATE SCHEMA local_dev; CREATE TABLE local_dev.schema_migrations (filename TEXT PRIMARY KEY, applied_at TIMESTAMPTZ DEFAULT NOW() NOT NULL);"
+  for file in "$BACKEND_DIR"/migrations/*.sql; do
+    $PSQL -c "INSERT INTO local_dev.schema_migrations (filename) VALUES ('$(basename "$file")')"
+  done
+else
+  for file in "$BACKEND_DIR"/migrations/*.sql; do
+    name=$(basename "$file")
+    applied=$($PSQL -tAc "SELECT 1 FROM local_dev.schema_migrations WHERE filename = '$name'")
+    if [ "$applied" != "1" ]; then
+      apply "$file"
+      $PSQL -c "INSERT INTO local_dev.schema_migrations (filename) VALUES ('$name')"
+    fi
+  done
+
+  apply "$BACKEND_DIR/rpc_functions.sql"
+fi
+
+# 通知 PostgREST 重新載入 schema（尚未啟動時忽略）
+$PSQL -c "NOTIFY pgrst, 'reload schema'"
+
+echo "Local database is up to date"
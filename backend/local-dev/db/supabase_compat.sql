@@ -0,0 +1,69 @@
+-- ============================================
+-- 本機開發：Supabase 相容層
+-- 在一般的 Postgres + PostGIS 上補齊 schema.sql 依賴的 Supabase 物件：
+--   PostgREST 使用的角色（anon / authenticated / service_role / authenticator）
+--   auth schema（auth.users、auth.uid()、auth.role()）與 supabase_realtime publication
+-- 只在建立本機資料庫時由 local-dev/db/migrate.sh 執行一次，不可套用到正式環境
+-- 日期: 2026/10
+-- ============================================
+
+-- PostgREST 角色：authenticator 登入後依 JWT 的 role claim 切換
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    CREATE ROLE anon NOLOGIN NOINHERIT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN NOINHERIT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+    CREATE ROLE service_role NOLOGIN NOINHERIT BYPASSRLS;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticator') THEN
+    CREATE ROLE authenticator LOGIN NOINHERIT PASSWORD 'authenticator';
+  END IF;
+END
+$$;
+
+GRANT anon, authenticated, service_role TO authenticator;
+
+-- auth schema：只保留後端與 handle_new_user 觸發器用到的欄位
+CREATE SCHEMA IF NOT EXISTS auth;
+
+CREATE TABLE IF NOT EXISTS auth.users (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  email TEXT UNIQUE,
+  raw_user_meta_data JSONB DEFAULT '{}'::JSONB NOT NULL,
+  raw_app_meta_data JSONB DEFAULT '{"provider": "email"}'::JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- PostgREST 會把 JWT claims 放在 request.jwt.claims
+CREATE OR REPLACE FUNCTION auth.uid()
+RETURNS UUID AS $$
+  SELECT NULLIF(current_setting('request.jwt.claims', true)::JSONB ->> 'sub', '')::UUID;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION auth.role()
+RETURNS TEXT AS $$
+  SELECT current_setting('request.jwt.claims', true)::JSONB ->> 'role';
+$$ LANGUAGE sql STABLE;
+
+GRANT USAGE ON SCHEMA auth TO anon, authenticated, service_role;
+GRANT ALL ON auth.users TO service_role;
+
+-- schema.sql 會把資料表加入 Realtime publication
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime') THEN
+    CREATE PUBLICATION supabase_realtime;
+  END IF;
+END
+$$;
+
+-- 與 Supabase 相同的預設權限（實際存取由 RLS 控制，後端使用 service_role 略過 RLS）
+GRANT USAGE ON SCHEMA public TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON SEQUENCES TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT EXECUTE ON FUNCTIONS TO anon, authenticated, service_role;
@@ -0,0 +1,203 @@
+/**
+ * 本機開發 Supabase Gateway
+ * 讓 @supabase/supabase-js 在沒有 Supabase 帳號時也能運作（SUPABASE_URL 指向此服務）：
+ *   /rest/v1/*           轉送給 PostgREST（.from()、.rpc()）
+ *   GET  /auth/v1/user   以 LOCAL_JWT_SECRET 驗證 Token，回傳 Supabase Auth 格式的使用者（middleware/auth.js）
+ *   POST /auth/v1/local/token
+ *                        本機簽發 Token：依 email 建立或取得 auth.users（觸發器會同步 public.users）
+ * 只使用 Node 內建模組，不依賴 backend 的 node_modules
+ */
+const http = require('http');
+const { signJwt, verifyJwt } = require('./jwt');
+
+const PORT = parseInt(process.env.PORT, 10) || 54321;
+const POSTGREST_URL = (process.env.POSTGREST_URL || 'http://localhost:3001').replace(/\/+$/, '');
+const JWT_SECRET = process.env.LOCAL_JWT_SECRET;
+
+// 簽發的使用者 Token 有效秒數（預設 7 天）
+const TOKEN_TTL_SECONDS = parseInt(process.env.LOCAL_JWT_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+// 轉送時不複製的標頭（由 fetch 重新計算）
+const HOP_BY_HOP_HEADERS = new Set([
+  'host', 'connection', 'content-length', 'content-encoding', 'transfer-encoding', 'keep-alive',
+]);
+
+if (!JWT_SECRET) {
+  console.error('LOCAL_JWT_SECRET is required');
+  process.exit(1);
+}
+
+/**
+ * 以 service_role 身分存取 PostgREST 的 Token（每次重新簽發，避免過期）
+ */
+function serviceRoleToken() {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({ iss: 'raibu-local', role: 'service_role', iat: now, exp: now + 60 }, JWT_SECRET);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 轉為 Supabase Auth（GoTrue）的使用者格式
+ */
+function formatUser(user) {
+  return {
+    id: user.id,
+    aud: 'authenticated',
+    role: 'authenticated',
+    email: user.email,
+    app_metadata: user.raw_app_meta_data || { provider: 'email' },
+    user_metadata: user.raw_user_meta_data || {},
+    created_at: user.created_at,
+    updated_at: user.updated_at,
+  };
+}
+
+async function proxyToPostgrest(req, res) {
+  const target = `${POSTGREST_URL}${req.url.replace(/^\/rest\/v1/, '')}`;
+
+  const headers = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (!HOP_BY_HOP_HEADERS.has(name)) {
+      headers[name] = value;
+    }
+  }
+
+  const body = ['GET', 'HEAD'].includes(req.method) ? undefined : await readBody(req);
+  const response = await fetch(target, { method: req.method, headers, body });
+
+  const responseHeaders = {};
+  response.headers.forEach((value, name) => {
+    if (!HOP_BY_HOP_HEADERS.has(name)) {
+      responseHeaders[name] = value;
+    }
+  });
+
+  res.writeHead(response.status, responseHeaders);
+  res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+async function getUser(req, res) {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const claims = verifyJwt(token, JWT_SECRET);
+
+  if (!claims || claims.role !== 'authenticated' || !claims.sub) {
+    return sendJson(res, 401, { code: 401, error_code: 'bad_jwt', msg: 'invalid JWT' });
+  }
+
+  const response = await fetch(`${POSTGREST_URL}/users?id=eq.${claims.sub}&select=*`, {
+    headers: {
+      Authorization: `Bearer ${serviceRoleToken()}`,
+      'Accept-Profile': 'auth',
+      Accept: 'application/vnd.pgrst.object+json',
+    },
+  });
+
+  if (!response.ok) {
+    return sendJson(res, 404, { code: 404, error_code: 'user_not_found', msg: 'User not found' });
+  }
+
+  sendJson(res, 200, formatUser(await response.json()));
+}
+
+async function issueToken(req, res) {
+  let payload;
+  try {
+    payload = JSON.parse((await readBody(req)).toString() || '{}');
+  } catch {
+    return sendJson(res, 400, { code: 400, msg: 'Invalid JSON body' });
+  }
+
+  const email = typeof payload.email === 'string' ? payload.email.trim().toLowerCase() : '';
+  if (!email) {
+    return sendJson(res, 400, { code: 400, msg: 'email is required' });
+  }
+
+  // 以 email 為唯一鍵新增或取得（新增時 handle_new_user 觸發器會建立 public.users）
+  // 只有提供 display_name 時才更新 metadata
+  const row = payload.display_name
+    ? { email, raw_user_meta_data: { display_name: payload.display_name } }
+    : { email };
+
+  const response = await fetch(`${POSTGREST_URL}/users?on_conflict=email`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${serviceRoleToken()}`,
+      'Content-Type': 'application/json',
+      'Content-Profile': 'auth',
+      Accept: 'application/vnd.pgrst.object+json',
+      Prefer: 'resolution=merge-duplicates,return=representation',
+    },
+    body: JSON.stringify(row),
+  });
+
+  if (!response.ok) {
+    return sendJson(res, 500, { code: 500, msg: `Failed to upsert user: ${await response.text()}` });
+  }
+
+  const user = await response.json();
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = signJwt({
+    iss: 'raibu-local',
+    sub: user.id,
+    aud: 'authenticated',
+    role: 'authenticated',
+    email: user.email,
+    user_metadata: user.raw_user_meta_data,
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS,
+  }, JWT_SECRET);
+
+  sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    user: formatUser(user),
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const path = req.url.split('?')[0];
+
+    if (path.startsWith('/rest/v1/')) {
+      return await proxyToPostgrest(req, res);
+    }
+
+    if (req.method === 'GET' && path === '/auth/v1/user') {
+      return await getUser(req, res);
+    }
+
+    if (req.method === 'POST' && path === '/auth/v1/local/token') {
+      return await issueToken(req, res);
+    }
+
+    if (path === '/health') {
+      return sendJson(res, 200, { status: 'ok' });
+    }
+
+    sendJson(res, 404, { code: 404, msg: `Not supported by local gateway: ${req.method} ${path}` });
+  } catch (err) {
+    console.error('Gateway error:', err);
+    if (!res.headersSent) {
+      sendJson(res, 502, { code: 502, msg: err.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Local Supabase gateway listening on ${PORT} → PostgREST ${POSTGREST_URL}`);
+});
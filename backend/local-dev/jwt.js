@@ -0,0 +1,59 @@
+/**
+ * 本機開發用 JWT（HS256）
+ * 與 PostgREST 共用 LOCAL_JWT_SECRET：PostgREST 依 role claim 切換資料庫角色，
+ * gateway 的 /auth/v1/user 依同一把金鑰驗證使用者 Token（對應 middleware/auth.js 的 supabase.auth.getUser）
+ */
+const crypto = require('crypto');
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * 簽發 Token
+ * @param {Object} payload - JWT claims
+ * @param {string} secret - 簽章金鑰
+ * @returns {string} JWT
+ */
+function signJwt(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * 驗證 Token
+ * @param {string} token - JWT
+ * @param {string} secret - 簽章金鑰
+ * @returns {Object|null} claims，簽章錯誤或已過期時為 null
+ */
+function verifyJwt(token, secret) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') return null;
+
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (claims.exp && claims.exp * 1000 < Date.now()) return null;
+
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt,
+};
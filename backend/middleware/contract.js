@@ -0,0 +1,97 @@
+/**
+ * API 規格中間件
+ * 路由以 operation() 宣告請求與回應的 Joi Schema，同一份宣告用於：
+ * - 請求驗證（params / query / body）
+ * - 測試環境的回應驗證，避免實作與文件脫節
+ * - 產生 OpenAPI 文件（utils/openapi.js）
+ */
+const Joi = require('joi');
+const { validate } = require('./validate');
+const { ApiError, ErrorCodes } = require('../utils/errorCodes');
+const { errorResponse } = require('../utils/responseSchemas');
+const { log } = require('../utils/logger');
+
+const REQUEST_SOURCES = ['params', 'query', 'body'];
+
+/**
+ * 是否驗證回應：測試環境預設開啟，可用 VALIDATE_RESPONSES=true / false 覆蓋
+ */
+function shouldValidateResponses() {
+  if (process.env.VALIDATE_RESPONSES !== undefined) {
+    return process.env.VALIDATE_RESPONSES === 'true';
+  }
+  return process.env.NODE_ENV === 'test';
+}
+
+/**
+ * 宣告 API 操作
+ * @param {Object} spec - { summary, description, params, query, body, responses }
+ *   responses 以狀態碼為 key，值為 Joi Schema（JSON 回應）、null（無內容）
+ *   或 { description, contentType, schema }（非 JSON 回應）
+ * @returns {Function} Express 中間件（附帶 operation 屬性供產生文件）
+ */
+function operation(spec) {
+  const validators = REQUEST_SOURCES
+    .filter(source => spec[source])
+    .map(source => validate(spec[source], source));
+
+  const middleware = (req, res, next) => {
+    if (shouldValidateResponses()) {
+      checkResponses(req, res, spec);
+    }
+
+    // 依序執行驗證，任一失敗時 validate() 直接回應 400
+    const run = (index) => {
+      if (index === validators.length) return next();
+      validators[index](req, res, () => run(index + 1));
+    };
+    run(0);
+  };
+
+  middleware.operation = spec;
+  return middleware;
+}
+
+/**
+ * 攔截 res.json，以宣告的 Schema 驗證回應內容
+ * 錯誤回應一律以 ErrorResponse 驗證；不符時改回 500 並附上差異
+ */
+function checkResponses(req, res, spec) {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const status = res.statusCode;
+    const entry = status >= 400 ? errorResponse : spec.responses?.[status];
+    const schema = Joi.isSchema(entry) ? entry : entry?.schema;
+
+    if (!schema) {
+      if (entry === undefined) {
+        return json(contractViolation(req, res, status, [`未宣告狀態碼 ${status} 的回應`]));
+      }
+      return json(body);
+    }
+
+    const { error } = schema.validate(body, { abortEarly: false, convert: false });
+    if (error) {
+      return json(contractViolation(req, res, status, error.details.map(detail => detail.message)));
+    }
+
+    return json(body);
+  };
+}
+
+function contractViolation(req, res, status, errors) {
+  log.error('Response does not match API contract', {
+    method: req.method,
+    path: req.originalUrl,
+    status,
+    errors,
+  });
+
+  res.status(500);
+  return new ApiError(ErrorCodes.INTERNAL, '回應不符合 API 規格', { status, errors }, 500).toJSON();
+}
+
+module.exports = {
+  operation,
+};
@@ -15,6 +15,32 @@ const coordinateSchema = Joi.object({
   lng: Joi.number().min(-180).max(180).required(),
 });
 
+// 分頁的預設與最大筆數
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * 分頁查詢參數 Schema（?limit=&cursor=）
+ */
+const paginationSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_LIMIT).default(DEFAULT_PAGE_LIMIT),
+  cursor: Joi.string().max(200).allow(''),
+});
+
+// 按讚、檢舉與回覆的目標（record_id / ask_id / reply_id 擇一）
+const TARGET_MESSAGES = {
+  'object.missing': '必須提供 {{#peersWithLabels}} 其中之一',
+  'object.xor': '{{#peersWithLabels}} 只能擇一',
+};
+
+function targetKeys() {
+  return {
+    record_id: Joi.string().uuid(),
+    ask_id: Joi.string().uuid(),
+    reply_id: Joi.string().uuid(),
+  };
+}
+
 /**
  * 紀錄模式 Schemas
  */
@@ -31,9 +57,11 @@ const recordSchemas = {
       Joi.object({
         upload_id: Joi.string().uuid().required(),
         location: coordinateSchema.required(),
+        location_source: Joi.string().valid('client', 'manual').default('client'),
         captured_at: Joi.string().isoDate().allow(null),
         display_order: Joi.number().integer().min(0).default(0),
         thumbnail_public_url: Joi.string().uri().allow(null),
+        // 客戶端提供的地址先行寫入；後端依座標反查（geocodingService）取得街道門牌後覆蓋
         address: Joi.string().max(500).allow(null, ''),
       })
     ).min(1).max(10).required()
@@ -74,6 +102,9 @@ const recordSchemas = {
     max_lng: Joi.number().min(-180).max(180).required(),
     start_date: Joi.string().isoDate().allow(null),
     end_date: Joi.string().isoDate().allow(null),
+    tag: Joi.string().max(60),
+    city: Joi.string().max(20),
+    district: Joi.string().max(20),
   }),
 };
 
@@ -119,42 +150,182 @@ const askSchemas = {
       })
     ).allow(null),
   }),
+
+  // 採納回答
+  accept: Joi.object({
+    reply_id: Joi.string().uuid().required()
+      .messages({
+        'any.required': 'reply_id 為必填欄位',
+      }),
+  }),
+};
+
+/**
+ * 地圖 Schemas
+ */
+const mapSchemas = {
+  // 伺服器端群集查詢
+  clusterQuery: recordSchemas.mapQuery.keys({
+    zoom: Joi.number().integer().min(0).max(22).required()
+      .messages({
+        'any.required': 'zoom 為必填欄位',
+      }),
+  }),
+
+  // 向量圖磚路徑參數
+  tileParams: Joi.object({
+    layer: Joi.string().valid('records', 'asks').required()
+      .messages({
+        'any.only': 'layer 必須是 records 或 asks',
+      }),
+    z: Joi.number().integer().min(0).max(22).required(),
+    x: Joi.number().integer().min(0).required(),
+    y: Joi.number().integer().min(0).required(),
+  }),
+
+  // 向量圖磚查詢（與 mapQuery 相同的時間、標籤與行政區過濾）
+  tileQuery: Joi.object({
+    start_date: Joi.string().isoDate().allow(null),
+    end_date: Joi.string().isoDate().allow(null),
+    tag: Joi.string().max(60),
+    city: Joi.string().max(20),
+    district: Joi.string().max(20),
+  }),
+
+  // 活動熱度查詢（resolution 為 Geohash 長度）
+  heatmapQuery: Joi.object({
+    min_lat: Joi.number().min(-90).max(90).required(),
+    max_lat: Joi.number().min(-90).max(90).required(),
+    min_lng: Joi.number().min(-180).max(180).required(),
+    max_lng: Joi.number().min(-180).max(180).required(),
+    from: Joi.string().isoDate(),
+    to: Joi.string().isoDate(),
+    resolution: Joi.number().integer().min(1).max(8)
+      .messages({
+        'number.min': 'resolution 必須介於 1 到 8',
+        'number.max': 'resolution 必須介於 1 到 8',
+      }),
+  }),
 };
 
 /**
  * 回覆 Schemas
  */
 const replySchemas = {
-  // 建立回覆
+  // 建立回覆：record_id 與 ask_id 擇一；content 可為空字串，但必須搭配圖片（由路由檢查）
   create: Joi.object({
-    content: Joi.string().min(1).max(2000).required()
+    record_id: Joi.string().uuid(),
+    ask_id: Joi.string().uuid(),
+    parent_reply_id: Joi.string().uuid().allow(null),
+    content: Joi.string().max(2000).allow('').required()
       .messages({
-        'string.empty': 'content 為必填欄位',
+        'string.base': 'content 為必填欄位',
         'any.required': 'content 為必填欄位',
+        'string.max': 'content 最多 2000 字元',
       }),
     images: Joi.array().items(
       Joi.object({
         upload_id: Joi.string().uuid().required(),
         location: coordinateSchema.allow(null),
+        captured_at: Joi.string().isoDate().allow(null),
         display_order: Joi.number().integer().min(0).default(0),
       })
-    ).max(5).allow(null),
+    ).max(5).allow(null)
+      .messages({
+        'array.max': '回覆最多 5 張圖片',
+      }),
     current_location: coordinateSchema.allow(null),
+  }).xor('record_id', 'ask_id')
+    .messages(TARGET_MESSAGES),
+
+  // 回覆列表（分頁以頂層回覆為單位）
+  listQuery: paginationSchema.keys({
+    record_id: Joi.string().uuid(),
+    ask_id: Joi.string().uuid(),
+  }).xor('record_id', 'ask_id')
+    .messages(TARGET_MESSAGES),
+};
+
+/**
+ * 愛心 Schemas
+ */
+const LIKE_TARGET_TYPES = ['record', 'ask', 'reply'];
+
+const likeSchemas = {
+  // 點讚 / 取消點讚：三種目標擇一
+  toggle: Joi.object(targetKeys()).xor('record_id', 'ask_id', 'reply_id')
+    .messages(TARGET_MESSAGES),
+
+  // /likes/:type/:id
+  targetParams: Joi.object({
+    type: Joi.string().valid(...LIKE_TARGET_TYPES).required(),
+    id: Joi.string().uuid().required(),
+  }),
+
+  // 我按讚的內容（可依類型篩選）
+  mineQuery: paginationSchema.keys({
+    type: Joi.string().valid(...LIKE_TARGET_TYPES),
   }),
 };
 
+/**
+ * 檢舉 Schemas
+ */
+const REPORT_CATEGORIES = ['SPAM', 'INAPPROPRIATE', 'HARASSMENT', 'FALSE_INFO', 'OTHER'];
+
+const reportSchemas = {
+  // 建立檢舉
+  create: Joi.object({
+    ...targetKeys(),
+    reason_category: Joi.string().valid(...REPORT_CATEGORIES).required()
+      .messages({
+        'any.only': '必須提供有效的 reason_category',
+        'any.required': '必須提供有效的 reason_category',
+      }),
+    reason: Joi.string().trim().min(1).max(1000).required()
+      .messages({
+        'string.empty': '必須提供檢舉原因說明',
+        'any.required': '必須提供檢舉原因說明',
+      }),
+  }).xor('record_id', 'ask_id', 'reply_id')
+    .messages(TARGET_MESSAGES),
+
+  // 檢查是否已檢舉
+  checkQuery: Joi.object(targetKeys()).xor('record_id', 'ask_id', 'reply_id')
+    .messages(TARGET_MESSAGES),
+};
+
 /**
  * 上傳 Schemas
  */
+const UPLOAD_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'image/webp'];
+
 const uploadSchemas = {
-  // 請求上傳憑證
+  // 請求上傳憑證（單次張數與檔案大小上限由路由以 RESOURCE_EXHAUSTED 回應）
   requestCredential: Joi.object({
-    images: Joi.array().items(
+    image_requests: Joi.array().items(
       Joi.object({
-        client_key: Joi.string().required(),
-        content_type: Joi.string().valid('image/jpeg', 'image/png', 'image/heic', 'image/heif').required(),
+        client_key: Joi.string().max(100).required(),
+        fileType: Joi.string().valid(...UPLOAD_CONTENT_TYPES).required()
+          .messages({
+            'any.only': `fileType 必須是 ${UPLOAD_CONTENT_TYPES.join('、')}`,
+          }),
+        fileSize: Joi.number().integer().min(1),
       })
-    ).min(1).max(10).required(),
+    ).min(1).unique('client_key').required()
+      .messages({
+        'array.min': '至少需要一張圖片',
+        'array.unique': 'client_key 不可重複',
+        'any.required': 'image_requests 為必填欄位',
+      }),
+  }),
+
+  // 頭貼上傳授權
+  avatar: Joi.object({
+    file_type: Joi.string().valid(...UPLOAD_CONTENT_TYPES).default('image/jpeg')
+      .messages({
+        'any.only': `file_type 必須是 ${UPLOAD_CONTENT_TYPES.join('、')}`,
+      }),
   }),
 };
 
@@ -166,18 +337,331 @@ const userSchemas = {
   updateProfile: Joi.object({
     display_name: Joi.string().min(1).max(50).allow(null),
     avatar_url: Joi.string().uri().allow(null, ''),
+    bio: Joi.string().max(500).allow(null, ''),
+  }).min(1)
+    .messages({
+      'object.min': '至少需要提供一個要更新的欄位',
+    }),
+};
+
+/**
+ * 通知 Schemas
+ */
+const notificationSchemas = {
+  // 通知列表
+  listQuery: paginationSchema.keys({
+    unread_only: Joi.boolean(),
+  }),
+
+  // 標記已讀：指定 ids 或 all = true 擇一
+  read: Joi.object({
+    ids: Joi.array().items(Joi.string().uuid()).min(1).max(100).unique(),
+    all: Joi.boolean().valid(true),
+  }).xor('ids', 'all')
+    .messages({
+      'object.missing': '需要提供 ids 或 all',
+      'object.xor': 'ids 與 all 只能擇一',
+    }),
+};
+
+/**
+ * 封鎖 Schemas
+ */
+const blockSchemas = {
+  // 封鎖或靜音（預設封鎖）
+  setBlock: Joi.object({
+    type: Joi.string().valid('BLOCK', 'MUTE').default('BLOCK'),
+  }),
+
+  // 封鎖 / 靜音名單
+  listQuery: paginationSchema.keys({
+    type: Joi.string().valid('BLOCK', 'MUTE'),
+  }),
+};
+
+/**
+ * 搜尋 Schemas
+ */
+const searchSchemas = {
+  // 搜尋查詢（範圍四個值需同時提供；cursor 由搜尋結果產生）
+  query: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'string.empty': 'q 為必填欄位',
+        'any.required': 'q 為必填欄位',
+      }),
+    type: Joi.string().valid('records', 'asks', 'replies', 'users')
+      .messages({
+        'any.only': 'type 必須是 records、asks、replies 或 users',
+      }),
+    min_lat: Joi.number().min(-90).max(90),
+    max_lat: Joi.number().min(-90).max(90),
+    min_lng: Joi.number().min(-180).max(180),
+    max_lng: Joi.number().min(-180).max(180),
+    city: Joi.string().max(20),
+    district: Joi.string().max(20),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    cursor: Joi.string().max(200).allow(''),
+  }).and('min_lat', 'max_lat', 'min_lng', 'max_lng')
+    .messages({
+      'object.and': '範圍需要同時提供 min_lat、max_lat、min_lng、max_lng',
+    }),
+};
+
+/**
+ * 標籤 Schemas
+ */
+const tagSchemas = {
+  // 標籤內容查詢（範圍四個值需同時提供）
+  contentQuery: Joi.object({
+    min_lat: Joi.number().min(-90).max(90),
+    max_lat: Joi.number().min(-90).max(90),
+    min_lng: Joi.number().min(-180).max(180),
+    max_lng: Joi.number().min(-180).max(180),
+    limit: Joi.number().integer().min(1).max(100),
+    cursor: Joi.string().max(200).allow(''),
+  }).and('min_lat', 'max_lat', 'min_lng', 'max_lng')
+    .messages({
+      'object.and': '範圍需要同時提供 min_lat、max_lat、min_lng、max_lng',
+    }),
+
+  // 熱門標籤查詢（時間窗最長 7 天）
+  trendingQuery: Joi.object({
+    min_lat: Joi.number().min(-90).max(90),
+    max_lat: Joi.number().min(-90).max(90),
+    min_lng: Joi.number().min(-180).max(180),
+    max_lng: Joi.number().min(-180).max(180),
+    hours: Joi.number().integer().min(1).max(168).default(24),
+    limit: Joi.number().integer().min(1).max(50).default(10),
+  }).and('min_lat', 'max_lat', 'min_lng', 'max_lng')
+    .messages({
+      'object.and': '範圍需要同時提供 min_lat、max_lat、min_lng、max_lng',
+    }),
+};
+
+// 以逗號分隔的 UUID 清單（查詢字串用，最多 50 筆）
+const UUID_LIST_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(,[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}){0,49}$/i;
+
+/**
+ * 即時更新 Schemas
+ */
+const streamSchemas = {
+  // 建立連線時的初始訂閱（範圍四個值需同時提供，ID 以逗號分隔）
+  connectQuery: Joi.object({
+    min_lat: Joi.number().min(-90).max(90),
+    max_lat: Joi.number().min(-90).max(90),
+    min_lng: Joi.number().min(-180).max(180),
+    max_lng: Joi.number().min(-180).max(180),
+    record_ids: Joi.string().pattern(UUID_LIST_PATTERN)
+      .messages({ 'string.pattern.base': 'record_ids 必須是以逗號分隔的 ID（最多 50 筆）' }),
+    ask_ids: Joi.string().pattern(UUID_LIST_PATTERN)
+      .messages({ 'string.pattern.base': 'ask_ids 必須是以逗號分隔的 ID（最多 50 筆）' }),
+  }).and('min_lat', 'max_lat', 'min_lng', 'max_lng')
+    .messages({
+      'object.and': '範圍需要同時提供 min_lat、max_lat、min_lng、max_lng',
+    }),
+
+  // 更新訂閱（整份取代，未提供的欄位視為清空）
+  subscription: Joi.object({
+    bounds: Joi.object({
+      min_lat: Joi.number().min(-90).max(90).required(),
+      max_lat: Joi.number().min(-90).max(90).required(),
+      min_lng: Joi.number().min(-180).max(180).required(),
+      max_lng: Joi.number().min(-180).max(180).required(),
+    }).allow(null),
+    record_ids: Joi.array().items(Joi.string().uuid()).max(50).unique(),
+    ask_ids: Joi.array().items(Joi.string().uuid()).max(50).unique(),
+  }),
+
+  streamParams: Joi.object({
+    streamId: Joi.string().uuid().required(),
+  }),
+};
+
+const QUIET_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * 推播 Schemas
+ */
+const pushSchemas = {
+  // 註冊裝置 Token
+  registerDevice: Joi.object({
+    token: Joi.string().hex().min(32).max(200).required()
+      .messages({
+        'any.required': 'token 為必填欄位',
+      }),
+    environment: Joi.string().valid('sandbox', 'production').default('production'),
+  }),
+
+  // 關注區域類型（路徑參數，不分大小寫）
+  watchAreaParams: Joi.object({
+    kind: Joi.string().valid('home', 'work', 'current').insensitive().required(),
+  }),
+
+  // 設定關注區域
+  watchArea: Joi.object({
+    center: coordinateSchema.required()
+      .messages({
+        'any.required': '需要提供有效的中心座標',
+      }),
+    radius_meters: Joi.number().integer().min(100).max(20000).default(1000),
+  }),
+
+  // 更新推播偏好（勿擾時段為 HH:MM）
+  preferences: Joi.object({
+    nearby_asks_enabled: Joi.boolean(),
+    quiet_start: Joi.string().pattern(QUIET_TIME_PATTERN).allow(null)
+      .messages({ 'string.pattern.base': 'quiet_start 格式須為 HH:MM' }),
+    quiet_end: Joi.string().pattern(QUIET_TIME_PATTERN).allow(null)
+      .messages({ 'string.pattern.base': 'quiet_end 格式須為 HH:MM' }),
+    timezone: Joi.string().max(64),
+    max_per_hour: Joi.number().integer().min(1).max(20),
+  }).min(1),
+};
+
+/**
+ * 管理後台 Schemas
+ */
+const REPORT_STATUSES = ['PENDING', 'REVIEWED', 'RESOLVED', 'DISMISSED'];
+
+const adminSchemas = {
+  // 登入
+  login: Joi.object({
+    secret: Joi.string().max(200).required(),
+  }),
+
+  // 檢舉列表（ALL 為不過濾狀態）
+  reportsQuery: paginationSchema.keys({
+    status: Joi.string().valid(...REPORT_STATUSES, 'ALL').default('PENDING'),
+  }),
+
+  // 審核檢舉（action 為空時只更新狀態）
+  updateReport: Joi.object({
+    status: Joi.string().valid('REVIEWED', 'RESOLVED', 'DISMISSED').required(),
+    admin_notes: Joi.string().max(2000).allow(null, ''),
+    action: Joi.string().valid('remove_content', 'ban_user', 'remove_and_ban').allow(null, ''),
+  }),
+
+  // 封鎖 / 解封使用者
+  ban: Joi.object({
+    ban: Joi.boolean().required(),
+    reason: Joi.string().max(500).allow(null, ''),
   }),
 };
 
+// ==================== Path Parameters ====================
+
+/**
+ * 路徑參數 Schema：指定的參數皆須為 UUID
+ * @param {...string} names - 參數名稱，預設為 id
+ * @returns {Joi.ObjectSchema}
+ */
+function uuidParams(...names) {
+  const keys = names.length > 0 ? names : ['id'];
+  return Joi.object(Object.fromEntries(keys.map(name => [name, Joi.string().uuid().required()])));
+}
+
+// ==================== Pagination ====================
+
+const CURSOR_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const CURSOR_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * 將資料列編碼為不透明游標（created_at + id）
+ * @param {Object} row - 含 created_at 與 id 的資料列
+ * @returns {string} base64url 游標
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_at, row.id])).toString('base64url');
+}
+
+/**
+ * 解析游標
+ * @param {string} cursor - encodeCursor 產生的游標
+ * @returns {Object} { createdAt, id }
+ */
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    // 游標內容會組進查詢條件，只接受 ISO 時間（保留微秒）與 UUID
+    if (!CURSOR_TIMESTAMP_PATTERN.test(createdAt) || !CURSOR_ID_PATTERN.test(id)) {
+      throw new Error('invalid cursor');
+    }
+    return { createdAt, id };
+  } catch (err) {
+    throw Errors.invalidArgument('cursor 格式不正確');
+  }
+}
+
+/**
+ * 驗證並解析分頁參數
+ * @param {Object} query - req.query
+ * @returns {Object} { limit, cursor }，cursor 為 { createdAt, id } 或 null
+ */
+function parsePagination(query = {}) {
+  const { error, value } = paginationSchema.validate(
+    { limit: query.limit, cursor: query.cursor },
+    { abortEarly: false }
+  );
+
+  if (error) {
+    throw toInvalidArgument(error);
+  }
+
+  return {
+    limit: value.limit,
+    cursor: value.cursor ? decodeCursor(value.cursor) : null,
+  };
+}
+
+/**
+ * 在 Supabase 查詢上套用 Keyset 分頁（依 created_at, id 排序）
+ * 多取一筆用來判斷是否還有下一頁
+ * @param {Object} query - Supabase 查詢
+ * @param {Object} pagination - parsePagination 的結果
+ * @param {Object} options - { ascending }，預設新到舊
+ * @returns {Object} Supabase 查詢
+ */
+function applyCursor(query, { limit, cursor }, { ascending = false } = {}) {
+  if (cursor) {
+    const op = ascending ? 'gt' : 'lt';
+    query = query.or(
+      `created_at.${op}."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.${op}.${cursor.id})`
+    );
+  }
+
+  return query
+    .order('created_at', { ascending })
+    .order('id', { ascending })
+    .limit(limit + 1);
+}
+
+/**
+ * 切出當頁資料並產生 next_cursor
+ * @param {Array} rows - 以 limit + 1 查詢的結果
+ * @param {number} limit - 每頁筆數
+ * @returns {Object} { items, next_cursor }
+ */
+function buildPage(rows, limit) {
+  const items = (rows || []).slice(0, limit);
+  const hasMore = (rows || []).length > limit;
+
+  return {
+    items,
+    next_cursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+  };
+}
+
 // ==================== Validation Middleware ====================
 
 /**
  * 驗證中間件工廠
  * @param {Joi.Schema} schema - Joi Schema
  * @param {string} source - 驗證來源 ('body' | 'query' | 'params')
+ * @param {Function} respond - 驗證失敗時的回應方式 (res, apiError)，預設為統一錯誤格式
  * @returns {Function} Express 中間件
  */
-function validate(schema, source = 'body') {
+function validate(schema, source = 'body', respond = sendApiError) {
   return (req, res, next) => {
     const dataToValidate = req[source];
     
@@ -187,17 +671,43 @@ function validate(schema, source = 'body') {
     });
 
     if (error) {
-      const messages = error.details.map(detail => detail.message).join('; ');
-      const apiError = Errors.invalidArgument(messages);
-      return res.status(apiError.httpStatus).json(apiError.toJSON());
+      return respond(res, toInvalidArgument(error));
     }
 
-    // 將驗證後的值寫回（已清理）
-    req[source] = value;
+    // 將驗證後的值寫回（已清理、已轉型）
+    // Express 5 的 req.query 是每次重新解析的 getter，直接指派不會生效
+    if (source === 'query') {
+      Object.defineProperty(req, 'query', { value, writable: true, configurable: true, enumerable: true });
+    } else {
+      req[source] = value;
+    }
     next();
   };
 }
 
+/**
+ * 將 Joi 驗證錯誤轉為 INVALID_ARGUMENT
+ * details.fields 列出每個不符的欄位（路徑以 . 串接，如 images.0.location；
+ * 擇一類的物件層級錯誤則列出相關欄位，如 record_id,ask_id）
+ * @param {Joi.ValidationError} error
+ * @returns {ApiError}
+ */
+function toInvalidArgument(error) {
+  const fields = error.details.map(detail => ({
+    field: detail.path.join('.') || (detail.context.peers || []).join(','),
+    message: detail.message,
+  }));
+
+  return Errors.invalidArgument(
+    fields.map(field => field.message).join('; '),
+    { fields }
+  );
+}
+
+function sendApiError(res, apiError) {
+  return res.status(apiError.httpStatus).json(apiError.toJSON());
+}
+
 /**
  * 快捷驗證函數
  */
@@ -211,10 +721,29 @@ module.exports = {
   // Schemas
   recordSchemas,
   askSchemas,
+  mapSchemas,
   replySchemas,
+  likeSchemas,
+  reportSchemas,
   uploadSchemas,
   userSchemas,
+  notificationSchemas,
+  blockSchemas,
+  searchSchemas,
+  tagSchemas,
+  pushSchemas,
+  streamSchemas,
+  adminSchemas,
   coordinateSchema,
+  paginationSchema,
+  uuidParams,
+
+  // Pagination
+  parsePagination,
+  applyCursor,
+  buildPage,
+  encodeCursor,
+  decodeCursor,
   
   // Middleware
   validate,
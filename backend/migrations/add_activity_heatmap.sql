@@ -0,0 +1,10 @@
+-- ============================================
+-- 活動熱度統計
+-- GET /api/v1/map/heatmap 依時間窗統計回覆數量，需要 replies.created_at 索引
+-- 紀錄圖片與詢問沿用既有的 location / center 空間索引
+-- 執行後請套用 rpc_functions.sql 第 23 節
+-- 日期: 2026/10
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_replies_created_at
+  ON public.replies (created_at);
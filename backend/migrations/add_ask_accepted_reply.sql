@@ -0,0 +1,12 @@
+-- ============================================
+-- 詢問採納回答
+-- 日期: 2026/10
+-- ============================================
+
+ALTER TABLE public.asks
+  ADD COLUMN IF NOT EXISTS accepted_reply_id UUID REFERENCES public.replies(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMPTZ;
+
+-- 統計使用者被採納的回答數
+CREATE INDEX IF NOT EXISTS idx_asks_accepted_reply_id ON public.asks (accepted_reply_id)
+  WHERE accepted_reply_id IS NOT NULL;
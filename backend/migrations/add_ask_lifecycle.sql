@@ -0,0 +1,34 @@
+-- ============================================
+-- 詢問標點生命週期
+-- 新增 EXPIRED 狀態、到期時間與狀態轉換時間戳
+-- 日期: 2026/10
+-- ============================================
+
+ALTER TABLE public.asks
+  DROP CONSTRAINT IF EXISTS asks_status_check;
+
+ALTER TABLE public.asks
+  ADD CONSTRAINT asks_status_check CHECK (status IN ('ACTIVE', 'RESOLVED', 'EXPIRED'));
+
+ALTER TABLE public.asks
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ DEFAULT (NOW() + INTERVAL '48 hours'),
+  ADD COLUMN IF NOT EXISTS extended_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+
+-- 既有詢問依建立時間回填到期時間（已延長過的詢問不覆寫）
+UPDATE public.asks
+SET expires_at = created_at + INTERVAL '48 hours'
+WHERE extended_at IS NULL;
+
+-- 已超過生命週期的舊詢問直接標記為過期，避免排程器首次執行時大量發出事件
+UPDATE public.asks
+SET status = 'EXPIRED', expired_at = expires_at
+WHERE status = 'ACTIVE' AND expires_at <= NOW();
+
+ALTER TABLE public.asks
+  ALTER COLUMN expires_at SET NOT NULL;
+
+-- 排程器掃描到期的 ACTIVE 詢問
+CREATE INDEX IF NOT EXISTS idx_asks_active_expires_at ON public.asks (expires_at)
+  WHERE status = 'ACTIVE';
@@ -0,0 +1,11 @@
+-- ============================================
+-- 清理日誌保留 R2 物件 Key
+-- R2 刪除失敗時資料列已刪除，保留完整 Key 清單供下次清理重試
+-- 日期: 2026/10
+-- ============================================
+
+ALTER TABLE public.cleanup_logs
+  ADD COLUMN IF NOT EXISTS object_keys TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_cleanup_logs_reason
+  ON public.cleanup_logs (reason, deleted_at);
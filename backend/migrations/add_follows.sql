@@ -0,0 +1,30 @@
+-- ============================================
+-- 追蹤關係與追蹤動態
+-- 追蹤動態沿用 idx_records_user_created_id / idx_asks_user_created_id（add_keyset_pagination_indexes.sql）
+-- 執行後請套用 rpc_functions.sql 第 17 節
+-- 日期: 2026/10
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.follows (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  follower_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  following_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT follows_unique UNIQUE (follower_id, following_id),
+  CONSTRAINT follows_no_self CHECK (follower_id <> following_id)
+);
+
+-- 追蹤中 / 粉絲列表（Keyset 分頁）
+CREATE INDEX IF NOT EXISTS idx_follows_follower_created_id
+  ON public.follows (follower_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_follows_following_created_id
+  ON public.follows (following_id, created_at DESC, id DESC);
+
+ALTER TABLE public.follows ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Follows are viewable by everyone" ON public.follows
+  FOR SELECT USING (true);
+CREATE POLICY "Users can follow others" ON public.follows
+  FOR INSERT WITH CHECK (auth.uid() = follower_id);
+CREATE POLICY "Users can unfollow" ON public.follows
+  FOR DELETE USING (auth.uid() = follower_id);
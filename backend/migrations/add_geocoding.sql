@@ -0,0 +1,48 @@
+-- ============================================
+-- 反查地址
+-- 紀錄圖片與詢問中心點的地址、縣市、鄉鎮市區改由後端依座標反查填入（services/geocodingService.js）
+-- geocoded_at 為 NULL 表示尚未反查，可用 npm run geocode:backfill 補齊既有資料
+-- 執行後請套用 rpc_functions.sql 第 3、3b、4、4c、10、18 節（新增 p_city / p_district 與回傳欄位）與第 22 節
+-- 日期: 2026/10
+-- ============================================
+
+ALTER TABLE public.image_media
+  ADD COLUMN IF NOT EXISTS city TEXT,
+  ADD COLUMN IF NOT EXISTS district TEXT,
+  ADD COLUMN IF NOT EXISTS geocoded_at TIMESTAMPTZ;
+
+ALTER TABLE public.asks
+  ADD COLUMN IF NOT EXISTS address TEXT,
+  ADD COLUMN IF NOT EXISTS city TEXT,
+  ADD COLUMN IF NOT EXISTS district TEXT,
+  ADD COLUMN IF NOT EXISTS geocoded_at TIMESTAMPTZ;
+
+-- 地圖與搜尋依縣市 / 鄉鎮市區篩選
+CREATE INDEX IF NOT EXISTS idx_image_media_city_district
+  ON public.image_media (city, district) WHERE record_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_asks_city_district
+  ON public.asks (city, district);
+CREATE INDEX IF NOT EXISTS idx_asks_address_trgm
+  ON public.asks USING GIN (address gin_trgm_ops);
+
+-- 補齊既有資料時找出尚未反查的資料列
+CREATE INDEX IF NOT EXISTS idx_image_media_pending_geocoding
+  ON public.image_media (uploaded_at) WHERE geocoded_at IS NULL AND record_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_asks_pending_geocoding
+  ON public.asks (created_at) WHERE geocoded_at IS NULL;
+
+-- 反查結果快取（key 為四捨五入後的「緯度,經度」；查無結果時 address / city / district 皆為 NULL）
+CREATE TABLE IF NOT EXISTS public.geocode_cache (
+  cache_key TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  address TEXT,
+  city TEXT,
+  district TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+ALTER TABLE public.geocode_cache ENABLE ROW LEVEL SECURITY;
+
+-- 快取只供後端存取
+CREATE POLICY "Only service role can access geocode cache" ON public.geocode_cache
+  FOR ALL USING (false);
@@ -0,0 +1,28 @@
+-- ============================================
+-- 紀錄圖片 EXIF 擷取與 GPS 驗證
+-- 上傳完成時保存 EXIF 資訊，建立紀錄時與客戶端宣告的座標 / 拍攝時間比對
+-- 日期: 2026/10
+-- ============================================
+
+ALTER TABLE public.image_media
+  ADD COLUMN IF NOT EXISTS exif_lat DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS exif_lng DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS exif_captured_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS exif_orientation SMALLINT,
+  ADD COLUMN IF NOT EXISTS camera_model TEXT,
+  ADD COLUMN IF NOT EXISTS location_source TEXT
+    CHECK (location_source IN ('exif', 'client', 'manual')),
+  ADD COLUMN IF NOT EXISTS location_mismatch BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS location_mismatch_meters DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS captured_at_mismatch BOOLEAN DEFAULT FALSE;
+
+-- 既有圖片皆為客戶端宣告的座標
+UPDATE public.image_media
+SET location_source = 'client'
+WHERE location IS NOT NULL AND location_source IS NULL;
+
+-- 供後台檢視座標不符的圖片
+CREATE INDEX IF NOT EXISTS idx_image_media_location_mismatch ON public.image_media (uploaded_at)
+  WHERE location_mismatch = TRUE;
+
+-- 執行後請重新套用 rpc_functions.sql 第 2、3b 節（update_image_with_location 參數與回傳欄位已變更）
@@ -0,0 +1,17 @@
+-- ============================================
+-- 紀錄圖片座標未經 EXIF 驗證的標記
+-- 沒有 EXIF GPS 可比對的圖片保留客戶端宣告的座標，並標記 location_unverified
+-- 日期: 2026/10
+-- ============================================
+
+ALTER TABLE public.image_media
+  ADD COLUMN IF NOT EXISTS location_unverified BOOLEAN DEFAULT FALSE;
+
+-- 既有圖片：非 EXIF 來源且未標記為不符者，皆未經驗證
+UPDATE public.image_media
+SET location_unverified = TRUE
+WHERE location IS NOT NULL
+  AND location_source IN ('client', 'manual')
+  AND location_mismatch IS NOT TRUE;
+
+-- 執行後請重新套用 rpc_functions.sql 第 3b、12、13 節（寫入與回傳 location_unverified）
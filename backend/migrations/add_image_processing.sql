@@ -0,0 +1,14 @@
+-- ============================================
+-- 伺服器端圖片處理
+-- 日期: 2026/10
+-- ============================================
+
+-- 上傳授權時宣告的 MIME 類型，完成上傳時以實際檔案內容驗證
+ALTER TABLE public.image_media
+  ADD COLUMN IF NOT EXISTS content_type TEXT,
+  ADD COLUMN IF NOT EXISTS width INTEGER,
+  ADD COLUMN IF NOT EXISTS height INTEGER,
+  ADD COLUMN IF NOT EXISTS byte_size INTEGER,
+  ADD COLUMN IF NOT EXISTS medium_public_url TEXT,
+  ADD COLUMN IF NOT EXISTS webp_public_url TEXT,
+  ADD COLUMN IF NOT EXISTS processed_at TIMESTAMPTZ;
@@ -0,0 +1,13 @@
+-- ============================================
+-- 列表 Keyset 分頁索引
+-- 依 (created_at, id) 排序並以游標續查
+-- 日期: 2026/10
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_records_user_created_id ON public.records (user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_asks_user_created_id ON public.asks (user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_replies_record_created_id ON public.replies (record_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_replies_ask_created_id ON public.replies (ask_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_reports_status_created_id ON public.reports (status, created_at DESC, id DESC);
+
+-- 執行後請重新套用 rpc_functions.sql 第 4b、9 節（新增分頁參數）
@@ -0,0 +1,20 @@
+-- ============================================
+-- 愛心原子切換與計數校正
+-- 新增 / 刪除 likes 與更新 like_count 改由 set_like 在同一個交易完成，
+-- 取代 increment_like_count / decrement_like_count
+-- 執行後請套用 rpc_functions.sql 第 6、7 節，並執行 scripts/reconcile-like-counts.js 校正既有計數
+-- 日期: 2026/10
+-- ============================================
+
+DROP FUNCTION IF EXISTS increment_like_count(TEXT, UUID);
+DROP FUNCTION IF EXISTS decrement_like_count(TEXT, UUID);
+
+-- 按讚者列表與「我按讚的內容」的 Keyset 分頁索引
+CREATE INDEX IF NOT EXISTS idx_likes_record_created_id
+  ON public.likes (record_id, created_at DESC, id DESC) WHERE record_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_likes_ask_created_id
+  ON public.likes (ask_id, created_at DESC, id DESC) WHERE ask_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_likes_reply_created_id
+  ON public.likes (reply_id, created_at DESC, id DESC) WHERE reply_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_likes_user_created_id
+  ON public.likes (user_id, created_at DESC, id DESC);
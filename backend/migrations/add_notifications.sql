@@ -0,0 +1,43 @@
+-- ============================================
+-- 站內通知
+-- 同一群組（例如同一則紀錄的愛心）的未讀通知會合併為一則，記錄最近的觸發者與人數
+-- 日期: 2026/10
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL CHECK (
+    type IN (
+      'LIKE', 'REPLY', 'ONSITE_REPLY', 'MENTION',
+      'ANSWER_ACCEPTED', 'ASK_RESOLVED', 'ASK_EXPIRED',
+      'CONTENT_REMOVED', 'ACCOUNT_BANNED', 'REPORT_REVIEWED'
+    )
+  ),
+  group_key TEXT NOT NULL,
+  record_id UUID REFERENCES public.records(id) ON DELETE CASCADE,
+  ask_id UUID REFERENCES public.asks(id) ON DELETE CASCADE,
+  reply_id UUID REFERENCES public.replies(id) ON DELETE CASCADE,
+  actor_ids UUID[] DEFAULT '{}' NOT NULL,
+  actor_count INTEGER DEFAULT 0 NOT NULL,
+  data JSONB DEFAULT '{}'::JSONB NOT NULL,
+  is_read BOOLEAN DEFAULT FALSE NOT NULL,
+  read_at TIMESTAMPTZ,
+  -- 合併新事件時更新為最新事件時間
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- 同一群組只保留一則未讀通知
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_unread_group
+  ON public.notifications (user_id, group_key) WHERE is_read = FALSE;
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created_id
+  ON public.notifications (user_id, created_at DESC, id DESC);
+
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own notifications" ON public.notifications
+  FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can update their own notifications" ON public.notifications
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- 執行後請套用 rpc_functions.sql 第 14 節（push_notification）
@@ -0,0 +1,74 @@
+-- ============================================
+-- 附近新詢問推播
+-- 裝置 Token、關注區域（住家 / 公司 / 目前位置）、推播偏好（勿擾時段、頻率上限）與發送紀錄
+-- 日期: 2026/10
+-- ============================================
+
+-- 推播裝置 Token（同一 Token 換帳號登入時改歸屬新使用者）
+CREATE TABLE IF NOT EXISTS public.device_tokens (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  token TEXT NOT NULL UNIQUE,
+  platform TEXT DEFAULT 'ios' NOT NULL CHECK (platform IN ('ios')),
+  environment TEXT DEFAULT 'production' NOT NULL CHECK (environment IN ('sandbox', 'production')),
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  last_seen_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_tokens_user_id ON public.device_tokens (user_id);
+
+-- 關注區域：每位使用者每種各一筆，CURRENT 由客戶端定期回報目前位置
+CREATE TABLE IF NOT EXISTS public.watch_areas (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('HOME', 'WORK', 'CURRENT')),
+  center GEOMETRY(Point, 4326) NOT NULL,
+  radius_meters INTEGER NOT NULL CHECK (radius_meters BETWEEN 100 AND 20000),
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT watch_areas_user_kind_unique UNIQUE (user_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watch_areas_center ON public.watch_areas USING GIST (center);
+
+-- 推播偏好（沒有資料列時使用預設值）
+-- 勿擾時段以使用者時區的當地時間表示，可跨午夜（例如 23:00 ~ 07:00）
+CREATE TABLE IF NOT EXISTS public.push_preferences (
+  user_id UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  nearby_asks_enabled BOOLEAN DEFAULT TRUE NOT NULL,
+  quiet_start TIME,
+  quiet_end TIME,
+  timezone TEXT DEFAULT 'Asia/Taipei' NOT NULL,
+  max_per_hour INTEGER DEFAULT 3 NOT NULL CHECK (max_per_hour BETWEEN 1 AND 20),
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- 推播發送紀錄：同一詢問只推播一次，並用於計算頻率上限
+CREATE TABLE IF NOT EXISTS public.push_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  ask_id UUID REFERENCES public.asks(id) ON DELETE CASCADE NOT NULL,
+  status TEXT DEFAULT 'PENDING' NOT NULL CHECK (
+    status IN ('PENDING', 'SENT', 'QUIET_HOURS', 'RATE_LIMITED', 'NO_DEVICE', 'FAILED')
+  ),
+  device_count INTEGER DEFAULT 0 NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT push_deliveries_user_ask_unique UNIQUE (user_id, ask_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_deliveries_user_sent
+  ON public.push_deliveries (user_id, created_at) WHERE status = 'SENT';
+
+ALTER TABLE public.device_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.watch_areas ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.push_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.push_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own device tokens" ON public.device_tokens
+  FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Users can manage their own watch areas" ON public.watch_areas
+  FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Users can manage their own push preferences" ON public.push_preferences
+  FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Users can view their own push deliveries" ON public.push_deliveries
+  FOR SELECT USING (auth.uid() = user_id);
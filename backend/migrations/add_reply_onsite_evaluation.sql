@@ -0,0 +1,9 @@
+-- ============================================
+-- 詢問回覆 Geo-fencing 判定欄位
+-- 記錄每張回覆圖片與詢問中心的距離，以及拍攝時間早於詢問的舊照片
+-- 日期: 2026/10
+-- ============================================
+
+ALTER TABLE public.image_media
+  ADD COLUMN IF NOT EXISTS distance_to_ask_meters DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS is_stale_capture BOOLEAN DEFAULT FALSE;
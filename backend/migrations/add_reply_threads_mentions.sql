@@ -0,0 +1,32 @@
+-- ============================================
+-- 回覆串（一層巢狀）與 @提及
+-- 日期: 2026/10
+-- ============================================
+
+-- 回覆的父回覆，只允許一層：父回覆本身必須是頂層回覆（由 API 保證）
+ALTER TABLE public.replies
+  ADD COLUMN IF NOT EXISTS parent_reply_id UUID REFERENCES public.replies(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_replies_parent_reply_id ON public.replies (parent_reply_id, created_at, id)
+  WHERE parent_reply_id IS NOT NULL;
+
+-- 回覆內容中的 @display_name 提及
+CREATE TABLE IF NOT EXISTS public.reply_mentions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  reply_id UUID REFERENCES public.replies(id) ON DELETE CASCADE NOT NULL,
+  mentioned_user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT reply_mentions_unique UNIQUE (reply_id, mentioned_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reply_mentions_user_created_id
+  ON public.reply_mentions (mentioned_user_id, created_at DESC, id DESC);
+
+ALTER TABLE public.reply_mentions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Reply mentions are viewable by everyone" ON public.reply_mentions
+  FOR SELECT USING (true);
+CREATE POLICY "Reply authors can insert mentions" ON public.reply_mentions
+  FOR INSERT WITH CHECK (
+    EXISTS (SELECT 1 FROM public.replies r WHERE r.id = reply_id AND r.user_id = auth.uid())
+  );
@@ -0,0 +1,24 @@
+-- ============================================
+-- 全文搜尋
+-- 繁體中文沒有空白分詞，改用 pg_trgm 三字元索引支援子字串（ILIKE）與相似度（<%）比對
+-- 少於 3 個字的查詢無法使用三字元索引，會退回循序掃描
+-- 執行後請套用 rpc_functions.sql 第 18 節
+-- 日期: 2026/10
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_records_description_trgm
+  ON public.records USING GIN (description gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_asks_title_trgm
+  ON public.asks USING GIN (title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_asks_question_trgm
+  ON public.asks USING GIN (question gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_replies_content_trgm
+  ON public.replies USING GIN (content gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_users_display_name_trgm
+  ON public.users USING GIN (display_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_users_bio_trgm
+  ON public.users USING GIN (bio gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_image_media_address_trgm
+  ON public.image_media USING GIN (address gin_trgm_ops);
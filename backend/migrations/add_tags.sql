@@ -0,0 +1,47 @@
+-- ============================================
+-- #標籤
+-- 從紀錄描述與詢問內容解析 #標籤，依標籤瀏覽、計算區域熱門標籤，並讓地圖可依標籤篩選
+-- 標籤名稱為正規化後的小寫字串（utils/hashtags.js），不含 #
+-- 執行後請套用 rpc_functions.sql 第 3、4、10 節（新增 p_tag 參數）與第 19 ~ 21 節
+-- 日期: 2026/10
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.tags (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE CHECK (char_length(name) BETWEEN 1 AND 30),
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- 標籤與紀錄 / 詢問的關聯（與 likes 相同，以 record_id / ask_id 擇一表示目標）
+CREATE TABLE IF NOT EXISTS public.content_tags (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  tag_id UUID REFERENCES public.tags(id) ON DELETE CASCADE NOT NULL,
+  record_id UUID REFERENCES public.records(id) ON DELETE CASCADE,
+  ask_id UUID REFERENCES public.asks(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT content_tags_target_check CHECK (
+    (record_id IS NOT NULL AND ask_id IS NULL) OR
+    (record_id IS NULL AND ask_id IS NOT NULL)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_tags_tag_record
+  ON public.content_tags (tag_id, record_id) WHERE record_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_tags_tag_ask
+  ON public.content_tags (tag_id, ask_id) WHERE ask_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_content_tags_record_id
+  ON public.content_tags (record_id) WHERE record_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_content_tags_ask_id
+  ON public.content_tags (ask_id) WHERE ask_id IS NOT NULL;
+-- 熱門標籤依時間窗統計
+CREATE INDEX IF NOT EXISTS idx_content_tags_created_at
+  ON public.content_tags (created_at);
+
+ALTER TABLE public.tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.content_tags ENABLE ROW LEVEL SECURITY;
+
+-- 標籤公開可讀，寫入只透過後端（set_content_tags RPC）
+CREATE POLICY "Tags are viewable by everyone" ON public.tags
+  FOR SELECT USING (true);
+CREATE POLICY "Content tags are viewable by everyone" ON public.content_tags
+  FOR SELECT USING (true);
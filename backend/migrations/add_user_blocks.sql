@@ -0,0 +1,31 @@
+-- ============================================
+-- 使用者封鎖與靜音
+-- BLOCK：隱藏對方內容，且對方不能回覆或按讚自己的內容；MUTE：只隱藏對方內容
+-- 執行後請重新套用 rpc_functions.sql 第 3、4 節（新增 p_viewer_id 參數）
+-- 日期: 2026/10
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS public.user_blocks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  blocker_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  blocked_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT DEFAULT 'BLOCK' NOT NULL CHECK (type IN ('BLOCK', 'MUTE')),
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT user_blocks_unique UNIQUE (blocker_id, blocked_id),
+  CONSTRAINT user_blocks_no_self CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocker_created_id
+  ON public.user_blocks (blocker_id, created_at DESC, id DESC);
+
+ALTER TABLE public.user_blocks ENABLE ROW LEVEL SECURITY;
+
+-- 封鎖名單只有本人可見
+CREATE POLICY "Users can view their own blocks" ON public.user_blocks
+  FOR SELECT USING (auth.uid() = blocker_id);
+CREATE POLICY "Users can insert their own blocks" ON public.user_blocks
+  FOR INSERT WITH CHECK (auth.uid() = blocker_id);
+CREATE POLICY "Users can update their own blocks" ON public.user_blocks
+  FOR UPDATE USING (auth.uid() = blocker_id);
+CREATE POLICY "Users can delete their own blocks" ON public.user_blocks
+  FOR DELETE USING (auth.uid() = blocker_id);
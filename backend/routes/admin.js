@@ -6,9 +6,30 @@ const express = require('express');
 const router = express.Router();
 const supabaseAdmin = require('../config/supabaseAdmin');
 const { requireAdminSession, requireAdminToken } = require('../middleware/adminAuth');
+const {
+  adminSchemas,
+  uuidParams,
+  validate,
+  parsePagination,
+  applyCursor,
+  buildPage,
+} = require('../middleware/validate');
+const notificationService = require('../services/notificationService');
+const { NotificationTypes } = notificationService;
 
 const ADMIN_SECRET = () => process.env.ADMIN_SECRET;
 
+/**
+ * 管理後台的輸入驗證：沿用共用 Schema，但維持後台的 { error } 回應格式
+ * @param {Joi.Schema} schema - Joi Schema
+ * @param {string} source - 'body' | 'query' | 'params'
+ */
+function adminValidate(schema, source = 'body') {
+  return validate(schema, source, (res, apiError) => {
+    res.status(400).json({ error: apiError.message, details: apiError.details });
+  });
+}
+
 // ============================================================
 // 登入頁面
 // ============================================================
@@ -71,7 +92,7 @@ router.get('/login', (req, res) => {
 // ============================================================
 // 登入 API（設定 cookie）
 // ============================================================
-router.post('/api/login', (req, res) => {
+router.post('/api/login', adminValidate(adminSchemas.login), (req, res) => {
   const { secret } = req.body;
   if (!ADMIN_SECRET() || secret !== ADMIN_SECRET()) {
     return res.status(401).json({ error: '密碼錯誤' });
@@ -102,12 +123,16 @@ router.get('/', requireAdminSession, (req, res) => {
 // ============================================================
 // API: 取得檢舉列表
 // ============================================================
-router.get('/api/reports', requireAdminSession, async (req, res) => {
-  const { status = 'PENDING', page = 1, limit = 20 } = req.query;
-  const offset = (parseInt(page) - 1) * parseInt(limit);
+router.get('/api/reports', requireAdminSession, adminValidate(adminSchemas.reportsQuery, 'query'), async (req, res) => {
+  const { status } = req.query;
+
+  let pagination;
+  try {
+    pagination = parsePagination(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-  const validStatuses = ['PENDING', 'REVIEWED', 'RESOLVED', 'DISMISSED', 'ALL'];
-  const filterStatus = validStatuses.includes(status) ? status : 'PENDING';
 
   let query = supabaseAdmin
     .from('reports')
@@ -127,23 +152,23 @@ router.get('/api/reports', requireAdminSession, async (req, res) => {
         display_name,
         avatar_url
       )
-    `)
-    .order('created_at', { ascending: false })
-    .range(offset, offset + parseInt(limit) - 1);
+    `);
 
-  if (filterStatus !== 'ALL') {
-    query = query.eq('status', filterStatus);
+  if (status !== 'ALL') {
+    query = query.eq('status', status);
   }
 
-  const { data, error, count } = await query;
+  const { data: rows, error } = await applyCursor(query, pagination);
 
   if (error) {
     console.error('Admin get reports error:', error);
     return res.status(500).json({ error: '取得檢舉列表失敗' });
   }
 
+  const { items, next_cursor } = buildPage(rows, pagination.limit);
+
   // 針對每筆檢舉，非同步撈取目標內容的摘要
-  const enriched = await Promise.all((data || []).map(async (report) => {
+  const enriched = await Promise.all(items.map(async (report) => {
     let targetInfo = null;
     try {
       if (report.record_id) {
@@ -174,13 +199,14 @@ router.get('/api/reports', requireAdminSession, async (req, res) => {
     return { ...report, target: targetInfo };
   }));
 
-  res.json({ data: enriched, page: parseInt(page), limit: parseInt(limit) });
+  res.json({ data: enriched, limit: pagination.limit, next_cursor });
 });
 
 // ============================================================
 // API: 審核單筆檢舉
 // ============================================================
-router.patch('/api/reports/:id', requireAdminSession, async (req, res) => {
+const validateReportUpdate = [adminValidate(uuidParams(), 'params'), adminValidate(adminSchemas.updateReport)];
+router.patch('/api/reports/:id', requireAdminSession, validateReportUpdate, async (req, res) => {
   const { id } = req.params;
   const { status, admin_notes, action } = req.body;
   // action 可選值：
@@ -189,15 +215,10 @@ router.patch('/api/reports/:id', requireAdminSession, async (req, res) => {
   //   'remove_and_ban' — 刪除內容 + 封鎖用戶
   //   undefined / ''   — 只更新狀態，不動內容
 
-  const validStatuses = ['REVIEWED', 'RESOLVED', 'DISMISSED'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: `status 必須是 ${validStatuses.join(' / ')}` });
-  }
-
   // 1. 先取得這筆 report，並預先 join 目標內容的 user_id（供後續封鎖使用）
   const { data: report, error: fetchErr } = await supabaseAdmin
     .from('reports')
-    .select('id, record_id, ask_id, reply_id, status')
+    .select('id, reporter_id, record_id, ask_id, reply_id, status')
     .eq('id', id)
     .single();
 
@@ -208,9 +229,9 @@ router.patch('/api/reports/:id', requireAdminSession, async (req, res) => {
 
   const actionLog = [];
 
-  // 2. 若需要封鎖用戶，先取得目標內容的 user_id（必須在刪除內容前查詢）
+  // 2. 若需要下架或封鎖，先取得目標內容的 user_id（必須在刪除內容前查詢，供封鎖與通知使用）
   let targetUserId = null;
-  if (action === 'ban_user' || action === 'remove_and_ban') {
+  if (action === 'remove_content' || action === 'ban_user' || action === 'remove_and_ban') {
     try {
       if (report.reply_id) {
         const { data: r } = await supabaseAdmin.from('replies').select('user_id').eq('id', report.reply_id).single();
@@ -246,6 +267,9 @@ router.patch('/api/reports/:id', requireAdminSession, async (req, res) => {
     return res.status(500).json({ error: '更新審核狀態失敗', detail: updateErr.message });
   }
 
+  const targetType = report.reply_id ? 'reply' : (report.record_id ? 'record' : 'ask');
+  const targetId = report.reply_id || report.record_id || report.ask_id;
+
   // 4. 刪除內容（若 reports 有 ON DELETE CASCADE，此時 report 已先更新完畢）
   if (action === 'remove_content' || action === 'remove_and_ban') {
     try {
@@ -262,6 +286,14 @@ router.patch('/api/reports/:id', requireAdminSession, async (req, res) => {
         if (e) throw e;
         actionLog.push('ask 已下架');
       }
+
+      await notificationService.notifyModeration({
+        type: NotificationTypes.CONTENT_REMOVED,
+        userId: targetUserId,
+        targetType,
+        targetId,
+        reason: admin_notes || null,
+      });
     } catch (deleteErr) {
       console.error('Admin delete content error:', deleteErr);
       // 已更新 report 狀態，但刪除失敗 — 回傳部分成功
@@ -284,6 +316,12 @@ router.patch('/api/reports/:id', requireAdminSession, async (req, res) => {
         .eq('id', targetUserId);
       if (banErr) throw banErr;
       actionLog.push(`用戶 ${targetUserId.slice(0, 8)}… 已封鎖`);
+
+      await notificationService.notifyModeration({
+        type: NotificationTypes.ACCOUNT_BANNED,
+        userId: targetUserId,
+        reason: admin_notes || '違反社群規範',
+      });
     } catch (banErr) {
       console.error('Admin ban user error:', banErr);
       actionLog.push('⚠️ 封鎖用戶失敗：' + banErr.message);
@@ -298,13 +336,25 @@ router.patch('/api/reports/:id', requireAdminSession, async (req, res) => {
     updatedReport.admin_notes = combinedNotes;
   }
 
+  // 7. 結案時通知檢舉者（不透露處置細節）
+  if (status !== 'REVIEWED' && status !== report.status) {
+    await notificationService.notifyModeration({
+      type: NotificationTypes.REPORT_REVIEWED,
+      userId: report.reporter_id,
+      targetType,
+      targetId,
+      data: { report_id: report.id, status },
+    });
+  }
+
   res.json({ ok: true, data: updatedReport, actions: actionLog });
 });
 
 // ============================================================
 // API: 封鎖/解封用戶（獨立端點）
 // ============================================================
-router.patch('/api/users/:userId/ban', requireAdminSession, async (req, res) => {
+const validateBan = [adminValidate(uuidParams('userId'), 'params'), adminValidate(adminSchemas.ban)];
+router.patch('/api/users/:userId/ban', requireAdminSession, validateBan, async (req, res) => {
   const { userId } = req.params;
   const { ban, reason } = req.body; // ban: true/false
 
@@ -321,6 +371,14 @@ router.patch('/api/users/:userId/ban', requireAdminSession, async (req, res) =>
     return res.status(500).json({ error: ban ? '封鎖失敗' : '解封失敗', detail: error.message });
   }
 
+  if (ban) {
+    await notificationService.notifyModeration({
+      type: NotificationTypes.ACCOUNT_BANNED,
+      userId,
+      reason: reason || '違反社群規範',
+    });
+  }
+
   res.json({ ok: true, is_banned: !!ban });
 });
 
@@ -6,8 +6,12 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth, optionalAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { validateBody, validateQuery, askSchemas, recordSchemas } = require('../middleware/validate');
+const { operation } = require('../middleware/contract');
+const { askSchemas, recordSchemas, uuidParams } = require('../middleware/validate');
+const { askResponses, success } = require('../utils/responseSchemas');
 const askService = require('../services/askService');
+const tagService = require('../services/tagService');
+const { normalizeAreaName } = require('../utils/geo');
 
 /**
  * API C-1: 建立詢問標點
@@ -15,7 +19,11 @@ const askService = require('../services/askService');
  */
 router.post('/', 
   requireAuth, 
-  validateBody(askSchemas.create),
+  operation({
+    summary: '建立詢問標點',
+    body: askSchemas.create,
+    responses: { 201: askResponses.created },
+  }),
   asyncHandler(async (req, res) => {
     const { center, radius_meters, title, question, images } = req.body;
     const userId = req.user.id;
@@ -37,9 +45,14 @@ router.post('/',
  * GET /api/v1/asks/map
  */
 router.get('/map', 
-  validateQuery(recordSchemas.mapQuery),
+  optionalAuth,
+  operation({
+    summary: '取得地圖範圍內的詢問標點',
+    query: recordSchemas.mapQuery,
+    responses: { 200: askResponses.map },
+  }),
   asyncHandler(async (req, res) => {
-    const { min_lat, max_lat, min_lng, max_lng, start_date, end_date } = req.query;
+    const { min_lat, max_lat, min_lng, max_lng, start_date, end_date, tag, city, district } = req.query;
 
     const asks = await askService.getMapAsks({
       minLat: min_lat,
@@ -48,6 +61,10 @@ router.get('/map',
       maxLng: max_lng,
       startDate: start_date,
       endDate: end_date,
+      viewerId: req.user?.id,
+      tag: tag ? tagService.parseTag(tag) : null,
+      city: normalizeAreaName(city),
+      district: normalizeAreaName(district),
     });
 
     res.json({ asks });
@@ -58,13 +75,21 @@ router.get('/map',
  * API C-3: 取得詢問標點詳情
  * GET /api/v1/asks/:id
  */
-router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const currentUserId = req.user?.id;
+router.get('/:id',
+  optionalAuth,
+  operation({
+    summary: '取得詢問標點詳情',
+    params: uuidParams(),
+    responses: { 200: askResponses.detail },
+  }),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const currentUserId = req.user?.id;
 
-  const ask = await askService.getAskDetail(id, currentUserId);
-  res.json(ask);
-}));
+    const ask = await askService.getAskDetail(id, currentUserId);
+    res.json(ask);
+  })
+);
 
 /**
  * API C-4: 編輯詢問標點
@@ -72,7 +97,12 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
  */
 router.patch('/:id', 
   requireAuth, 
-  validateBody(askSchemas.update),
+  operation({
+    summary: '編輯詢問標點',
+    params: uuidParams(),
+    body: askSchemas.update,
+    responses: { 200: success },
+  }),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { question, title, status, sorted_images } = req.body;
@@ -93,12 +123,62 @@ router.patch('/:id',
  * API C-5: 刪除詢問標點
  * DELETE /api/v1/asks/:id
  */
-router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user.id;
+router.delete('/:id',
+  requireAuth,
+  operation({
+    summary: '刪除詢問標點',
+    params: uuidParams(),
+    responses: { 200: success },
+  }),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await askService.deleteAsk(id, userId);
+    res.json(result);
+  })
+);
+
+/**
+ * API C-6: 延長詢問標點（限一次）
+ * POST /api/v1/asks/:id/extend
+ */
+router.post('/:id/extend',
+  requireAuth,
+  operation({
+    summary: '延長詢問標點（限一次）',
+    params: uuidParams(),
+    responses: { 200: askResponses.extended },
+  }),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await askService.extendAsk(id, userId);
+    res.json(result);
+  })
+);
+
+/**
+ * API C-7: 採納回答（詢問轉為已解決）
+ * POST /api/v1/asks/:id/accept
+ */
+router.post('/:id/accept',
+  requireAuth,
+  operation({
+    summary: '採納回答',
+    params: uuidParams(),
+    body: askSchemas.accept,
+    responses: { 200: askResponses.accepted },
+  }),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reply_id } = req.body;
+    const userId = req.user.id;
 
-  const result = await askService.deleteAsk(id, userId);
-  res.json(result);
-}));
+    const result = await askService.acceptReply(id, userId, reply_id);
+    res.json(result);
+  })
+);
 
 module.exports = router;
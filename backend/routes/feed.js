@@ -0,0 +1,26 @@
+/**
+ * 模組 F：追蹤動態 API
+ */
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { operation } = require('../middleware/contract');
+const { parsePagination, paginationSchema } = require('../middleware/validate');
+const { feedResponses } = require('../utils/responseSchemas');
+const followService = require('../services/followService');
+
+/**
+ * API F-1: 取得追蹤對象的紀錄與詢問（依時間合併）
+ * GET /api/v1/feed?limit=&cursor=
+ */
+router.get('/', requireAuth, operation({
+  summary: '取得追蹤對象的紀錄與詢問',
+  query: paginationSchema,
+  responses: { 200: feedResponses.feed },
+}), asyncHandler(async (req, res) => {
+  const pagination = parsePagination(req.query);
+  res.json(await followService.getFeed(req.user.id, pagination));
+}));
+
+module.exports = router;
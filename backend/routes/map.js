@@ -0,0 +1,82 @@
+/**
+ * 地圖 API Routes
+ * 僅處理 HTTP 請求/回應，業務邏輯委託給 Service 層
+ */
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { operation } = require('../middleware/contract');
+const { mapSchemas } = require('../middleware/validate');
+const { mapResponses } = require('../utils/responseSchemas');
+const mapService = require('../services/mapService');
+const heatmapService = require('../services/heatmapService');
+const tagService = require('../services/tagService');
+const { normalizeAreaName } = require('../utils/geo');
+
+// 熱度統計的快取時間：與 Service 層目前時段的快取一致（1 分鐘）
+const HEATMAP_CACHE_CONTROL = 'public, max-age=60';
+
+/**
+ * API M-1: 取得地圖範圍內的群集（紀錄圖片 + 詢問標點）
+ * GET /api/v1/map/clusters
+ */
+router.get(
+  '/clusters',
+  optionalAuth,
+  operation({
+    summary: '取得地圖範圍內的群集',
+    query: mapSchemas.clusterQuery,
+    responses: { 200: mapResponses.clusters },
+  }),
+  asyncHandler(async (req, res) => {
+    const { min_lat, max_lat, min_lng, max_lng, start_date, end_date, tag, city, district, zoom } = req.query;
+
+    const result = await mapService.getClusters({
+      minLat: min_lat,
+      maxLat: max_lat,
+      minLng: min_lng,
+      maxLng: max_lng,
+      startDate: start_date,
+      endDate: end_date,
+      viewerId: req.user?.id,
+      tag: tag ? tagService.parseTag(tag) : null,
+      city: normalizeAreaName(city),
+      district: normalizeAreaName(district),
+    }, parseInt(zoom, 10));
+
+    res.json(result);
+  })
+);
+
+/**
+ * API M-3: 取得範圍內的活動熱度（依 Geohash 格子統計）
+ * GET /api/v1/map/heatmap
+ */
+router.get(
+  '/heatmap',
+  operation({
+    summary: '取得範圍內的活動熱度',
+    query: mapSchemas.heatmapQuery,
+    responses: { 200: mapResponses.heatmap },
+  }),
+  asyncHandler(async (req, res) => {
+    const { min_lat, max_lat, min_lng, max_lng, from, to, resolution } = req.query;
+
+    const result = await heatmapService.getHeatmap({
+      minLat: parseFloat(min_lat),
+      maxLat: parseFloat(max_lat),
+      minLng: parseFloat(min_lng),
+      maxLng: parseFloat(max_lng),
+      from,
+      to,
+      resolution: resolution ? parseInt(resolution, 10) : undefined,
+    });
+
+    // 統計只依查詢參數而定，與使用者無關，可交給瀏覽器與 CDN 快取
+    res.set('Cache-Control', HEATMAP_CACHE_CONTROL);
+    res.json(result);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * 模組 N：站內通知 API
+ */
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { operation } = require('../middleware/contract');
+const { notificationSchemas, parsePagination } = require('../middleware/validate');
+const { notificationResponses } = require('../utils/responseSchemas');
+const notificationService = require('../services/notificationService');
+
+/**
+ * API N-1: 取得通知列表（含未讀數量）
+ * GET /api/v1/notifications?limit=&cursor=&unread_only=
+ */
+router.get('/', requireAuth, operation({
+  summary: '取得通知列表（含未讀數量）',
+  query: notificationSchemas.listQuery,
+  responses: { 200: notificationResponses.list },
+}), asyncHandler(async (req, res) => {
+  const pagination = parsePagination(req.query);
+  const { unread_only } = req.query;
+
+  const result = await notificationService.getFeed(req.user.id, pagination, {
+    unreadOnly: unread_only === true,
+  });
+
+  res.json(result);
+}));
+
+/**
+ * API N-2: 標記已讀
+ * POST /api/v1/notifications/read
+ * Body: { ids: [...] } 或 { all: true }
+ */
+router.post('/read', requireAuth, operation({
+  summary: '標記已讀',
+  body: notificationSchemas.read,
+  responses: { 200: notificationResponses.read },
+}), asyncHandler(async (req, res) => {
+  const result = await notificationService.markRead(req.user.id, req.body);
+
+  res.json({
+    success: true,
+    ...result,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/**
+ * 模組 P：推播設定 API（裝置 Token、關注區域、推播偏好）
+ * 僅處理 HTTP 請求/回應，業務邏輯委託給 Service 層
+ */
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { operation } = require('../middleware/contract');
+const { pushSchemas } = require('../middleware/validate');
+const { pushResponses, success } = require('../utils/responseSchemas');
+const pushService = require('../services/pushService');
+
+/**
+ * API P-1: 註冊裝置 Token
+ * POST /api/v1/push/devices
+ */
+router.post(
+  '/devices',
+  requireAuth,
+  operation({
+    summary: '註冊裝置 Token',
+    body: pushSchemas.registerDevice,
+    responses: { 201: pushResponses.device },
+  }),
+  asyncHandler(async (req, res) => {
+    const device = await pushService.registerDevice(req.user.id, req.body);
+    res.status(201).json(device);
+  })
+);
+
+/**
+ * API P-2: 移除裝置 Token
+ * DELETE /api/v1/push/devices/:token
+ */
+router.delete(
+  '/devices/:token',
+  requireAuth,
+  operation({
+    summary: '移除裝置 Token',
+    responses: { 200: success },
+  }),
+  asyncHandler(async (req, res) => {
+    const result = await pushService.unregisterDevice(req.user.id, req.params.token);
+    res.json(result);
+  })
+);
+
+/**
+ * API P-3: 取得關注區域
+ * GET /api/v1/push/watch-areas
+ */
+router.get(
+  '/watch-areas',
+  requireAuth,
+  operation({
+    summary: '取得關注區域',
+    responses: { 200: pushResponses.watchAreas },
+  }),
+  asyncHandler(async (req, res) => {
+    const areas = await pushService.getWatchAreas(req.user.id);
+    res.json({ watch_areas: areas });
+  })
+);
+
+/**
+ * API P-4: 設定關注區域（home / work / current）
+ * PUT /api/v1/push/watch-areas/:kind
+ * current 由客戶端在位置變化時回報
+ */
+router.put(
+  '/watch-areas/:kind',
+  requireAuth,
+  operation({
+    summary: '設定關注區域',
+    params: pushSchemas.watchAreaParams,
+    body: pushSchemas.watchArea,
+    responses: { 200: pushResponses.watchArea },
+  }),
+  asyncHandler(async (req, res) => {
+    const area = await pushService.setWatchArea(req.user.id, req.params.kind.toUpperCase(), req.body);
+    res.json(area);
+  })
+);
+
+/**
+ * API P-5: 刪除關注區域
+ * DELETE /api/v1/push/watch-areas/:kind
+ */
+router.delete(
+  '/watch-areas/:kind',
+  requireAuth,
+  operation({
+    summary: '刪除關注區域',
+    params: pushSchemas.watchAreaParams,
+    responses: { 200: success },
+  }),
+  asyncHandler(async (req, res) => {
+    const result = await pushService.deleteWatchArea(req.user.id, req.params.kind.toUpperCase());
+    res.json(result);
+  })
+);
+
+/**
+ * API P-6: 取得推播偏好
+ * GET /api/v1/push/preferences
+ */
+router.get(
+  '/preferences',
+  requireAuth,
+  operation({
+    summary: '取得推播偏好',
+    responses: { 200: pushResponses.preferences },
+  }),
+  asyncHandler(async (req, res) => {
+    const preferences = await pushService.getPreferences(req.user.id);
+    res.json(preferences);
+  })
+);
+
+/**
+ * API P-7: 更新推播偏好（勿擾時段、每小時上限、是否接收附近詢問）
+ * PATCH /api/v1/push/preferences
+ */
+router.patch(
+  '/preferences',
+  requireAuth,
+  operation({
+    summary: '更新推播偏好',
+    body: pushSchemas.preferences,
+    responses: { 200: pushResponses.preferences },
+  }),
+  asyncHandler(async (req, res) => {
+    const preferences = await pushService.updatePreferences(req.user.id, req.body);
+    res.json(preferences);
+  })
+);
+
+module.exports = router;
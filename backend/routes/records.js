@@ -6,8 +6,12 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth, optionalAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { validateBody, validateQuery, recordSchemas } = require('../middleware/validate');
+const { operation } = require('../middleware/contract');
+const { recordSchemas, uuidParams } = require('../middleware/validate');
+const { recordResponses, success } = require('../utils/responseSchemas');
 const recordService = require('../services/recordService');
+const tagService = require('../services/tagService');
+const { normalizeAreaName } = require('../utils/geo');
 
 /**
  * API B-1: 建立紀錄標點
@@ -16,7 +20,11 @@ const recordService = require('../services/recordService');
 router.post(
   '/',
   requireAuth,
-  validateBody(recordSchemas.create),
+  operation({
+    summary: '建立紀錄標點',
+    body: recordSchemas.create,
+    responses: { 201: recordResponses.created },
+  }),
   asyncHandler(async (req, res) => {
     const { description, images } = req.body;
     const userId = req.user.id;
@@ -32,9 +40,14 @@ router.post(
  */
 router.get(
   '/map',
-  validateQuery(recordSchemas.mapQuery),
+  optionalAuth,
+  operation({
+    summary: '取得地圖範圍內的紀錄圖片',
+    query: recordSchemas.mapQuery,
+    responses: { 200: recordResponses.mapImages },
+  }),
   asyncHandler(async (req, res) => {
-    const { min_lat, max_lat, min_lng, max_lng, start_date, end_date } = req.query;
+    const { min_lat, max_lat, min_lng, max_lng, start_date, end_date, tag, city, district } = req.query;
 
     const images = await recordService.getMapRecords({
       minLat: min_lat,
@@ -43,6 +56,10 @@ router.get(
       maxLng: max_lng,
       startDate: start_date,
       endDate: end_date,
+      viewerId: req.user?.id,
+      tag: tag ? tagService.parseTag(tag) : null,
+      city: normalizeAreaName(city),
+      district: normalizeAreaName(district),
     });
 
     res.json({ images });
@@ -56,6 +73,11 @@ router.get(
 router.get(
   '/:id',
   optionalAuth,
+  operation({
+    summary: '取得紀錄標點詳情',
+    params: uuidParams(),
+    responses: { 200: recordResponses.detail },
+  }),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const currentUserId = req.user?.id;
@@ -72,7 +94,12 @@ router.get(
 router.patch(
   '/:id',
   requireAuth,
-  validateBody(recordSchemas.update),
+  operation({
+    summary: '編輯紀錄標點',
+    params: uuidParams(),
+    body: recordSchemas.update,
+    responses: { 200: success },
+  }),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const { description, sorted_images } = req.body;
@@ -94,6 +121,11 @@ router.patch(
 router.delete(
   '/:id',
   requireAuth,
+  operation({
+    summary: '刪除紀錄標點',
+    params: uuidParams(),
+    responses: { 200: success },
+  }),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
@@ -7,7 +7,17 @@ const supabase = require('../config/supabase');
 const { requireAuth, optionalAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Errors } = require('../utils/errorCodes');
-const { isWithinRadius, isValidCoordinate } = require('../utils/geo');
+const { operation } = require('../middleware/contract');
+const { replySchemas, parsePagination, applyCursor, buildPage, uuidParams } = require('../middleware/validate');
+const { replyResponses } = require('../utils/responseSchemas');
+const { isValidCoordinate } = require('../utils/geo');
+const { log } = require('../utils/logger');
+const { deleteObjects, getImageObjectKeys } = require('../utils/r2Helpers');
+const { extractMentions } = require('../utils/mentions');
+const askService = require('../services/askService');
+const notificationService = require('../services/notificationService');
+const blockService = require('../services/blockService');
+const realtimeService = require('../services/realtimeService');
 
 async function getReplyImages(replyId) {
   const { data: imagesWithLocation, error: imgRpcError } = await supabase.rpc('get_reply_images_with_location', {
@@ -29,14 +39,76 @@ async function getReplyImages(replyId) {
     original_public_url: img.original_public_url,
     thumbnail_public_url: img.thumbnail_public_url,
     display_order: img.display_order,
+    captured_at: img.captured_at || null,
     location: (img.lng !== null && img.lat !== null) ? {
       lng: img.lng,
       lat: img.lat
-    } : null
+    } : null,
+    distance_to_ask_meters: img.distance_to_ask_meters ?? null,
+    is_stale_capture: img.is_stale_capture || false,
   }));
 }
 
-async function enrichReply(reply, currentUserId) {
+/**
+ * 解析內容中的 @display_name 並寫入 reply_mentions
+ * 不會提及自己；同名的使用者都會被提及
+ */
+async function saveMentions(replyId, content, authorId) {
+  const names = extractMentions(content);
+  if (names.length === 0) return [];
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id, display_name')
+    .in('display_name', names)
+    .neq('id', authorId);
+
+  if (error || !users || users.length === 0) return [];
+
+  // 封鎖了作者的使用者不會被提及；無法確認封鎖關係時不提及任何人（回覆已建立，不讓請求失敗）
+  const blockers = await blockService.getBlockersOf(users.map(user => user.id), authorId).catch(() => null);
+  if (!blockers) return [];
+
+  const blockerIds = new Set(blockers);
+  const mentionable = users.filter(user => !blockerIds.has(user.id));
+  if (mentionable.length === 0) return [];
+
+  const { error: insertError } = await supabase
+    .from('reply_mentions')
+    .insert(mentionable.map(user => ({ reply_id: replyId, mentioned_user_id: user.id })));
+
+  if (insertError) {
+    console.warn('Failed to save reply mentions:', insertError);
+    return [];
+  }
+
+  return mentionable;
+}
+
+/**
+ * 批次取得回覆的提及對象
+ * @returns {Promise<Map>} reply_id → [{ id, display_name }]
+ */
+async function getMentionsByReply(replyIds) {
+  const mentionsByReply = new Map();
+  if (replyIds.length === 0) return mentionsByReply;
+
+  const { data: mentions } = await supabase
+    .from('reply_mentions')
+    .select('reply_id, users:mentioned_user_id (id, display_name)')
+    .in('reply_id', replyIds);
+
+  for (const mention of mentions || []) {
+    if (!mention.users) continue;
+    const list = mentionsByReply.get(mention.reply_id) || [];
+    list.push(mention.users);
+    mentionsByReply.set(mention.reply_id, list);
+  }
+
+  return mentionsByReply;
+}
+
+async function enrichReply(reply, currentUserId, mentions = []) {
   const images = await getReplyImages(reply.id);
 
   // 檢查當前用戶是否已點讚
@@ -55,9 +127,12 @@ async function enrichReply(reply, currentUserId) {
     id: reply.id,
     record_id: reply.record_id,
     ask_id: reply.ask_id,
+    parent_reply_id: reply.parent_reply_id || null,
     user_id: reply.user_id,
     content: reply.content,
+    mentions,
     is_onsite: reply.is_onsite || false,
+    is_accepted: false,
     like_count: reply.like_count || 0,
     created_at: reply.created_at,
     author: reply.users || null,
@@ -70,36 +145,25 @@ async function enrichReply(reply, currentUserId) {
  * API D-1: 建立回覆
  * POST /api/v1/replies
  */
-router.post('/', requireAuth, asyncHandler(async (req, res) => {
-  const { record_id, ask_id, content, images } = req.body;
+router.post('/', requireAuth, operation({
+  summary: '建立回覆',
+  body: replySchemas.create,
+  responses: { 201: replyResponses.created },
+}), asyncHandler(async (req, res) => {
+  const { record_id, ask_id, parent_reply_id, content, images, current_location } = req.body;
   const userId = req.user.id;
 
-  // 驗證：必須提供 record_id 或 ask_id 其中之一
-  if ((!record_id && !ask_id) || (record_id && ask_id)) {
-    throw Errors.invalidArgument('必須提供 record_id 或 ask_id 其中之一');
-  }
-
-  if (content === undefined || content === null || typeof content !== 'string') {
-    throw Errors.invalidArgument('content 為必填欄位');
-  }
-
   // content 可以為空字串，但必須搭配圖片
-  const trimmedContent = content.trim();
-  if (!trimmedContent && (!images || images.length === 0)) {
+  if (!content.trim() && (!images || images.length === 0)) {
     throw Errors.invalidArgument('內容或圖片至少需要提供一項');
   }
 
-  // 驗證圖片數量（回覆最多 5 張）
-  if (images && images.length > 5) {
-    throw Errors.resourceExhausted('回覆最多 5 張圖片', { limit: 5 });
-  }
-
-  // 如果有圖片，驗證 upload_id
+  // 如果有圖片，驗證 upload_id 且圖片已完成伺服器處理
   if (images && images.length > 0) {
     const uploadIds = images.map(img => img.upload_id);
     const { data: pendingImages } = await supabase
       .from('image_media')
-      .select('id')
+      .select('id, processed_at')
       .in('id', uploadIds)
       .eq('user_id', userId)
       .eq('status', 'PENDING');
@@ -107,34 +171,60 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
     if (!pendingImages || pendingImages.length !== uploadIds.length) {
       throw Errors.permissionDenied('部分圖片不屬於當前用戶');
     }
+
+    const unprocessed = pendingImages.filter(img => !img.processed_at).map(img => img.id);
+    if (unprocessed.length > 0) {
+      throw Errors.invalidArgument('圖片尚未處理完成，請先呼叫 POST /upload/:upload_id/complete', {
+        upload_ids: unprocessed,
+      });
+    }
   }
 
-  // 計算 is_onsite（僅對詢問模式回覆）
-  let isOnsite = false;
-  if (ask_id && images && images.length > 0) {
-    // 取得 Ask 的中心座標和半徑
-    // 注意：需要 RPC 來取得 PostGIS 座標
-    const { data: ask } = await supabase
-      .from('asks')
-      .select('radius_meters')
-      .eq('id', ask_id)
+  // 回覆串只有一層：回覆子回覆時掛到同一串的頂層回覆下
+  let parentReplyId = null;
+  let parentAuthorId = null;
+  if (parent_reply_id) {
+    const { data: parent } = await supabase
+      .from('replies')
+      .select('id, record_id, ask_id, parent_reply_id, user_id')
+      .eq('id', parent_reply_id)
       .single();
 
-    if (ask) {
-      // 檢查任一圖片是否在範圍內
-      for (const img of images) {
-        if (img.location && isValidCoordinate(img.location.lat, img.location.lng)) {
-          // 使用 RPC 檢查距離 (如果可用)
-          // 這裡使用簡化的客戶端計算
-          // 實際應該用 PostGIS ST_DWithin
-
-          // 暫時標記為 true，實際需要取得 ask center 座標
-          // TODO: 使用 RPC 取得確切判斷
-          isOnsite = true;
-          break;
-        }
-      }
+    if (!parent) {
+      throw Errors.notFound('要回覆的留言不存在');
     }
+
+    if ((record_id && parent.record_id !== record_id) || (ask_id && parent.ask_id !== ask_id)) {
+      throw Errors.invalidArgument('要回覆的留言不屬於同一個標點');
+    }
+
+    parentReplyId = parent.parent_reply_id || parent.id;
+    parentAuthorId = parent.user_id;
+  }
+
+  // 標點必須存在；標點作者或被回覆的留言作者封鎖了自己時不能回覆
+  const { data: target } = await supabase
+    .from(record_id ? 'records' : 'asks')
+    .select('user_id')
+    .eq('id', record_id || ask_id)
+    .single();
+
+  if (!target) {
+    throw Errors.notFound(record_id ? '找不到此紀錄' : '找不到此詢問');
+  }
+
+  await blockService.assertCanInteract([target.user_id, parentAuthorId], userId);
+
+  // 計算 is_onsite（僅對詢問模式回覆）
+  let isOnsite = false;
+  let onsiteByUploadId = new Map();
+  if (ask_id) {
+    const evaluation = await askService.evaluateOnsite(ask_id, {
+      images: images || [],
+      currentLocation: current_location || null,
+    });
+    isOnsite = evaluation.isOnsite;
+    onsiteByUploadId = new Map(evaluation.images.map(result => [result.upload_id, result]));
   }
 
   // 建立回覆
@@ -143,6 +233,7 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
     .insert({
       record_id: record_id || null,
       ask_id: ask_id || null,
+      parent_reply_id: parentReplyId,
       user_id: userId,
       content,
       is_onsite: isOnsite,
@@ -160,41 +251,96 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
   // 關聯圖片
   if (images && images.length > 0) {
     for (const img of images) {
-      await supabase
-        .from('image_media')
-        .update({
-          reply_id: reply.id,
-          status: 'COMPLETED',
-          display_order: img.display_order || 0,
-        })
-        .eq('id', img.upload_id);
+      const hasLocation = img.location && isValidCoordinate(img.location.lat, img.location.lng);
+      const onsite = onsiteByUploadId.get(img.upload_id);
+
+      const { error: updateError } = await supabase.rpc('update_reply_image_with_location', {
+        p_image_id: img.upload_id,
+        p_reply_id: reply.id,
+        p_lng: hasLocation ? img.location.lng : null,
+        p_lat: hasLocation ? img.location.lat : null,
+        p_captured_at: img.captured_at || null,
+        p_display_order: img.display_order || 0,
+        p_distance_to_ask_meters: onsite?.distance_meters ?? null,
+        p_is_stale_capture: onsite?.is_stale_capture || false,
+      });
+
+      if (updateError) {
+        console.warn('RPC update_reply_image_with_location failed, falling back to basic update', updateError);
+        await supabase
+          .from('image_media')
+          .update({
+            reply_id: reply.id,
+            status: 'COMPLETED',
+            display_order: img.display_order || 0,
+          })
+          .eq('id', img.upload_id);
+      }
     }
   }
 
-  const enrichedReply = await enrichReply(reply, userId);
+  const mentions = await saveMentions(reply.id, content, userId);
+
+  // 通知不阻塞回應
+  notificationService.notifyReply(reply, mentions);
+
+  const enrichedReply = await enrichReply(reply, userId, mentions);
+
+  // 推送給正在看此紀錄 / 詢問的即時更新連線
+  realtimeService.publishReplyCreated(enrichedReply);
+
   res.status(201).json(enrichedReply);
 }));
 
 /**
- * API D-2: 取得回覆列表
- * GET /api/v1/replies?record_id=xxx 或 GET /api/v1/replies?ask_id=xxx
+ * API D-2: 取得回覆列表（回覆串）
+ * GET /api/v1/replies?record_id=xxx 或 GET /api/v1/replies?ask_id=xxx（支援 limit / cursor）
+ * 分頁以頂層回覆為單位，每則頂層回覆附上完整的子回覆（replies）
  */
-router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/', optionalAuth, operation({
+  summary: '取得回覆列表（回覆串）',
+  query: replySchemas.listQuery,
+  responses: { 200: replyResponses.list },
+}), asyncHandler(async (req, res) => {
   const { record_id, ask_id } = req.query;
   const currentUserId = req.user?.id;
 
-  if (!record_id && !ask_id) {
-    throw Errors.invalidArgument('需要提供 record_id 或 ask_id');
+  const pagination = parsePagination(req.query);
+
+  // 隱藏檢視者封鎖 / 靜音的使用者的回覆
+  const hiddenUserIds = await blockService.getHiddenUserIds(currentUserId);
+
+  // 詢問模式：採納的頂層回答固定在第一頁最前面，不參與分頁
+  let acceptedReplyId = null;
+  let acceptedReply = null;
+  if (ask_id) {
+    const { data: ask } = await supabase
+      .from('asks')
+      .select('accepted_reply_id')
+      .eq('id', ask_id)
+      .single();
+    acceptedReplyId = ask?.accepted_reply_id || null;
+  }
+
+  const replySelect = `
+    *,
+    users:user_id (id, display_name, avatar_url)
+  `;
+
+  if (acceptedReplyId) {
+    const { data } = await supabase
+      .from('replies')
+      .select(replySelect)
+      .eq('id', acceptedReplyId)
+      .single();
+    acceptedReply = data && !data.parent_reply_id && !hiddenUserIds.includes(data.user_id) ? data : null;
   }
 
-  // 查詢回覆
+  // 查詢頂層回覆（依時間順序）
   let query = supabase
     .from('replies')
-    .select(`
-      *,
-      users:user_id (id, display_name, avatar_url)
-    `)
-    .order('created_at', { ascending: true });
+    .select(replySelect)
+    .is('parent_reply_id', null);
 
   if (record_id) {
     query = query.eq('record_id', record_id);
@@ -202,25 +348,77 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
     query = query.eq('ask_id', ask_id);
   }
 
-  const { data: replies, error } = await query;
+  if (acceptedReply) {
+    query = query.neq('id', acceptedReply.id);
+  }
+
+  query = blockService.excludeUsers(query, 'user_id', hiddenUserIds);
+
+  const { data: replies, error } = await applyCursor(query, pagination, { ascending: true });
 
   if (error) {
     throw Errors.internal('查詢回覆失敗');
   }
 
-  // 取得每個回覆的圖片
-  const repliesWithImages = await Promise.all(
-    (replies || []).map((reply) => enrichReply(reply, currentUserId))
+  const { items, next_cursor } = buildPage(replies, pagination.limit);
+
+  if (acceptedReply && !pagination.cursor) {
+    items.unshift(acceptedReply);
+  }
+
+  // 取得這些回覆串的子回覆
+  let children = [];
+  if (items.length > 0) {
+    const { data: childReplies, error: childError } = await blockService.excludeUsers(
+      supabase
+        .from('replies')
+        .select(replySelect)
+        .in('parent_reply_id', items.map(reply => reply.id)),
+      'user_id',
+      hiddenUserIds
+    )
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (childError) {
+      throw Errors.internal('查詢回覆失敗');
+    }
+
+    children = childReplies || [];
+  }
+
+  const mentionsByReply = await getMentionsByReply(
+    [...items, ...children].map(reply => reply.id)
   );
 
-  res.json({ replies: repliesWithImages });
+  const enrich = async (reply) => {
+    const enriched = await enrichReply(reply, currentUserId, mentionsByReply.get(reply.id) || []);
+    enriched.is_accepted = reply.id === acceptedReplyId;
+    return enriched;
+  };
+
+  const [threads, enrichedChildren] = await Promise.all([
+    Promise.all(items.map(enrich)),
+    Promise.all(children.map(enrich)),
+  ]);
+
+  for (const thread of threads) {
+    thread.replies = enrichedChildren.filter(child => child.parent_reply_id === thread.id);
+    thread.reply_count = thread.replies.length;
+  }
+
+  res.json({ replies: threads, next_cursor });
 }));
 
 /**
  * API D-3: 刪除回覆
  * DELETE /api/v1/replies/:id
  */
-router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:id', requireAuth, operation({
+  summary: '刪除回覆',
+  params: uuidParams(),
+  responses: { 200: replyResponses.deleted },
+}), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id;
 
@@ -238,6 +436,19 @@ router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
     throw Errors.permissionDenied('只能刪除自己的留言');
   }
 
+  // 取得此回覆與其子回覆的圖片用於 R2 清理（子回覆會一併刪除）
+  const { data: children } = await supabase
+    .from('replies')
+    .select('id')
+    .eq('parent_reply_id', id);
+
+  const { data: images } = await supabase
+    .from('image_media')
+    .select('original_public_url, thumbnail_public_url, medium_public_url, webp_public_url')
+    .in('reply_id', [id, ...(children || []).map(child => child.id)]);
+
+  const keysToDelete = (images || []).flatMap(getImageObjectKeys);
+
   const { error: deleteError } = await supabase
     .from('replies')
     .delete()
@@ -247,6 +458,13 @@ router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
     throw Errors.internal('刪除回覆失敗');
   }
 
+  // 異步清理 R2
+  if (keysToDelete.length > 0) {
+    deleteObjects(keysToDelete).catch(err => {
+      log.external.error('R2', 'deleteObjects', err);
+    });
+  }
+
   res.json({
     success: true,
     message: '回覆已刪除',
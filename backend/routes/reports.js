@@ -7,30 +7,21 @@ const supabase = require('../config/supabase');
 const { requireAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Errors } = require('../utils/errorCodes');
+const { operation } = require('../middleware/contract');
+const { reportSchemas, uuidParams } = require('../middleware/validate');
+const { reportResponses } = require('../utils/responseSchemas');
 
 /**
  * POST /api/v1/reports - 建立檢舉
  */
-router.post('/', requireAuth, asyncHandler(async (req, res) => {
+router.post('/', requireAuth, operation({
+  summary: '建立檢舉',
+  body: reportSchemas.create,
+  responses: { 201: reportResponses.created },
+}), asyncHandler(async (req, res) => {
   const { record_id, ask_id, reply_id, reason_category, reason } = req.body;
   const reporterId = req.user.id;
 
-  // 驗證：必須提供其中之一
-  const targetCount = [record_id, ask_id, reply_id].filter(Boolean).length;
-  if (targetCount !== 1) {
-    throw Errors.invalidArgument('必須提供 record_id、ask_id 或 reply_id 其中之一');
-  }
-
-  // 驗證檢舉原因
-  const validCategories = ['SPAM', 'INAPPROPRIATE', 'HARASSMENT', 'FALSE_INFO', 'OTHER'];
-  if (!reason_category || !validCategories.includes(reason_category)) {
-    throw Errors.invalidArgument('必須提供有效的 reason_category');
-  }
-
-  if (!reason || reason.trim().length === 0) {
-    throw Errors.invalidArgument('必須提供檢舉原因說明');
-  }
-
   // 確定目標欄位
   let targetColumn, targetId, tableName;
   if (record_id) {
@@ -80,7 +71,7 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
     reporter_id: reporterId,
     [targetColumn]: targetId,
     reason_category,
-    reason: reason.trim(),
+    reason,
   };
 
   const { data: report, error: insertError } = await supabase
@@ -107,16 +98,14 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
 /**
  * GET /api/v1/reports/check - 檢查是否已檢舉
  */
-router.get('/check', requireAuth, asyncHandler(async (req, res) => {
+router.get('/check', requireAuth, operation({
+  summary: '檢查是否已檢舉',
+  query: reportSchemas.checkQuery,
+  responses: { 200: reportResponses.check },
+}), asyncHandler(async (req, res) => {
   const { record_id, ask_id, reply_id } = req.query;
   const reporterId = req.user.id;
 
-  // 驗證：必須提供其中之一
-  const targetCount = [record_id, ask_id, reply_id].filter(Boolean).length;
-  if (targetCount !== 1) {
-    throw Errors.invalidArgument('必須提供 record_id、ask_id 或 reply_id 其中之一');
-  }
-
   // 確定目標欄位
   let targetColumn, targetId;
   if (record_id) {
@@ -146,7 +135,11 @@ router.get('/check', requireAuth, asyncHandler(async (req, res) => {
 /**
  * DELETE /api/v1/reports/:report_id - 撤回檢舉
  */
-router.delete('/:report_id', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:report_id', requireAuth, operation({
+  summary: '撤回檢舉',
+  params: uuidParams('report_id'),
+  responses: { 200: reportResponses.deleted },
+}), asyncHandler(async (req, res) => {
   const { report_id } = req.params;
   const reporterId = req.user.id;
 
@@ -0,0 +1,55 @@
+/**
+ * 模組 S：搜尋 API
+ */
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { operation } = require('../middleware/contract');
+const { searchSchemas } = require('../middleware/validate');
+const { searchResponses } = require('../utils/responseSchemas');
+const searchService = require('../services/searchService');
+const { normalizeAreaName } = require('../utils/geo');
+
+/**
+ * API S-1: 搜尋紀錄、詢問、回覆與使用者（依相關度與新舊排序）
+ * GET /api/v1/search?q=&type=records|asks|replies|users&min_lat=&max_lat=&min_lng=&max_lng=&city=&district=&limit=&cursor=
+ * 未指定 type 時混合所有類型；指定範圍或縣市 / 鄉鎮市區時不包含使用者
+ */
+router.get(
+  '/',
+  optionalAuth,
+  operation({
+    summary: '搜尋紀錄、詢問、回覆與使用者',
+    query: searchSchemas.query,
+    responses: { 200: searchResponses.results },
+  }),
+  asyncHandler(async (req, res) => {
+    const { q, type, min_lat, max_lat, min_lng, max_lng, city, district, limit, cursor } = req.query;
+
+    const bounds = min_lat !== undefined
+      ? {
+        minLat: parseFloat(min_lat),
+        maxLat: parseFloat(max_lat),
+        minLng: parseFloat(min_lng),
+        maxLng: parseFloat(max_lng),
+      }
+      : null;
+
+    const result = await searchService.search(
+      {
+        q: q.trim(),
+        type: type || null,
+        bounds,
+        city: normalizeAreaName(city),
+        district: normalizeAreaName(district),
+        viewerId: req.user?.id || null,
+      },
+      { limit: parseInt(limit, 10) || 20, cursor: cursor || null }
+    );
+
+    res.json(result);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * 模組 S：即時更新 API（Server-Sent Events）
+ * 客戶端建立連線後收到 ready 事件（含 stream_id），移動地圖或切換詳情頁時以 stream_id 更新訂閱
+ */
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { operation } = require('../middleware/contract');
+const { streamSchemas } = require('../middleware/validate');
+const { streamResponses } = require('../utils/responseSchemas');
+const { Errors } = require('../utils/errorCodes');
+const realtimeService = require('../services/realtimeService');
+
+/**
+ * 將範圍轉為 Service 層格式（四個值由 schema 確保同時提供）
+ */
+function parseBounds(bounds) {
+  if (!bounds || bounds.min_lat === undefined) return null;
+
+  return {
+    minLat: parseFloat(bounds.min_lat),
+    maxLat: parseFloat(bounds.max_lat),
+    minLng: parseFloat(bounds.min_lng),
+    maxLng: parseFloat(bounds.max_lng),
+  };
+}
+
+function parseIdList(value) {
+  return value ? value.split(',') : [];
+}
+
+/**
+ * API S-1: 建立即時更新連線
+ * GET /api/v1/stream?min_lat=&max_lat=&min_lng=&max_lng=&record_ids=&ask_ids=
+ * 回應為 text/event-stream，連線期間持續推送事件
+ */
+router.get(
+  '/',
+  requireAuth,
+  operation({
+    summary: '建立即時更新連線',
+    query: streamSchemas.connectQuery,
+    responses: { 200: streamResponses.events },
+  }),
+  asyncHandler(async (req, res) => {
+    await realtimeService.connect(req.user.id, res, {
+      bounds: parseBounds(req.query),
+      recordIds: parseIdList(req.query.record_ids),
+      askIds: parseIdList(req.query.ask_ids),
+    });
+  })
+);
+
+/**
+ * API S-2: 更新連線的訂閱（整份取代）
+ * PUT /api/v1/stream/:streamId
+ */
+router.put(
+  '/:streamId',
+  requireAuth,
+  operation({
+    summary: '更新連線的訂閱',
+    params: streamSchemas.streamParams,
+    body: streamSchemas.subscription,
+    responses: { 200: streamResponses.subscription },
+  }),
+  asyncHandler(async (req, res) => {
+    const { bounds, record_ids, ask_ids } = req.body;
+
+    const subscription = await realtimeService.updateSubscription(req.params.streamId, req.user.id, {
+      bounds: parseBounds(bounds),
+      recordIds: record_ids || [],
+      askIds: ask_ids || [],
+    });
+
+    if (!subscription) {
+      throw Errors.notFound('連線不存在或已中斷');
+    }
+
+    res.json({ stream_id: req.params.streamId, subscription });
+  })
+);
+
+module.exports = router;
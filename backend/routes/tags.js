@@ -0,0 +1,77 @@
+/**
+ * 模組 T：#標籤 API
+ */
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { operation } = require('../middleware/contract');
+const { tagSchemas, parsePagination } = require('../middleware/validate');
+const { tagResponses } = require('../utils/responseSchemas');
+const tagService = require('../services/tagService');
+
+/**
+ * 從 query 取得範圍（四個值由 schema 確保同時提供）
+ */
+function parseBounds(query) {
+  const { min_lat, max_lat, min_lng, max_lng } = query;
+  if (min_lat === undefined) return null;
+
+  return {
+    minLat: parseFloat(min_lat),
+    maxLat: parseFloat(max_lat),
+    minLng: parseFloat(min_lng),
+    maxLng: parseFloat(max_lng),
+  };
+}
+
+/**
+ * API T-1: 取得熱門標籤（依使用人數排序）
+ * GET /api/v1/tags/trending?min_lat=&max_lat=&min_lng=&max_lng=&hours=24&limit=10
+ * 未指定範圍時為全站熱門
+ */
+router.get(
+  '/trending',
+  operation({
+    summary: '取得熱門標籤',
+    query: tagSchemas.trendingQuery,
+    responses: { 200: tagResponses.trending },
+  }),
+  asyncHandler(async (req, res) => {
+    const result = await tagService.getTrending({
+      bounds: parseBounds(req.query),
+      hours: parseInt(req.query.hours, 10) || 24,
+      limit: parseInt(req.query.limit, 10) || 10,
+    });
+
+    res.json(result);
+  })
+);
+
+/**
+ * API T-2: 取得含指定標籤的紀錄與詢問（新到舊）
+ * GET /api/v1/tags/:tag?min_lat=&max_lat=&min_lng=&max_lng=&limit=&cursor=
+ * 標籤可帶 #（需 URL 編碼為 %23），大小寫與全形半形視為相同
+ */
+router.get(
+  '/:tag',
+  optionalAuth,
+  operation({
+    summary: '取得含指定標籤的紀錄與詢問',
+    query: tagSchemas.contentQuery,
+    responses: { 200: tagResponses.content },
+  }),
+  asyncHandler(async (req, res) => {
+    const tag = tagService.parseTag(req.params.tag);
+
+    const result = await tagService.getTaggedContent(
+      tag,
+      { bounds: parseBounds(req.query), viewerId: req.user?.id || null },
+      parsePagination(req.query)
+    );
+
+    res.json(result);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+/**
+ * 向量圖磚 API Routes
+ * 僅處理 HTTP 請求/回應，業務邏輯委託給 Service 層
+ */
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const { operation } = require('../middleware/contract');
+const { mapSchemas } = require('../middleware/validate');
+const { tileResponses } = require('../utils/responseSchemas');
+const tileService = require('../services/tileService');
+const tagService = require('../services/tagService');
+const { normalizeAreaName } = require('../utils/geo');
+
+// CDN 快取時間：瀏覽器 1 分鐘、CDN 5 分鐘
+const TILE_CACHE_CONTROL = 'public, max-age=60, s-maxage=300';
+const MVT_CONTENT_TYPE = 'application/vnd.mapbox-vector-tile';
+
+/**
+ * API M-2: 取得地圖向量圖磚
+ * GET /api/v1/tiles/:layer/:z/:x/:y.mvt
+ */
+router.get(
+  '/:layer/:z/:x/:y.mvt',
+  operation({
+    summary: '取得地圖向量圖磚',
+    params: mapSchemas.tileParams,
+    query: mapSchemas.tileQuery,
+    responses: { 200: tileResponses.tile, 204: null, 304: null },
+  }),
+  asyncHandler(async (req, res) => {
+    const { layer, z, x, y } = req.params;
+    const { start_date, end_date, tag, city, district } = req.query;
+
+    const { buffer, etag } = await tileService.getTile(
+      layer,
+      parseInt(z, 10),
+      parseInt(x, 10),
+      parseInt(y, 10),
+      {
+        startDate: start_date,
+        endDate: end_date,
+        tag: tag ? tagService.parseTag(tag) : null,
+        city: normalizeAreaName(city),
+        district: normalizeAreaName(district),
+      }
+    );
+
+    res.set({
+      'Cache-Control': TILE_CACHE_CONTROL,
+      ETag: etag,
+      Vary: 'Accept-Encoding',
+    });
+
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+
+    // 範圍內沒有資料時回傳空圖磚
+    if (buffer.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.type(MVT_CONTENT_TYPE).send(buffer);
+  })
+);
+
+module.exports = router;
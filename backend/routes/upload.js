@@ -9,35 +9,35 @@ const supabase = require('../config/supabase');
 const { requireAuth } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { Errors } = require('../utils/errorCodes');
+const { operation } = require('../middleware/contract');
+const { uploadSchemas, uuidParams } = require('../middleware/validate');
+const { uploadResponses } = require('../utils/responseSchemas');
 const { 
+  PRESIGNED_UPLOAD_EXPIRES,
   generatePresignedUploadUrl, 
   getPublicUrl, 
   generateImageKey 
 } = require('../utils/r2Helpers');
+const imageProcessingService = require('../services/imageProcessingService');
 
 // 限制常量
 const MAX_IMAGES_PER_REQUEST = 10;
 const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20 MB
-const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'image/webp'];
-const PRESIGNED_URL_EXPIRES = 900; // 15 分鐘
+const PRESIGNED_URL_EXPIRES = PRESIGNED_UPLOAD_EXPIRES; // 15 分鐘
 
 /**
  * API A-1: 批次上傳授權與 PENDING 創建
  * POST /api/v1/upload/request
  */
-router.post('/request', requireAuth, asyncHandler(async (req, res) => {
+router.post('/request', requireAuth, operation({
+  summary: '批次上傳授權',
+  body: uploadSchemas.requestCredential,
+  responses: { 200: uploadResponses.credentials },
+}), asyncHandler(async (req, res) => {
   const { image_requests } = req.body;
   const userId = req.user.id;
 
-  // 驗證請求
-  if (!image_requests || !Array.isArray(image_requests)) {
-    throw Errors.invalidArgument('image_requests 必須為陣列');
-  }
-
-  if (image_requests.length === 0) {
-    throw Errors.invalidArgument('至少需要一張圖片');
-  }
-
+  // 格式由 uploadSchemas.requestCredential 驗證，這裡只檢查配額
   if (image_requests.length > MAX_IMAGES_PER_REQUEST) {
     throw Errors.resourceExhausted(`單次最多上傳 ${MAX_IMAGES_PER_REQUEST} 張圖片`, {
       field: 'image_requests',
@@ -46,20 +46,11 @@ router.post('/request', requireAuth, asyncHandler(async (req, res) => {
     });
   }
 
-  // 驗證每個圖片請求
-  for (const req of image_requests) {
-    if (!req.client_key) {
-      throw Errors.invalidArgument('每個圖片請求都必須包含 client_key');
-    }
-    if (!req.fileType || !ALLOWED_TYPES.includes(req.fileType)) {
-      throw Errors.invalidArgument(`不支援的圖片格式: ${req.fileType}`, {
-        allowed: ALLOWED_TYPES,
-      });
-    }
-    if (req.fileSize && req.fileSize > MAX_FILE_SIZE) {
+  for (const imgReq of image_requests) {
+    if (imgReq.fileSize && imgReq.fileSize > MAX_FILE_SIZE) {
       throw Errors.resourceExhausted('圖片大小超過限制', {
         limit: MAX_FILE_SIZE,
-        actual: req.fileSize,
+        actual: imgReq.fileSize,
       });
     }
   }
@@ -93,6 +84,7 @@ router.post('/request', requireAuth, asyncHandler(async (req, res) => {
         user_id: userId,
         client_key: imgReq.client_key,
         status: 'PENDING',
+        content_type: imgReq.fileType,
         original_public_url: originalPublicUrl,
         thumbnail_public_url: thumbnailPublicUrl,
       });
@@ -114,6 +106,20 @@ router.post('/request', requireAuth, asyncHandler(async (req, res) => {
   res.json({ upload_credentials: uploadCredentials });
 }));
 
+/**
+ * API A-3: 完成上傳並由伺服器處理圖片
+ * POST /api/v1/upload/:upload_id/complete
+ * 客戶端將原圖上傳至 R2 後呼叫，驗證實際格式、產生縮圖 / 中圖 / WebP 並移除 EXIF
+ */
+router.post('/:upload_id/complete', requireAuth, operation({
+  summary: '完成上傳並處理圖片',
+  params: uuidParams('upload_id'),
+  responses: { 200: uploadResponses.completed },
+}), asyncHandler(async (req, res) => {
+  const result = await imageProcessingService.completeUpload(req.user.id, req.params.upload_id);
+  res.json(result);
+}));
+
 /**
  * 根據 MIME 類型取得副檔名
  */
@@ -132,23 +138,17 @@ function getExtensionFromMime(mimeType) {
  * POST /api/v1/upload/avatar
  * 為使用者頭貼生成上傳憑證
  */
-router.post('/avatar', requireAuth, asyncHandler(async (req, res) => {
+router.post('/avatar', requireAuth, operation({
+  summary: '頭貼上傳授權',
+  body: uploadSchemas.avatar,
+  responses: { 200: uploadResponses.avatar },
+}), asyncHandler(async (req, res) => {
   const { file_type } = req.body;
-  const userId = req.user.id;
-
-  // 驗證檔案類型
-  const fileType = file_type || 'image/jpeg';
-  if (!ALLOWED_TYPES.includes(fileType)) {
-    throw Errors.invalidArgument(`不支援的圖片格式: ${fileType}`, {
-      allowed: ALLOWED_TYPES,
-    });
-  }
-
   const uploadId = uuidv4();
-  const avatarKey = require('../utils/r2Helpers').generateAvatarKey(uploadId);
+  const avatarKey = require('../utils/r2Helpers').generateAvatarKey(uploadId, getExtensionFromMime(file_type));
 
-  // 生成 Presigned URL
-  const uploadUrl = await generatePresignedUploadUrl(avatarKey, 'image/jpeg', PRESIGNED_URL_EXPIRES);
+  // 生成 Presigned URL（簽入客戶端宣告的 Content-Type）
+  const uploadUrl = await generatePresignedUploadUrl(avatarKey, file_type, PRESIGNED_URL_EXPIRES);
   
   // 生成公開 URL
   const publicUrl = getPublicUrl(avatarKey);
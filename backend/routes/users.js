@@ -4,9 +4,127 @@
 const express = require("express");
 const router = express.Router();
 const supabase = require("../config/supabase");
-const { requireAuth } = require("../middleware/auth");
+const { requireAuth, optionalAuth } = require("../middleware/auth");
 const { asyncHandler } = require("../middleware/errorHandler");
 const { Errors } = require("../utils/errorCodes");
+const {
+  parsePagination,
+  applyCursor,
+  buildPage,
+  paginationSchema,
+  uuidParams,
+  blockSchemas,
+  likeSchemas,
+  userSchemas,
+} = require("../middleware/validate");
+const { operation } = require("../middleware/contract");
+const {
+  userResponses,
+  likeResponses,
+  success,
+} = require("../utils/responseSchemas");
+const followService = require("../services/followService");
+const blockService = require("../services/blockService");
+const likeService = require("../services/likeService");
+const { BlockTypes } = blockService;
+
+const RECORD_LIST_FIELDS =
+  "id, user_id, description, main_image_url, media_count, like_count, view_count, created_at, updated_at";
+
+/**
+ * 取得使用者的紀錄列表（Keyset 分頁）
+ * @param {string} userId - 使用者 ID
+ * @param {Object} pagination - parsePagination 的結果
+ * @returns {Promise<Object>} { records, next_cursor }
+ */
+async function getUserRecordsPage(userId, pagination) {
+  const { data: records, error } = await applyCursor(
+    supabase.from("records").select(RECORD_LIST_FIELDS).eq("user_id", userId),
+    pagination,
+  );
+
+  if (error) {
+    throw Errors.internal("查詢紀錄失敗");
+  }
+
+  const { items, next_cursor } = buildPage(records, pagination.limit);
+
+  return {
+    records: items.map((record) => ({
+      id: record.id,
+      user_id: record.user_id,
+      description: record.description,
+      main_image_url: record.main_image_url,
+      media_count: record.media_count || 0,
+      like_count: record.like_count || 0,
+      view_count: record.view_count || 0,
+      created_at: record.created_at,
+      updated_at: record.updated_at,
+    })),
+    next_cursor,
+  };
+}
+
+/**
+ * 取得使用者的詢問列表（Keyset 分頁）
+ * @param {string} rpcName - 帶座標的查詢 RPC
+ * @param {string} userId - 使用者 ID
+ * @param {Object} pagination - parsePagination 的結果
+ * @returns {Promise<Object>} { asks, next_cursor }
+ */
+async function getUserAsksPage(rpcName, userId, pagination) {
+  const { limit, cursor } = pagination;
+
+  // 使用 RPC 取得有 center 座標的 asks
+  let { data: asks, error: rpcError } = await supabase.rpc(rpcName, {
+    p_user_id: userId,
+    p_limit: limit + 1,
+    p_cursor_created_at: cursor?.createdAt ?? null,
+    p_cursor_id: cursor?.id ?? null,
+  });
+
+  if (rpcError) {
+    // RPC 不存在時使用基本查詢，無法取得 center 座標
+    console.warn("RPC not available, using basic query");
+    const { data, error } = await applyCursor(
+      supabase
+        .from("asks")
+        .select(
+          "id, user_id, question, radius_meters, main_image_url, status, like_count, view_count, created_at, updated_at",
+        )
+        .eq("user_id", userId),
+      pagination,
+    );
+
+    if (error) {
+      throw Errors.internal("查詢詢問失敗");
+    }
+
+    asks = data;
+  }
+
+  const { items, next_cursor } = buildPage(asks, limit);
+
+  return {
+    asks: items.map((ask) => ({
+      id: ask.id,
+      user_id: ask.user_id,
+      center: {
+        lat: ask.lat ?? 0,
+        lng: ask.lng ?? 0,
+      },
+      radius_meters: ask.radius_meters,
+      question: ask.question,
+      main_image_url: ask.main_image_url,
+      status: ask.status,
+      like_count: ask.like_count || 0,
+      view_count: ask.view_count || 0,
+      created_at: ask.created_at,
+      updated_at: ask.updated_at,
+    })),
+    next_cursor,
+  };
+}
 
 /**
  * API E-1: 取得個人資訊
@@ -15,6 +133,10 @@ const { Errors } = require("../utils/errorCodes");
 router.get(
   "/me",
   requireAuth,
+  operation({
+    summary: "取得個人資訊",
+    responses: { 200: userResponses.me },
+  }),
   asyncHandler(async (req, res) => {
     const userId = req.user.id;
 
@@ -43,6 +165,9 @@ router.get(
         total_asks: 0,
         total_views: 0,
         total_likes: 0,
+        total_accepted_answers: 0,
+        follower_count: 0,
+        following_count: 0,
         created_at: authUser.created_at,
       });
     }
@@ -55,6 +180,8 @@ router.get(
       asksViewsResult,
       recordsLikesResult,
       asksLikesResult,
+      acceptedAnswersResult,
+      followCounts,
     ] = await Promise.all([
       // 紀錄數量
       supabase
@@ -74,6 +201,10 @@ router.get(
       supabase.from("records").select("like_count").eq("user_id", userId),
       // 詢問的總愛心數
       supabase.from("asks").select("like_count").eq("user_id", userId),
+      // 被採納的回答數
+      supabase.rpc("count_accepted_answers", { p_user_id: userId }),
+      // 粉絲數與追蹤中人數
+      followService.getCounts(userId),
     ]);
 
     // 計算總觀看次數
@@ -110,6 +241,9 @@ router.get(
       total_asks: asksResult.count || 0,
       total_views: totalViews,
       total_likes: totalLikes,
+      total_accepted_answers: acceptedAnswersResult.data || 0,
+      follower_count: followCounts.follower_count,
+      following_count: followCounts.following_count,
       created_at: user.created_at,
     });
   }),
@@ -117,113 +251,138 @@ router.get(
 
 /**
  * API E-2: 取得使用者的紀錄列表
- * GET /api/v1/users/me/records
+ * GET /api/v1/users/me/records?limit=&cursor=
  */
 router.get(
   "/me/records",
   requireAuth,
+  operation({
+    summary: "取得我的紀錄列表",
+    query: paginationSchema,
+    responses: { 200: userResponses.records },
+  }),
   asyncHandler(async (req, res) => {
-    const userId = req.user.id;
-
-    const { data: records, error } = await supabase
-      .from("records")
-      .select(
-        "id, user_id, description, main_image_url, media_count, like_count, view_count, created_at, updated_at",
-      )
-      .eq("user_id", userId)
-      .order("created_at", { ascending: false });
-
-    if (error) {
-      throw Errors.internal("查詢紀錄失敗");
-    }
-
-    const formattedRecords = (records || []).map((record) => ({
-      id: record.id,
-      user_id: record.user_id,
-      description: record.description,
-      main_image_url: record.main_image_url,
-      media_count: record.media_count || 0,
-      like_count: record.like_count || 0,
-      view_count: record.view_count || 0,
-      created_at: record.created_at,
-      updated_at: record.updated_at,
-    }));
-
-    res.json({ records: formattedRecords });
+    const pagination = parsePagination(req.query);
+    res.json(await getUserRecordsPage(req.user.id, pagination));
   }),
 );
 
 /**
  * API E-3: 取得使用者的詢問列表
- * GET /api/v1/users/me/asks
+ * GET /api/v1/users/me/asks?limit=&cursor=
  */
 router.get(
   "/me/asks",
   requireAuth,
+  operation({
+    summary: "取得我的詢問列表",
+    query: paginationSchema,
+    responses: { 200: userResponses.asks },
+  }),
   asyncHandler(async (req, res) => {
-    const userId = req.user.id;
-
-    // 使用 RPC 取得有 center 座標的 asks
-    const { data: asksWithCoords, error: rpcError } = await supabase.rpc(
-      "get_user_asks_with_coords",
-      {
-        p_user_id: userId,
-      },
+    const pagination = parsePagination(req.query);
+    res.json(
+      await getUserAsksPage("get_user_asks_with_coords", req.user.id, pagination),
     );
+  }),
+);
 
-    if (rpcError) {
-      // RPC 不存在時使用基本查詢
-      console.warn("RPC not available, using basic query");
-      const { data: asks, error } = await supabase
-        .from("asks")
+/**
+ * API E-8: 取得提及我的回覆
+ * GET /api/v1/users/me/mentions?limit=&cursor=
+ */
+router.get(
+  "/me/mentions",
+  requireAuth,
+  operation({
+    summary: "取得提及我的回覆",
+    query: paginationSchema,
+    responses: { 200: userResponses.mentions },
+  }),
+  asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    const { data: mentions, error } = await applyCursor(
+      supabase
+        .from("reply_mentions")
         .select(
-          "id, user_id, question, radius_meters, main_image_url, status, like_count, view_count, created_at, updated_at",
+          `
+          id,
+          created_at,
+          replies:reply_id (
+            id, record_id, ask_id, parent_reply_id, content, created_at,
+            users:user_id (id, display_name, avatar_url)
+          )
+        `,
         )
-        .eq("user_id", userId)
-        .order("created_at", { ascending: false });
-
-      if (error) {
-        throw Errors.internal("查詢詢問失敗");
-      }
-
-      // 沒有 RPC 時無法取得 center 座標，使用預設值
-      const formattedAsks = (asks || []).map((ask) => ({
-        id: ask.id,
-        user_id: ask.user_id,
-        center: { lat: 0, lng: 0 }, // 預設值
-        radius_meters: ask.radius_meters,
-        question: ask.question,
-        main_image_url: ask.main_image_url,
-        status: ask.status,
-        like_count: ask.like_count || 0,
-        view_count: ask.view_count || 0,
-        created_at: ask.created_at,
-        updated_at: ask.updated_at,
-      }));
-
-      res.json({ asks: formattedAsks });
-      return;
+        .eq("mentioned_user_id", req.user.id),
+      pagination,
+    );
+
+    if (error) {
+      throw Errors.internal("查詢提及失敗");
     }
 
-    // 轉換 RPC 回應格式
-    const formattedAsks = (asksWithCoords || []).map((ask) => ({
-      id: ask.id,
-      user_id: ask.user_id,
-      center: {
-        lat: ask.lat,
-        lng: ask.lng,
-      },
-      radius_meters: ask.radius_meters,
-      question: ask.question,
-      main_image_url: ask.main_image_url,
-      status: ask.status,
-      like_count: ask.like_count || 0,
-      view_count: ask.view_count || 0,
-      created_at: ask.created_at,
-      updated_at: ask.updated_at,
-    }));
+    const { items, next_cursor } = buildPage(mentions, pagination.limit);
+
+    res.json({
+      mentions: items
+        .filter((mention) => mention.replies)
+        .map((mention) => ({
+          id: mention.id,
+          created_at: mention.created_at,
+          reply: {
+            id: mention.replies.id,
+            record_id: mention.replies.record_id,
+            ask_id: mention.replies.ask_id,
+            parent_reply_id: mention.replies.parent_reply_id,
+            content: mention.replies.content,
+            created_at: mention.replies.created_at,
+            author: mention.replies.users || null,
+          },
+        })),
+      next_cursor,
+    });
+  }),
+);
+
+/**
+ * API E-16: 取得我按讚的內容
+ * GET /api/v1/users/me/likes?type=&limit=&cursor=
+ */
+router.get(
+  "/me/likes",
+  requireAuth,
+  operation({
+    summary: "取得我按讚的內容",
+    query: likeSchemas.mineQuery,
+    responses: { 200: likeResponses.mine },
+  }),
+  asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    res.json(
+      await likeService.getUserLikes(req.user.id, pagination, req.query.type),
+    );
+  }),
+);
 
-    res.json({ asks: formattedAsks });
+/**
+ * API E-15: 取得封鎖 / 靜音名單
+ * GET /api/v1/users/me/blocks?type=&limit=&cursor=
+ */
+router.get(
+  "/me/blocks",
+  requireAuth,
+  operation({
+    summary: "取得封鎖 / 靜音名單",
+    query: blockSchemas.listQuery,
+    responses: { 200: userResponses.blocks },
+  }),
+  asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const { type } = req.query;
+
+    res.json(await blockService.listBlocks(req.user.id, pagination, type || null));
   }),
 );
 
@@ -234,6 +393,11 @@ router.get(
 router.patch(
   "/me",
   requireAuth,
+  operation({
+    summary: "更新個人資料",
+    body: userSchemas.updateProfile,
+    responses: { 200: success },
+  }),
   asyncHandler(async (req, res) => {
     const userId = req.user.id;
     const { avatar_url, display_name, bio } = req.body;
@@ -250,10 +414,6 @@ router.patch(
       updates.bio = bio;
     }
 
-    if (Object.keys(updates).length === 0) {
-      throw Errors.invalidArgument("至少需要提供一個要更新的欄位");
-    }
-
     const { error } = await supabase
       .from("users")
       .update(updates)
@@ -274,6 +434,12 @@ router.patch(
  */
 router.get(
   "/:userId",
+  optionalAuth,
+  operation({
+    summary: "取得其他用戶的個人資訊",
+    params: uuidParams("userId"),
+    responses: { 200: userResponses.profile },
+  }),
   asyncHandler(async (req, res) => {
     const { userId } = req.params;
 
@@ -296,6 +462,10 @@ router.get(
       asksViewsResult,
       recordsLikesResult,
       asksLikesResult,
+      acceptedAnswersResult,
+      followCounts,
+      isFollowing,
+      blockRelation,
     ] = await Promise.all([
       // 紀錄數量
       supabase
@@ -315,6 +485,14 @@ router.get(
       supabase.from("records").select("like_count").eq("user_id", userId),
       // 詢問的總愛心數
       supabase.from("asks").select("like_count").eq("user_id", userId),
+      // 被採納的回答數
+      supabase.rpc("count_accepted_answers", { p_user_id: userId }),
+      // 粉絲數與追蹤中人數
+      followService.getCounts(userId),
+      // 目前使用者是否已追蹤
+      followService.isFollowing(req.user?.id, userId),
+      // 目前使用者是否封鎖 / 靜音
+      blockService.getRelation(req.user?.id, userId),
     ]);
 
     // 計算總觀看次數
@@ -348,6 +526,12 @@ router.get(
       total_asks: asksResult.count || 0,
       total_views: totalViews,
       total_likes: totalLikes,
+      total_accepted_answers: acceptedAnswersResult.data || 0,
+      follower_count: followCounts.follower_count,
+      following_count: followCounts.following_count,
+      is_following: isFollowing,
+      is_blocked: blockRelation === BlockTypes.BLOCK,
+      is_muted: blockRelation === BlockTypes.MUTE,
       created_at: user.created_at,
     });
   }),
@@ -355,108 +539,166 @@ router.get(
 
 /**
  * API E-6: 取得指定用戶的紀錄列表
- * GET /api/v1/users/:userId/records
+ * GET /api/v1/users/:userId/records?limit=&cursor=
  */
 router.get(
   "/:userId/records",
+  optionalAuth,
+  operation({
+    summary: "取得指定用戶的紀錄列表",
+    params: uuidParams("userId"),
+    query: paginationSchema,
+    responses: { 200: userResponses.records },
+  }),
   asyncHandler(async (req, res) => {
-    const { userId } = req.params;
-
-    const { data: records, error } = await supabase
-      .from("records")
-      .select(
-        "id, user_id, description, main_image_url, media_count, like_count, view_count, created_at, updated_at",
-      )
-      .eq("user_id", userId)
-      .order("created_at", { ascending: false });
+    const pagination = parsePagination(req.query);
 
-    if (error) {
-      throw Errors.internal("查詢紀錄失敗");
+    // 已封鎖 / 靜音的使用者不顯示內容
+    if (await blockService.getRelation(req.user?.id, req.params.userId)) {
+      return res.json({ records: [], next_cursor: null });
     }
 
-    const formattedRecords = (records || []).map((record) => ({
-      id: record.id,
-      user_id: record.user_id,
-      description: record.description,
-      main_image_url: record.main_image_url,
-      media_count: record.media_count || 0,
-      like_count: record.like_count || 0,
-      view_count: record.view_count || 0,
-      created_at: record.created_at,
-      updated_at: record.updated_at,
-    }));
-
-    res.json({ records: formattedRecords });
+    res.json(await getUserRecordsPage(req.params.userId, pagination));
   }),
 );
 
 /**
  * API E-7: 取得指定用戶的詢問列表
- * GET /api/v1/users/:userId/asks
+ * GET /api/v1/users/:userId/asks?limit=&cursor=
  */
 router.get(
   "/:userId/asks",
+  optionalAuth,
+  operation({
+    summary: "取得指定用戶的詢問列表",
+    params: uuidParams("userId"),
+    query: paginationSchema,
+    responses: { 200: userResponses.asks },
+  }),
   asyncHandler(async (req, res) => {
-    const { userId } = req.params;
+    const pagination = parsePagination(req.query);
 
-    // 使用 RPC 取得帶有座標的詢問
-    const { data: asksWithCoords, error: rpcError } = await supabase.rpc(
-      "get_asks_for_user",
-      { p_user_id: userId },
+    // 已封鎖 / 靜音的使用者不顯示內容
+    if (await blockService.getRelation(req.user?.id, req.params.userId)) {
+      return res.json({ asks: [], next_cursor: null });
+    }
+
+    res.json(
+      await getUserAsksPage("get_asks_for_user", req.params.userId, pagination),
     );
+  }),
+);
 
-    if (rpcError) {
-      console.warn("RPC not available, using basic query");
-      // Fallback：使用基本查詢
-      const { data: asks, error } = await supabase
-        .from("asks")
-        .select(
-          "id, user_id, center_geog, radius_meters, question, main_image_url, status, like_count, view_count, created_at, updated_at",
-        )
-        .eq("user_id", userId)
-        .order("created_at", { ascending: false });
-
-      if (error) {
-        throw Errors.internal("查詢詢問失敗");
-      }
-
-      // 對於 Fallback，需要手動解析 center_geog
-      const formattedAsks = (asks || []).map((ask) => ({
-        id: ask.id,
-        user_id: ask.user_id,
-        center: { lat: 0, lng: 0 }, // Fallback 無法取得座標
-        radius_meters: ask.radius_meters,
-        question: ask.question,
-        main_image_url: ask.main_image_url,
-        status: ask.status,
-        like_count: ask.like_count || 0,
-        view_count: ask.view_count || 0,
-        created_at: ask.created_at,
-        updated_at: ask.updated_at,
-      }));
-
-      return res.json({ asks: formattedAsks });
-    }
+/**
+ * API E-9: 追蹤使用者
+ * POST /api/v1/users/:userId/follow
+ */
+router.post(
+  "/:userId/follow",
+  requireAuth,
+  operation({
+    summary: "追蹤使用者",
+    params: uuidParams("userId"),
+    responses: { 200: userResponses.follow },
+  }),
+  asyncHandler(async (req, res) => {
+    const result = await followService.follow(req.user.id, req.params.userId);
+    res.json({ success: true, ...result });
+  }),
+);
 
-    // 轉換 RPC 回應格式
-    const formattedAsks = (asksWithCoords || []).map((ask) => ({
-      id: ask.id,
-      user_id: ask.user_id,
-      center: {
-        lat: ask.lat,
-        lng: ask.lng,
-      },
-      radius_meters: ask.radius_meters,
-      question: ask.question,
-      main_image_url: ask.main_image_url,
-      status: ask.status,
-      like_count: ask.like_count || 0,
-      view_count: ask.view_count || 0,
-      created_at: ask.created_at,
-      updated_at: ask.updated_at,
-    }));
+/**
+ * API E-10: 取消追蹤
+ * DELETE /api/v1/users/:userId/follow
+ */
+router.delete(
+  "/:userId/follow",
+  requireAuth,
+  operation({
+    summary: "取消追蹤",
+    params: uuidParams("userId"),
+    responses: { 200: userResponses.follow },
+  }),
+  asyncHandler(async (req, res) => {
+    const result = await followService.unfollow(req.user.id, req.params.userId);
+    res.json({ success: true, ...result });
+  }),
+);
 
-    res.json({ asks: formattedAsks });
+/**
+ * API E-13: 封鎖或靜音使用者
+ * POST /api/v1/users/:userId/block
+ * Body: { type: "BLOCK" | "MUTE" }（預設 BLOCK）
+ */
+router.post(
+  "/:userId/block",
+  requireAuth,
+  operation({
+    summary: "封鎖或靜音使用者",
+    params: uuidParams("userId"),
+    body: blockSchemas.setBlock,
+    responses: { 200: userResponses.block },
+  }),
+  asyncHandler(async (req, res) => {
+    const block = await blockService.setBlock(
+      req.user.id,
+      req.params.userId,
+      req.body.type,
+    );
+    res.json({ success: true, ...block });
+  }),
+);
+
+/**
+ * API E-14: 解除封鎖或靜音
+ * DELETE /api/v1/users/:userId/block
+ */
+router.delete(
+  "/:userId/block",
+  requireAuth,
+  operation({
+    summary: "解除封鎖或靜音",
+    params: uuidParams("userId"),
+    responses: { 200: success },
+  }),
+  asyncHandler(async (req, res) => {
+    res.json(await blockService.removeBlock(req.user.id, req.params.userId));
+  }),
+);
+
+/**
+ * API E-11: 取得粉絲列表
+ * GET /api/v1/users/:userId/followers?limit=&cursor=
+ */
+router.get(
+  "/:userId/followers",
+  operation({
+    summary: "取得粉絲列表",
+    params: uuidParams("userId"),
+    query: paginationSchema,
+    responses: { 200: userResponses.users },
+  }),
+  asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    res.json(await followService.getFollowers(req.params.userId, pagination));
+  }),
+);
+
+/**
+ * API E-12: 取得追蹤中列表
+ * GET /api/v1/users/:userId/following?limit=&cursor=
+ */
+router.get(
+  "/:userId/following",
+  operation({
+    summary: "取得追蹤中列表",
+    params: uuidParams("userId"),
+    query: paginationSchema,
+    responses: { 200: userResponses.users },
+  }),
+  asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    res.json(await followService.getFollowing(req.params.userId, pagination));
   }),
 );
 
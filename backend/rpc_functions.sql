@@ -31,7 +31,9 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- 2. 更新圖片並寫入 PostGIS 座標
+-- 2. 更新圖片並寫入 PostGIS 座標與 EXIF 比對結果
+DROP FUNCTION IF EXISTS update_image_with_location(UUID, UUID, DOUBLE PRECISION, DOUBLE PRECISION, TIMESTAMPTZ, INTEGER, TEXT);
+
 CREATE OR REPLACE FUNCTION update_image_with_location(
   p_image_id UUID,
   p_record_id UUID,
@@ -39,7 +41,11 @@ CREATE OR REPLACE FUNCTION update_image_with_location(
   p_lat DOUBLE PRECISION,
   p_captured_at TIMESTAMPTZ,
   p_display_order INTEGER,
-  p_address TEXT DEFAULT NULL
+  p_address TEXT DEFAULT NULL,
+  p_location_source TEXT DEFAULT 'client',
+  p_location_mismatch BOOLEAN DEFAULT FALSE,
+  p_location_mismatch_meters DOUBLE PRECISION DEFAULT NULL,
+  p_captured_at_mismatch BOOLEAN DEFAULT FALSE
 )
 RETURNS VOID AS $$
 BEGIN
@@ -54,32 +60,70 @@ BEGIN
     END,
     captured_at = p_captured_at,
     display_order = p_display_order,
-    address = p_address
+    address = p_address,
+    location_source = p_location_source,
+    location_mismatch = p_location_mismatch,
+    location_mismatch_meters = p_location_mismatch_meters,
+    captured_at_mismatch = p_captured_at_mismatch
   WHERE id = p_image_id;
 END;
 $$ LANGUAGE plpgsql;
 
--- 3. 取得地圖範圍內的紀錄圖片
+-- 3. 取得地圖範圍內的紀錄圖片（可選時間範圍、標籤與縣市 / 鄉鎮市區；p_viewer_id 排除其封鎖 / 靜音的使用者）
 DROP FUNCTION IF EXISTS get_record_images_in_bounds(
   DOUBLE PRECISION,
   DOUBLE PRECISION,
   DOUBLE PRECISION,
   DOUBLE PRECISION
 );
+DROP FUNCTION IF EXISTS get_record_images_in_bounds(
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  TIMESTAMPTZ,
+  TIMESTAMPTZ
+);
+DROP FUNCTION IF EXISTS get_record_images_in_bounds(
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  TIMESTAMPTZ,
+  TIMESTAMPTZ,
+  UUID
+);
+DROP FUNCTION IF EXISTS get_record_images_in_bounds(
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  TIMESTAMPTZ,
+  TIMESTAMPTZ,
+  UUID,
+  TEXT
+);
 
 CREATE OR REPLACE FUNCTION get_record_images_in_bounds(
   p_min_lng DOUBLE PRECISION,
   p_min_lat DOUBLE PRECISION,
   p_max_lng DOUBLE PRECISION,
-  p_max_lat DOUBLE PRECISION
+  p_max_lat DOUBLE PRECISION,
+  p_start_date TIMESTAMPTZ DEFAULT NULL,
+  p_end_date TIMESTAMPTZ DEFAULT NULL,
+  p_viewer_id UUID DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_city TEXT DEFAULT NULL,
+  p_district TEXT DEFAULT NULL
 )
 RETURNS TABLE (
   image_id UUID,
   record_id UUID,
   thumbnail_public_url TEXT,
-  lng DOUBLE PRECISION,
   lat DOUBLE PRECISION,
-  display_order INTEGER
+  lng DOUBLE PRECISION,
+  display_order INTEGER,
+  created_at TIMESTAMPTZ
 ) AS $$
 BEGIN
   RETURN QUERY
@@ -87,17 +131,33 @@ BEGIN
     im.id AS image_id,
     im.record_id,
     im.thumbnail_public_url,
-    ST_X(im.location) AS lng,
     ST_Y(im.location) AS lat,
-    im.display_order
+    ST_X(im.location) AS lng,
+    im.display_order,
+    im.uploaded_at AS created_at
   FROM image_media im
   WHERE im.status = 'COMPLETED'
     AND im.record_id IS NOT NULL
-    AND im.location IS NOT NULL
-    AND ST_Within(
-      im.location,
-      ST_MakeEnvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)
-    );
+    AND im.location && ST_MakeEnvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)
+    AND (p_start_date IS NULL OR im.uploaded_at >= p_start_date)
+    AND (p_end_date IS NULL OR im.uploaded_at <= p_end_date)
+    AND (
+      p_viewer_id IS NULL
+      OR NOT EXISTS (
+        SELECT 1 FROM user_blocks ub
+        WHERE ub.blocker_id = p_viewer_id AND ub.blocked_id = im.user_id
+      )
+    )
+    AND (
+      p_tag IS NULL
+      OR EXISTS (
+        SELECT 1 FROM content_tags ct
+        JOIN tags t ON t.id = ct.tag_id
+        WHERE ct.record_id = im.record_id AND t.name = p_tag
+      )
+    )
+    AND (p_city IS NULL OR im.city = p_city)
+    AND (p_district IS NULL OR im.district = p_district);
 END;
 $$ LANGUAGE plpgsql;
 
@@ -115,7 +175,12 @@ RETURNS TABLE (
   lat DOUBLE PRECISION,
   captured_at TIMESTAMPTZ,
   display_order INTEGER,
-  address TEXT
+  address TEXT,
+  city TEXT,
+  district TEXT,
+  location_source TEXT,
+  location_unverified BOOLEAN,
+  location_mismatch BOOLEAN
 ) AS $$
 BEGIN
   RETURN QUERY
@@ -127,7 +192,12 @@ BEGIN
     ST_Y(im.location) AS lat,
     im.captured_at,
     im.display_order,
-    im.address
+    im.address,
+    im.city,
+    im.district,
+    im.location_source,
+    im.location_unverified,
+    im.location_mismatch
   FROM image_media im
   WHERE im.record_id = p_record_id
     AND im.status = 'COMPLETED'
@@ -165,7 +235,7 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- 3d. 取得單一回覆的圖片列表（含座標）
+-- 3d. 取得單一回覆的圖片列表（含座標與 Geo-fencing 結果）
 DROP FUNCTION IF EXISTS get_reply_images_with_location(UUID);
 
 CREATE OR REPLACE FUNCTION get_reply_images_with_location(
@@ -177,7 +247,10 @@ RETURNS TABLE (
   thumbnail_public_url TEXT,
   lng DOUBLE PRECISION,
   lat DOUBLE PRECISION,
-  display_order INTEGER
+  display_order INTEGER,
+  captured_at TIMESTAMPTZ,
+  distance_to_ask_meters DOUBLE PRECISION,
+  is_stale_capture BOOLEAN
 ) AS $$
 BEGIN
   RETURN QUERY
@@ -187,7 +260,10 @@ BEGIN
     im.thumbnail_public_url,
     ST_X(im.location) AS lng,
     ST_Y(im.location) AS lat,
-    im.display_order
+    im.display_order,
+    im.captured_at,
+    im.distance_to_ask_meters,
+    im.is_stale_capture
   FROM image_media im
   WHERE im.reply_id = p_reply_id
     AND im.status = 'COMPLETED'
@@ -195,19 +271,82 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- 4. 取得地圖範圍內的詢問標點 (含 48 小時過濾)
+-- 3e. 關聯回覆圖片並寫入 PostGIS 座標與 Geo-fencing 結果
+CREATE OR REPLACE FUNCTION update_reply_image_with_location(
+  p_image_id UUID,
+  p_reply_id UUID,
+  p_lng DOUBLE PRECISION,
+  p_lat DOUBLE PRECISION,
+  p_captured_at TIMESTAMPTZ,
+  p_display_order INTEGER,
+  p_distance_to_ask_meters DOUBLE PRECISION DEFAULT NULL,
+  p_is_stale_capture BOOLEAN DEFAULT FALSE
+)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE image_media
+  SET
+    reply_id = p_reply_id,
+    status = 'COMPLETED',
+    location = CASE
+      WHEN p_lng IS NOT NULL AND p_lat IS NOT NULL
+      THEN ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326)
+      ELSE NULL
+    END,
+    captured_at = p_captured_at,
+    display_order = p_display_order,
+    distance_to_ask_meters = p_distance_to_ask_meters,
+    is_stale_capture = COALESCE(p_is_stale_capture, FALSE)
+  WHERE id = p_image_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 4. 取得地圖範圍內的詢問標點（時間範圍、標籤與縣市 / 鄉鎮市區由呼叫端控制；p_viewer_id 排除其封鎖 / 靜音的使用者）
 DROP FUNCTION IF EXISTS get_asks_in_bounds(
   DOUBLE PRECISION,
   DOUBLE PRECISION,
   DOUBLE PRECISION,
   DOUBLE PRECISION
 );
+DROP FUNCTION IF EXISTS get_asks_in_bounds(
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  TIMESTAMPTZ,
+  TIMESTAMPTZ
+);
+DROP FUNCTION IF EXISTS get_asks_in_bounds(
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  TIMESTAMPTZ,
+  TIMESTAMPTZ,
+  UUID
+);
+DROP FUNCTION IF EXISTS get_asks_in_bounds(
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  DOUBLE PRECISION,
+  TIMESTAMPTZ,
+  TIMESTAMPTZ,
+  UUID,
+  TEXT
+);
 
 CREATE OR REPLACE FUNCTION get_asks_in_bounds(
   p_min_lng DOUBLE PRECISION,
   p_min_lat DOUBLE PRECISION,
   p_max_lng DOUBLE PRECISION,
-  p_max_lat DOUBLE PRECISION
+  p_max_lat DOUBLE PRECISION,
+  p_start_date TIMESTAMPTZ DEFAULT NULL,
+  p_end_date TIMESTAMPTZ DEFAULT NULL,
+  p_viewer_id UUID DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_city TEXT DEFAULT NULL,
+  p_district TEXT DEFAULT NULL
 )
 RETURNS TABLE (
   id UUID,
@@ -236,19 +375,40 @@ BEGIN
     a.created_at
   FROM asks a
   LEFT JOIN users u ON u.id = a.user_id
-  WHERE a.created_at >= NOW() - INTERVAL '48 hours'
-    AND ST_Within(
-      a.center,
-      ST_MakeEnvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)
-    );
+  WHERE a.center && ST_MakeEnvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)
+    -- 生命週期：只顯示進行中且未到期的詢問（延長後依新的 expires_at 判斷）
+    AND a.status = 'ACTIVE'
+    AND a.expires_at > NOW()
+    AND (p_start_date IS NULL OR a.created_at >= p_start_date)
+    AND (p_end_date IS NULL OR a.created_at <= p_end_date)
+    AND (
+      p_viewer_id IS NULL
+      OR NOT EXISTS (
+        SELECT 1 FROM user_blocks ub
+        WHERE ub.blocker_id = p_viewer_id AND ub.blocked_id = a.user_id
+      )
+    )
+    AND (
+      p_tag IS NULL
+      OR EXISTS (
+        SELECT 1 FROM content_tags ct
+        JOIN tags t ON t.id = ct.tag_id
+        WHERE ct.ask_id = a.id AND t.name = p_tag
+      )
+    )
+    AND (p_city IS NULL OR a.city = p_city)
+    AND (p_district IS NULL OR a.district = p_district);
 END;
 $$ LANGUAGE plpgsql;
 
--- 4b. 取得使用者的詢問標點 (含座標)
+-- 4b. 取得使用者的詢問標點 (含座標，支援 Keyset 分頁)
 DROP FUNCTION IF EXISTS get_user_asks_with_coords(UUID);
 
 CREATE OR REPLACE FUNCTION get_user_asks_with_coords(
-  p_user_id UUID
+  p_user_id UUID,
+  p_limit INTEGER DEFAULT NULL,
+  p_cursor_created_at TIMESTAMPTZ DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL
 )
 RETURNS TABLE (
   id UUID,
@@ -283,7 +443,10 @@ BEGIN
     a.updated_at
   FROM asks a
   WHERE a.user_id = p_user_id
-  ORDER BY a.created_at DESC;
+    -- Keyset 分頁：取游標 (created_at, id) 之後的資料
+    AND (p_cursor_created_at IS NULL OR (a.created_at, a.id) < (p_cursor_created_at, p_cursor_id))
+  ORDER BY a.created_at DESC, a.id DESC
+  LIMIT p_limit;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -305,6 +468,15 @@ RETURNS TABLE (
   status TEXT,
   like_count INTEGER,
   view_count INTEGER,
+  expires_at TIMESTAMPTZ,
+  extended_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  expired_at TIMESTAMPTZ,
+  accepted_reply_id UUID,
+  accepted_at TIMESTAMPTZ,
+  address TEXT,
+  city TEXT,
+  district TEXT,
   created_at TIMESTAMPTZ,
   updated_at TIMESTAMPTZ
 ) AS $$
@@ -322,6 +494,15 @@ BEGIN
     a.status,
     a.like_count,
     a.view_count,
+    a.expires_at,
+    a.extended_at,
+    a.resolved_at,
+    a.expired_at,
+    a.accepted_reply_id,
+    a.accepted_at,
+    a.address,
+    a.city,
+    a.district,
     a.created_at,
     a.updated_at
   FROM asks a
@@ -343,31 +524,140 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- 6. 增加愛心數
-CREATE OR REPLACE FUNCTION increment_like_count(
-  p_table TEXT,
-  p_id UUID
+-- 6. 設定愛心（單一交易：鎖定目標、新增 / 刪除 likes、更新 like_count）
+-- p_liked：TRUE 按讚、FALSE 取消、NULL 切換；重複設定相同狀態時 changed 為 FALSE
+-- 目標不存在時不回傳任何列
+CREATE OR REPLACE FUNCTION set_like(
+  p_user_id UUID,
+  p_target_type TEXT,
+  p_target_id UUID,
+  p_liked BOOLEAN DEFAULT NULL
 )
-RETURNS VOID AS $$
+RETURNS TABLE (
+  liked BOOLEAN,
+  changed BOOLEAN,
+  like_count INTEGER,
+  owner_id UUID
+) AS $$
+DECLARE
+  v_table TEXT;
+  v_column TEXT;
+  v_target_id UUID;
+  v_owner_id UUID;
+  v_count INTEGER;
+  v_exists BOOLEAN;
+  v_delta INTEGER := 0;
 BEGIN
-  EXECUTE format(
-    'UPDATE %I SET like_count = like_count + 1 WHERE id = $1',
-    p_table
-  ) USING p_id;
+  v_table := CASE p_target_type
+    WHEN 'record' THEN 'records'
+    WHEN 'ask' THEN 'asks'
+    WHEN 'reply' THEN 'replies'
+  END;
+
+  IF v_table IS NULL THEN
+    RAISE EXCEPTION 'Unknown like target type: %', p_target_type USING ERRCODE = '22023';
+  END IF;
+
+  v_column := p_target_type || '_id';
+
+  -- 鎖定目標列：同一目標的愛心操作依序執行，計數不會互相覆蓋
+  EXECUTE format('SELECT id, user_id, COALESCE(like_count, 0) FROM %I WHERE id = $1 FOR UPDATE', v_table)
+    INTO v_target_id, v_owner_id, v_count
+    USING p_target_id;
+
+  IF v_target_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  EXECUTE format('SELECT EXISTS (SELECT 1 FROM likes WHERE user_id = $1 AND %I = $2)', v_column)
+    INTO v_exists
+    USING p_user_id, p_target_id;
+
+  liked := COALESCE(p_liked, NOT v_exists);
+
+  IF liked AND NOT v_exists THEN
+    EXECUTE format('INSERT INTO likes (user_id, %I) VALUES ($1, $2) ON CONFLICT DO NOTHING', v_column)
+      USING p_user_id, p_target_id;
+    GET DIAGNOSTICS v_delta = ROW_COUNT;
+  ELSIF NOT liked AND v_exists THEN
+    EXECUTE format('DELETE FROM likes WHERE user_id = $1 AND %I = $2', v_column)
+      USING p_user_id, p_target_id;
+    GET DIAGNOSTICS v_delta = ROW_COUNT;
+    v_delta := -v_delta;
+  END IF;
+
+  IF v_delta <> 0 THEN
+    EXECUTE format(
+      'UPDATE %I SET like_count = GREATEST(COALESCE(like_count, 0) + $2, 0) WHERE id = $1 RETURNING like_count',
+      v_table
+    )
+      INTO v_count
+      USING p_target_id, v_delta;
+  END IF;
+
+  changed := v_delta <> 0;
+  like_count := v_count;
+  owner_id := v_owner_id;
+  RETURN NEXT;
 END;
 $$ LANGUAGE plpgsql;
 
--- 7. 減少愛心數
-CREATE OR REPLACE FUNCTION decrement_like_count(
-  p_table TEXT,
-  p_id UUID
+-- 7. 校正愛心數：以 likes 重新計算 like_count，回傳不一致的目標（p_dry_run 時只回報不更新）
+CREATE OR REPLACE FUNCTION reconcile_like_counts(
+  p_dry_run BOOLEAN DEFAULT FALSE,
+  p_limit INTEGER DEFAULT 1000
 )
-RETURNS VOID AS $$
+RETURNS TABLE (
+  target_type TEXT,
+  target_id UUID,
+  stored_count INTEGER,
+  actual_count INTEGER
+) AS $$
+DECLARE
+  v_drift RECORD;
+  v_table TEXT;
 BEGIN
-  EXECUTE format(
-    'UPDATE %I SET like_count = GREATEST(like_count - 1, 0) WHERE id = $1',
-    p_table
-  ) USING p_id;
+  FOR v_drift IN
+    SELECT d.target_type, d.target_id, d.stored_count, d.actual_count
+    FROM (
+      SELECT 'record'::TEXT AS target_type, r.id AS target_id, r.like_count AS stored_count,
+        (SELECT COUNT(*) FROM likes l WHERE l.record_id = r.id)::INTEGER AS actual_count
+      FROM records r
+      UNION ALL
+      SELECT 'ask'::TEXT, a.id, a.like_count,
+        (SELECT COUNT(*) FROM likes l WHERE l.ask_id = a.id)::INTEGER
+      FROM asks a
+      UNION ALL
+      SELECT 'reply'::TEXT, rp.id, rp.like_count,
+        (SELECT COUNT(*) FROM likes l WHERE l.reply_id = rp.id)::INTEGER
+      FROM replies rp
+    ) d
+    WHERE d.stored_count IS DISTINCT FROM d.actual_count
+    LIMIT p_limit
+  LOOP
+    target_type := v_drift.target_type;
+    target_id := v_drift.target_id;
+    stored_count := v_drift.stored_count;
+    actual_count := v_drift.actual_count;
+
+    IF NOT p_dry_run THEN
+      v_table := CASE v_drift.target_type WHEN 'record' THEN 'records' WHEN 'ask' THEN 'asks' ELSE 'replies' END;
+
+      -- 先鎖定目標（與 set_like 互斥），再以新的快照重新計算，避免覆蓋並發的按讚
+      EXECUTE format('SELECT like_count FROM %I WHERE id = $1 FOR UPDATE', v_table)
+        USING v_drift.target_id;
+
+      EXECUTE format(
+        'UPDATE %I t SET like_count = (SELECT COUNT(*) FROM likes l WHERE l.%I = t.id) WHERE t.id = $1 RETURNING like_count',
+        v_table,
+        v_drift.target_type || '_id'
+      )
+        INTO actual_count
+        USING v_drift.target_id;
+    END IF;
+
+    RETURN NEXT;
+  END LOOP;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -406,11 +696,14 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- 9. 取得特定用戶的詢問列表（含座標）
+-- 9. 取得特定用戶的詢問列表（含座標，支援 Keyset 分頁）
 DROP FUNCTION IF EXISTS get_asks_for_user(UUID);
 
 CREATE OR REPLACE FUNCTION get_asks_for_user(
-  p_user_id UUID
+  p_user_id UUID,
+  p_limit INTEGER DEFAULT NULL,
+  p_cursor_created_at TIMESTAMPTZ DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL
 )
 RETURNS TABLE (
   id UUID,
@@ -445,6 +738,1060 @@ BEGIN
     a.updated_at
   FROM asks a
   WHERE a.user_id = p_user_id
-  ORDER BY a.created_at DESC;
+    -- Keyset 分頁：取游標 (created_at, id) 之後的資料
+    AND (p_cursor_created_at IS NULL OR (a.created_at, a.id) < (p_cursor_created_at, p_cursor_id))
+  ORDER BY a.created_at DESC, a.id DESC
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 10. 產生地圖向量圖磚 (Mapbox Vector Tile)
+-- 回傳 base64 編碼的 MVT，避免 bytea 經 PostgREST 轉成 hex 字串
+DROP FUNCTION IF EXISTS get_map_tile(TEXT, INTEGER, INTEGER, INTEGER, TIMESTAMPTZ, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS get_map_tile(TEXT, INTEGER, INTEGER, INTEGER, TIMESTAMPTZ, TIMESTAMPTZ, TEXT);
+
+CREATE OR REPLACE FUNCTION get_map_tile(
+  p_layer TEXT,
+  p_z INTEGER,
+  p_x INTEGER,
+  p_y INTEGER,
+  p_start_date TIMESTAMPTZ DEFAULT NULL,
+  p_end_date TIMESTAMPTZ DEFAULT NULL,
+  p_tag TEXT DEFAULT NULL,
+  p_city TEXT DEFAULT NULL,
+  p_district TEXT DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+  tile_bounds GEOMETRY;
+  query_bounds GEOMETRY;
+  mvt BYTEA;
+BEGIN
+  tile_bounds := ST_TileEnvelope(p_z, p_x, p_y);
+
+  -- 查詢範圍加上 64/4096 的緩衝，避免圖磚邊緣的標點被裁掉
+  query_bounds := ST_Transform(
+    ST_Expand(tile_bounds, (ST_XMax(tile_bounds) - ST_XMin(tile_bounds)) * 64 / 4096),
+    4326
+  );
+
+  IF p_layer = 'records' THEN
+    SELECT ST_AsMVT(t, 'records', 4096, 'geom') INTO mvt
+    FROM (
+      SELECT
+        im.id::TEXT AS image_id,
+        im.record_id::TEXT AS record_id,
+        im.thumbnail_public_url AS thumbnail_url,
+        im.display_order,
+        im.uploaded_at::TEXT AS created_at,
+        ST_AsMVTGeom(ST_Transform(im.location, 3857), tile_bounds, 4096, 64, TRUE) AS geom
+      FROM image_media im
+      WHERE im.status = 'COMPLETED'
+        AND im.record_id IS NOT NULL
+        AND im.location IS NOT NULL
+        AND im.location && query_bounds
+        AND (p_start_date IS NULL OR im.uploaded_at >= p_start_date)
+        AND (p_end_date IS NULL OR im.uploaded_at <= p_end_date)
+        AND (p_tag IS NULL OR EXISTS (
+          SELECT 1 FROM content_tags ct
+          JOIN tags tg ON tg.id = ct.tag_id
+          WHERE ct.record_id = im.record_id AND tg.name = p_tag
+        ))
+        AND (p_city IS NULL OR im.city = p_city)
+        AND (p_district IS NULL OR im.district = p_district)
+    ) t;
+  ELSIF p_layer = 'asks' THEN
+    SELECT ST_AsMVT(t, 'asks', 4096, 'geom') INTO mvt
+    FROM (
+      SELECT
+        a.id::TEXT AS ask_id,
+        a.title,
+        a.status,
+        a.radius_meters,
+        a.main_image_url AS thumbnail_url,
+        a.created_at::TEXT AS created_at,
+        ST_AsMVTGeom(ST_Transform(a.center, 3857), tile_bounds, 4096, 64, TRUE) AS geom
+      FROM asks a
+      WHERE a.center && query_bounds
+        -- 只顯示進行中且未到期的詢問（已解決 / 過期的詢問不進入圖磚）
+        AND a.status = 'ACTIVE'
+        AND a.expires_at > NOW()
+        AND (p_start_date IS NULL OR a.created_at >= p_start_date)
+        AND (p_end_date IS NULL OR a.created_at <= p_end_date)
+        AND (p_tag IS NULL OR EXISTS (
+          SELECT 1 FROM content_tags ct
+          JOIN tags tg ON tg.id = ct.tag_id
+          WHERE ct.ask_id = a.id AND tg.name = p_tag
+        ))
+        AND (p_city IS NULL OR a.city = p_city)
+        AND (p_district IS NULL OR a.district = p_district)
+    ) t;
+  ELSE
+    RAISE EXCEPTION 'Unknown tile layer: %', p_layer;
+  END IF;
+
+  RETURN encode(COALESCE(mvt, ''::BYTEA), 'base64');
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- 11. 計算使用者被採納的回答數
+CREATE OR REPLACE FUNCTION count_accepted_answers(
+  p_user_id UUID
+)
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM asks a
+  JOIN replies r ON r.id = a.accepted_reply_id
+  WHERE r.user_id = p_user_id;
+$$ LANGUAGE sql STABLE;
+
+-- 12. 建立紀錄並關聯圖片（單一交易）
+-- p_images: [{ upload_id, location: { lat, lng }, captured_at, display_order, address,
+--              location_source, location_unverified, location_mismatch, location_mismatch_meters, captured_at_mismatch }]
+-- 錯誤代碼：42501 圖片不屬於使用者、狀態不正確或尚未處理完成、22023 參數錯誤
+CREATE OR REPLACE FUNCTION create_record_with_images(
+  p_user_id UUID,
+  p_description TEXT,
+  p_images JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_record records%ROWTYPE;
+  v_image_count INTEGER;
+  v_locked_count INTEGER;
+BEGIN
+  v_image_count := COALESCE(jsonb_array_length(p_images), 0);
+  IF v_image_count = 0 THEN
+    RAISE EXCEPTION 'INVALID_IMAGES' USING ERRCODE = '22023';
+  END IF;
+
+  -- 鎖定圖片，避免同一張圖片同時被兩筆紀錄使用
+  SELECT COUNT(*) INTO v_locked_count
+  FROM (
+    SELECT im.id
+    FROM image_media im
+    WHERE im.id IN (SELECT (img->>'upload_id')::UUID FROM jsonb_array_elements(p_images) img)
+      AND im.user_id = p_user_id
+      AND im.status = 'PENDING'
+      AND im.processed_at IS NOT NULL
+    FOR UPDATE
+  ) locked;
+
+  IF v_locked_count <> v_image_count THEN
+    RAISE EXCEPTION 'IMAGE_NOT_OWNED' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO records (user_id, description, media_count)
+  VALUES (p_user_id, p_description, v_image_count)
+  RETURNING * INTO v_record;
+
+  UPDATE image_media im
+  SET
+    record_id = v_record.id,
+    status = 'COMPLETED',
+    location = ST_SetSRID(ST_MakePoint(
+      (img->'location'->>'lng')::DOUBLE PRECISION,
+      (img->'location'->>'lat')::DOUBLE PRECISION
+    ), 4326),
+    captured_at = (img->>'captured_at')::TIMESTAMPTZ,
+    display_order = COALESCE((img->>'display_order')::INTEGER, 0),
+    address = NULLIF(img->>'address', ''),
+    location_source = COALESCE(img->>'location_source', 'client'),
+    location_unverified = COALESCE((img->>'location_unverified')::BOOLEAN, FALSE),
+    location_mismatch = COALESCE((img->>'location_mismatch')::BOOLEAN, FALSE),
+    location_mismatch_meters = (img->>'location_mismatch_meters')::DOUBLE PRECISION,
+    captured_at_mismatch = COALESCE((img->>'captured_at_mismatch')::BOOLEAN, FALSE)
+  FROM jsonb_array_elements(p_images) img
+  WHERE im.id = (img->>'upload_id')::UUID;
+
+  -- 首圖取伺服器端的縮圖 URL，不信任客戶端傳入
+  UPDATE records r
+  SET main_image_url = (
+    SELECT im.thumbnail_public_url
+    FROM image_media im
+    WHERE im.record_id = v_record.id
+    ORDER BY im.display_order
+    LIMIT 1
+  )
+  WHERE r.id = v_record.id
+  RETURNING * INTO v_record;
+
+  RETURN to_jsonb(v_record);
+END;
+$$ LANGUAGE plpgsql;
+
+-- 13. 編輯紀錄並同步圖片（單一交易，Snapshot Sync）
+-- p_description 為 NULL 時不更新描述；p_sorted_images 為 NULL 時不變動圖片
+-- p_sorted_images: [{ type: 'EXISTING', image_id } | { type: 'NEW', upload_id, location, captured_at, ... }]，陣列順序即顯示順序
+-- 回傳被移除圖片的 URL，由呼叫端在交易提交後清理 R2
+-- 錯誤代碼：P0002 紀錄不存在、42501 無權限或圖片不屬於使用者、22023 參數錯誤
+CREATE OR REPLACE FUNCTION sync_record_images(
+  p_record_id UUID,
+  p_user_id UUID,
+  p_description TEXT DEFAULT NULL,
+  p_sorted_images JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_owner_id UUID;
+  v_removed JSONB := '[]'::JSONB;
+  v_invalid_count INTEGER;
+  v_new_count INTEGER;
+  v_locked_count INTEGER;
+BEGIN
+  SELECT r.user_id INTO v_owner_id
+  FROM records r
+  WHERE r.id = p_record_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RECORD_NOT_FOUND' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_owner_id <> p_user_id THEN
+    RAISE EXCEPTION 'PERMISSION_DENIED' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_description IS NOT NULL THEN
+    UPDATE records SET description = p_description WHERE id = p_record_id;
+  END IF;
+
+  IF p_sorted_images IS NOT NULL THEN
+    IF jsonb_array_length(p_sorted_images) = 0 THEN
+      RAISE EXCEPTION 'INVALID_IMAGES' USING ERRCODE = '22023';
+    END IF;
+
+    -- EXISTING 圖片必須屬於此紀錄
+    SELECT COUNT(*) INTO v_invalid_count
+    FROM jsonb_array_elements(p_sorted_images) img
+    WHERE img->>'type' = 'EXISTING'
+      AND NOT EXISTS (
+        SELECT 1 FROM image_media im
+        WHERE im.id = (img->>'image_id')::UUID
+          AND im.record_id = p_record_id
+      );
+
+    IF v_invalid_count > 0 THEN
+      RAISE EXCEPTION 'INVALID_IMAGES' USING ERRCODE = '22023';
+    END IF;
+
+    -- NEW 圖片必須屬於使用者、尚未提交且已完成處理
+    SELECT COUNT(*) INTO v_new_count
+    FROM jsonb_array_elements(p_sorted_images) img
+    WHERE img->>'type' = 'NEW';
+
+    SELECT COUNT(*) INTO v_locked_count
+    FROM (
+      SELECT im.id
+      FROM image_media im
+      WHERE im.id IN (
+        SELECT (img->>'upload_id')::UUID
+        FROM jsonb_array_elements(p_sorted_images) img
+        WHERE img->>'type' = 'NEW'
+      )
+        AND im.user_id = p_user_id
+        AND im.status = 'PENDING'
+        AND im.processed_at IS NOT NULL
+      FOR UPDATE
+    ) locked;
+
+    IF v_locked_count <> v_new_count THEN
+      RAISE EXCEPTION 'IMAGE_NOT_OWNED' USING ERRCODE = '42501';
+    END IF;
+
+    -- 移除未保留的圖片
+    WITH removed AS (
+      DELETE FROM image_media im
+      WHERE im.record_id = p_record_id
+        AND im.id NOT IN (
+          SELECT (img->>'image_id')::UUID
+          FROM jsonb_array_elements(p_sorted_images) img
+          WHERE img->>'type' = 'EXISTING'
+        )
+      RETURNING im.original_public_url, im.thumbnail_public_url, im.medium_public_url, im.webp_public_url
+    )
+    SELECT COALESCE(jsonb_agg(to_jsonb(removed)), '[]'::JSONB) INTO v_removed FROM removed;
+
+    -- 關聯新圖片（未提供座標時保留原值）
+    UPDATE image_media im
+    SET
+      record_id = p_record_id,
+      status = 'COMPLETED',
+      location = CASE
+        WHEN jsonb_typeof(img->'location') = 'object'
+        THEN ST_SetSRID(ST_MakePoint(
+          (img->'location'->>'lng')::DOUBLE PRECISION,
+          (img->'location'->>'lat')::DOUBLE PRECISION
+        ), 4326)
+        ELSE im.location
+      END,
+      captured_at = COALESCE((img->>'captured_at')::TIMESTAMPTZ, im.captured_at),
+      location_source = COALESCE(img->>'location_source', im.location_source),
+      location_unverified = COALESCE((img->>'location_unverified')::BOOLEAN, im.location_unverified),
+      location_mismatch = COALESCE((img->>'location_mismatch')::BOOLEAN, im.location_mismatch),
+      location_mismatch_meters = COALESCE((img->>'location_mismatch_meters')::DOUBLE PRECISION, im.location_mismatch_meters),
+      captured_at_mismatch = COALESCE((img->>'captured_at_mismatch')::BOOLEAN, im.captured_at_mismatch)
+    FROM jsonb_array_elements(p_sorted_images) img
+    WHERE img->>'type' = 'NEW'
+      AND im.id = (img->>'upload_id')::UUID;
+
+    -- 依陣列順序更新顯示順序
+    UPDATE image_media im
+    SET display_order = ordered.ord - 1
+    FROM jsonb_array_elements(p_sorted_images) WITH ORDINALITY AS ordered(img, ord)
+    WHERE im.id = COALESCE(ordered.img->>'image_id', ordered.img->>'upload_id')::UUID;
+
+    UPDATE records r
+    SET
+      main_image_url = (
+        SELECT im.thumbnail_public_url
+        FROM image_media im
+        WHERE im.record_id = p_record_id
+        ORDER BY im.display_order
+        LIMIT 1
+      ),
+      media_count = (
+        SELECT COUNT(*) FROM image_media im WHERE im.record_id = p_record_id
+      )
+    WHERE r.id = p_record_id;
+  END IF;
+
+  UPDATE records SET updated_at = NOW() WHERE id = p_record_id;
+
+  RETURN jsonb_build_object('removed_images', v_removed);
 END;
 $$ LANGUAGE plpgsql;
+
+-- 14. 寫入通知（同群組未讀通知合併）
+-- actor_ids 保留最近 50 位觸發者（新到舊），actor_count 為不重複觸發者人數
+CREATE OR REPLACE FUNCTION push_notification(
+  p_user_id UUID,
+  p_type TEXT,
+  p_group_key TEXT,
+  p_actor_id UUID DEFAULT NULL,
+  p_record_id UUID DEFAULT NULL,
+  p_ask_id UUID DEFAULT NULL,
+  p_reply_id UUID DEFAULT NULL,
+  p_data JSONB DEFAULT '{}'::JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+  v_id UUID;
+BEGIN
+  INSERT INTO notifications AS n (
+    user_id, type, group_key, record_id, ask_id, reply_id, actor_ids, actor_count, data
+  )
+  VALUES (
+    p_user_id,
+    p_type,
+    p_group_key,
+    p_record_id,
+    p_ask_id,
+    p_reply_id,
+    CASE WHEN p_actor_id IS NULL THEN '{}'::UUID[] ELSE ARRAY[p_actor_id] END,
+    CASE WHEN p_actor_id IS NULL THEN 0 ELSE 1 END,
+    COALESCE(p_data, '{}'::JSONB)
+  )
+  ON CONFLICT (user_id, group_key) WHERE is_read = FALSE
+  DO UPDATE SET
+    actor_count = n.actor_count + CASE
+      WHEN p_actor_id IS NULL OR p_actor_id = ANY(n.actor_ids) THEN 0
+      ELSE 1
+    END,
+    actor_ids = CASE
+      WHEN p_actor_id IS NULL THEN n.actor_ids
+      ELSE (ARRAY[p_actor_id] || array_remove(n.actor_ids, p_actor_id))[1:50]
+    END,
+    reply_id = COALESCE(EXCLUDED.reply_id, n.reply_id),
+    data = n.data || EXCLUDED.data,
+    created_at = NOW()
+  RETURNING n.id INTO v_id;
+
+  RETURN v_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 15. 新增或更新關注區域（每位使用者每種一筆）
+CREATE OR REPLACE FUNCTION upsert_watch_area(
+  p_user_id UUID,
+  p_kind TEXT,
+  p_lng DOUBLE PRECISION,
+  p_lat DOUBLE PRECISION,
+  p_radius_meters INTEGER
+)
+RETURNS TABLE (
+  kind TEXT,
+  lng DOUBLE PRECISION,
+  lat DOUBLE PRECISION,
+  radius_meters INTEGER,
+  updated_at TIMESTAMPTZ
+) AS $$
+BEGIN
+  RETURN QUERY
+  INSERT INTO watch_areas AS w (user_id, kind, center, radius_meters)
+  VALUES (p_user_id, p_kind, ST_SetSRID(ST_MakePoint(p_lng, p_lat), 4326), p_radius_meters)
+  ON CONFLICT ON CONSTRAINT watch_areas_user_kind_unique
+  DO UPDATE SET
+    center = EXCLUDED.center,
+    radius_meters = EXCLUDED.radius_meters,
+    updated_at = NOW()
+  RETURNING w.kind, ST_X(w.center), ST_Y(w.center), w.radius_meters, w.updated_at;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 15b. 取得使用者的關注區域（含座標）
+CREATE OR REPLACE FUNCTION get_watch_areas(p_user_id UUID)
+RETURNS TABLE (
+  kind TEXT,
+  lng DOUBLE PRECISION,
+  lat DOUBLE PRECISION,
+  radius_meters INTEGER,
+  updated_at TIMESTAMPTZ
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT w.kind, ST_X(w.center), ST_Y(w.center), w.radius_meters, w.updated_at
+  FROM watch_areas w
+  WHERE w.user_id = p_user_id
+  ORDER BY w.kind;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 16. 找出關注區域與詢問範圍相交的推播對象
+-- 排除詢問者本人、已停權、關閉推播、沒有裝置、已推播過此詢問的使用者
+-- CURRENT 區域超過 p_current_max_age_hours 未更新視為失效
+CREATE OR REPLACE FUNCTION find_ask_push_targets(
+  p_ask_id UUID,
+  p_current_max_age_hours INTEGER DEFAULT 24,
+  p_limit INTEGER DEFAULT 500
+)
+RETURNS TABLE (
+  user_id UUID,
+  distance_meters DOUBLE PRECISION
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT t.watcher_id, t.distance
+  FROM (
+    SELECT DISTINCT ON (w.user_id)
+      w.user_id AS watcher_id,
+      ST_Distance(w.center::geography, a.center::geography) AS distance
+    FROM asks a
+    JOIN watch_areas w
+      ON ST_DWithin(w.center::geography, a.center::geography, w.radius_meters + a.radius_meters)
+    JOIN users u ON u.id = w.user_id
+    LEFT JOIN push_preferences p ON p.user_id = w.user_id
+    WHERE a.id = p_ask_id
+      AND w.user_id <> a.user_id
+      AND COALESCE(u.is_banned, FALSE) = FALSE
+      AND COALESCE(p.nearby_asks_enabled, TRUE) = TRUE
+      AND (w.kind <> 'CURRENT' OR w.updated_at >= NOW() - make_interval(hours => p_current_max_age_hours))
+      AND EXISTS (SELECT 1 FROM device_tokens d WHERE d.user_id = w.user_id)
+      AND NOT EXISTS (
+        SELECT 1 FROM push_deliveries pd WHERE pd.user_id = w.user_id AND pd.ask_id = a.id
+      )
+    ORDER BY w.user_id, ST_Distance(w.center::geography, a.center::geography)
+  ) t
+  ORDER BY t.distance
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 17. 追蹤動態：追蹤對象的紀錄與詢問依時間合併（含座標，支援 Keyset 分頁）
+CREATE OR REPLACE FUNCTION get_following_feed(
+  p_user_id UUID,
+  p_limit INTEGER DEFAULT 20,
+  p_cursor_created_at TIMESTAMPTZ DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  item_type TEXT,
+  id UUID,
+  user_id UUID,
+  description TEXT,
+  title TEXT,
+  question TEXT,
+  main_image_url TEXT,
+  media_count INTEGER,
+  lng DOUBLE PRECISION,
+  lat DOUBLE PRECISION,
+  radius_meters INTEGER,
+  status TEXT,
+  like_count INTEGER,
+  view_count INTEGER,
+  created_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT feed.*
+  FROM (
+    SELECT
+      'record'::TEXT,
+      r.id,
+      r.user_id,
+      r.description,
+      NULL::TEXT,
+      NULL::TEXT,
+      r.main_image_url,
+      r.media_count,
+      NULL::DOUBLE PRECISION,
+      NULL::DOUBLE PRECISION,
+      NULL::INTEGER,
+      NULL::TEXT,
+      r.like_count,
+      r.view_count,
+      r.created_at,
+      r.updated_at
+    FROM records r
+    JOIN follows f ON f.following_id = r.user_id AND f.follower_id = p_user_id
+    WHERE p_cursor_created_at IS NULL OR (r.created_at, r.id) < (p_cursor_created_at, p_cursor_id)
+
+    UNION ALL
+
+    SELECT
+      'ask'::TEXT,
+      a.id,
+      a.user_id,
+      NULL::TEXT,
+      a.title,
+      a.question,
+      a.main_image_url,
+      NULL::INTEGER,
+      ST_X(a.center),
+      ST_Y(a.center),
+      a.radius_meters,
+      a.status,
+      a.like_count,
+      a.view_count,
+      a.created_at,
+      a.updated_at
+    FROM asks a
+    JOIN follows f ON f.following_id = a.user_id AND f.follower_id = p_user_id
+    WHERE p_cursor_created_at IS NULL OR (a.created_at, a.id) < (p_cursor_created_at, p_cursor_id)
+  ) AS feed (
+    item_type, id, user_id, description, title, question, main_image_url, media_count,
+    lng, lat, radius_meters, status, like_count, view_count, created_at, updated_at
+  )
+  ORDER BY feed.created_at DESC, feed.id DESC
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 18. 全文搜尋：紀錄、詢問、回覆、使用者依相關度與新舊排序（Offset 分頁）
+-- 相關度 = 子字串命中 1 分 + word_similarity（0 ~ 1），新舊分數 = 0.5 / (1 + 經過天數 / 30)
+-- 紀錄與詢問也比對圖片（與詢問中心點）的 address；回覆的位置與行政區取所屬標點；使用者沒有位置，指定範圍或行政區時不列入
+-- p_as_of 固定新舊分數的基準時間，翻頁時排序才不會變動
+CREATE OR REPLACE FUNCTION search_relevance(p_query TEXT, p_pattern TEXT, p_text TEXT)
+RETURNS DOUBLE PRECISION AS $$
+  SELECT CASE
+    WHEN p_text IS NULL THEN 0
+    ELSE (CASE WHEN p_text ILIKE p_pattern THEN 1 ELSE 0 END) + word_similarity(p_query, p_text)
+  END::DOUBLE PRECISION;
+$$ LANGUAGE sql IMMUTABLE;
+
+DROP FUNCTION IF EXISTS search_content(
+  TEXT, TEXT[], DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION,
+  UUID, TIMESTAMPTZ, INTEGER, INTEGER
+);
+
+CREATE OR REPLACE FUNCTION search_content(
+  p_query TEXT,
+  p_types TEXT[] DEFAULT NULL,
+  p_min_lng DOUBLE PRECISION DEFAULT NULL,
+  p_min_lat DOUBLE PRECISION DEFAULT NULL,
+  p_max_lng DOUBLE PRECISION DEFAULT NULL,
+  p_max_lat DOUBLE PRECISION DEFAULT NULL,
+  p_viewer_id UUID DEFAULT NULL,
+  p_as_of TIMESTAMPTZ DEFAULT NOW(),
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0,
+  p_city TEXT DEFAULT NULL,
+  p_district TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  item_type TEXT,
+  item_id UUID,
+  score DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  lat DOUBLE PRECISION,
+  created_at TIMESTAMPTZ
+) AS $$
+DECLARE
+  -- 跳脫 LIKE 萬用字元，查詢字串只做子字串比對
+  v_pattern TEXT := '%' || replace(replace(replace(p_query, '\', '\\'), '%', '\%'), '_', '\_') || '%';
+  v_envelope GEOMETRY := CASE
+    WHEN p_min_lng IS NULL THEN NULL
+    ELSE ST_MakeEnvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)
+  END;
+  v_area BOOLEAN := p_city IS NOT NULL OR p_district IS NOT NULL;
+BEGIN
+  RETURN QUERY
+  WITH hidden AS (
+    SELECT ub.blocked_id FROM user_blocks ub WHERE ub.blocker_id = p_viewer_id
+  ),
+  record_hits AS (
+    SELECT r.id FROM records r
+    WHERE (p_types IS NULL OR 'record' = ANY(p_types))
+      AND (r.description ILIKE v_pattern OR p_query <% r.description)
+    UNION
+    SELECT im.record_id FROM image_media im
+    WHERE (p_types IS NULL OR 'record' = ANY(p_types))
+      AND im.record_id IS NOT NULL
+      AND (im.address ILIKE v_pattern OR p_query <% im.address)
+  ),
+  ask_hits AS (
+    SELECT a.id FROM asks a
+    WHERE (p_types IS NULL OR 'ask' = ANY(p_types))
+      AND (
+        a.title ILIKE v_pattern OR p_query <% a.title
+        OR a.question ILIKE v_pattern OR p_query <% a.question
+        OR a.address ILIKE v_pattern OR p_query <% a.address
+      )
+    UNION
+    SELECT im.ask_id FROM image_media im
+    WHERE (p_types IS NULL OR 'ask' = ANY(p_types))
+      AND im.ask_id IS NOT NULL
+      AND (im.address ILIKE v_pattern OR p_query <% im.address)
+  ),
+  hits (h_type, h_id, h_relevance, h_lng, h_lat, h_created_at) AS (
+    SELECT
+      'record'::TEXT,
+      r.id,
+      GREATEST(search_relevance(p_query, v_pattern, r.description), COALESCE(addr.relevance, 0)),
+      loc.lng,
+      loc.lat,
+      r.created_at
+    FROM record_hits rh
+    JOIN records r ON r.id = rh.id
+    LEFT JOIN LATERAL (
+      SELECT MAX(search_relevance(p_query, v_pattern, im.address)) AS relevance
+      FROM image_media im
+      WHERE im.record_id = r.id AND im.address IS NOT NULL
+    ) addr ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT ST_X(im.location) AS lng, ST_Y(im.location) AS lat
+      FROM image_media im
+      WHERE im.record_id = r.id AND im.location IS NOT NULL
+      ORDER BY im.display_order
+      LIMIT 1
+    ) loc ON TRUE
+    WHERE r.user_id NOT IN (SELECT blocked_id FROM hidden)
+      AND (v_envelope IS NULL OR EXISTS (
+        SELECT 1 FROM image_media im
+        WHERE im.record_id = r.id AND im.location && v_envelope
+      ))
+      AND (NOT v_area OR EXISTS (
+        SELECT 1 FROM image_media im
+        WHERE im.record_id = r.id
+          AND (p_city IS NULL OR im.city = p_city)
+          AND (p_district IS NULL OR im.district = p_district)
+      ))
+
+    UNION ALL
+
+    SELECT
+      'ask'::TEXT,
+      a.id,
+      GREATEST(
+        search_relevance(p_query, v_pattern, a.title),
+        search_relevance(p_query, v_pattern, a.question),
+        search_relevance(p_query, v_pattern, a.address),
+        COALESCE(addr.relevance, 0)
+      ),
+      ST_X(a.center),
+      ST_Y(a.center),
+      a.created_at
+    FROM ask_hits ah
+    JOIN asks a ON a.id = ah.id
+    LEFT JOIN LATERAL (
+      SELECT MAX(search_relevance(p_query, v_pattern, im.address)) AS relevance
+      FROM image_media im
+      WHERE im.ask_id = a.id AND im.address IS NOT NULL
+    ) addr ON TRUE
+    WHERE a.user_id NOT IN (SELECT blocked_id FROM hidden)
+      AND (v_envelope IS NULL OR a.center && v_envelope)
+      AND (p_city IS NULL OR a.city = p_city)
+      AND (p_district IS NULL OR a.district = p_district)
+
+    UNION ALL
+
+    SELECT
+      'reply'::TEXT,
+      rp.id,
+      search_relevance(p_query, v_pattern, rp.content),
+      COALESCE(ST_X(a.center), loc.lng),
+      COALESCE(ST_Y(a.center), loc.lat),
+      rp.created_at
+    FROM replies rp
+    LEFT JOIN asks a ON a.id = rp.ask_id
+    LEFT JOIN LATERAL (
+      SELECT ST_X(im.location) AS lng, ST_Y(im.location) AS lat
+      FROM image_media im
+      WHERE im.record_id = rp.record_id AND im.location IS NOT NULL
+      ORDER BY im.display_order
+      LIMIT 1
+    ) loc ON TRUE
+    WHERE (p_types IS NULL OR 'reply' = ANY(p_types))
+      AND (rp.content ILIKE v_pattern OR p_query <% rp.content)
+      AND rp.user_id NOT IN (SELECT blocked_id FROM hidden)
+      AND (
+        v_envelope IS NULL
+        OR a.center && v_envelope
+        OR EXISTS (
+          SELECT 1 FROM image_media im
+          WHERE im.record_id = rp.record_id AND im.location && v_envelope
+        )
+      )
+      AND (
+        NOT v_area
+        OR (
+          rp.ask_id IS NOT NULL
+          AND (p_city IS NULL OR a.city = p_city)
+          AND (p_district IS NULL OR a.district = p_district)
+        )
+        OR EXISTS (
+          SELECT 1 FROM image_media im
+          WHERE im.record_id = rp.record_id
+            AND (p_city IS NULL OR im.city = p_city)
+            AND (p_district IS NULL OR im.district = p_district)
+        )
+      )
+
+    UNION ALL
+
+    SELECT
+      'user'::TEXT,
+      u.id,
+      GREATEST(
+        search_relevance(p_query, v_pattern, u.display_name),
+        search_relevance(p_query, v_pattern, u.bio)
+      ),
+      NULL::DOUBLE PRECISION,
+      NULL::DOUBLE PRECISION,
+      u.created_at
+    FROM users u
+    WHERE (p_types IS NULL OR 'user' = ANY(p_types))
+      AND v_envelope IS NULL
+      AND NOT v_area
+      AND (
+        u.display_name ILIKE v_pattern OR p_query <% u.display_name
+        OR u.bio ILIKE v_pattern OR p_query <% u.bio
+      )
+      AND COALESCE(u.is_banned, FALSE) = FALSE
+      AND u.id NOT IN (SELECT blocked_id FROM hidden)
+  )
+  SELECT
+    h.h_type,
+    h.h_id,
+    (h.h_relevance + 0.5 / (1 + GREATEST(EXTRACT(EPOCH FROM p_as_of - h.h_created_at), 0) / 2592000.0))::DOUBLE PRECISION AS h_score,
+    h.h_lng,
+    h.h_lat,
+    h.h_created_at
+  FROM hits h
+  ORDER BY h_score DESC, h.h_created_at DESC, h.h_id DESC
+  LIMIT p_limit
+  OFFSET p_offset;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 19. 同步紀錄 / 詢問的標籤（單一交易：新增不存在的標籤、移除不再出現的關聯）
+CREATE OR REPLACE FUNCTION set_content_tags(
+  p_record_id UUID,
+  p_ask_id UUID,
+  p_tags TEXT[]
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO tags (name)
+  SELECT DISTINCT unnest(p_tags)
+  ON CONFLICT (name) DO NOTHING;
+
+  DELETE FROM content_tags ct
+  WHERE (
+      (p_record_id IS NOT NULL AND ct.record_id = p_record_id)
+      OR (p_ask_id IS NOT NULL AND ct.ask_id = p_ask_id)
+    )
+    AND ct.tag_id NOT IN (SELECT t.id FROM tags t WHERE t.name = ANY(p_tags));
+
+  IF p_record_id IS NOT NULL THEN
+    INSERT INTO content_tags (tag_id, record_id)
+    SELECT t.id, p_record_id FROM tags t WHERE t.name = ANY(p_tags)
+    ON CONFLICT (tag_id, record_id) WHERE record_id IS NOT NULL DO NOTHING;
+  ELSE
+    INSERT INTO content_tags (tag_id, ask_id)
+    SELECT t.id, p_ask_id FROM tags t WHERE t.name = ANY(p_tags)
+    ON CONFLICT (tag_id, ask_id) WHERE ask_id IS NOT NULL DO NOTHING;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 20. 取得含指定標籤的紀錄與詢問（可選範圍，含座標，支援 Keyset 分頁）
+CREATE OR REPLACE FUNCTION get_tagged_content(
+  p_tag TEXT,
+  p_min_lng DOUBLE PRECISION DEFAULT NULL,
+  p_min_lat DOUBLE PRECISION DEFAULT NULL,
+  p_max_lng DOUBLE PRECISION DEFAULT NULL,
+  p_max_lat DOUBLE PRECISION DEFAULT NULL,
+  p_viewer_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_cursor_created_at TIMESTAMPTZ DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  item_type TEXT,
+  id UUID,
+  user_id UUID,
+  description TEXT,
+  title TEXT,
+  question TEXT,
+  main_image_url TEXT,
+  lng DOUBLE PRECISION,
+  lat DOUBLE PRECISION,
+  radius_meters INTEGER,
+  status TEXT,
+  like_count INTEGER,
+  created_at TIMESTAMPTZ
+) AS $$
+DECLARE
+  v_envelope GEOMETRY := CASE
+    WHEN p_min_lng IS NULL THEN NULL
+    ELSE ST_MakeEnvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)
+  END;
+BEGIN
+  RETURN QUERY
+  SELECT tagged.*
+  FROM (
+    SELECT
+      'record'::TEXT,
+      r.id,
+      r.user_id,
+      r.description,
+      NULL::TEXT,
+      NULL::TEXT,
+      r.main_image_url,
+      loc.lng,
+      loc.lat,
+      NULL::INTEGER,
+      NULL::TEXT,
+      r.like_count,
+      r.created_at
+    FROM tags t
+    JOIN content_tags ct ON ct.tag_id = t.id
+    JOIN records r ON r.id = ct.record_id
+    LEFT JOIN LATERAL (
+      SELECT ST_X(im.location) AS lng, ST_Y(im.location) AS lat
+      FROM image_media im
+      WHERE im.record_id = r.id AND im.location IS NOT NULL
+      ORDER BY im.display_order
+      LIMIT 1
+    ) loc ON TRUE
+    WHERE t.name = p_tag
+      AND (p_cursor_created_at IS NULL OR (r.created_at, r.id) < (p_cursor_created_at, p_cursor_id))
+      AND (v_envelope IS NULL OR EXISTS (
+        SELECT 1 FROM image_media im
+        WHERE im.record_id = r.id AND im.location && v_envelope
+      ))
+      AND NOT EXISTS (
+        SELECT 1 FROM user_blocks ub
+        WHERE ub.blocker_id = p_viewer_id AND ub.blocked_id = r.user_id
+      )
+
+    UNION ALL
+
+    SELECT
+      'ask'::TEXT,
+      a.id,
+      a.user_id,
+      NULL::TEXT,
+      a.title,
+      a.question,
+      a.main_image_url,
+      ST_X(a.center),
+      ST_Y(a.center),
+      a.radius_meters,
+      a.status,
+      a.like_count,
+      a.created_at
+    FROM tags t
+    JOIN content_tags ct ON ct.tag_id = t.id
+    JOIN asks a ON a.id = ct.ask_id
+    WHERE t.name = p_tag
+      AND (p_cursor_created_at IS NULL OR (a.created_at, a.id) < (p_cursor_created_at, p_cursor_id))
+      AND (v_envelope IS NULL OR a.center && v_envelope)
+      AND NOT EXISTS (
+        SELECT 1 FROM user_blocks ub
+        WHERE ub.blocker_id = p_viewer_id AND ub.blocked_id = a.user_id
+      )
+  ) AS tagged (
+    item_type, id, user_id, description, title, question, main_image_url,
+    lng, lat, radius_meters, status, like_count, created_at
+  )
+  ORDER BY tagged.created_at DESC, tagged.id DESC
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 21. 熱門標籤：時間窗內（可選範圍）使用的標籤，依使用人數、使用次數排序
+-- 以不重複作者數為主，避免單一使用者大量發文洗榜
+CREATE OR REPLACE FUNCTION get_trending_tags(
+  p_since TIMESTAMPTZ,
+  p_min_lng DOUBLE PRECISION DEFAULT NULL,
+  p_min_lat DOUBLE PRECISION DEFAULT NULL,
+  p_max_lng DOUBLE PRECISION DEFAULT NULL,
+  p_max_lat DOUBLE PRECISION DEFAULT NULL,
+  p_limit INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  tag TEXT,
+  use_count BIGINT,
+  user_count BIGINT,
+  last_used_at TIMESTAMPTZ
+) AS $$
+DECLARE
+  v_envelope GEOMETRY := CASE
+    WHEN p_min_lng IS NULL THEN NULL
+    ELSE ST_MakeEnvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)
+  END;
+BEGIN
+  RETURN QUERY
+  SELECT
+    t.name,
+    COUNT(*) AS uses,
+    COUNT(DISTINCT COALESCE(r.user_id, a.user_id)) AS users,
+    MAX(ct.created_at)
+  FROM content_tags ct
+  JOIN tags t ON t.id = ct.tag_id
+  LEFT JOIN records r ON r.id = ct.record_id
+  LEFT JOIN asks a ON a.id = ct.ask_id
+  WHERE ct.created_at >= p_since
+    AND (
+      v_envelope IS NULL
+      OR a.center && v_envelope
+      OR EXISTS (
+        SELECT 1 FROM image_media im
+        WHERE im.record_id = ct.record_id AND im.location && v_envelope
+      )
+    )
+  GROUP BY t.name
+  ORDER BY users DESC, uses DESC, MAX(ct.created_at) DESC
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 22. 取得尚未反查地址的紀錄圖片與詢問（補齊既有資料用，舊的優先）
+CREATE OR REPLACE FUNCTION get_pending_geocoding(p_limit INTEGER DEFAULT 100)
+RETURNS TABLE (
+  item_type TEXT,
+  item_id UUID,
+  lng DOUBLE PRECISION,
+  lat DOUBLE PRECISION
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT pending.p_type, pending.p_id, pending.p_lng, pending.p_lat
+  FROM (
+    SELECT
+      'image'::TEXT AS p_type,
+      im.id AS p_id,
+      ST_X(im.location) AS p_lng,
+      ST_Y(im.location) AS p_lat,
+      im.uploaded_at AS p_created_at
+    FROM image_media im
+    WHERE im.geocoded_at IS NULL
+      AND im.record_id IS NOT NULL
+      AND im.status = 'COMPLETED'
+
+    UNION ALL
+
+    SELECT
+      'ask'::TEXT,
+      a.id,
+      ST_X(a.center),
+      ST_Y(a.center),
+      a.created_at
+    FROM asks a
+    WHERE a.geocoded_at IS NULL
+  ) pending
+  ORDER BY pending.p_created_at
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 23. 活動熱度：範圍與時間窗內，依 Geohash 格子統計紀錄圖片、詢問、回覆數量與按讚 / 瀏覽總和
+-- 紀錄的按讚 / 瀏覽計入第一張圖片所在格子；回覆計入所屬詢問中心點或紀錄第一張圖片所在格子
+CREATE OR REPLACE FUNCTION get_activity_heatmap(
+  p_min_lng DOUBLE PRECISION,
+  p_min_lat DOUBLE PRECISION,
+  p_max_lng DOUBLE PRECISION,
+  p_max_lat DOUBLE PRECISION,
+  p_precision INTEGER,
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ
+)
+RETURNS TABLE (
+  cell TEXT,
+  record_images BIGINT,
+  asks BIGINT,
+  replies BIGINT,
+  likes BIGINT,
+  views BIGINT
+) AS $$
+DECLARE
+  v_envelope GEOMETRY := ST_MakeEnvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326);
+BEGIN
+  RETURN QUERY
+  WITH record_points AS (
+    SELECT DISTINCT ON (im.record_id) im.record_id, im.location
+    FROM image_media im
+    WHERE im.status = 'COMPLETED'
+      AND im.record_id IS NOT NULL
+      AND im.location && v_envelope
+    ORDER BY im.record_id, im.display_order, im.uploaded_at
+  ),
+  activity AS (
+    SELECT ST_GeoHash(im.location, p_precision) AS a_cell, 1 AS a_images, 0 AS a_asks, 0 AS a_replies, 0 AS a_likes, 0 AS a_views
+    FROM image_media im
+    WHERE im.status = 'COMPLETED'
+      AND im.record_id IS NOT NULL
+      AND im.location && v_envelope
+      AND im.uploaded_at >= p_from
+      AND im.uploaded_at < p_to
+
+    UNION ALL
+
+    SELECT ST_GeoHash(rp.location, p_precision), 0, 0, 0, COALESCE(r.like_count, 0), COALESCE(r.view_count, 0)
+    FROM record_points rp
+    JOIN records r ON r.id = rp.record_id
+    WHERE r.created_at >= p_from
+      AND r.created_at < p_to
+
+    UNION ALL
+
+    SELECT ST_GeoHash(a.center, p_precision), 0, 1, 0, COALESCE(a.like_count, 0), COALESCE(a.view_count, 0)
+    FROM asks a
+    WHERE a.center && v_envelope
+      AND a.created_at >= p_from
+      AND a.created_at < p_to
+
+    UNION ALL
+
+    SELECT ST_GeoHash(COALESCE(a.center, rp.location), p_precision), 0, 0, 1, COALESCE(rep.like_count, 0), 0
+    FROM replies rep
+    LEFT JOIN asks a ON a.id = rep.ask_id AND a.center && v_envelope
+    LEFT JOIN record_points rp ON rp.record_id = rep.record_id
+    WHERE rep.created_at >= p_from
+      AND rep.created_at < p_to
+      AND COALESCE(a.center, rp.location) IS NOT NULL
+  )
+  SELECT
+    activity.a_cell,
+    SUM(activity.a_images)::BIGINT,
+    SUM(activity.a_asks)::BIGINT,
+    SUM(activity.a_replies)::BIGINT,
+    SUM(activity.a_likes)::BIGINT,
+    SUM(activity.a_views)::BIGINT
+  FROM activity
+  GROUP BY activity.a_cell;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -3,8 +3,9 @@
 -- 根據系統框架規格書設計
 -- ============================================
 
--- 1. 啟用 PostGIS 擴展
+-- 1. 啟用 PostGIS 與 pg_trgm（全文搜尋）擴展
 CREATE EXTENSION IF NOT EXISTS postgis;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
 
 -- ============================================
 -- 2. 使用者記錄 (User Model)
@@ -44,9 +45,19 @@ CREATE TABLE public.asks (
   title TEXT,
   question TEXT NOT NULL,
   main_image_url TEXT,
-  status TEXT DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'RESOLVED')),
+  status TEXT DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'RESOLVED', 'EXPIRED')),
   like_count INTEGER DEFAULT 0,
   view_count INTEGER DEFAULT 0,
+  expires_at TIMESTAMPTZ DEFAULT (NOW() + INTERVAL '48 hours') NOT NULL,
+  extended_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  expired_at TIMESTAMPTZ,
+  accepted_reply_id UUID,
+  accepted_at TIMESTAMPTZ,
+  address TEXT,
+  city TEXT,
+  district TEXT,
+  geocoded_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
   updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
 );
@@ -59,6 +70,7 @@ CREATE TABLE public.replies (
   record_id UUID REFERENCES public.records(id) ON DELETE CASCADE,
   ask_id UUID REFERENCES public.asks(id) ON DELETE CASCADE,
   user_id UUID REFERENCES public.users(id) NOT NULL,
+  parent_reply_id UUID REFERENCES public.replies(id) ON DELETE CASCADE,
   content TEXT NOT NULL,
   is_onsite BOOLEAN DEFAULT FALSE,
   like_count INTEGER DEFAULT 0,
@@ -69,6 +81,20 @@ CREATE TABLE public.replies (
   )
 );
 
+-- 回覆中的 @提及
+CREATE TABLE public.reply_mentions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  reply_id UUID REFERENCES public.replies(id) ON DELETE CASCADE NOT NULL,
+  mentioned_user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT reply_mentions_unique UNIQUE (reply_id, mentioned_user_id)
+);
+
+-- 詢問的採納回答（replies 建立後才能加上外鍵）
+ALTER TABLE public.asks
+  ADD CONSTRAINT asks_accepted_reply_id_fkey
+  FOREIGN KEY (accepted_reply_id) REFERENCES public.replies(id) ON DELETE SET NULL;
+
 -- ============================================
 -- 6. 圖片媒體記錄 (Image Media Model)
 -- ============================================
@@ -87,6 +113,28 @@ CREATE TABLE public.image_media (
   uploaded_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
   display_order INTEGER DEFAULT 0,
   address TEXT,
+  city TEXT,
+  district TEXT,
+  geocoded_at TIMESTAMPTZ,
+  distance_to_ask_meters DOUBLE PRECISION,
+  is_stale_capture BOOLEAN DEFAULT FALSE,
+  content_type TEXT,
+  width INTEGER,
+  height INTEGER,
+  byte_size INTEGER,
+  medium_public_url TEXT,
+  webp_public_url TEXT,
+  processed_at TIMESTAMPTZ,
+  exif_lat DOUBLE PRECISION,
+  exif_lng DOUBLE PRECISION,
+  exif_captured_at TIMESTAMPTZ,
+  exif_orientation SMALLINT,
+  camera_model TEXT,
+  location_source TEXT CHECK (location_source IN ('exif', 'client', 'manual')),
+  location_unverified BOOLEAN DEFAULT FALSE,
+  location_mismatch BOOLEAN DEFAULT FALSE,
+  location_mismatch_meters DOUBLE PRECISION,
+  captured_at_mismatch BOOLEAN DEFAULT FALSE,
   CONSTRAINT image_parent_check CHECK (
     (record_id IS NOT NULL AND ask_id IS NULL AND reply_id IS NULL) OR
     (record_id IS NULL AND ask_id IS NOT NULL AND reply_id IS NULL) OR
@@ -125,10 +173,13 @@ CREATE TABLE public.cleanup_logs (
   deleted_image_id UUID NOT NULL,
   deleted_user_id UUID,
   client_key TEXT,
+  object_keys TEXT[],
   reason TEXT,
   deleted_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
 );
 
+CREATE INDEX idx_cleanup_logs_reason ON public.cleanup_logs (reason, deleted_at);
+
 -- ============================================
 -- 9. 檢舉記錄 (Report Model)
 -- ============================================
@@ -170,6 +221,166 @@ CREATE INDEX idx_reports_created_at ON public.reports (created_at);
 CREATE INDEX idx_reports_reporter_id ON public.reports (reporter_id);
 ALTER TABLE public.reports ENABLE ROW LEVEL SECURITY;
 
+-- ============================================
+-- 9a. 追蹤與封鎖 (Follow / Block Model)
+-- ============================================
+CREATE TABLE public.follows (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  follower_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  following_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT follows_unique UNIQUE (follower_id, following_id),
+  CONSTRAINT follows_no_self CHECK (follower_id <> following_id)
+);
+
+CREATE INDEX idx_follows_follower_created_id ON public.follows (follower_id, created_at DESC, id DESC);
+CREATE INDEX idx_follows_following_created_id ON public.follows (following_id, created_at DESC, id DESC);
+ALTER TABLE public.follows ENABLE ROW LEVEL SECURITY;
+
+-- 封鎖與靜音（BLOCK 另禁止對方互動，MUTE 只隱藏內容）
+CREATE TABLE public.user_blocks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  blocker_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  blocked_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT DEFAULT 'BLOCK' NOT NULL CHECK (type IN ('BLOCK', 'MUTE')),
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT user_blocks_unique UNIQUE (blocker_id, blocked_id),
+  CONSTRAINT user_blocks_no_self CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX idx_user_blocks_blocker_created_id ON public.user_blocks (blocker_id, created_at DESC, id DESC);
+ALTER TABLE public.user_blocks ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 9b. 站內通知 (Notification Model)
+-- ============================================
+CREATE TABLE public.notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL CHECK (
+    type IN (
+      'LIKE', 'REPLY', 'ONSITE_REPLY', 'MENTION',
+      'ANSWER_ACCEPTED', 'ASK_RESOLVED', 'ASK_EXPIRED',
+      'CONTENT_REMOVED', 'ACCOUNT_BANNED', 'REPORT_REVIEWED'
+    )
+  ),
+  group_key TEXT NOT NULL,
+  record_id UUID REFERENCES public.records(id) ON DELETE CASCADE,
+  ask_id UUID REFERENCES public.asks(id) ON DELETE CASCADE,
+  reply_id UUID REFERENCES public.replies(id) ON DELETE CASCADE,
+  actor_ids UUID[] DEFAULT '{}' NOT NULL,
+  actor_count INTEGER DEFAULT 0 NOT NULL,
+  data JSONB DEFAULT '{}'::JSONB NOT NULL,
+  is_read BOOLEAN DEFAULT FALSE NOT NULL,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- 同一群組只保留一則未讀通知
+CREATE UNIQUE INDEX idx_notifications_unread_group ON public.notifications (user_id, group_key) WHERE is_read = FALSE;
+CREATE INDEX idx_notifications_user_created_id ON public.notifications (user_id, created_at DESC, id DESC);
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 9c. 附近新詢問推播 (Push Targeting)
+-- ============================================
+CREATE TABLE public.device_tokens (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  token TEXT NOT NULL UNIQUE,
+  platform TEXT DEFAULT 'ios' NOT NULL CHECK (platform IN ('ios')),
+  environment TEXT DEFAULT 'production' NOT NULL CHECK (environment IN ('sandbox', 'production')),
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  last_seen_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- 關注區域：住家 / 公司 / 目前位置各一筆
+CREATE TABLE public.watch_areas (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('HOME', 'WORK', 'CURRENT')),
+  center GEOMETRY(Point, 4326) NOT NULL,
+  radius_meters INTEGER NOT NULL CHECK (radius_meters BETWEEN 100 AND 20000),
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT watch_areas_user_kind_unique UNIQUE (user_id, kind)
+);
+
+-- 推播偏好（勿擾時段為使用者時區的當地時間，可跨午夜）
+CREATE TABLE public.push_preferences (
+  user_id UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  nearby_asks_enabled BOOLEAN DEFAULT TRUE NOT NULL,
+  quiet_start TIME,
+  quiet_end TIME,
+  timezone TEXT DEFAULT 'Asia/Taipei' NOT NULL,
+  max_per_hour INTEGER DEFAULT 3 NOT NULL CHECK (max_per_hour BETWEEN 1 AND 20),
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- 推播發送紀錄（同一詢問只推播一次，並用於計算頻率上限）
+CREATE TABLE public.push_deliveries (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  ask_id UUID REFERENCES public.asks(id) ON DELETE CASCADE NOT NULL,
+  status TEXT DEFAULT 'PENDING' NOT NULL CHECK (
+    status IN ('PENDING', 'SENT', 'QUIET_HOURS', 'RATE_LIMITED', 'NO_DEVICE', 'FAILED')
+  ),
+  device_count INTEGER DEFAULT 0 NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT push_deliveries_user_ask_unique UNIQUE (user_id, ask_id)
+);
+
+CREATE INDEX idx_device_tokens_user_id ON public.device_tokens (user_id);
+CREATE INDEX idx_watch_areas_center ON public.watch_areas USING GIST (center);
+CREATE INDEX idx_push_deliveries_user_sent ON public.push_deliveries (user_id, created_at) WHERE status = 'SENT';
+ALTER TABLE public.device_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.watch_areas ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.push_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.push_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 9d. #標籤 (Tag Model)
+-- ============================================
+CREATE TABLE public.tags (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE CHECK (char_length(name) BETWEEN 1 AND 30),
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE TABLE public.content_tags (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  tag_id UUID REFERENCES public.tags(id) ON DELETE CASCADE NOT NULL,
+  record_id UUID REFERENCES public.records(id) ON DELETE CASCADE,
+  ask_id UUID REFERENCES public.asks(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  CONSTRAINT content_tags_target_check CHECK (
+    (record_id IS NOT NULL AND ask_id IS NULL) OR
+    (record_id IS NULL AND ask_id IS NOT NULL)
+  )
+);
+
+CREATE UNIQUE INDEX idx_content_tags_tag_record ON public.content_tags (tag_id, record_id) WHERE record_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_content_tags_tag_ask ON public.content_tags (tag_id, ask_id) WHERE ask_id IS NOT NULL;
+CREATE INDEX idx_content_tags_record_id ON public.content_tags (record_id) WHERE record_id IS NOT NULL;
+CREATE INDEX idx_content_tags_ask_id ON public.content_tags (ask_id) WHERE ask_id IS NOT NULL;
+CREATE INDEX idx_content_tags_created_at ON public.content_tags (created_at);
+ALTER TABLE public.tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.content_tags ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 9e. 反查地址快取 (Geocode Cache)
+-- ============================================
+-- key 為四捨五入後的「緯度,經度」；查無結果時 address / city / district 皆為 NULL
+CREATE TABLE public.geocode_cache (
+  cache_key TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  address TEXT,
+  city TEXT,
+  district TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+ALTER TABLE public.geocode_cache ENABLE ROW LEVEL SECURITY;
+
 -- ============================================
 -- 10. 空間索引
 -- ============================================
@@ -182,9 +393,42 @@ CREATE INDEX idx_image_media_ask_id ON public.image_media (ask_id);
 CREATE INDEX idx_image_media_reply_id ON public.image_media (reply_id);
 CREATE INDEX idx_image_media_status ON public.image_media (status);
 CREATE INDEX idx_image_media_uploaded_at ON public.image_media (uploaded_at);
+CREATE INDEX idx_image_media_location_mismatch ON public.image_media (uploaded_at) WHERE location_mismatch = TRUE;
 CREATE INDEX idx_replies_record_id ON public.replies (record_id);
 CREATE INDEX idx_replies_ask_id ON public.replies (ask_id);
 CREATE INDEX idx_asks_created_at ON public.asks (created_at);
+CREATE INDEX idx_replies_created_at ON public.replies (created_at);
+CREATE INDEX idx_asks_active_expires_at ON public.asks (expires_at) WHERE status = 'ACTIVE';
+CREATE INDEX idx_asks_accepted_reply_id ON public.asks (accepted_reply_id) WHERE accepted_reply_id IS NOT NULL;
+
+-- Keyset 分頁索引 (created_at, id)
+CREATE INDEX idx_records_user_created_id ON public.records (user_id, created_at DESC, id DESC);
+CREATE INDEX idx_asks_user_created_id ON public.asks (user_id, created_at DESC, id DESC);
+CREATE INDEX idx_replies_record_created_id ON public.replies (record_id, created_at, id);
+CREATE INDEX idx_replies_ask_created_id ON public.replies (ask_id, created_at, id);
+CREATE INDEX idx_reports_status_created_id ON public.reports (status, created_at DESC, id DESC);
+CREATE INDEX idx_replies_parent_reply_id ON public.replies (parent_reply_id, created_at, id) WHERE parent_reply_id IS NOT NULL;
+CREATE INDEX idx_reply_mentions_user_created_id ON public.reply_mentions (mentioned_user_id, created_at DESC, id DESC);
+CREATE INDEX idx_likes_record_created_id ON public.likes (record_id, created_at DESC, id DESC) WHERE record_id IS NOT NULL;
+CREATE INDEX idx_likes_ask_created_id ON public.likes (ask_id, created_at DESC, id DESC) WHERE ask_id IS NOT NULL;
+CREATE INDEX idx_likes_reply_created_id ON public.likes (reply_id, created_at DESC, id DESC) WHERE reply_id IS NOT NULL;
+CREATE INDEX idx_likes_user_created_id ON public.likes (user_id, created_at DESC, id DESC);
+
+-- 全文搜尋三字元索引（支援 ILIKE 子字串與相似度比對）
+CREATE INDEX idx_records_description_trgm ON public.records USING GIN (description gin_trgm_ops);
+CREATE INDEX idx_asks_title_trgm ON public.asks USING GIN (title gin_trgm_ops);
+CREATE INDEX idx_asks_question_trgm ON public.asks USING GIN (question gin_trgm_ops);
+CREATE INDEX idx_replies_content_trgm ON public.replies USING GIN (content gin_trgm_ops);
+CREATE INDEX idx_users_display_name_trgm ON public.users USING GIN (display_name gin_trgm_ops);
+CREATE INDEX idx_users_bio_trgm ON public.users USING GIN (bio gin_trgm_ops);
+CREATE INDEX idx_image_media_address_trgm ON public.image_media USING GIN (address gin_trgm_ops);
+CREATE INDEX idx_asks_address_trgm ON public.asks USING GIN (address gin_trgm_ops);
+
+-- 依縣市 / 鄉鎮市區篩選與補齊尚未反查的資料
+CREATE INDEX idx_image_media_city_district ON public.image_media (city, district) WHERE record_id IS NOT NULL;
+CREATE INDEX idx_asks_city_district ON public.asks (city, district);
+CREATE INDEX idx_image_media_pending_geocoding ON public.image_media (uploaded_at) WHERE geocoded_at IS NULL AND record_id IS NOT NULL;
+CREATE INDEX idx_asks_pending_geocoding ON public.asks (created_at) WHERE geocoded_at IS NULL;
 
 -- ============================================
 -- 10. 啟用 Row Level Security (RLS)
@@ -193,6 +437,7 @@ ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.records ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.asks ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.replies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reply_mentions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.image_media ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.likes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.cleanup_logs ENABLE ROW LEVEL SECURITY;
@@ -223,6 +468,12 @@ CREATE POLICY "Users can insert their own replies" ON public.replies FOR INSERT
 CREATE POLICY "Users can update their own replies" ON public.replies FOR UPDATE USING (auth.uid() = user_id);
 CREATE POLICY "Users can delete their own replies" ON public.replies FOR DELETE USING (auth.uid() = user_id);
 
+-- Reply Mentions
+CREATE POLICY "Reply mentions are viewable by everyone" ON public.reply_mentions FOR SELECT USING (true);
+CREATE POLICY "Reply authors can insert mentions" ON public.reply_mentions FOR INSERT WITH CHECK (
+  EXISTS (SELECT 1 FROM public.replies r WHERE r.id = reply_id AND r.user_id = auth.uid())
+);
+
 -- Image Media
 CREATE POLICY "Images are viewable by everyone" ON public.image_media FOR SELECT USING (true);
 CREATE POLICY "Users can insert their own images" ON public.image_media FOR INSERT WITH CHECK (auth.uid() = user_id);
@@ -234,6 +485,34 @@ CREATE POLICY "Likes are viewable by everyone" ON public.likes FOR SELECT USING
 CREATE POLICY "Users can insert their own likes" ON public.likes FOR INSERT WITH CHECK (auth.uid() = user_id);
 CREATE POLICY "Users can delete their own likes" ON public.likes FOR DELETE USING (auth.uid() = user_id);
 
+-- Follows
+CREATE POLICY "Follows are viewable by everyone" ON public.follows FOR SELECT USING (true);
+CREATE POLICY "Users can follow others" ON public.follows FOR INSERT WITH CHECK (auth.uid() = follower_id);
+CREATE POLICY "Users can unfollow" ON public.follows FOR DELETE USING (auth.uid() = follower_id);
+
+-- User Blocks
+CREATE POLICY "Users can view their own blocks" ON public.user_blocks FOR SELECT USING (auth.uid() = blocker_id);
+CREATE POLICY "Users can insert their own blocks" ON public.user_blocks FOR INSERT WITH CHECK (auth.uid() = blocker_id);
+CREATE POLICY "Users can update their own blocks" ON public.user_blocks FOR UPDATE USING (auth.uid() = blocker_id);
+CREATE POLICY "Users can delete their own blocks" ON public.user_blocks FOR DELETE USING (auth.uid() = blocker_id);
+
+-- Notifications
+CREATE POLICY "Users can view their own notifications" ON public.notifications FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can update their own notifications" ON public.notifications FOR UPDATE USING (auth.uid() = user_id);
+
+-- Push Targeting
+CREATE POLICY "Users can manage their own device tokens" ON public.device_tokens FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Users can manage their own watch areas" ON public.watch_areas FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Users can manage their own push preferences" ON public.push_preferences FOR ALL USING (auth.uid() = user_id);
+CREATE POLICY "Users can view their own push deliveries" ON public.push_deliveries FOR SELECT USING (auth.uid() = user_id);
+
+-- Tags
+CREATE POLICY "Tags are viewable by everyone" ON public.tags FOR SELECT USING (true);
+CREATE POLICY "Content tags are viewable by everyone" ON public.content_tags FOR SELECT USING (true);
+
+-- Geocode Cache (僅後端存取)
+CREATE POLICY "Only service role can access geocode cache" ON public.geocode_cache FOR ALL USING (false);
+
 -- Cleanup Logs (僅管理員可存取)
 CREATE POLICY "Only service role can access cleanup logs" ON public.cleanup_logs FOR ALL USING (false);
 
@@ -0,0 +1,52 @@
+/**
+ * 補齊既有紀錄圖片與詢問的反查地址（CLI）
+ * 用法：
+ *   node scripts/backfill-geocoding.js [--limit=筆數] [--batches=批數]
+ */
+require('dotenv').config();
+const geocodingService = require('../services/geocodingService');
+
+function parseArgs(argv) {
+  const options = { limit: 100, batches: 1 };
+  for (const arg of argv) {
+    if (arg.startsWith('--limit=')) {
+      options.limit = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--batches=')) {
+      options.batches = parseInt(arg.split('=')[1], 10);
+    } else {
+      throw new Error(`未知的參數: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const { limit, batches } = parseArgs(process.argv.slice(2));
+  const total = { scanned: 0, geocoded: 0, partial: 0, not_found: 0, failed: 0 };
+
+  for (let batch = 0; batch < batches; batch++) {
+    const summary = await geocodingService.backfill({ limit });
+    for (const key of Object.keys(total)) total[key] += summary[key];
+
+    // 沒有待處理資料，或整批都失敗 / 不完整（Provider 無法使用）時停止，避免重複處理同一批
+    if (summary.scanned < limit || summary.failed + summary.partial === summary.scanned) break;
+  }
+
+  console.log(`🗺️  Geocoding backfill (provider: ${geocodingService.provider.name})`);
+  console.log(`   Scanned: ${total.scanned}`);
+  console.log(`   Geocoded: ${total.geocoded}`);
+  console.log(`   Partial: ${total.partial}`);
+  console.log(`   Not found: ${total.not_found}`);
+  console.log(`   Failed: ${total.failed}`);
+
+  await geocodingService.provider.close();
+
+  if (total.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error('💥 Geocoding backfill failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+/**
+ * 孤兒上傳清理（CLI）
+ * 用法：
+ *   node scripts/cleanup-pending-uploads.js [--dry-run] [--max-age=秒數] [--limit=筆數]
+ */
+require('dotenv').config();
+const uploadJanitor = require('../services/uploadJanitorService');
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--max-age=')) {
+      options.maxAgeSeconds = parseInt(arg.split('=')[1], 10);
+    } else if (arg.startsWith('--limit=')) {
+      options.limit = parseInt(arg.split('=')[1], 10);
+    } else {
+      throw new Error(`未知的參數: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const summary = await uploadJanitor.run(options);
+
+  console.log(`🧹 ${summary.dry_run ? '[DRY RUN] ' : ''}PENDING uploads before ${summary.cutoff}`);
+  console.log(`   Scanned: ${summary.scanned}`);
+  for (const img of summary.images) {
+    console.log(`   - ${img.id} (user ${img.user_id}, uploaded ${img.uploaded_at})`);
+  }
+  if (!summary.dry_run) {
+    console.log(`   Deleted: ${summary.deleted}`);
+    console.log(`   R2 delete failed: ${summary.r2_failed}`);
+    console.log(`   R2 delete retried: ${summary.r2_retried}`);
+  }
+
+  if (summary.r2_failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error('💥 Cleanup failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+/**
+ * 取得本機開發環境的 JWT（CLI，需先執行 npm run local:up）
+ * 用法：
+ *   node scripts/local-token.js --email=alice@example.com [--display-name=Alice]
+ *   node scripts/local-token.js --service-role
+ * 使用者 Token 可直接放在 Authorization: Bearer <token> 呼叫 API
+ */
+require('dotenv').config();
+const { signJwt } = require('../local-dev/jwt');
+
+const GATEWAY_URL = process.env.LOCAL_GATEWAY_URL || 'http://localhost:54321';
+
+// 與 docker-compose.local.yml 的 x-jwt-secret 相同
+const DEFAULT_JWT_SECRET = 'raibu-local-development-jwt-secret-change-me';
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    if (arg === '--service-role') {
+      options.serviceRole = true;
+    } else if (arg.startsWith('--email=')) {
+      options.email = arg.split('=')[1];
+    } else if (arg.startsWith('--display-name=')) {
+      options.displayName = arg.slice('--display-name='.length);
+    } else {
+      throw new Error(`未知的參數: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.serviceRole) {
+    const secret = process.env.LOCAL_JWT_SECRET || DEFAULT_JWT_SECRET;
+    console.log(signJwt({
+      iss: 'raibu-local',
+      role: 'service_role',
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(Date.now() / 1000) + 10 * 365 * 24 * 60 * 60,
+    }, secret));
+    return;
+  }
+
+  if (!options.email) {
+    throw new Error('請提供 --email 或 --service-role');
+  }
+
+  const response = await fetch(`${GATEWAY_URL}/auth/v1/local/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: options.email, display_name: options.displayName }),
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.msg || `Gateway responded with ${response.status}`);
+  }
+
+  console.log(`🔑 ${body.user.email} (${body.user.id}), expires in ${body.expires_in}s`);
+  console.log(body.access_token);
+}
+
+main().catch(err => {
+  console.error('💥 Local token failed:', err.message);
+  process.exit(1);
+});
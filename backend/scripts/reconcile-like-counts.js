@@ -0,0 +1,40 @@
+/**
+ * 愛心計數校正（CLI）
+ * 用法：
+ *   node scripts/reconcile-like-counts.js [--dry-run] [--limit=筆數]
+ */
+require('dotenv').config();
+const likeReconciler = require('../services/likeReconcilerService');
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--limit=')) {
+      options.limit = parseInt(arg.split('=')[1], 10);
+    } else {
+      throw new Error(`未知的參數: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const summary = await likeReconciler.run(options);
+
+  console.log(`❤️  ${summary.dry_run ? '[DRY RUN] ' : ''}like_count drift`);
+  console.log(`   Drifted: ${summary.targets.length}`);
+  for (const target of summary.targets) {
+    console.log(`   - ${target.target_type} ${target.target_id}: ${target.stored_count} → ${target.actual_count}`);
+  }
+  if (!summary.dry_run) {
+    console.log(`   Fixed: ${summary.fixed}`);
+  }
+}
+
+main().catch(err => {
+  console.error('💥 Reconcile failed:', err.message);
+  process.exit(1);
+});
@@ -1,150 +1,16 @@
-const express = require("express");
-const cors = require("cors");
-const helmet = require("helmet");
-const rateLimit = require("express-rate-limit");
-const dotenv = require("dotenv");
+const app = require("./app");
+const { log } = require("./utils/logger");
 
-dotenv.config();
-
-// Import logger
-const { log, requestLogger } = require("./utils/logger");
-
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// ===========================================
-// 安全性中間件
-// ===========================================
-
-// 1. Helmet - 設定安全 HTTP Headers
-app.use(helmet());
-
-// 2. CORS - 限制允許的來源
-const allowedOrigins = [
-  // iOS App URL Scheme (Deep Link)
-  "raibu://",
-];
-
-// 開發環境允許 localhost
-if (process.env.NODE_ENV !== "production") {
-  allowedOrigins.push("http://localhost:3000");
-  allowedOrigins.push("http://localhost:5173");
-  allowedOrigins.push("http://127.0.0.1:3000");
-}
-
-app.use(
-  cors({
-    origin: function (origin, callback) {
-      // 允許沒有 origin 的請求（如 iOS App 原生請求、Postman）
-      if (!origin) return callback(null, true);
-
-      if (allowedOrigins.includes(origin)) {
-        callback(null, true);
-      } else {
-        log.warn(`CORS blocked origin: ${origin}`, { origin });
-        callback(new Error("Not allowed by CORS"));
-      }
-    },
-    credentials: true,
-  })
-);
-
-// 3. Rate Limiting - 防止暴力破解與 DoS
-const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 200,
-  message: {
-    error: {
-      code: "RESOURCE_EXHAUSTED",
-      message: "請求過於頻繁，請稍後再試",
-    },
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-const uploadLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000,
-  max: 50,
-  message: {
-    error: {
-      code: "RESOURCE_EXHAUSTED",
-      message: "上傳次數已達上限，請稍後再試",
-    },
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.use("/api/", generalLimiter);
-
-// JSON 解析
-app.use(express.json());
-
-// Request Logger (在所有路由之前)
-app.use(requestLogger);
-
-// Import error handler
-const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
+// 背景排程：詢問標點生命週期（到期轉為 EXPIRED）、孤兒上傳清理、愛心計數校正
+const askLifecycle = require("./services/askLifecycleService");
+const uploadJanitor = require("./services/uploadJanitorService");
+const likeReconciler = require("./services/likeReconcilerService");
+const geocodingService = require("./services/geocodingService");
 
-// Import routes
-const uploadRoutes = require("./routes/upload");
-const recordsRoutes = require("./routes/records");
-const asksRoutes = require("./routes/asks");
-const repliesRoutes = require("./routes/replies");
-const likesRoutes = require("./routes/likes");
-const usersRoutes = require("./routes/users");
-const reportsRoutes = require("./routes/reports");
-const adminRoutes = require("./routes/admin");
-
-// API v1 Routes
-app.use("/api/v1/upload", uploadLimiter, uploadRoutes);
-app.use("/api/v1/records", recordsRoutes);
-app.use("/api/v1/asks", asksRoutes);
-app.use("/api/v1/replies", repliesRoutes);
-app.use("/api/v1/likes", likesRoutes);
-app.use("/api/v1/users", usersRoutes);
-app.use("/api/v1/reports", reportsRoutes);
-
-// Admin 後台（HTML + API）
-// helmet 預設會阻擋 inline script，admin 頁面需要放寬 CSP
-app.use(
-  "/admin",
-  (req, res, next) => {
-    res.setHeader(
-      "Content-Security-Policy",
-      "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'"
-    );
-    next();
-  },
-  adminRoutes
-);
-
-// Health Check
-app.get("/", (req, res) => {
-  res.json({
-    status: "ok",
-    message: "Raibu Backend API v1",
-    version: "3.2",
-    environment: process.env.NODE_ENV || "development",
-    endpoints: {
-      upload: "/api/v1/upload",
-      records: "/api/v1/records",
-      asks: "/api/v1/asks",
-      replies: "/api/v1/replies",
-      likes: "/api/v1/likes",
-      users: "/api/v1/users",
-      reports: "/api/v1/reports",
-      admin: "/admin",
-    },
-  });
-});
-
-// 404 Handler
-app.use(notFoundHandler);
-
-// Global Error Handler
-app.use(errorHandler);
+// 反查 Provider 設定有誤時直接啟動失敗（未設定 GEOCODING_BOUNDARIES_PATH 等），不要默默略過反查
+geocodingService.init();
 
 app.listen(PORT, () => {
   log.info(`Server started`, {
@@ -154,4 +20,20 @@ app.listen(PORT, () => {
   });
   console.log(`🚀 Raibu Backend is running on port ${PORT}`);
   console.log(`📍 API Base URL: http://localhost:${PORT}/api/v1`);
+
+  askLifecycle.start(
+    parseInt(process.env.ASK_SWEEP_INTERVAL_MS, 10) || undefined
+  );
+
+  if (process.env.UPLOAD_JANITOR_DISABLED !== "true") {
+    uploadJanitor.start(
+      parseInt(process.env.UPLOAD_JANITOR_INTERVAL_MS, 10) || undefined
+    );
+  }
+
+  if (process.env.LIKE_RECONCILER_DISABLED !== "true") {
+    likeReconciler.start(
+      parseInt(process.env.LIKE_RECONCILER_INTERVAL_MS, 10) || undefined
+    );
+  }
 });
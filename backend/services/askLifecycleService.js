@@ -0,0 +1,128 @@
+/**
+ * 詢問標點生命週期 Service
+ * 負責到期排程掃描，並在狀態轉換時發出事件供其他模組掛載
+ * 生命週期長度由資料庫 asks.expires_at 預設值決定（建立後 48 小時）
+ *
+ * 狀態轉換：
+ *   ACTIVE  → RESOLVED（擁有者標記解決）
+ *   RESOLVED → ACTIVE（擁有者重新開啟）
+ *   ACTIVE  → EXPIRED（排程器：超過 expires_at）
+ *   EXPIRED → ACTIVE（擁有者延長，限一次）
+ */
+const EventEmitter = require('events');
+const supabase = require('../config/supabase');
+const { log } = require('../utils/logger');
+
+// 擁有者延長一次可增加的時數
+const ASK_EXTENSION_HOURS = 24;
+
+// 排程掃描間隔，預設 1 分鐘
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 生命週期事件名稱
+ * 事件 payload 皆為 { askId, userId, ...轉換相關欄位 }
+ */
+const AskEvents = {
+  CREATED: 'ask.created',
+  RESOLVED: 'ask.resolved',
+  REOPENED: 'ask.reopened',
+  EXTENDED: 'ask.extended',
+  EXPIRED: 'ask.expired',
+  ANSWER_ACCEPTED: 'ask.answer_accepted',
+};
+
+class AskLifecycleService extends EventEmitter {
+  constructor() {
+    super();
+    this._timer = null;
+    this._sweeping = false;
+  }
+
+  /**
+   * 啟動到期排程
+   * @param {number} intervalMs - 掃描間隔（毫秒）
+   */
+  start(intervalMs = DEFAULT_SWEEP_INTERVAL_MS) {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.sweep().catch(err => log.error('Ask lifecycle sweep failed', { error: err.message }));
+    }, intervalMs);
+
+    // 排程不應阻止程序結束
+    this._timer.unref();
+
+    log.info('Ask lifecycle scheduler started', { intervalMs });
+  }
+
+  /**
+   * 停止到期排程
+   */
+  stop() {
+    if (!this._timer) return;
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * 將已到期的 ACTIVE 詢問轉為 EXPIRED
+   * 以單一條件式 UPDATE 完成，多個實例同時執行也不會重複轉換
+   * @returns {Promise<Array>} 本次轉為過期的詢問
+   */
+  async sweep() {
+    if (this._sweeping) return [];
+    this._sweeping = true;
+
+    try {
+      const now = new Date().toISOString();
+
+      const { data: expiredAsks, error } = await supabase
+        .from('asks')
+        .update({ status: 'EXPIRED', expired_at: now, updated_at: now })
+        .eq('status', 'ACTIVE')
+        .lte('expires_at', now)
+        .select('id, user_id, expires_at, expired_at');
+
+      if (error) {
+        log.db.error('expire', 'asks', error);
+        return [];
+      }
+
+      for (const ask of expiredAsks || []) {
+        this.publish(AskEvents.EXPIRED, {
+          askId: ask.id,
+          userId: ask.user_id,
+          expiresAt: ask.expires_at,
+          expiredAt: ask.expired_at,
+        });
+      }
+
+      if (expiredAsks && expiredAsks.length > 0) {
+        log.info('Expired asks', { count: expiredAsks.length });
+      }
+
+      return expiredAsks || [];
+    } finally {
+      this._sweeping = false;
+    }
+  }
+
+  /**
+   * 發出生命週期事件
+   * 監聽者的錯誤不應影響原本的請求或排程
+   * @param {string} event - AskEvents 之一
+   * @param {Object} payload - 事件內容
+   */
+  publish(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (err) {
+      log.error('Ask lifecycle listener failed', { event, error: err.message });
+    }
+  }
+}
+
+module.exports = new AskLifecycleService();
+module.exports.AskEvents = AskEvents;
+module.exports.ASK_EXTENSION_HOURS = ASK_EXTENSION_HOURS;
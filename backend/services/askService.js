@@ -4,9 +4,17 @@
  */
 const supabase = require('../config/supabase');
 const { Errors } = require('../utils/errorCodes');
-const { isValidCoordinate } = require('../utils/geo');
-const { deleteObjects } = require('../utils/r2Helpers');
+const { isValidCoordinate, isWithinRadius, distanceMeters } = require('../utils/geo');
+const { deleteObjects, getImageObjectKeys } = require('../utils/r2Helpers');
 const { log } = require('../utils/logger');
+const askLifecycle = require('./askLifecycleService');
+const blockService = require('./blockService');
+const tagService = require('./tagService');
+
+const { AskEvents, ASK_EXTENSION_HOURS } = askLifecycle;
+
+// Geo-fencing 容許誤差（公尺），與 is_within_ask_radius 預設值一致
+const ONSITE_TOLERANCE_METERS = 30;
 
 class AskService {
   /**
@@ -46,6 +54,19 @@ class AskService {
       throw Errors.internal('取得建立的詢問失敗');
     }
 
+    // 解析內容中的 #標籤
+    const tags = await tagService.syncAskTags(askId, createdAsk.question);
+
+    askLifecycle.publish(AskEvents.CREATED, {
+      askId: createdAsk.id,
+      userId,
+      center,
+      radiusMeters: createdAsk.radius_meters,
+      title: createdAsk.title || null,
+      question: createdAsk.question,
+      expiresAt: createdAsk.expires_at,
+    });
+
     return {
       id: createdAsk.id,
       user_id: createdAsk.user_id,
@@ -55,8 +76,10 @@ class AskService {
       radius_meters: createdAsk.radius_meters,
       main_image_url: mainImageUrl,
       status: createdAsk.status,
+      tags,
       like_count: createdAsk.like_count || 0,
       view_count: createdAsk.view_count || 0,
+      expires_at: createdAsk.expires_at,
       created_at: createdAsk.created_at,
       updated_at: createdAsk.updated_at,
     };
@@ -64,11 +87,11 @@ class AskService {
 
   /**
    * 取得地圖範圍內的詢問標點
-   * @param {Object} bounds - { minLat, maxLat, minLng, maxLng, startDate, endDate }
+   * @param {Object} bounds - { minLat, maxLat, minLng, maxLng, startDate, endDate, viewerId, tag, city, district }
    * @returns {Promise<Array>} 詢問陣列
    */
   async getMapAsks(bounds) {
-    const { minLat, maxLat, minLng, maxLng, startDate, endDate } = bounds;
+    const { minLat, maxLat, minLng, maxLng, startDate, endDate, viewerId, tag, city, district } = bounds;
 
     // 使用 RPC 進行空間查詢（時間過濾由呼叫端控制）
     const rpcParams = {
@@ -79,25 +102,44 @@ class AskService {
     };
     if (startDate) rpcParams.p_start_date = startDate;
     if (endDate) rpcParams.p_end_date = endDate;
+    // 排除檢視者封鎖 / 靜音的使用者
+    if (viewerId) rpcParams.p_viewer_id = viewerId;
+    if (tag) rpcParams.p_tag = tag;
+    if (city) rpcParams.p_city = city;
+    if (district) rpcParams.p_district = district;
 
     const { data, error } = await supabase.rpc('get_asks_in_bounds', rpcParams);
 
     if (error) {
       console.warn('RPC not available, using basic query');
 
-      const { data: asks, error: queryError } = await supabase
-        .from('asks')
-        .select(`
-          id,
-          title,
-          question,
-          radius_meters,
-          main_image_url,
-          status,
-          created_at,
-          users:user_id (avatar_url)
-        `)
-        .order('created_at', { ascending: false });
+      const hiddenUserIds = await blockService.getHiddenUserIds(viewerId);
+      let query = blockService.excludeUsers(
+        supabase
+          .from('asks')
+          .select(`
+            id,
+            title,
+            question,
+            radius_meters,
+            main_image_url,
+            status,
+            created_at,
+            users:user_id (avatar_url)
+          `),
+        'user_id',
+        hiddenUserIds
+      );
+      if (tag) {
+        query = query.in('id', await tagService.getTaggedIds(tag, 'ask_id'));
+      }
+      if (city) query = query.eq('city', city);
+      if (district) query = query.eq('district', district);
+
+      // 與 RPC 相同的生命週期過濾：只顯示進行中且未到期的詢問
+      query = query.eq('status', 'ACTIVE').gt('expires_at', new Date().toISOString());
+
+      const { data: asks, error: queryError } = await query.order('created_at', { ascending: false });
 
       if (queryError) throw Errors.internal('查詢失敗');
       return (asks || []).map(ask => ({
@@ -183,16 +225,27 @@ class AskService {
       };
     }
 
-    // 取得關聯圖片
-    const images = await this._getAskImages(askId);
+    // 取得關聯圖片與標籤
+    const [images, tags] = await Promise.all([
+      this._getAskImages(askId),
+      tagService.getTags({ askId }),
+    ]);
 
     // 檢查是否已點讚
     const userHasLiked = await this._checkUserLiked(askId, currentUserId);
 
+    // 取得採納的回答
+    const acceptedReply = ask.accepted_reply_id
+      ? await this._getAcceptedReply(ask.accepted_reply_id)
+      : null;
+
     return {
       id: ask.id,
       user_id: ask.user_id,
       center: center,
+      address: ask.address || null,
+      city: ask.city || null,
+      district: ask.district || null,
       radius_meters: ask.radius_meters,
       title: ask.title || null,
       question: ask.question,
@@ -200,10 +253,19 @@ class AskService {
       status: ask.status,
       like_count: ask.like_count || 0,
       view_count: ask.view_count || 0,
+      expires_at: ask.expires_at || null,
+      extended_at: ask.extended_at || null,
+      resolved_at: ask.resolved_at || null,
+      expired_at: ask.expired_at || null,
+      can_extend: !ask.extended_at && ask.status !== 'RESOLVED',
+      accepted_reply_id: ask.accepted_reply_id || null,
+      accepted_at: ask.accepted_at || null,
+      accepted_reply: acceptedReply,
       created_at: ask.created_at,
       updated_at: ask.updated_at,
       author: ask.users,
       images: images,
+      tags,
       user_has_liked: userHasLiked,
     };
   }
@@ -212,25 +274,82 @@ class AskService {
    * 編輯詢問標點
    * @param {string} askId - 詢問 ID
    * @param {string} userId - 用戶 ID
-   * @param {Object} updateData - { question, status, sortedImages }
+   * @param {Object} updateData - { question, status, sortedImages, acceptedReplyId }
    * @returns {Promise<Object>} 更新結果
    */
   async updateAsk(askId, userId, updateData) {
-    const { question, title, status, sortedImages } = updateData;
+    const { question, title, sortedImages, acceptedReplyId } = updateData;
 
     // 驗證擁有權
-    await this._verifyOwnership(askId, userId);
+    const ask = await this._verifyOwnership(askId, userId);
+
+    // 新增的圖片須在任何變更前通過驗證
+    const newImages = (Array.isArray(sortedImages) ? sortedImages : []).filter(img => img.type === 'NEW');
+    if (newImages.length > 0) {
+      await this._verifyImageOwnership(userId, newImages);
+    }
+
+    // 採納回答即視為已解決
+    const acceptedReply = acceptedReplyId
+      ? await this._verifyAcceptableReply(askId, userId, acceptedReplyId)
+      : null;
+    const status = acceptedReplyId ? 'RESOLVED' : updateData.status;
 
     // 更新基本欄位
-    const updates = { updated_at: new Date().toISOString() };
+    const now = new Date().toISOString();
+    const updates = { updated_at: now };
     if (question !== undefined) updates.question = question;
     if (title !== undefined) updates.title = title;
-    if (status !== undefined && ['ACTIVE', 'RESOLVED'].includes(status)) {
+    if (acceptedReplyId) {
+      updates.accepted_reply_id = acceptedReplyId;
+      updates.accepted_at = now;
+    }
+
+    // 狀態轉換（EXPIRED 只能由排程器設定）
+    let transitionEvent = null;
+    if (status !== undefined && status !== ask.status && ['ACTIVE', 'RESOLVED'].includes(status)) {
+      if (status === 'ACTIVE' && ask.status === 'EXPIRED') {
+        throw Errors.invalidArgument('詢問已過期，請使用延長功能重新開啟');
+      }
+
       updates.status = status;
+      if (status === 'RESOLVED') {
+        updates.resolved_at = now;
+        transitionEvent = AskEvents.RESOLVED;
+      } else {
+        // 重新開啟時取消採納的回答
+        updates.resolved_at = null;
+        updates.accepted_reply_id = null;
+        updates.accepted_at = null;
+        transitionEvent = AskEvents.REOPENED;
+      }
     }
 
     await supabase.from('asks').update(updates).eq('id', askId);
 
+    if (question) {
+      await tagService.syncAskTags(askId, question);
+    }
+
+    if (transitionEvent) {
+      askLifecycle.publish(transitionEvent, {
+        askId,
+        userId,
+        previousStatus: ask.status,
+        status: updates.status,
+        acceptedReplyId: acceptedReplyId || null,
+      });
+    }
+
+    if (acceptedReplyId) {
+      askLifecycle.publish(AskEvents.ANSWER_ACCEPTED, {
+        askId,
+        userId,
+        replyId: acceptedReplyId,
+        replyUserId: acceptedReply.user_id,
+      });
+    }
+
     // 處理圖片同步
     if (sortedImages && Array.isArray(sortedImages)) {
       await this._syncImages(askId, userId, sortedImages);
@@ -239,6 +358,85 @@ class AskService {
     return { success: true };
   }
 
+  /**
+   * 採納回答
+   * @param {string} askId - 詢問 ID
+   * @param {string} userId - 用戶 ID（詢問擁有者）
+   * @param {string} replyId - 要採納的回覆 ID
+   * @returns {Promise<Object>} 採納結果
+   */
+  async acceptReply(askId, userId, replyId) {
+    await this.updateAsk(askId, userId, { acceptedReplyId: replyId });
+
+    return {
+      success: true,
+      status: 'RESOLVED',
+      accepted_reply_id: replyId,
+    };
+  }
+
+  /**
+   * 延長詢問標點（每個詢問限一次）
+   * 從原到期時間或現在（取較晚者）再延長 ASK_EXTENSION_HOURS 小時，過期的詢問會重新開啟
+   * @param {string} askId - 詢問 ID
+   * @param {string} userId - 用戶 ID
+   * @returns {Promise<Object>} 延長結果
+   */
+  async extendAsk(askId, userId) {
+    const ask = await this._verifyOwnership(askId, userId);
+
+    if (ask.extended_at) {
+      throw Errors.invalidArgument('每個詢問只能延長一次');
+    }
+
+    if (ask.status === 'RESOLVED') {
+      throw Errors.invalidArgument('已解決的詢問無法延長');
+    }
+
+    const now = new Date();
+    const currentExpiry = ask.expires_at ? new Date(ask.expires_at) : now;
+    const base = currentExpiry > now ? currentExpiry : now;
+    const expiresAt = new Date(base.getTime() + ASK_EXTENSION_HOURS * 60 * 60 * 1000).toISOString();
+
+    // 以 extended_at IS NULL 作為條件，避免並發請求重複延長
+    const { data: extended, error } = await supabase
+      .from('asks')
+      .update({
+        status: 'ACTIVE',
+        expires_at: expiresAt,
+        extended_at: now.toISOString(),
+        expired_at: null,
+        updated_at: now.toISOString(),
+      })
+      .eq('id', askId)
+      .is('extended_at', null)
+      .select('id, status, expires_at, extended_at')
+      .maybeSingle();
+
+    if (error) {
+      log.db.error('extend', 'asks', error);
+      throw Errors.internal('延長詢問失敗');
+    }
+
+    if (!extended) {
+      throw Errors.invalidArgument('每個詢問只能延長一次');
+    }
+
+    askLifecycle.publish(AskEvents.EXTENDED, {
+      askId,
+      userId,
+      previousStatus: ask.status,
+      expiresAt: extended.expires_at,
+    });
+
+    return {
+      success: true,
+      status: extended.status,
+      expires_at: extended.expires_at,
+      extended_at: extended.extended_at,
+    };
+  }
+
   /**
    * 刪除詢問標點
    * @param {string} askId - 詢問 ID
@@ -249,15 +447,22 @@ class AskService {
     // 驗證擁有權
     await this._verifyOwnership(askId, userId);
 
-    // 取得圖片 URLs 用於 R2 清理
-    const { data: images } = await supabase
-      .from('image_media')
-      .select('original_public_url, thumbnail_public_url')
+    // 取得詢問與其回覆的圖片用於 R2 清理（回覆會隨詢問一併刪除）
+    const { data: replies } = await supabase
+      .from('replies')
+      .select('id')
       .eq('ask_id', askId);
+    const replyIds = (replies || []).map(reply => reply.id);
+
+    const imageFields = 'original_public_url, thumbnail_public_url, medium_public_url, webp_public_url';
+    const [{ data: askImages }, { data: replyImages }] = await Promise.all([
+      supabase.from('image_media').select(imageFields).eq('ask_id', askId),
+      replyIds.length > 0
+        ? supabase.from('image_media').select(imageFields).in('reply_id', replyIds)
+        : Promise.resolve({ data: [] }),
+    ]);
 
-    const keysToDelete = (images || []).flatMap(img =>
-      [img.original_public_url, img.thumbnail_public_url].filter(Boolean)
-    );
+    const keysToDelete = [...(askImages || []), ...(replyImages || [])].flatMap(getImageObjectKeys);
 
     // 刪除
     await supabase.from('asks').delete().eq('id', askId);
@@ -270,6 +475,68 @@ class AskService {
     return { success: true };
   }
 
+  /**
+   * 判定詢問回覆是否為實地回報（Geo-fencing）
+   * 任一張拍攝時間不早於詢問的圖片，或回覆當下的位置落在範圍內即視為實地回報
+   * @param {string} askId - 詢問 ID
+   * @param {Object} data - { images, currentLocation }
+   * @returns {Promise<Object>} { isOnsite, images: [{ upload_id, distance_meters, is_within_radius, is_stale_capture }] }
+   */
+  async evaluateOnsite(askId, data) {
+    const { images = [], currentLocation = null } = data;
+
+    const { data: askWithCoords, error: rpcError } = await supabase.rpc('get_ask_detail_with_coords', {
+      p_ask_id: askId,
+    });
+
+    if (rpcError) {
+      // 無法取得中心座標時保守地視為非實地回報
+      log.db.error('get_ask_detail_with_coords', 'asks', rpcError);
+      return {
+        isOnsite: false,
+        images: images.map(img => ({
+          upload_id: img.upload_id,
+          distance_meters: null,
+          is_within_radius: false,
+          is_stale_capture: false,
+        })),
+      };
+    }
+
+    if (!askWithCoords || askWithCoords.length === 0) {
+      throw Errors.notFound('找不到此詢問');
+    }
+
+    const ask = askWithCoords[0];
+    const center = { lat: ask.lat, lng: ask.lng };
+    const askCreatedAt = new Date(ask.created_at).getTime();
+
+    const imageResults = images.map(img => {
+      const hasLocation = img.location && isValidCoordinate(img.location.lat, img.location.lng);
+      const capturedAt = img.captured_at ? new Date(img.captured_at).getTime() : NaN;
+
+      return {
+        upload_id: img.upload_id,
+        distance_meters: hasLocation ? distanceMeters(img.location, center) : null,
+        is_within_radius: hasLocation
+          ? isWithinRadius(img.location, center, ask.radius_meters, ONSITE_TOLERANCE_METERS)
+          : false,
+        // 拍攝時間早於詢問建立時間的照片不可能是回應此詢問的現場照
+        is_stale_capture: !Number.isNaN(capturedAt) && capturedAt < askCreatedAt,
+      };
+    });
+
+    const hasOnsiteImage = imageResults.some(img => img.is_within_radius && !img.is_stale_capture);
+    const isCurrentlyOnsite = !!currentLocation &&
+      isValidCoordinate(currentLocation.lat, currentLocation.lng) &&
+      isWithinRadius(currentLocation, center, ask.radius_meters, ONSITE_TOLERANCE_METERS);
+
+    return {
+      isOnsite: hasOnsiteImage || isCurrentlyOnsite,
+      images: imageResults,
+    };
+  }
+
   // ==================== Private Methods ====================
 
   /**
@@ -290,13 +557,13 @@ class AskService {
   }
 
   /**
-   * 驗證圖片歸屬權
+   * 驗證圖片歸屬權，且圖片已完成伺服器處理
    */
   async _verifyImageOwnership(userId, images) {
     const uploadIds = images.map(img => img.upload_id);
     const { data: pendingImages } = await supabase
       .from('image_media')
-      .select('id')
+      .select('id, processed_at')
       .in('id', uploadIds)
       .eq('user_id', userId)
       .eq('status', 'PENDING');
@@ -304,6 +571,13 @@ class AskService {
     if (!pendingImages || pendingImages.length !== uploadIds.length) {
       throw Errors.permissionDenied('部分圖片不屬於當前用戶');
     }
+
+    const unprocessed = pendingImages.filter(img => !img.processed_at).map(img => img.id);
+    if (unprocessed.length > 0) {
+      throw Errors.invalidArgument('圖片尚未處理完成，請先呼叫 POST /upload/:upload_id/complete', {
+        upload_ids: unprocessed,
+      });
+    }
   }
 
   /**
@@ -404,6 +678,64 @@ class AskService {
     }));
   }
 
+  /**
+   * 取得採納的回答摘要
+   */
+  async _getAcceptedReply(replyId) {
+    const { data: reply } = await supabase
+      .from('replies')
+      .select(`
+        id,
+        user_id,
+        content,
+        is_onsite,
+        like_count,
+        created_at,
+        users:user_id (id, display_name, avatar_url)
+      `)
+      .eq('id', replyId)
+      .single();
+
+    if (!reply) return null;
+
+    return {
+      id: reply.id,
+      user_id: reply.user_id,
+      content: reply.content,
+      is_onsite: reply.is_onsite || false,
+      like_count: reply.like_count || 0,
+      created_at: reply.created_at,
+      author: reply.users || null,
+    };
+  }
+
+  /**
+   * 驗證回覆可被採納：必須是此詢問的頂層回覆，且不是擁有者自己的回覆
+   * @returns {Promise<Object>} 回覆 { id, ask_id, user_id, parent_reply_id }
+   */
+  async _verifyAcceptableReply(askId, userId, replyId) {
+    const { data: reply } = await supabase
+      .from('replies')
+      .select('id, ask_id, user_id, parent_reply_id')
+      .eq('id', replyId)
+      .single();
+
+    if (!reply || reply.ask_id !== askId) {
+      throw Errors.notFound('找不到此詢問的回覆');
+    }
+
+    // 詢問頁只列出頂層回覆，採納的子回覆會無法顯示
+    if (reply.parent_reply_id) {
+      throw Errors.invalidArgument('只能採納頂層回覆');
+    }
+
+    if (reply.user_id === userId) {
+      throw Errors.invalidArgument('不能採納自己的回覆');
+    }
+
+    return reply;
+  }
+
   /**
    * 檢查用戶是否已點讚
    */
@@ -421,17 +753,19 @@ class AskService {
   }
 
   /**
-   * 驗證擁有權
+   * 驗證擁有權，回傳詢問的生命週期欄位
    */
   async _verifyOwnership(askId, userId) {
     const { data: ask } = await supabase
       .from('asks')
-      .select('user_id')
+      .select('user_id, status, expires_at, extended_at')
       .eq('id', askId)
       .single();
 
     if (!ask) throw Errors.notFound('找不到此詢問');
     if (ask.user_id !== userId) throw Errors.permissionDenied('您無權操作此詢問');
+
+    return ask;
   }
 
   /**
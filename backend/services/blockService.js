@@ -0,0 +1,223 @@
+/**
+ * 封鎖 / 靜音 Service 層
+ * BLOCK：隱藏對方的內容，並禁止對方回覆或按讚自己的內容（同時解除雙向追蹤）
+ * MUTE：只隱藏對方的內容
+ */
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+const { applyCursor, buildPage } = require('../middleware/validate');
+
+const BlockTypes = {
+  BLOCK: 'BLOCK',
+  MUTE: 'MUTE',
+};
+
+class BlockService {
+  /**
+   * 封鎖或靜音使用者（已有關係時改為新的類型）
+   * @param {string} blockerId - 執行者
+   * @param {string} blockedId - 對象
+   * @param {string} type - BlockTypes
+   * @returns {Promise<Object>} { type, created_at }
+   */
+  async setBlock(blockerId, blockedId, type) {
+    if (blockerId === blockedId) {
+      throw Errors.invalidArgument(type === BlockTypes.BLOCK ? '不能封鎖自己' : '不能靜音自己');
+    }
+
+    const { data: target } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', blockedId)
+      .single();
+
+    if (!target) {
+      throw Errors.notFound('使用者不存在');
+    }
+
+    const { data, error } = await supabase
+      .from('user_blocks')
+      .upsert(
+        { blocker_id: blockerId, blocked_id: blockedId, type },
+        { onConflict: 'blocker_id,blocked_id' }
+      )
+      .select('type, created_at')
+      .single();
+
+    if (error) {
+      log.db.error('upsert', 'user_blocks', error);
+      throw Errors.internal(type === BlockTypes.BLOCK ? '封鎖失敗' : '靜音失敗');
+    }
+
+    if (type === BlockTypes.BLOCK) {
+      await this._removeFollows(blockerId, target.id);
+    }
+
+    return data;
+  }
+
+  /**
+   * 解除封鎖或靜音（沒有關係時視為成功）
+   * @param {string} blockerId - 執行者
+   * @param {string} blockedId - 對象
+   */
+  async removeBlock(blockerId, blockedId) {
+    const { error } = await supabase
+      .from('user_blocks')
+      .delete()
+      .eq('blocker_id', blockerId)
+      .eq('blocked_id', blockedId);
+
+    if (error) {
+      log.db.error('delete', 'user_blocks', error);
+      throw Errors.internal('解除封鎖失敗');
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * 取得檢視者封鎖或靜音的使用者 ID（用於隱藏內容）
+   * @param {string|null} viewerId - 檢視者（未登入為 null）
+   * @returns {Promise<string[]>}
+   */
+  async getHiddenUserIds(viewerId) {
+    if (!viewerId) return [];
+
+    const { data, error } = await supabase
+      .from('user_blocks')
+      .select('blocked_id')
+      .eq('blocker_id', viewerId);
+
+    if (error) {
+      log.db.error('select', 'user_blocks', error);
+      return [];
+    }
+
+    return (data || []).map(row => row.blocked_id);
+  }
+
+  /**
+   * 在查詢上排除指定使用者的資料
+   * @param {Object} query - Supabase 查詢
+   * @param {string} column - 作者欄位
+   * @param {string[]} userIds - getHiddenUserIds 的結果
+   * @returns {Object} Supabase 查詢
+   */
+  excludeUsers(query, column, userIds) {
+    if (!userIds || userIds.length === 0) return query;
+    return query.not(column, 'in', `(${userIds.join(',')})`);
+  }
+
+  /**
+   * 取得檢視者對目標使用者的關係
+   * @returns {Promise<string|null>} BlockTypes 或 null
+   */
+  async getRelation(viewerId, targetId) {
+    if (!viewerId || viewerId === targetId) return null;
+
+    const { data } = await supabase
+      .from('user_blocks')
+      .select('type')
+      .eq('blocker_id', viewerId)
+      .eq('blocked_id', targetId)
+      .maybeSingle();
+
+    return data?.type || null;
+  }
+
+  /**
+   * 確認內容擁有者沒有封鎖互動者，否則拋出 PERMISSION_DENIED
+   * @param {string[]} ownerIds - 內容擁有者（例如標點作者、被回覆的留言作者）
+   * @param {string} actorId - 互動者
+   */
+  async assertCanInteract(ownerIds, actorId) {
+    const blockers = await this.getBlockersOf(ownerIds, actorId);
+    if (blockers.length > 0) {
+      throw Errors.permissionDenied('你無法與此使用者的內容互動');
+    }
+  }
+
+  /**
+   * 從指定使用者中找出封鎖了 actorId 的人（不含 MUTE）
+   * @param {string[]} userIds - 候選使用者
+   * @param {string} actorId - 互動者
+   * @returns {Promise<string[]>}
+   */
+  async getBlockersOf(userIds, actorId) {
+    const candidates = [...new Set(userIds.filter(id => id && id !== actorId))];
+    if (candidates.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('user_blocks')
+      .select('blocker_id')
+      .in('blocker_id', candidates)
+      .eq('blocked_id', actorId)
+      .eq('type', BlockTypes.BLOCK);
+
+    if (error) {
+      log.db.error('select', 'user_blocks', error);
+      throw Errors.internal('查詢封鎖關係失敗');
+    }
+
+    return (data || []).map(row => row.blocker_id);
+  }
+
+  /**
+   * 取得封鎖 / 靜音名單（新到舊）
+   * @param {string} userId - 使用者 ID
+   * @param {Object} pagination - parsePagination 的結果
+   * @param {string|null} type - 只列出指定類型
+   * @returns {Promise<Object>} { blocks, next_cursor }
+   */
+  async listBlocks(userId, pagination, type = null) {
+    let query = supabase
+      .from('user_blocks')
+      .select('id, type, created_at, users:blocked_id (id, display_name, avatar_url)')
+      .eq('blocker_id', userId);
+
+    if (type) {
+      query = query.eq('type', type);
+    }
+
+    const { data: rows, error } = await applyCursor(query, pagination);
+
+    if (error) {
+      log.db.error('select', 'user_blocks', error);
+      throw Errors.internal('查詢封鎖名單失敗');
+    }
+
+    const { items, next_cursor } = buildPage(rows, pagination.limit);
+
+    return {
+      blocks: items
+        .filter(row => row.users)
+        .map(row => ({
+          user: row.users,
+          type: row.type,
+          created_at: row.created_at,
+        })),
+      next_cursor,
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  /**
+   * 封鎖時解除雙向追蹤
+   */
+  async _removeFollows(userA, userB) {
+    const { error } = await supabase
+      .from('follows')
+      .delete()
+      .or(`and(follower_id.eq.${userA},following_id.eq.${userB}),and(follower_id.eq.${userB},following_id.eq.${userA})`);
+
+    if (error) {
+      log.db.error('delete', 'follows', error);
+    }
+  }
+}
+
+module.exports = new BlockService();
+module.exports.BlockTypes = BlockTypes;
@@ -0,0 +1,287 @@
+/**
+ * 追蹤 Service 層
+ * 處理追蹤關係、粉絲 / 追蹤中列表，以及追蹤對象的動態
+ */
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+const { applyCursor, buildPage } = require('../middleware/validate');
+
+const RECORD_FEED_FIELDS =
+  'id, user_id, description, main_image_url, media_count, like_count, view_count, created_at, updated_at';
+const ASK_FEED_FIELDS =
+  'id, user_id, title, question, radius_meters, main_image_url, status, like_count, view_count, created_at, updated_at';
+
+class FollowService {
+  /**
+   * 追蹤使用者（重複追蹤視為成功）
+   * @param {string} followerId - 追蹤者
+   * @param {string} followingId - 被追蹤者
+   * @returns {Promise<Object>} { following, follower_count }
+   */
+  async follow(followerId, followingId) {
+    if (followerId === followingId) {
+      throw Errors.invalidArgument('不能追蹤自己');
+    }
+
+    const { data: target } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', followingId)
+      .single();
+
+    if (!target) {
+      throw Errors.notFound('使用者不存在');
+    }
+
+    const { error } = await supabase
+      .from('follows')
+      .insert({ follower_id: followerId, following_id: followingId });
+
+    // 23505: 已追蹤（並發或重複請求）
+    if (error && error.code !== '23505') {
+      log.db.error('insert', 'follows', error);
+      throw Errors.internal('追蹤失敗');
+    }
+
+    const { follower_count } = await this.getCounts(followingId);
+    return { following: true, follower_count };
+  }
+
+  /**
+   * 取消追蹤（未追蹤時視為成功）
+   * @param {string} followerId - 追蹤者
+   * @param {string} followingId - 被追蹤者
+   * @returns {Promise<Object>} { following, follower_count }
+   */
+  async unfollow(followerId, followingId) {
+    const { error } = await supabase
+      .from('follows')
+      .delete()
+      .eq('follower_id', followerId)
+      .eq('following_id', followingId);
+
+    if (error) {
+      log.db.error('delete', 'follows', error);
+      throw Errors.internal('取消追蹤失敗');
+    }
+
+    const { follower_count } = await this.getCounts(followingId);
+    return { following: false, follower_count };
+  }
+
+  /**
+   * 取得粉絲數與追蹤中人數
+   * @param {string} userId - 使用者 ID
+   * @returns {Promise<Object>} { follower_count, following_count }
+   */
+  async getCounts(userId) {
+    const [followersResult, followingResult] = await Promise.all([
+      supabase
+        .from('follows')
+        .select('id', { count: 'exact', head: true })
+        .eq('following_id', userId),
+      supabase
+        .from('follows')
+        .select('id', { count: 'exact', head: true })
+        .eq('follower_id', userId),
+    ]);
+
+    return {
+      follower_count: followersResult.count || 0,
+      following_count: followingResult.count || 0,
+    };
+  }
+
+  /**
+   * 是否已追蹤
+   * @param {string|null} followerId - 目前使用者（未登入為 null）
+   * @param {string} followingId - 目標使用者
+   * @returns {Promise<boolean>}
+   */
+  async isFollowing(followerId, followingId) {
+    if (!followerId || followerId === followingId) return false;
+
+    const { data } = await supabase
+      .from('follows')
+      .select('id')
+      .eq('follower_id', followerId)
+      .eq('following_id', followingId)
+      .maybeSingle();
+
+    return !!data;
+  }
+
+  /**
+   * 取得粉絲列表（新到舊）
+   * @param {string} userId - 使用者 ID
+   * @param {Object} pagination - parsePagination 的結果
+   * @returns {Promise<Object>} { users, next_cursor }
+   */
+  async getFollowers(userId, pagination) {
+    return this._getFollowList('following_id', 'users:follower_id', userId, pagination);
+  }
+
+  /**
+   * 取得追蹤中列表（新到舊）
+   * @param {string} userId - 使用者 ID
+   * @param {Object} pagination - parsePagination 的結果
+   * @returns {Promise<Object>} { users, next_cursor }
+   */
+  async getFollowing(userId, pagination) {
+    return this._getFollowList('follower_id', 'users:following_id', userId, pagination);
+  }
+
+  /**
+   * 取得追蹤動態：追蹤對象的紀錄與詢問依建立時間合併
+   * @param {string} userId - 使用者 ID
+   * @param {Object} pagination - parsePagination 的結果
+   * @returns {Promise<Object>} { items, next_cursor }
+   */
+  async getFeed(userId, pagination) {
+    const { limit, cursor } = pagination;
+
+    let { data: rows, error } = await supabase.rpc('get_following_feed', {
+      p_user_id: userId,
+      p_limit: limit + 1,
+      p_cursor_created_at: cursor?.createdAt ?? null,
+      p_cursor_id: cursor?.id ?? null,
+    });
+
+    if (error) {
+      // RPC 不存在時分別查詢後合併，無法取得詢問的 center 座標
+      console.warn('RPC not available, using basic query');
+      rows = await this._getFeedFallback(userId, pagination);
+    }
+
+    const { items, next_cursor } = buildPage(rows, limit);
+    const authorsById = await this._getAuthors(items);
+
+    return {
+      items: items.map(row => this._formatFeedItem(row, authorsById.get(row.user_id) || null)),
+      next_cursor,
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  async _getFollowList(column, userJoin, userId, pagination) {
+    const { data: rows, error } = await applyCursor(
+      supabase
+        .from('follows')
+        .select(`id, created_at, ${userJoin} (id, display_name, avatar_url)`)
+        .eq(column, userId),
+      pagination
+    );
+
+    if (error) {
+      log.db.error('select', 'follows', error);
+      throw Errors.internal('查詢追蹤列表失敗');
+    }
+
+    const { items, next_cursor } = buildPage(rows, pagination.limit);
+
+    return {
+      users: items
+        .filter(row => row.users)
+        .map(row => ({
+          id: row.users.id,
+          display_name: row.users.display_name,
+          avatar_url: row.users.avatar_url,
+          followed_at: row.created_at,
+        })),
+      next_cursor,
+    };
+  }
+
+  /**
+   * 兩個來源各取 limit + 1 筆後依 (created_at, id) 合併，結果與 RPC 相同
+   */
+  async _getFeedFallback(userId, pagination) {
+    const { data: follows, error } = await supabase
+      .from('follows')
+      .select('following_id')
+      .eq('follower_id', userId);
+
+    if (error) {
+      log.db.error('select', 'follows', error);
+      throw Errors.internal('查詢追蹤動態失敗');
+    }
+
+    const followingIds = (follows || []).map(row => row.following_id);
+    if (followingIds.length === 0) return [];
+
+    const [recordsResult, asksResult] = await Promise.all([
+      applyCursor(supabase.from('records').select(RECORD_FEED_FIELDS).in('user_id', followingIds), pagination),
+      applyCursor(supabase.from('asks').select(ASK_FEED_FIELDS).in('user_id', followingIds), pagination),
+    ]);
+
+    if (recordsResult.error || asksResult.error) {
+      log.db.error('select', 'feed', recordsResult.error || asksResult.error);
+      throw Errors.internal('查詢追蹤動態失敗');
+    }
+
+    return [
+      ...(recordsResult.data || []).map(row => ({ ...row, item_type: 'record' })),
+      ...(asksResult.data || []).map(row => ({ ...row, item_type: 'ask' })),
+    ]
+      .sort((a, b) => this._compareDesc(a, b))
+      .slice(0, pagination.limit + 1);
+  }
+
+  /**
+   * 依 (created_at, id) 新到舊排序
+   * 先比較毫秒時間值，相同時再比較字串（保留微秒）
+   */
+  _compareDesc(a, b) {
+    const diff = new Date(b.created_at).getTime() - new Date(a.created_at).getTime();
+    if (diff !== 0) return diff;
+    if (a.created_at !== b.created_at) return a.created_at < b.created_at ? 1 : -1;
+    return a.id < b.id ? 1 : (a.id > b.id ? -1 : 0);
+  }
+
+  async _getAuthors(items) {
+    const userIds = [...new Set(items.map(item => item.user_id))];
+    if (userIds.length === 0) return new Map();
+
+    const { data: users } = await supabase
+      .from('users')
+      .select('id, display_name, avatar_url')
+      .in('id', userIds);
+
+    return new Map((users || []).map(user => [user.id, user]));
+  }
+
+  _formatFeedItem(row, author) {
+    const base = {
+      type: row.item_type,
+      id: row.id,
+      user_id: row.user_id,
+      author,
+      main_image_url: row.main_image_url,
+      like_count: row.like_count || 0,
+      view_count: row.view_count || 0,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+    };
+
+    if (row.item_type === 'record') {
+      return {
+        ...base,
+        description: row.description,
+        media_count: row.media_count || 0,
+      };
+    }
+
+    return {
+      ...base,
+      title: row.title || null,
+      question: row.question,
+      center: { lat: row.lat ?? 0, lng: row.lng ?? 0 },
+      radius_meters: row.radius_meters,
+      status: row.status,
+    };
+  }
+}
+
+module.exports = new FollowService();
@@ -0,0 +1,83 @@
+/**
+ * 離線行政區反查 Provider
+ * 讀取本機的鄉鎮市區界線 GeoJSON（例如政府資料開放平臺「鄉鎮市區界線」轉為 WGS84 GeoJSON），
+ * 以座標所在的多邊形決定縣市與鄉鎮市區；沒有門牌資料，street 一律為 null
+ */
+const fs = require('fs');
+const { log } = require('../../utils/logger');
+const { isPointInGeometry } = require('../../utils/geo');
+
+class BoundaryGeocodingProvider {
+  /**
+   * @param {Object} options - { filePath, cityProperty, districtProperty }
+   */
+  constructor({ filePath, cityProperty = 'COUNTYNAME', districtProperty = 'TOWNNAME' }) {
+    this.name = 'boundaries';
+    this.filePath = filePath;
+    this.cityProperty = cityProperty;
+    this.districtProperty = districtProperty;
+    this._areas = null;
+  }
+
+  /**
+   * 座標反查
+   * @param {number} lat - 緯度
+   * @param {number} lng - 經度
+   * @returns {Promise<Object|null>} { city, district, street }，不在任何行政區內時為 null
+   */
+  async reverse(lat, lng) {
+    const area = this._getAreas().find(candidate =>
+      lng >= candidate.bbox[0] && lat >= candidate.bbox[1] &&
+      lng <= candidate.bbox[2] && lat <= candidate.bbox[3] &&
+      isPointInGeometry(lat, lng, candidate.geometry)
+    );
+
+    if (!area) return null;
+
+    return { city: area.city, district: area.district, street: null };
+  }
+
+  async close() {}
+
+  // ==================== Private Methods ====================
+
+  /**
+   * 第一次查詢時載入 GeoJSON，並預先計算每個行政區的外框以略過不相交的多邊形
+   */
+  _getAreas() {
+    if (this._areas) return this._areas;
+
+    const collection = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+    this._areas = (collection.features || [])
+      .filter(feature => feature.geometry)
+      .map(feature => ({
+        city: feature.properties?.[this.cityProperty] || null,
+        district: feature.properties?.[this.districtProperty] || null,
+        geometry: feature.geometry,
+        bbox: this._computeBbox(feature.geometry),
+      }));
+
+    log.info('Geocoding boundaries loaded', { filePath: this.filePath, areas: this._areas.length });
+
+    return this._areas;
+  }
+
+  _computeBbox(geometry) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+    for (const polygon of polygons) {
+      for (const [lng, lat] of polygon[0] || []) {
+        bbox[0] = Math.min(bbox[0], lng);
+        bbox[1] = Math.min(bbox[1], lat);
+        bbox[2] = Math.max(bbox[2], lng);
+        bbox[3] = Math.max(bbox[3], lat);
+      }
+    }
+
+    return bbox;
+  }
+}
+
+module.exports = BoundaryGeocodingProvider;
@@ -0,0 +1,59 @@
+/**
+ * 組合反查 Provider
+ * 依序詢問多個 Provider，每個欄位取第一個有值的結果；欄位都有值後不再詢問後面的 Provider
+ * 例如 boundaries,nominatim：行政區以離線界線為準，街道門牌才呼叫 Nominatim
+ */
+const { log } = require('../../utils/logger');
+
+const FIELDS = ['city', 'district', 'street'];
+
+class ChainGeocodingProvider {
+  /**
+   * @param {Array<Object>} providers - 實作 reverse / close 的 Provider
+   */
+  constructor(providers) {
+    this.providers = providers;
+    this.enabled = providers.length > 0;
+    this.name = providers.length > 0 ? providers.map(provider => provider.name).join('+') : 'none';
+  }
+
+  /**
+   * 座標反查
+   * 單一 Provider 失敗時略過，由後面的 Provider 補上；沒有任何結果且有 Provider 失敗時拋出錯誤，避免被當成查無結果快取
+   * 有 Provider 失敗且仍缺少欄位時，結果標記 incomplete（缺少的欄位可能只是暫時查不到）
+   * @param {number} lat - 緯度
+   * @param {number} lng - 經度
+   * @returns {Promise<Object|null>} { city, district, street, incomplete? }，全部查無結果時為 null
+   */
+  async reverse(lat, lng) {
+    const result = { city: null, district: null, street: null };
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      if (FIELDS.every(field => result[field])) break;
+
+      try {
+        const partial = await provider.reverse(lat, lng);
+        for (const field of FIELDS) {
+          if (!result[field] && partial?.[field]) result[field] = partial[field];
+        }
+      } catch (err) {
+        lastError = err;
+        log.warn('Geocoding provider failed', { provider: provider.name, error: err.message });
+      }
+    }
+
+    if (FIELDS.some(field => result[field])) {
+      if (lastError && FIELDS.some(field => !result[field])) result.incomplete = true;
+      return result;
+    }
+    if (lastError) throw lastError;
+    return null;
+  }
+
+  async close() {
+    await Promise.all(this.providers.map(provider => provider.close()));
+  }
+}
+
+module.exports = ChainGeocodingProvider;
@@ -0,0 +1,78 @@
+/**
+ * 反查地址 Provider 工廠
+ * 依 GEOCODING_PROVIDER 環境變數（逗號分隔，依序詢問，預設 boundaries）組合實作，每個 Provider 皆提供：
+ *   reverse(lat, lng) → { city, district, street } 或 null（完整地址由 geocodingService 組合）
+ *   close()
+ *
+ * 可用的 Provider：
+ *   boundaries - 離線行政區界線，必須以 GEOCODING_BOUNDARIES_PATH 指定 GeoJSON 檔案
+ *                （屬性名稱可用 GEOCODING_BOUNDARIES_CITY_PROPERTY / GEOCODING_BOUNDARIES_DISTRICT_PROPERTY 調整）
+ *   nominatim  - Nominatim /reverse API（GEOCODING_NOMINATIM_URL、GEOCODING_USER_AGENT、GEOCODING_NOMINATIM_EMAIL）
+ *   none       - 不反查（本機開發與測試），地址維持客戶端提供的值
+ */
+const fs = require('fs');
+const { log } = require('../../utils/logger');
+const NominatimGeocodingProvider = require('./nominatimProvider');
+const BoundaryGeocodingProvider = require('./boundaryProvider');
+const ChainGeocodingProvider = require('./chainProvider');
+
+const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+/**
+ * 建立單一 Provider，設定不完整或名稱未知時拋出錯誤
+ */
+function createProvider(providerName) {
+  if (providerName === 'nominatim') {
+    return new NominatimGeocodingProvider({
+      baseUrl: process.env.GEOCODING_NOMINATIM_URL || DEFAULT_NOMINATIM_URL,
+      userAgent: process.env.GEOCODING_USER_AGENT || 'raibu-backend',
+      email: process.env.GEOCODING_NOMINATIM_EMAIL || null,
+      minIntervalMs: parseInt(process.env.GEOCODING_MIN_INTERVAL_MS, 10) || 1000,
+    });
+  }
+
+  if (providerName === 'boundaries') {
+    const filePath = process.env.GEOCODING_BOUNDARIES_PATH;
+    if (!filePath) {
+      throw new Error('GEOCODING_BOUNDARIES_PATH 未設定，無法使用 boundaries 反查 Provider（不反查請設定 GEOCODING_PROVIDER=none）');
+    }
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`找不到行政區界線檔案: ${filePath}`);
+    }
+
+    return new BoundaryGeocodingProvider({
+      filePath,
+      cityProperty: process.env.GEOCODING_BOUNDARIES_CITY_PROPERTY || undefined,
+      districtProperty: process.env.GEOCODING_BOUNDARIES_DISTRICT_PROPERTY || undefined,
+    });
+  }
+
+  throw new Error(`未知的反查 Provider: ${providerName}`);
+}
+
+/**
+ * 建立反查 Provider
+ * GEOCODING_PROVIDER=none 時回傳空的組合（enabled 為 false，不反查也不標記已處理）；
+ * 其他設定有誤時拋出錯誤，讓伺服器啟動失敗，而不是把所有資料當成查無結果
+ * @returns {Object} Provider 實例
+ */
+function createGeocodingProvider() {
+  const providerNames = (process.env.GEOCODING_PROVIDER || 'boundaries')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  if (providerNames.length === 1 && providerNames[0] === 'none') {
+    log.warn('Geocoding disabled (GEOCODING_PROVIDER=none), addresses will not be filled');
+    return new ChainGeocodingProvider([]);
+  }
+
+  return new ChainGeocodingProvider(providerNames.map(createProvider));
+}
+
+module.exports = {
+  createGeocodingProvider,
+  NominatimGeocodingProvider,
+  BoundaryGeocodingProvider,
+  ChainGeocodingProvider,
+};
@@ -0,0 +1,111 @@
+/**
+ * Nominatim 反查 Provider
+ * 呼叫 Nominatim 相容的 /reverse API（OpenStreetMap 官方或自架），取得門牌地址與行政區
+ * 官方服務限制每秒 1 次請求且必須帶識別用的 User-Agent，請求會依 minIntervalMs 排隊送出
+ */
+const { log } = require('../../utils/logger');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+class NominatimGeocodingProvider {
+  /**
+   * @param {Object} options - { baseUrl, userAgent, email, language, minIntervalMs }
+   */
+  constructor({ baseUrl, userAgent, email = null, language = 'zh-TW', minIntervalMs = 1000 }) {
+    this.name = 'nominatim';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.userAgent = userAgent;
+    this.email = email;
+    this.language = language;
+    this.minIntervalMs = minIntervalMs;
+    this._queue = Promise.resolve();
+    this._lastRequestAt = 0;
+  }
+
+  /**
+   * 座標反查
+   * @param {number} lat - 緯度
+   * @param {number} lng - 經度
+   * @returns {Promise<Object|null>} { city, district, street }，查無結果時為 null
+   */
+  async reverse(lat, lng) {
+    const url = new URL(`${this.baseUrl}/reverse`);
+    url.search = new URLSearchParams({
+      format: 'jsonv2',
+      lat: String(lat),
+      lon: String(lng),
+      zoom: '18',
+      addressdetails: '1',
+      'accept-language': this.language,
+      ...(this.email ? { email: this.email } : {}),
+    }).toString();
+
+    const body = await this._throttle(() => this._request(url));
+
+    if (!body || body.error || !body.address) {
+      return null;
+    }
+
+    return this._parseAddress(body);
+  }
+
+  async close() {}
+
+  // ==================== Private Methods ====================
+
+  /**
+   * 依序送出請求，兩次請求間隔至少 minIntervalMs
+   */
+  _throttle(task) {
+    const run = this._queue.then(async () => {
+      const waitMs = this._lastRequestAt + this.minIntervalMs - Date.now();
+      if (waitMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+      this._lastRequestAt = Date.now();
+      return task();
+    });
+
+    // 單次失敗不影響後續排隊的請求
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _request(url) {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': this.userAgent, Accept: 'application/json' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      log.warn('Nominatim reverse geocoding failed', { status: response.status });
+      throw new Error(`Nominatim responded with ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * 將 Nominatim 的 address 欄位轉為台灣的縣市 / 鄉鎮市區 / 街道門牌
+   * 直轄市與省轄市為 city + suburb（區）；縣為 county + town / city（鄉鎮市）
+   */
+  _parseAddress(body) {
+    const parts = body.address;
+    const city = parts.county || parts.city || null;
+    const district = parts.city_district
+      || parts.suburb
+      || parts.district
+      || parts.town
+      || (parts.county ? parts.city : null)
+      || null;
+
+    const road = parts.road || parts.pedestrian || parts.neighbourhood || parts.quarter || null;
+    const houseNumber = parts.house_number
+      ? (/號$/.test(parts.house_number) ? parts.house_number : `${parts.house_number}號`)
+      : '';
+
+    return { city, district, street: road ? `${road}${houseNumber}` : null };
+  }
+}
+
+module.exports = NominatimGeocodingProvider;
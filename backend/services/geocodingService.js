@@ -0,0 +1,280 @@
+/**
+ * 反查地址 Service 層
+ * 由後端依座標填入紀錄圖片與詢問中心點的地址、縣市與鄉鎮市區（客戶端送來的地址保留到反查出街道門牌為止）
+ * 實際反查交給可替換的 Provider（services/geocodingProviders），結果依四捨五入後的座標快取於 geocode_cache
+ */
+const supabase = require('../config/supabase');
+const { log } = require('../utils/logger');
+const { isValidCoordinate, normalizeAreaName } = require('../utils/geo');
+const { AskEvents } = require('./askLifecycleService');
+const { createGeocodingProvider } = require('./geocodingProviders');
+
+// 快取座標的小數位數（4 位約 11 公尺）
+const CACHE_PRECISION = parseInt(process.env.GEOCODING_CACHE_PRECISION, 10) || 4;
+
+// 快取有效天數，過期後重新反查
+const CACHE_TTL_DAYS = parseInt(process.env.GEOCODING_CACHE_TTL_DAYS, 10) || 90;
+
+// 補齊舊資料時單次處理的筆數上限
+const DEFAULT_BACKFILL_LIMIT = 100;
+
+class GeocodingService {
+  constructor() {
+    this._provider = null;
+    this._inflight = new Map();
+  }
+
+  /**
+   * 取得反查 Provider（延遲建立，測試時可用 setProvider 替換）
+   */
+  get provider() {
+    if (!this._provider) {
+      this._provider = createGeocodingProvider();
+    }
+    return this._provider;
+  }
+
+  /**
+   * 啟動時建立反查 Provider，設定有誤時直接拋出錯誤
+   * @returns {Object} Provider 實例
+   */
+  init() {
+    return this.provider;
+  }
+
+  /**
+   * 替換反查 Provider
+   * @param {Object} provider - 實作 reverse / close 的 Provider
+   */
+  setProvider(provider) {
+    this._provider = provider;
+  }
+
+  /**
+   * 掛載詢問生命週期事件（詢問建立後反查中心點）
+   * @param {EventEmitter} askLifecycle - askLifecycleService
+   */
+  attachAskEvents(askLifecycle) {
+    if (this._askEventsAttached) return;
+    this._askEventsAttached = true;
+
+    askLifecycle.on(AskEvents.CREATED, ({ askId }) => {
+      this.geocodeAsk(askId).catch(err =>
+        log.error('Ask geocoding failed', { askId, error: err.message })
+      );
+    });
+  }
+
+  /**
+   * 座標反查（先查快取，同一座標同時只會反查一次）
+   * @param {number} lat - 緯度
+   * @param {number} lng - 經度
+   * @returns {Promise<Object|null>} { address, city, district }，有 Provider 失敗而只有部分結果時另含 incomplete: true；查無結果時為 null
+   */
+  async reverseGeocode(lat, lng) {
+    if (!isValidCoordinate(lat, lng)) return null;
+
+    const cacheKey = `${lat.toFixed(CACHE_PRECISION)},${lng.toFixed(CACHE_PRECISION)}`;
+
+    if (this._inflight.has(cacheKey)) {
+      return this._inflight.get(cacheKey);
+    }
+
+    // 以四捨五入後的座標反查，快取內容才與 key 一致
+    const lookup = this._lookup(cacheKey, Number(lat.toFixed(CACHE_PRECISION)), Number(lng.toFixed(CACHE_PRECISION)))
+      .finally(() => this._inflight.delete(cacheKey));
+    this._inflight.set(cacheKey, lookup);
+
+    return lookup;
+  }
+
+  /**
+   * 反查紀錄的所有圖片並寫回 image_media
+   * @param {string} recordId - 紀錄 ID
+   * @returns {Promise<number>} 處理的圖片數
+   */
+  async geocodeRecordImages(recordId) {
+    const { data: images, error } = await supabase.rpc('get_record_images_with_location', {
+      p_record_id: recordId,
+    });
+
+    if (error) {
+      log.db.error('get_record_images_with_location', 'image_media', error);
+      return 0;
+    }
+
+    for (const image of images || []) {
+      await this._geocodeRow('image_media', image.id, image.lat, image.lng);
+    }
+
+    return (images || []).length;
+  }
+
+  /**
+   * 反查詢問中心點並寫回 asks
+   * @param {string} askId - 詢問 ID
+   * @returns {Promise<Object|null>} 反查結果 { address, city, district }
+   */
+  async geocodeAsk(askId) {
+    const { data, error } = await supabase.rpc('get_ask_detail_with_coords', { p_ask_id: askId });
+
+    if (error || !data || data.length === 0) {
+      if (error) log.db.error('get_ask_detail_with_coords', 'asks', error);
+      return null;
+    }
+
+    return this._geocodeRow('asks', askId, data[0].lat, data[0].lng);
+  }
+
+  /**
+   * 補齊尚未反查的紀錄圖片與詢問（部署前已存在的資料）
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} 摘要 { scanned, geocoded, partial, not_found, failed }（partial 為不完整的結果，之後會再重試）
+   */
+  async backfill({ limit = DEFAULT_BACKFILL_LIMIT } = {}) {
+    if (this.provider.enabled === false) {
+      throw new Error('未設定反查 Provider（GEOCODING_PROVIDER=none），無法補齊地址');
+    }
+
+    const { data: pending, error } = await supabase.rpc('get_pending_geocoding', { p_limit: limit });
+
+    if (error) {
+      log.db.error('get_pending_geocoding', 'image_media', error);
+      throw new Error(`查詢待反查資料失敗: ${error.message}`);
+    }
+
+    const summary = { scanned: (pending || []).length, geocoded: 0, partial: 0, not_found: 0, failed: 0 };
+
+    for (const row of pending || []) {
+      const table = row.item_type === 'ask' ? 'asks' : 'image_media';
+      try {
+        const result = await this._geocodeRow(table, row.item_id, row.lat, row.lng);
+        summary[!result ? 'not_found' : result.incomplete ? 'partial' : 'geocoded'] += 1;
+      } catch (err) {
+        summary.failed += 1;
+        log.warn('Backfill geocoding failed', { table, id: row.item_id, error: err.message });
+      }
+    }
+
+    return summary;
+  }
+
+  // ==================== Private Methods ====================
+
+  async _lookup(cacheKey, lat, lng) {
+    const cached = await this._readCache(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const result = this._formatResult(await this.provider.reverse(lat, lng));
+
+    // 部分 Provider 失敗時不快取，避免不完整的結果沿用整個快取期限
+    if (!result?.incomplete) {
+      await this._writeCache(cacheKey, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * 讀取快取；沒有快取或已過期時回傳 undefined（查無結果也會快取為 null）
+   */
+  async _readCache(cacheKey) {
+    const { data, error } = await supabase
+      .from('geocode_cache')
+      .select('address, city, district, created_at')
+      .eq('cache_key', cacheKey)
+      .maybeSingle();
+
+    if (error) {
+      log.db.error('select', 'geocode_cache', error);
+      return undefined;
+    }
+
+    if (!data) return undefined;
+
+    const ageMs = Date.now() - new Date(data.created_at).getTime();
+    if (ageMs > CACHE_TTL_DAYS * 24 * 60 * 60 * 1000) return undefined;
+
+    return data.address || data.city || data.district
+      ? { address: data.address, city: data.city, district: data.district }
+      : null;
+  }
+
+  async _writeCache(cacheKey, result) {
+    const { error } = await supabase
+      .from('geocode_cache')
+      .upsert({
+        cache_key: cacheKey,
+        provider: this.provider.name,
+        address: result?.address || null,
+        city: result?.city || null,
+        district: result?.district || null,
+        created_at: new Date().toISOString(),
+      }, { onConflict: 'cache_key' });
+
+    if (error) {
+      log.db.error('upsert', 'geocode_cache', error);
+    }
+  }
+
+  /**
+   * 統一行政區名稱，地址依台灣習慣組合為「縣市 + 鄉鎮市區 + 街道門牌」
+   */
+  _formatResult(result) {
+    if (!result) return null;
+
+    const city = normalizeAreaName(result.city);
+    const district = normalizeAreaName(result.district);
+    const address = `${city || ''}${district || ''}${result.street || ''}` || null;
+
+    return result.incomplete ? { address, city, district, incomplete: true } : { address, city, district };
+  }
+
+  /**
+   * 反查結果是否含街道門牌（地址不只是縣市 + 鄉鎮市區）
+   */
+  _hasStreet(result) {
+    return Boolean(result?.address) && result.address !== `${result.city || ''}${result.district || ''}`;
+  }
+
+  /**
+   * 反查單一資料列並寫回
+   * 查無結果或座標無效時保留原本的地址（例如客戶端送來的地址），只標記已處理；
+   * 結果沒有街道門牌時只補上原本空白的地址；未設定 Provider 或結果不完整時不標記，之後由 backfill 重試
+   * @returns {Promise<Object|null>} 反查結果
+   */
+  async _geocodeRow(table, id, lat, lng) {
+    if (this.provider.enabled === false) return null;
+
+    const result = isValidCoordinate(lat, lng) ? await this.reverseGeocode(lat, lng) : null;
+
+    const updates = {};
+    if (result) {
+      updates.city = result.city || null;
+      updates.district = result.district || null;
+      if (this._hasStreet(result)) updates.address = result.address;
+    }
+    if (!result?.incomplete) {
+      updates.geocoded_at = new Date().toISOString();
+    }
+
+    await this._updateRow(table, id, updates);
+
+    if (result?.address && !this._hasStreet(result)) {
+      await this._updateRow(table, id, { address: result.address }, query => query.is('address', null));
+    }
+
+    return result;
+  }
+
+  async _updateRow(table, id, updates, filter = query => query) {
+    const { error } = await filter(supabase.from(table).update(updates).eq('id', id));
+
+    if (error) {
+      log.db.error('update', table, error);
+      throw new Error(`寫入反查結果失敗: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,244 @@
+/**
+ * 活動熱度 Service 層
+ * 依 Geohash 格子統計範圍內的紀錄圖片、詢問、回覆數量與按讚 / 瀏覽總和（城市儀表板用）
+ * 統計結果以較粗的 Geohash 區塊 + 對齊整點的時間窗為單位快取在記憶體中，方便前端輪詢
+ */
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+const { decodeGeohashBounds, geohashCellSize, geohashesInBounds } = require('../utils/geo');
+
+// 預設格子大小（Geohash 長度 6 約 1.2 公里 x 0.6 公里）
+const DEFAULT_RESOLUTION = 6;
+
+// 快取區塊比格子粗 2 級（每個區塊 32 x 32 格）
+const BLOCK_LEVELS = 2;
+
+// 單次請求最多涵蓋的格子數，超過時請前端降低 resolution
+const MAX_CELLS = 10000;
+
+// 時間窗對齊的時間桶（1 小時）
+const TIME_BUCKET_MS = 60 * 60 * 1000;
+
+// 未指定 from 時的預設時間窗（24 小時）與最長時間窗（92 天）
+const DEFAULT_WINDOW_MS = 24 * TIME_BUCKET_MS;
+const MAX_WINDOW_MS = 92 * 24 * TIME_BUCKET_MS;
+
+// 時間窗包含目前時段時資料仍在增加，快取較短
+const OPEN_WINDOW_TTL_MS = 60 * 1000;
+const CLOSED_WINDOW_TTL_MS = 10 * 60 * 1000;
+
+// 記憶體快取的區塊數上限，超過時先淘汰最早寫入的
+const MAX_CACHE_ENTRIES = 5000;
+
+const METRICS = ['record_images', 'asks', 'replies', 'likes', 'views'];
+
+class HeatmapService {
+  constructor() {
+    this._cache = new Map();
+    this._inflight = new Map();
+  }
+
+  /**
+   * 取得範圍內的活動熱度
+   * @param {Object} options - { minLat, maxLat, minLng, maxLng, from, to, resolution }
+   * @returns {Promise<Object>} { resolution, from, to, cells, totals }
+   */
+  async getHeatmap({ minLat, maxLat, minLng, maxLng, from, to, resolution = DEFAULT_RESOLUTION }) {
+    if (minLat > maxLat || minLng > maxLng) {
+      throw Errors.invalidArgument('min_lat / min_lng 必須小於等於 max_lat / max_lng');
+    }
+
+    const bounds = { minLat, maxLat, minLng, maxLng };
+    const window = this._resolveWindow(from, to);
+
+    const { latSize, lngSize } = geohashCellSize(resolution);
+    const estimatedCells = (Math.floor((maxLat - minLat) / latSize) + 2) * (Math.floor((maxLng - minLng) / lngSize) + 2);
+    if (estimatedCells > MAX_CELLS) {
+      throw Errors.invalidArgument(`範圍內的格子超過 ${MAX_CELLS} 個，請縮小範圍或降低 resolution`);
+    }
+
+    const blocks = geohashesInBounds(bounds, Math.max(1, resolution - BLOCK_LEVELS));
+    const blockCells = await this._getBlocks(blocks, resolution, window);
+
+    const totals = Object.fromEntries(METRICS.map(metric => [metric, 0]));
+    const cells = [];
+
+    for (const block of blocks) {
+      for (const cell of blockCells.get(block)) {
+        // 區塊比查詢範圍大，只回傳與範圍相交的格子
+        if (cell.bounds.max_lat < minLat || cell.bounds.min_lat > maxLat ||
+            cell.bounds.max_lng < minLng || cell.bounds.min_lng > maxLng) {
+          continue;
+        }
+
+        cells.push(cell);
+        for (const metric of METRICS) {
+          totals[metric] += cell[metric];
+        }
+      }
+    }
+
+    cells.sort((a, b) => this._activity(b) - this._activity(a));
+
+    return {
+      resolution,
+      from: new Date(window.from).toISOString(),
+      to: new Date(window.to).toISOString(),
+      cells,
+      totals,
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  /**
+   * 將時間窗對齊整點（from 向下、to 向上），讓輪詢請求落在同一個快取時間桶
+   */
+  _resolveWindow(from, to) {
+    const toMs = Math.ceil((to ? new Date(to).getTime() : Date.now()) / TIME_BUCKET_MS) * TIME_BUCKET_MS;
+    const fromMs = from
+      ? Math.floor(new Date(from).getTime() / TIME_BUCKET_MS) * TIME_BUCKET_MS
+      : toMs - DEFAULT_WINDOW_MS;
+
+    if (fromMs >= toMs) {
+      throw Errors.invalidArgument('from 必須早於 to');
+    }
+
+    if (toMs - fromMs > MAX_WINDOW_MS) {
+      throw Errors.invalidArgument(`時間範圍最長 ${MAX_WINDOW_MS / (24 * TIME_BUCKET_MS)} 天`);
+    }
+
+    return { from: fromMs, to: toMs };
+  }
+
+  /**
+   * 依區塊取得格子統計，未快取或已過期的區塊合併成一次查詢
+   * @returns {Promise<Map<string, Object[]>>} 區塊 → 格子統計
+   */
+  async _getBlocks(blocks, resolution, window) {
+    const now = Date.now();
+    const result = new Map();
+    const missing = [];
+
+    for (const block of blocks) {
+      const entry = this._cache.get(this._cacheKey(block, resolution, window));
+      if (entry && entry.expiresAt > now) {
+        result.set(block, entry.cells);
+      } else {
+        missing.push(block);
+      }
+    }
+
+    if (missing.length > 0) {
+      const fetched = await this._fetchBlocks(missing, resolution, window);
+      for (const block of missing) {
+        result.set(block, fetched.get(block));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 查詢區塊的格子統計並寫入快取（同一組區塊同時只會查詢一次）
+   */
+  _fetchBlocks(blocks, resolution, window) {
+    const inflightKey = `${resolution}:${window.from}:${window.to}:${blocks.join(',')}`;
+
+    if (this._inflight.has(inflightKey)) {
+      return this._inflight.get(inflightKey);
+    }
+
+    const query = this._queryBlocks(blocks, resolution, window)
+      .finally(() => this._inflight.delete(inflightKey));
+    this._inflight.set(inflightKey, query);
+
+    return query;
+  }
+
+  async _queryBlocks(blocks, resolution, window) {
+    const envelope = blocks
+      .map(decodeGeohashBounds)
+      .reduce((acc, b) => ({
+        minLat: Math.min(acc.minLat, b.minLat),
+        maxLat: Math.max(acc.maxLat, b.maxLat),
+        minLng: Math.min(acc.minLng, b.minLng),
+        maxLng: Math.max(acc.maxLng, b.maxLng),
+      }));
+
+    const { data, error } = await supabase.rpc('get_activity_heatmap', {
+      p_min_lng: envelope.minLng,
+      p_min_lat: envelope.minLat,
+      p_max_lng: envelope.maxLng,
+      p_max_lat: envelope.maxLat,
+      p_precision: resolution,
+      p_from: new Date(window.from).toISOString(),
+      p_to: new Date(window.to).toISOString(),
+    });
+
+    if (error) {
+      log.db.error('get_activity_heatmap', 'image_media', error);
+      throw Errors.internal('產生熱度統計失敗');
+    }
+
+    const blockPrecision = blocks[0].length;
+    const cellsByBlock = new Map(blocks.map(block => [block, []]));
+
+    for (const row of data || []) {
+      // 外框可能涵蓋相鄰區塊的格子，只保留本次查詢的區塊
+      const cells = cellsByBlock.get(row.cell.slice(0, blockPrecision));
+      if (cells) {
+        cells.push(this._formatCell(row));
+      }
+    }
+
+    const expiresAt = Date.now() + (window.to > Date.now() ? OPEN_WINDOW_TTL_MS : CLOSED_WINDOW_TTL_MS);
+    for (const [block, cells] of cellsByBlock) {
+      this._setCache(this._cacheKey(block, resolution, window), { cells, expiresAt });
+    }
+
+    return cellsByBlock;
+  }
+
+  _formatCell(row) {
+    const bounds = decodeGeohashBounds(row.cell);
+
+    return {
+      cell: row.cell,
+      center: {
+        lat: (bounds.minLat + bounds.maxLat) / 2,
+        lng: (bounds.minLng + bounds.maxLng) / 2,
+      },
+      bounds: {
+        min_lat: bounds.minLat,
+        max_lat: bounds.maxLat,
+        min_lng: bounds.minLng,
+        max_lng: bounds.maxLng,
+      },
+      ...Object.fromEntries(METRICS.map(metric => [metric, Number(row[metric]) || 0])),
+    };
+  }
+
+  _cacheKey(block, resolution, window) {
+    return `${block}:${resolution}:${window.from}:${window.to}`;
+  }
+
+  _setCache(key, entry) {
+    this._cache.delete(key);
+    this._cache.set(key, entry);
+
+    while (this._cache.size > MAX_CACHE_ENTRIES) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+  }
+
+  /**
+   * 排序用的活動量（內容數量，不含按讚 / 瀏覽）
+   */
+  _activity(cell) {
+    return cell.record_images + cell.asks + cell.replies;
+  }
+}
+
+module.exports = new HeatmapService();
@@ -0,0 +1,324 @@
+/**
+ * 圖片處理 Service 層
+ * 上傳完成後由伺服器從 R2 取回原圖，驗證實際格式，產生各尺寸版本並移除 EXIF
+ * 移除前先讀出 EXIF 的 GPS / 拍攝時間 / 方向 / 相機型號存入資料庫，供建立紀錄時比對客戶端座標
+ * 只有處理完成（processed_at 不為 NULL）的圖片才能關聯到紀錄、詢問或回覆
+ */
+const sharp = require('sharp');
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+const { parseExif } = require('../utils/exif');
+const {
+  getObjectBuffer,
+  putObject,
+  deleteObjects,
+  getPublicUrl,
+  generateImageKey,
+  getKeyFromPublicUrl,
+} = require('../utils/r2Helpers');
+
+// 與上傳授權（routes/upload.js）的大小限制一致
+const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20 MB
+
+// 宣告的 MIME 類型對應 sharp 偵測到的格式
+const MIME_TO_FORMAT = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/heic': 'heif',
+  'image/webp': 'webp',
+};
+
+// 伺服器產生的版本（長邊不超過 maxSize，不放大）
+const VARIANTS = {
+  thumbnail: { maxSize: 400, format: 'jpeg', extension: 'jpg', contentType: 'image/jpeg', quality: 80 },
+  medium: { maxSize: 1280, format: 'jpeg', extension: 'jpg', contentType: 'image/jpeg', quality: 85 },
+  webp: { maxSize: 1280, format: 'webp', extension: 'webp', contentType: 'image/webp', quality: 80 },
+};
+
+// 可直接重新編碼以移除 EXIF 的原圖格式
+const REENCODABLE_FORMATS = ['jpeg', 'png', 'webp'];
+
+const PROCESSED_FIELDS = `
+  id, status, content_type, width, height, byte_size,
+  original_public_url, thumbnail_public_url, medium_public_url, webp_public_url, processed_at,
+  exif_lat, exif_lng, exif_captured_at, exif_orientation, camera_model
+`;
+
+class ImageProcessingService {
+  /**
+   * 完成上傳：處理原圖並更新 image_media
+   * 已處理過的圖片直接回傳結果（可安全重試）
+   * @param {string} userId - 使用者 ID
+   * @param {string} uploadId - 上傳 ID（image_media.id）
+   * @returns {Promise<Object>} 處理結果
+   */
+  async completeUpload(userId, uploadId) {
+    const image = await this._getOwnedImage(userId, uploadId);
+
+    if (image.processed_at) {
+      return this._formatResult(image);
+    }
+
+    if (image.status !== 'PENDING') {
+      throw Errors.invalidArgument('只能處理尚未提交的圖片');
+    }
+
+    const originalKey = getKeyFromPublicUrl(image.original_public_url);
+    const buffer = await this._fetchOriginal(originalKey);
+
+    if (buffer.length > MAX_FILE_SIZE) {
+      throw Errors.resourceExhausted('圖片大小超過限制', {
+        limit: MAX_FILE_SIZE,
+        actual: buffer.length,
+      });
+    }
+
+    const metadata = await this._verifyFormat(buffer, image.content_type);
+    const { width, height } = this._orientedSize(metadata);
+    const exif = parseExif(metadata.exif);
+
+    const updates = {
+      width,
+      height,
+      byte_size: buffer.length,
+      exif_lat: exif.location?.lat ?? null,
+      exif_lng: exif.location?.lng ?? null,
+      exif_captured_at: exif.captured_at,
+      exif_orientation: exif.orientation,
+      camera_model: exif.camera_model,
+      processed_at: new Date().toISOString(),
+    };
+
+    let variantUrls = {};
+    try {
+      variantUrls = await this._generateVariants(buffer, userId, uploadId);
+
+      if (metadata.format === 'heif') {
+        // HEIC 原圖無法就地移除 EXIF，改存為 JPEG 原圖
+        Object.assign(updates, await this._convertOriginal(buffer, userId, uploadId));
+      } else if (REENCODABLE_FORMATS.includes(metadata.format)) {
+        const stripped = await this._stripMetadata(buffer, metadata.format);
+        await putObject(originalKey, stripped, image.content_type);
+        updates.byte_size = stripped.length;
+      }
+    } catch (err) {
+      await this._deleteKeys(Object.values(variantUrls).map(getKeyFromPublicUrl));
+
+      // 目前 sharp 預編譯版本無法解碼 HEVC 編碼的 HEIC，無法移除 EXIF 的圖片不對外提供
+      if (metadata.format === 'heif') {
+        log.warn('HEIC decode unsupported, rejecting upload', { uploadId, error: err.message });
+        throw Errors.invalidArgument('無法處理此 HEIC 圖片，請轉為 JPEG 後重新上傳');
+      }
+      throw err;
+    }
+    Object.assign(updates, variantUrls);
+
+    const { data: updated, error } = await supabase
+      .from('image_media')
+      .update(updates)
+      .eq('id', uploadId)
+      .eq('status', 'PENDING')
+      .select(PROCESSED_FIELDS)
+      .maybeSingle();
+
+    if (error) {
+      log.db.error('update', 'image_media', error);
+      throw Errors.internal('更新圖片資訊失敗');
+    }
+
+    if (!updated) {
+      throw Errors.invalidArgument('只能處理尚未提交的圖片');
+    }
+
+    if (updates.original_public_url) {
+      await this._deleteKeys([originalKey]);
+    }
+
+    return this._formatResult(updated);
+  }
+
+  // ==================== Private Methods ====================
+
+  /**
+   * 取得圖片並驗證擁有權
+   */
+  async _getOwnedImage(userId, uploadId) {
+    const { data: image, error } = await supabase
+      .from('image_media')
+      .select(`user_id, ${PROCESSED_FIELDS}`)
+      .eq('id', uploadId)
+      .single();
+
+    if (error || !image) {
+      throw Errors.notFound('上傳記錄不存在');
+    }
+
+    if (image.user_id !== userId) {
+      throw Errors.permissionDenied('無權限處理此圖片');
+    }
+
+    return image;
+  }
+
+  /**
+   * 從 R2 下載原圖
+   */
+  async _fetchOriginal(key) {
+    if (!key) {
+      throw Errors.internal('無法解析原圖位置');
+    }
+
+    try {
+      return await getObjectBuffer(key);
+    } catch (err) {
+      if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) {
+        throw Errors.invalidArgument('原圖尚未上傳完成');
+      }
+      log.external.error('R2', 'getObject', err);
+      throw Errors.internal('讀取原圖失敗');
+    }
+  }
+
+  /**
+   * 以檔案內容驗證實際格式是否與宣告的 MIME 類型相符
+   */
+  async _verifyFormat(buffer, declaredType) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (err) {
+      throw Errors.invalidArgument('檔案不是有效的圖片');
+    }
+
+    const expected = MIME_TO_FORMAT[declaredType];
+    if (expected && metadata.format !== expected) {
+      throw Errors.invalidArgument('圖片實際格式與宣告不符', {
+        declared: declaredType,
+        actual: metadata.format,
+      });
+    }
+
+    if (!expected && !Object.values(MIME_TO_FORMAT).includes(metadata.format)) {
+      throw Errors.invalidArgument(`不支援的圖片格式: ${metadata.format}`, {
+        allowed: Object.keys(MIME_TO_FORMAT),
+      });
+    }
+
+    return metadata;
+  }
+
+  /**
+   * 依 EXIF Orientation 取得轉正後的尺寸
+   */
+  _orientedSize(metadata) {
+    const rotated = metadata.orientation >= 5;
+    return {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height,
+    };
+  }
+
+  /**
+   * 產生各尺寸版本並上傳至 R2
+   * sharp 輸出預設不帶 metadata，rotate() 先依 Orientation 轉正
+   * 任一版本失敗時刪除已上傳的版本（縮圖 Key 與客戶端縮圖相同，失敗後客戶端縮圖也不再保留）
+   * @returns {Promise<Object>} { thumbnail_public_url, medium_public_url, webp_public_url }
+   */
+  async _generateVariants(buffer, userId, uploadId) {
+    const urls = {};
+    const uploadedKeys = [];
+
+    try {
+      for (const [type, variant] of Object.entries(VARIANTS)) {
+        const output = await sharp(buffer)
+          .rotate()
+          .resize({
+            width: variant.maxSize,
+            height: variant.maxSize,
+            fit: 'inside',
+            withoutEnlargement: true,
+          })
+          .toFormat(variant.format, { quality: variant.quality })
+          .toBuffer();
+
+        const key = generateImageKey(userId, uploadId, type, variant.extension);
+        await putObject(key, output, variant.contentType);
+        uploadedKeys.push(key);
+        urls[`${type}_public_url`] = getPublicUrl(key);
+      }
+    } catch (err) {
+      await this._deleteKeys(uploadedKeys);
+      throw err;
+    }
+
+    return urls;
+  }
+
+  /**
+   * 將無法重新編碼的原圖（HEIC）轉存為不含 EXIF 的 JPEG
+   * 原始檔案在資料庫更新成功後才刪除
+   * @returns {Promise<Object>} 要更新的 image_media 欄位
+   */
+  async _convertOriginal(buffer, userId, uploadId) {
+    const converted = await sharp(buffer).rotate().jpeg({ quality: 92 }).toBuffer();
+    const convertedKey = generateImageKey(userId, uploadId, 'original', 'jpg');
+
+    await putObject(convertedKey, converted, 'image/jpeg');
+
+    return {
+      content_type: 'image/jpeg',
+      original_public_url: getPublicUrl(convertedKey),
+      byte_size: converted.length,
+    };
+  }
+
+  /**
+   * 刪除 R2 物件（失敗只記錄，交由 uploadJanitorService 之後清理）
+   */
+  async _deleteKeys(keys) {
+    if (keys.length === 0) return;
+
+    try {
+      await deleteObjects(keys);
+    } catch (err) {
+      log.external.error('R2', 'deleteObjects', err);
+    }
+  }
+
+  /**
+   * 重新編碼原圖以移除 EXIF（保持原格式與尺寸）
+   */
+  async _stripMetadata(buffer, format) {
+    const options = format === 'png' ? {} : { quality: 92 };
+    return sharp(buffer).rotate().toFormat(format, options).toBuffer();
+  }
+
+  /**
+   * 格式化處理結果
+   */
+  _formatResult(image) {
+    return {
+      upload_id: image.id,
+      content_type: image.content_type,
+      width: image.width,
+      height: image.height,
+      byte_size: image.byte_size,
+      original_public_url: image.original_public_url,
+      thumbnail_public_url: image.thumbnail_public_url,
+      medium_public_url: image.medium_public_url,
+      webp_public_url: image.webp_public_url,
+      processed_at: image.processed_at,
+      exif: {
+        location: (image.exif_lat !== null && image.exif_lng !== null)
+          ? { lat: image.exif_lat, lng: image.exif_lng }
+          : null,
+        captured_at: image.exif_captured_at,
+        orientation: image.exif_orientation,
+        camera_model: image.camera_model,
+      },
+    };
+  }
+}
+
+module.exports = new ImageProcessingService();
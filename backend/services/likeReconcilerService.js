@@ -0,0 +1,89 @@
+/**
+ * 愛心計數校正 Service
+ * 以 likes 重新計算 records / asks / replies 的 like_count，修正歷史資料或手動操作造成的偏移
+ * 可在伺服器內定時執行，也可透過 scripts/reconcile-like-counts.js 手動執行
+ */
+const supabaseAdmin = require('../config/supabaseAdmin');
+const { log } = require('../utils/logger');
+
+// 每次最多校正的筆數，避免單次執行過久
+const DEFAULT_BATCH_LIMIT = 1000;
+
+// 預設每天執行一次
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+class LikeReconcilerService {
+  constructor() {
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * 啟動定時校正
+   * @param {number} intervalMs - 執行間隔（毫秒）
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.run().catch(err => log.error('Like reconciler run failed', { error: err.message }));
+    }, intervalMs);
+
+    this._timer.unref();
+
+    log.info('Like reconciler started', { intervalMs });
+  }
+
+  /**
+   * 停止定時校正
+   */
+  stop() {
+    if (!this._timer) return;
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * 執行一次校正
+   * @param {Object} options - { dryRun, limit }
+   * @returns {Promise<Object>} 校正摘要 { dry_run, fixed, targets }
+   */
+  async run(options = {}) {
+    const { dryRun = false, limit = DEFAULT_BATCH_LIMIT } = options;
+
+    if (this._running) {
+      log.warn('Like reconciler already running, skipped');
+      return null;
+    }
+    this._running = true;
+
+    try {
+      const { data: rows, error } = await supabaseAdmin.rpc('reconcile_like_counts', {
+        p_dry_run: dryRun,
+        p_limit: limit,
+      });
+
+      if (error) {
+        log.db.error('rpc', 'reconcile_like_counts', error);
+        throw new Error(`校正愛心數失敗: ${error.message}`);
+      }
+
+      const summary = {
+        dry_run: dryRun,
+        fixed: dryRun ? 0 : (rows || []).length,
+        targets: rows || [],
+      };
+
+      log.info('Like reconciler finished', {
+        dry_run: dryRun,
+        drifted: summary.targets.length,
+        fixed: summary.fixed,
+      });
+      return summary;
+    } finally {
+      this._running = false;
+    }
+  }
+}
+
+module.exports = new LikeReconcilerService();
@@ -0,0 +1,245 @@
+/**
+ * 愛心 Service 層
+ * 按讚 / 取消由 set_like RPC 在單一交易內完成（鎖定目標、新增 / 刪除 likes、更新 like_count），
+ * 並發請求不會讓計數偏移；按讚者列表與「我按讚的內容」直接查詢 likes
+ */
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+const { applyCursor, buildPage } = require('../middleware/validate');
+const blockService = require('./blockService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+
+const AUTHOR_JOIN = 'users:user_id (id, display_name, avatar_url)';
+
+const LikeTargets = {
+  record: {
+    table: 'records',
+    column: 'record_id',
+    fields: `id, user_id, description, main_image_url, like_count, created_at, ${AUTHOR_JOIN}`,
+  },
+  ask: {
+    table: 'asks',
+    column: 'ask_id',
+    fields: `id, user_id, title, question, main_image_url, status, like_count, created_at, ${AUTHOR_JOIN}`,
+  },
+  reply: {
+    table: 'replies',
+    column: 'reply_id',
+    fields: `id, user_id, record_id, ask_id, parent_reply_id, content, like_count, created_at, ${AUTHOR_JOIN}`,
+  },
+};
+
+class LikeService {
+  /**
+   * 設定愛心狀態（重複設定相同狀態視為成功）
+   * 內容作者封鎖了自己時不能按讚，但仍可取消既有的愛心
+   * @param {string} userId - 使用者 ID
+   * @param {string} targetType - record | ask | reply
+   * @param {string} targetId - 目標 ID
+   * @param {boolean|null} liked - true 按讚、false 取消、null 切換
+   * @returns {Promise<Object>} { liked, changed, like_count }
+   */
+  async setLike(userId, targetType, targetId, liked = null) {
+    const blocked = liked !== false && await this._isBlockedByOwner(userId, targetType, targetId);
+    if (blocked && liked === true) {
+      throw Errors.permissionDenied('你無法與此使用者的內容互動');
+    }
+
+    // 被封鎖時的切換只允許取消；沒有可取消的愛心代表這次是按讚
+    const result = await this._setLike(userId, targetType, targetId, blocked ? false : liked);
+    if (blocked && !result.changed) {
+      throw Errors.permissionDenied('你無法與此使用者的內容互動');
+    }
+
+    if (result.changed) {
+      // 通知與即時推送不阻塞回應
+      if (result.liked) {
+        notificationService.notifyLike(userId, targetType, targetId);
+      }
+      realtimeService.publishLikeUpdated(targetType, targetId, result.like_count);
+    }
+
+    return result;
+  }
+
+  /**
+   * 取得按讚的使用者（新到舊，排除檢視者封鎖 / 靜音的使用者）
+   * @param {string} targetType - record | ask | reply
+   * @param {string} targetId - 目標 ID
+   * @param {Object} pagination - parsePagination 的結果
+   * @param {string|null} viewerId - 檢視者（未登入為 null）
+   * @returns {Promise<Object>} { users, next_cursor }
+   */
+  async getLikers(targetType, targetId, pagination, viewerId = null) {
+    const { table, column } = LikeTargets[targetType];
+
+    const [{ data: target }, hiddenUserIds] = await Promise.all([
+      supabase.from(table).select('id').eq('id', targetId).maybeSingle(),
+      blockService.getHiddenUserIds(viewerId),
+    ]);
+
+    if (!target) {
+      throw Errors.notFound('找不到此內容');
+    }
+
+    const { data: rows, error } = await applyCursor(
+      blockService.excludeUsers(
+        supabase
+          .from('likes')
+          .select(`id, created_at, ${AUTHOR_JOIN}`)
+          .eq(column, targetId),
+        'user_id',
+        hiddenUserIds
+      ),
+      pagination
+    );
+
+    if (error) {
+      log.db.error('select', 'likes', error);
+      throw Errors.internal('查詢按讚列表失敗');
+    }
+
+    const { items, next_cursor } = buildPage(rows, pagination.limit);
+
+    return {
+      users: items
+        .filter(row => row.users)
+        .map(row => ({
+          id: row.users.id,
+          display_name: row.users.display_name,
+          avatar_url: row.users.avatar_url,
+          liked_at: row.created_at,
+        })),
+      next_cursor,
+    };
+  }
+
+  /**
+   * 取得使用者按讚的內容（依按讚時間新到舊）
+   * @param {string} userId - 使用者 ID
+   * @param {Object} pagination - parsePagination 的結果
+   * @param {string|null} targetType - 只列出指定類型
+   * @returns {Promise<Object>} { items, next_cursor }
+   */
+  async getUserLikes(userId, pagination, targetType = null) {
+    const embeds = Object.values(LikeTargets)
+      .map(({ table, column, fields }) => `${table}:${column} (${fields})`)
+      .join(', ');
+
+    let query = supabase
+      .from('likes')
+      .select(`id, created_at, record_id, ask_id, reply_id, ${embeds}`)
+      .eq('user_id', userId);
+
+    if (targetType) {
+      query = query.not(LikeTargets[targetType].column, 'is', null);
+    }
+
+    const { data: rows, error } = await applyCursor(query, pagination);
+
+    if (error) {
+      log.db.error('select', 'likes', error);
+      throw Errors.internal('查詢按讚內容失敗');
+    }
+
+    const { items, next_cursor } = buildPage(rows, pagination.limit);
+
+    return {
+      items: items
+        .map(row => this._formatLikedItem(row))
+        .filter(Boolean),
+      next_cursor,
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  async _isBlockedByOwner(userId, targetType, targetId) {
+    const { data: target } = await supabase
+      .from(LikeTargets[targetType].table)
+      .select('user_id')
+      .eq('id', targetId)
+      .maybeSingle();
+
+    if (!target) {
+      throw Errors.notFound('找不到此內容');
+    }
+
+    const blockers = await blockService.getBlockersOf([target.user_id], userId);
+    return blockers.length > 0;
+  }
+
+  async _setLike(userId, targetType, targetId, liked) {
+    const { data, error } = await supabase.rpc('set_like', {
+      p_user_id: userId,
+      p_target_type: targetType,
+      p_target_id: targetId,
+      p_liked: liked,
+    });
+
+    if (error) {
+      log.db.error('rpc', 'set_like', error);
+      throw Errors.internal('更新愛心失敗');
+    }
+
+    // 目標不存在（或在檢查後被刪除）時 RPC 不回傳任何列
+    const row = data?.[0];
+    if (!row) {
+      throw Errors.notFound('找不到此內容');
+    }
+
+    return {
+      liked: row.liked,
+      changed: row.changed,
+      like_count: row.like_count || 0,
+    };
+  }
+
+  _formatLikedItem(row) {
+    const targetType = Object.keys(LikeTargets).find(type => row[LikeTargets[type].column]);
+    const data = targetType && row[LikeTargets[targetType].table];
+
+    // 內容在讀取期間被刪除時略過
+    if (!data) return null;
+
+    const base = {
+      type: targetType,
+      id: data.id,
+      user_id: data.user_id,
+      author: data.users || null,
+      like_count: data.like_count || 0,
+      created_at: data.created_at,
+      liked_at: row.created_at,
+    };
+
+    switch (targetType) {
+      case 'record':
+        return {
+          ...base,
+          description: data.description,
+          main_image_url: data.main_image_url,
+        };
+      case 'ask':
+        return {
+          ...base,
+          title: data.title || null,
+          question: data.question,
+          main_image_url: data.main_image_url,
+          status: data.status,
+        };
+      default:
+        return {
+          ...base,
+          record_id: data.record_id,
+          ask_id: data.ask_id,
+          parent_reply_id: data.parent_reply_id || null,
+          content: data.content,
+        };
+    }
+  }
+}
+
+module.exports = new LikeService();
+module.exports.LikeTargets = LikeTargets;
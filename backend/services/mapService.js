@@ -0,0 +1,137 @@
+/**
+ * 地圖 Service 層
+ * 處理伺服器端地圖群集，減少密集區域回傳的資料量
+ */
+const recordService = require('./recordService');
+const askService = require('./askService');
+const { encodeGeohash, isValidCoordinate } = require('../utils/geo');
+
+// 縮放等級大於此值時不再群集，直接回傳個別標點
+const CLUSTER_MAX_ZOOM = 16;
+
+// 縮放等級 → Geohash 長度（格網大小）對照
+// 每一級 Geohash 約等於地圖放大 2.5 級的格網尺寸
+const ZOOM_PRECISION_STEPS = [
+  { maxZoom: 2, precision: 1 },
+  { maxZoom: 5, precision: 2 },
+  { maxZoom: 7, precision: 3 },
+  { maxZoom: 10, precision: 4 },
+  { maxZoom: 12, precision: 5 },
+  { maxZoom: 15, precision: 6 },
+  { maxZoom: CLUSTER_MAX_ZOOM, precision: 7 },
+];
+
+class MapService {
+  /**
+   * 取得地圖範圍內的群集結果
+   * @param {Object} bounds - { minLat, maxLat, minLng, maxLng, startDate, endDate, viewerId, tag, city, district }
+   * @param {number} zoom - 地圖縮放等級 (0 ~ 22)
+   * @returns {Promise<Object>} { zoom, clustered, records, asks }
+   */
+  async getClusters(bounds, zoom) {
+    const [images, asks] = await Promise.all([
+      recordService.getMapRecords(bounds),
+      askService.getMapAsks(bounds),
+    ]);
+
+    // 基本查詢 fallback 沒有座標，無法參與群集
+    const locatedImages = images.filter(img => isValidCoordinate(img.lat, img.lng));
+    const locatedAsks = asks.filter(ask => ask.center && isValidCoordinate(ask.center.lat, ask.center.lng));
+
+    if (zoom > CLUSTER_MAX_ZOOM) {
+      return {
+        zoom,
+        clustered: false,
+        records: { clusters: [], points: locatedImages },
+        asks: { clusters: [], points: locatedAsks },
+      };
+    }
+
+    const precision = this._precisionForZoom(zoom);
+
+    return {
+      zoom,
+      clustered: true,
+      records: this._cluster(locatedImages, precision, {
+        getCoordinate: img => ({ lat: img.lat, lng: img.lng }),
+        getThumbnail: img => img.thumbnail_public_url || null,
+      }),
+      asks: this._cluster(locatedAsks, precision, {
+        getCoordinate: ask => ask.center,
+        getThumbnail: ask => ask.main_image_url || ask.author_avatar_url || null,
+      }),
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  /**
+   * 依縮放等級取得 Geohash 長度
+   */
+  _precisionForZoom(zoom) {
+    const step = ZOOM_PRECISION_STEPS.find(s => zoom <= s.maxZoom);
+    return step ? step.precision : ZOOM_PRECISION_STEPS[ZOOM_PRECISION_STEPS.length - 1].precision;
+  }
+
+  /**
+   * 以 Geohash 格網分組
+   * 單一項目的格子直接當作個別標點回傳
+   */
+  _cluster(items, precision, { getCoordinate, getThumbnail }) {
+    const cells = new Map();
+
+    for (const item of items) {
+      const { lat, lng } = getCoordinate(item);
+      const geohash = encodeGeohash(lat, lng, precision);
+
+      if (!cells.has(geohash)) {
+        cells.set(geohash, { items: [], latSum: 0, lngSum: 0 });
+      }
+
+      const cell = cells.get(geohash);
+      cell.items.push(item);
+      cell.latSum += lat;
+      cell.lngSum += lng;
+    }
+
+    const clusters = [];
+    const points = [];
+
+    for (const [geohash, cell] of cells) {
+      if (cell.items.length === 1) {
+        points.push(cell.items[0]);
+        continue;
+      }
+
+      // 以最新的項目作為代表縮圖
+      const newest = cell.items.reduce((latest, item) =>
+        this._timestamp(item.created_at) > this._timestamp(latest.created_at) ? item : latest
+      );
+
+      clusters.push({
+        id: geohash,
+        count: cell.items.length,
+        center: {
+          lat: cell.latSum / cell.items.length,
+          lng: cell.lngSum / cell.items.length,
+        },
+        thumbnail_url: getThumbnail(newest),
+        latest_created_at: newest.created_at || null,
+      });
+    }
+
+    clusters.sort((a, b) => b.count - a.count);
+
+    return { clusters, points };
+  }
+
+  /**
+   * 轉換時間為可比較的數值（缺值排最舊）
+   */
+  _timestamp(value) {
+    const time = value ? new Date(value).getTime() : NaN;
+    return Number.isNaN(time) ? -Infinity : time;
+  }
+}
+
+module.exports = new MapService();
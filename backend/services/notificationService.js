@@ -0,0 +1,435 @@
+/**
+ * 站內通知 Service 層
+ * 各模組在事件發生時呼叫 notify 系列方法；同群組的未讀通知由 push_notification RPC 合併
+ * （例如「12 人說你的紀錄讚」只會有一則），通知失敗不影響原本的操作
+ */
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+const { applyCursor, buildPage } = require('../middleware/validate');
+const { AskEvents } = require('./askLifecycleService');
+const blockService = require('./blockService');
+
+const NotificationTypes = {
+  LIKE: 'LIKE',
+  REPLY: 'REPLY',
+  ONSITE_REPLY: 'ONSITE_REPLY',
+  MENTION: 'MENTION',
+  ANSWER_ACCEPTED: 'ANSWER_ACCEPTED',
+  ASK_RESOLVED: 'ASK_RESOLVED',
+  ASK_EXPIRED: 'ASK_EXPIRED',
+  CONTENT_REMOVED: 'CONTENT_REMOVED',
+  ACCOUNT_BANNED: 'ACCOUNT_BANNED',
+  REPORT_REVIEWED: 'REPORT_REVIEWED',
+};
+
+// 通知列表中顯示的觸發者數量
+const DISPLAY_ACTOR_LIMIT = 3;
+
+const TARGET_TABLES = {
+  record: 'records',
+  ask: 'asks',
+  reply: 'replies',
+};
+
+const TARGET_LABELS = {
+  record: '紀錄',
+  ask: '詢問',
+  reply: '留言',
+};
+
+class NotificationService {
+  /**
+   * 寫入一則通知
+   * @param {Object} notification - { userId, type, groupKey, actorId, recordId, askId, replyId, data }
+   * @returns {Promise<string|null>} 通知 ID，略過或失敗時為 null
+   */
+  async notify(notification) {
+    const { userId, type, groupKey, actorId = null, recordId = null, askId = null, replyId = null, data = {} } = notification;
+
+    // 不通知自己觸發的事件
+    if (!userId || userId === actorId) return null;
+
+    try {
+      // 收件者封鎖 / 靜音了觸發者時不通知
+      if (actorId && await blockService.getRelation(userId, actorId)) return null;
+
+      const { data: id, error } = await supabase.rpc('push_notification', {
+        p_user_id: userId,
+        p_type: type,
+        p_group_key: groupKey,
+        p_actor_id: actorId,
+        p_record_id: recordId,
+        p_ask_id: askId,
+        p_reply_id: replyId,
+        p_data: data,
+      });
+
+      if (error) {
+        log.db.error('push_notification', 'notifications', error);
+        return null;
+      }
+
+      return id;
+    } catch (err) {
+      log.error('Failed to push notification', { type, userId, error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * 按讚通知（同一目標的未讀按讚合併）
+   * @param {string} actorId - 按讚者
+   * @param {string} targetType - 'record' | 'ask' | 'reply'
+   * @param {string} targetId - 目標 ID
+   */
+  async notifyLike(actorId, targetType, targetId) {
+    try {
+      const owner = await this._getTargetOwner(targetType, targetId);
+      if (!owner) return;
+
+      await this.notify({
+        userId: owner.user_id,
+        type: NotificationTypes.LIKE,
+        groupKey: `LIKE:${targetType}:${targetId}`,
+        actorId,
+        [this._targetKey(targetType)]: targetId,
+        ...this._parentTarget(targetType, owner),
+        data: { target_type: targetType },
+      });
+    } catch (err) {
+      log.error('Failed to notify like', { targetType, targetId, error: err.message });
+    }
+  }
+
+  /**
+   * 回覆通知：通知標點擁有者、被回覆的留言作者，以及被 @提及的使用者
+   * @param {Object} reply - 建立的回覆（含 record_id / ask_id / parent_reply_id / is_onsite）
+   * @param {Array} mentions - 被提及的使用者 [{ id }]
+   */
+  async notifyReply(reply, mentions = []) {
+    try {
+      const targetType = reply.record_id ? 'record' : 'ask';
+      const targetId = reply.record_id || reply.ask_id;
+      const notified = new Set([reply.user_id]);
+
+      const owner = await this._getTargetOwner(targetType, targetId);
+      if (owner && !notified.has(owner.user_id)) {
+        notified.add(owner.user_id);
+        const type = reply.is_onsite ? NotificationTypes.ONSITE_REPLY : NotificationTypes.REPLY;
+        await this.notify({
+          userId: owner.user_id,
+          type,
+          groupKey: `${type}:${targetType}:${targetId}`,
+          actorId: reply.user_id,
+          [this._targetKey(targetType)]: targetId,
+          replyId: reply.id,
+        });
+      }
+
+      if (reply.parent_reply_id) {
+        const parent = await this._getTargetOwner('reply', reply.parent_reply_id);
+        if (parent && !notified.has(parent.user_id)) {
+          notified.add(parent.user_id);
+          await this.notify({
+            userId: parent.user_id,
+            type: NotificationTypes.REPLY,
+            groupKey: `REPLY:reply:${reply.parent_reply_id}`,
+            actorId: reply.user_id,
+            [this._targetKey(targetType)]: targetId,
+            replyId: reply.id,
+            data: { parent_reply_id: reply.parent_reply_id },
+          });
+        }
+      }
+
+      // 提及不合併，每則回覆各一則通知
+      for (const user of mentions) {
+        if (notified.has(user.id)) continue;
+        notified.add(user.id);
+        await this.notify({
+          userId: user.id,
+          type: NotificationTypes.MENTION,
+          groupKey: `MENTION:${reply.id}`,
+          actorId: reply.user_id,
+          [this._targetKey(targetType)]: targetId,
+          replyId: reply.id,
+        });
+      }
+    } catch (err) {
+      log.error('Failed to notify reply', { replyId: reply.id, error: err.message });
+    }
+  }
+
+  /**
+   * 管理員處置通知
+   * @param {Object} moderation - { type, userId, targetType, targetId, reason, data }
+   */
+  async notifyModeration({ type, userId, targetType = null, targetId = null, reason = null, data = {} }) {
+    await this.notify({
+      userId,
+      type,
+      groupKey: `${type}:${targetType || 'user'}:${targetId || userId}`,
+      // 內容被下架後外鍵會失效，目標只記錄在 data
+      data: {
+        target_type: targetType,
+        target_id: targetId,
+        reason,
+        ...data,
+      },
+    });
+  }
+
+  /**
+   * 掛載詢問生命週期事件
+   * @param {EventEmitter} askLifecycle - askLifecycleService
+   */
+  attachAskEvents(askLifecycle) {
+    if (this._askEventsAttached) return;
+    this._askEventsAttached = true;
+
+    askLifecycle.on(AskEvents.ANSWER_ACCEPTED, ({ askId, userId, replyId, replyUserId }) => {
+      this.notify({
+        userId: replyUserId,
+        type: NotificationTypes.ANSWER_ACCEPTED,
+        groupKey: `ANSWER_ACCEPTED:${replyId}`,
+        actorId: userId,
+        askId,
+        replyId,
+      });
+    });
+
+    askLifecycle.on(AskEvents.RESOLVED, ({ askId, userId }) => {
+      this._notifyAskRepliers(askId, userId).catch(err =>
+        log.error('Failed to notify ask repliers', { askId, error: err.message })
+      );
+    });
+
+    askLifecycle.on(AskEvents.EXPIRED, ({ askId, userId }) => {
+      this.notify({
+        userId,
+        type: NotificationTypes.ASK_EXPIRED,
+        groupKey: `ASK_EXPIRED:${askId}`,
+        askId,
+      });
+    });
+  }
+
+  /**
+   * 取得通知列表
+   * @param {string} userId - 使用者 ID
+   * @param {Object} pagination - parsePagination 的結果
+   * @param {Object} options - { unreadOnly }
+   * @returns {Promise<Object>} { notifications, unread_count, next_cursor }
+   */
+  async getFeed(userId, pagination, { unreadOnly = false } = {}) {
+    let query = supabase
+      .from('notifications')
+      .select('id, type, record_id, ask_id, reply_id, actor_ids, actor_count, data, is_read, read_at, created_at')
+      .eq('user_id', userId);
+
+    if (unreadOnly) {
+      query = query.eq('is_read', false);
+    }
+
+    const [{ data: rows, error }, unreadCount] = await Promise.all([
+      applyCursor(query, pagination),
+      this.getUnreadCount(userId),
+    ]);
+
+    if (error) {
+      log.db.error('select', 'notifications', error);
+      throw Errors.internal('查詢通知失敗');
+    }
+
+    const { items, next_cursor } = buildPage(rows, pagination.limit);
+    const actorsById = await this._getActors(items);
+
+    return {
+      notifications: items.map(item => this._formatNotification(item, actorsById)),
+      unread_count: unreadCount,
+      next_cursor,
+    };
+  }
+
+  /**
+   * 取得未讀數量
+   * @param {string} userId - 使用者 ID
+   * @returns {Promise<number>}
+   */
+  async getUnreadCount(userId) {
+    const { count, error } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('is_read', false);
+
+    if (error) {
+      log.db.error('count', 'notifications', error);
+      return 0;
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * 標記已讀
+   * @param {string} userId - 使用者 ID
+   * @param {Object} options - { ids } 指定通知，或 { all: true } 全部
+   * @returns {Promise<Object>} { updated, unread_count }
+   */
+  async markRead(userId, { ids = null, all = false } = {}) {
+    if (!all && (!Array.isArray(ids) || ids.length === 0)) {
+      throw Errors.invalidArgument('需要提供 ids 或 all');
+    }
+
+    let query = supabase
+      .from('notifications')
+      .update({ is_read: true, read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('is_read', false);
+
+    if (!all) {
+      query = query.in('id', ids);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      log.db.error('update', 'notifications', error);
+      throw Errors.internal('標記已讀失敗');
+    }
+
+    return {
+      updated: (data || []).length,
+      unread_count: await this.getUnreadCount(userId),
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  _targetKey(targetType) {
+    return `${targetType}Id`;
+  }
+
+  /**
+   * 留言的按讚通知附帶所屬的紀錄 / 詢問，方便客戶端導頁
+   */
+  _parentTarget(targetType, owner) {
+    if (targetType !== 'reply') return {};
+    return { recordId: owner.record_id || null, askId: owner.ask_id || null };
+  }
+
+  /**
+   * 取得目標的擁有者
+   */
+  async _getTargetOwner(targetType, targetId) {
+    const table = TARGET_TABLES[targetType];
+    if (!table) return null;
+
+    const fields = targetType === 'reply' ? 'user_id, record_id, ask_id' : 'user_id';
+    const { data } = await supabase
+      .from(table)
+      .select(fields)
+      .eq('id', targetId)
+      .single();
+
+    return data || null;
+  }
+
+  /**
+   * 詢問解決時通知所有回覆者
+   */
+  async _notifyAskRepliers(askId, ownerId) {
+    const { data: replies } = await supabase
+      .from('replies')
+      .select('user_id')
+      .eq('ask_id', askId);
+
+    const replierIds = new Set((replies || []).map(reply => reply.user_id));
+
+    for (const replierId of replierIds) {
+      await this.notify({
+        userId: replierId,
+        type: NotificationTypes.ASK_RESOLVED,
+        groupKey: `ASK_RESOLVED:${askId}`,
+        actorId: ownerId,
+        askId,
+      });
+    }
+  }
+
+  /**
+   * 批次取得通知中顯示的觸發者
+   */
+  async _getActors(items) {
+    const actorIds = [...new Set(items.flatMap(item => (item.actor_ids || []).slice(0, DISPLAY_ACTOR_LIMIT)))];
+    if (actorIds.length === 0) return new Map();
+
+    const { data: users } = await supabase
+      .from('users')
+      .select('id, display_name, avatar_url')
+      .in('id', actorIds);
+
+    return new Map((users || []).map(user => [user.id, user]));
+  }
+
+  /**
+   * 格式化通知，並產生顯示文字
+   */
+  _formatNotification(item, actorsById) {
+    const actors = (item.actor_ids || [])
+      .slice(0, DISPLAY_ACTOR_LIMIT)
+      .map(id => actorsById.get(id))
+      .filter(Boolean);
+
+    return {
+      id: item.id,
+      type: item.type,
+      record_id: item.record_id,
+      ask_id: item.ask_id,
+      reply_id: item.reply_id,
+      actors,
+      actor_count: item.actor_count,
+      message: this._buildMessage(item, actors),
+      data: item.data || {},
+      is_read: item.is_read,
+      read_at: item.read_at,
+      created_at: item.created_at,
+    };
+  }
+
+  _buildMessage(item, actors) {
+    const first = actors[0]?.display_name || '有人';
+    const who = item.actor_count > 1 ? `${first} 和其他 ${item.actor_count - 1} 人` : first;
+    const targetLabel = TARGET_LABELS[item.data?.target_type] || (item.record_id ? '紀錄' : '詢問');
+
+    switch (item.type) {
+      case NotificationTypes.LIKE:
+        return `${who}說你的${targetLabel}讚`;
+      case NotificationTypes.REPLY:
+        return item.data?.parent_reply_id ? `${who}回覆了你的留言` : `${who}回覆了你的${targetLabel}`;
+      case NotificationTypes.ONSITE_REPLY:
+        return `${who}在現場回覆了你的詢問`;
+      case NotificationTypes.MENTION:
+        return `${first}在留言中提到了你`;
+      case NotificationTypes.ANSWER_ACCEPTED:
+        return `${first}採納了你的回答`;
+      case NotificationTypes.ASK_RESOLVED:
+        return '你回覆過的詢問已解決';
+      case NotificationTypes.ASK_EXPIRED:
+        return '你的詢問已到期，可延長一次';
+      case NotificationTypes.CONTENT_REMOVED:
+        return `你的${targetLabel}因違反社群規範已被移除`;
+      case NotificationTypes.ACCOUNT_BANNED:
+        return '你的帳號因違反社群規範已被停權';
+      case NotificationTypes.REPORT_REVIEWED:
+        return '你提出的檢舉已處理完成';
+      default:
+        return '';
+    }
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.NotificationTypes = NotificationTypes;
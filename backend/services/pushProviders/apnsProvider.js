@@ -0,0 +1,161 @@
+/**
+ * APNs 推播 Provider
+ * 以 HTTP/2 + Token-based 驗證（.p8 金鑰簽發 ES256 JWT）直接呼叫 Apple Push Notification service
+ */
+const http2 = require('http2');
+const crypto = require('crypto');
+const { log } = require('../../utils/logger');
+
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com',
+};
+
+// Apple 要求 Token 至少每 60 分鐘更新一次，且不可太頻繁更新
+const TOKEN_TTL_MS = 50 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// 代表裝置 Token 已失效、應從資料庫移除的回應
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+class ApnsPushProvider {
+  /**
+   * @param {Object} options - { keyId, teamId, privateKey, bundleId }
+   */
+  constructor({ keyId, teamId, privateKey, bundleId }) {
+    this.name = 'apns';
+    this.keyId = keyId;
+    this.teamId = teamId;
+    this.privateKey = crypto.createPrivateKey(privateKey);
+    this.bundleId = bundleId;
+    this._sessions = new Map();
+    this._token = null;
+    this._tokenIssuedAt = 0;
+  }
+
+  /**
+   * 發送推播
+   * @param {Object} device - device_tokens 資料列 { token, environment }
+   * @param {Object} notification - { title, body, data, threadId }
+   * @returns {Promise<Object>} { ok, invalidToken, reason }
+   */
+  async send(device, notification) {
+    const payload = JSON.stringify({
+      aps: {
+        alert: { title: notification.title, body: notification.body },
+        sound: 'default',
+        ...(notification.threadId ? { 'thread-id': notification.threadId } : {}),
+      },
+      ...notification.data,
+    });
+
+    try {
+      const { status, body } = await this._request(device.environment, device.token, payload);
+
+      if (status === 200) {
+        return { ok: true, invalidToken: false, reason: null };
+      }
+
+      const reason = this._parseReason(body);
+      return {
+        ok: false,
+        invalidToken: status === 410 || INVALID_TOKEN_REASONS.includes(reason),
+        reason,
+      };
+    } catch (err) {
+      log.external.error('APNs', 'send', err);
+      return { ok: false, invalidToken: false, reason: err.message };
+    }
+  }
+
+  /**
+   * 關閉 HTTP/2 連線
+   */
+  async close() {
+    for (const session of this._sessions.values()) {
+      session.close();
+    }
+    this._sessions.clear();
+  }
+
+  // ==================== Private Methods ====================
+
+  _request(environment, deviceToken, payload) {
+    return new Promise((resolve, reject) => {
+      const session = this._getSession(environment);
+      const req = session.request({
+        ':method': 'POST',
+        ':path': `/3/device/${deviceToken}`,
+        authorization: `bearer ${this._getProviderToken()}`,
+        'apns-topic': this.bundleId,
+        'apns-push-type': 'alert',
+        'apns-priority': '10',
+        'content-type': 'application/json',
+      });
+
+      let status = 0;
+      let body = '';
+
+      req.setTimeout(REQUEST_TIMEOUT_MS, () => req.close(http2.constants.NGHTTP2_CANCEL));
+      req.on('response', headers => { status = headers[':status']; });
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve({ status, body }));
+      req.on('error', reject);
+      req.on('close', () => {
+        if (!status) reject(new Error('APNs request closed without response'));
+      });
+
+      req.end(payload);
+    });
+  }
+
+  /**
+   * 每個環境共用一條 HTTP/2 連線，斷線後重新建立
+   */
+  _getSession(environment) {
+    const host = APNS_HOSTS[environment] || APNS_HOSTS.production;
+    const existing = this._sessions.get(host);
+    if (existing && !existing.closed && !existing.destroyed) return existing;
+
+    const session = http2.connect(host);
+    session.on('error', err => log.external.error('APNs', 'session', err));
+    session.on('close', () => this._sessions.delete(host));
+    session.unref();
+    this._sessions.set(host, session);
+    return session;
+  }
+
+  /**
+   * 產生 Provider Token（ES256 JWT），快取 50 分鐘
+   */
+  _getProviderToken() {
+    const now = Date.now();
+    if (this._token && now - this._tokenIssuedAt < TOKEN_TTL_MS) {
+      return this._token;
+    }
+
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'ES256', kid: this.keyId })}.${encode({
+      iss: this.teamId,
+      iat: Math.floor(now / 1000),
+    })}`;
+    const signature = crypto
+      .sign('sha256', Buffer.from(unsigned), { key: this.privateKey, dsaEncoding: 'ieee-p1363' })
+      .toString('base64url');
+
+    this._token = `${unsigned}.${signature}`;
+    this._tokenIssuedAt = now;
+    return this._token;
+  }
+
+  _parseReason(body) {
+    try {
+      return JSON.parse(body).reason || null;
+    } catch (err) {
+      return null;
+    }
+  }
+}
+
+module.exports = ApnsPushProvider;
@@ -0,0 +1,57 @@
+/**
+ * 推播 Provider 工廠
+ * 依 PUSH_PROVIDER 環境變數選擇實作，每個 Provider 皆提供：
+ *   send(device, notification) → { ok, invalidToken, reason }
+ *   close()
+ */
+const fs = require('fs');
+const { log } = require('../../utils/logger');
+const ApnsPushProvider = require('./apnsProvider');
+const LogPushProvider = require('./logProvider');
+
+/**
+ * 讀取 APNs .p8 金鑰（環境變數中的換行可用 \n 表示）
+ */
+function loadApnsPrivateKey() {
+  if (process.env.APNS_PRIVATE_KEY) {
+    return process.env.APNS_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  if (process.env.APNS_PRIVATE_KEY_PATH) {
+    return fs.readFileSync(process.env.APNS_PRIVATE_KEY_PATH, 'utf8');
+  }
+  return null;
+}
+
+/**
+ * 建立推播 Provider
+ * APNs 設定不完整時退回本機 Provider，讓伺服器仍可啟動
+ * @returns {Object} Provider 實例
+ */
+function createPushProvider() {
+  const providerName = process.env.PUSH_PROVIDER || 'log';
+
+  if (providerName === 'apns') {
+    const options = {
+      keyId: process.env.APNS_KEY_ID,
+      teamId: process.env.APNS_TEAM_ID,
+      bundleId: process.env.APNS_BUNDLE_ID,
+      privateKey: loadApnsPrivateKey(),
+    };
+
+    if (Object.values(options).every(Boolean)) {
+      return new ApnsPushProvider(options);
+    }
+
+    log.warn('APNs is not fully configured, falling back to log push provider');
+  } else if (providerName !== 'log') {
+    log.warn('Unknown PUSH_PROVIDER, falling back to log push provider', { provider: providerName });
+  }
+
+  return new LogPushProvider({ filePath: process.env.PUSH_LOG_FILE || null });
+}
+
+module.exports = {
+  createPushProvider,
+  ApnsPushProvider,
+  LogPushProvider,
+};
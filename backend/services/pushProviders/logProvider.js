@@ -0,0 +1,43 @@
+/**
+ * 本機推播 Provider
+ * 不實際發送，將推播寫入日誌或 JSON Lines 檔案（PUSH_LOG_FILE），供開發與測試檢查
+ */
+const fs = require('fs');
+const { log } = require('../../utils/logger');
+
+class LogPushProvider {
+  /**
+   * @param {Object} options - { filePath }
+   */
+  constructor({ filePath = null } = {}) {
+    this.name = 'log';
+    this.filePath = filePath;
+  }
+
+  /**
+   * 發送推播
+   * @param {Object} device - device_tokens 資料列 { token, environment }
+   * @param {Object} notification - { title, body, data, threadId }
+   * @returns {Promise<Object>} { ok, invalidToken, reason }
+   */
+  async send(device, notification) {
+    const entry = {
+      sent_at: new Date().toISOString(),
+      token: device.token,
+      environment: device.environment,
+      ...notification,
+    };
+
+    if (this.filePath) {
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    } else {
+      log.info('Push notification (log provider)', entry);
+    }
+
+    return { ok: true, invalidToken: false, reason: null };
+  }
+
+  async close() {}
+}
+
+module.exports = LogPushProvider;
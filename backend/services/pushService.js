@@ -0,0 +1,518 @@
+/**
+ * 推播 Service 層
+ * 管理裝置 Token、關注區域與推播偏好；詢問建立後推播給關注區域與詢問範圍相交的使用者
+ * 實際發送交給可替換的 Provider（services/pushProviders），並套用勿擾時段與每小時上限
+ */
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+const { AskEvents } = require('./askLifecycleService');
+const { createPushProvider } = require('./pushProviders');
+
+// 「目前位置」關注區域超過此時數未回報即不再推播
+const CURRENT_AREA_MAX_AGE_HOURS = 24;
+
+// 單一詢問最多推播的人數（依距離由近到遠）
+const MAX_TARGETS_PER_ASK = parseInt(process.env.PUSH_MAX_TARGETS_PER_ASK, 10) || 500;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+// 推播內文最長字數
+const PUSH_BODY_MAX_LENGTH = 100;
+
+const DEFAULT_PREFERENCES = {
+  nearby_asks_enabled: true,
+  quiet_start: null,
+  quiet_end: null,
+  timezone: 'Asia/Taipei',
+  max_per_hour: 3,
+};
+
+const DeliveryStatus = {
+  PENDING: 'PENDING',
+  SENT: 'SENT',
+  QUIET_HOURS: 'QUIET_HOURS',
+  RATE_LIMITED: 'RATE_LIMITED',
+  NO_DEVICE: 'NO_DEVICE',
+  FAILED: 'FAILED',
+};
+
+class PushService {
+  constructor() {
+    this._provider = null;
+  }
+
+  /**
+   * 取得推播 Provider（延遲建立，測試時可用 setProvider 替換）
+   */
+  get provider() {
+    if (!this._provider) {
+      this._provider = createPushProvider();
+    }
+    return this._provider;
+  }
+
+  /**
+   * 替換推播 Provider
+   * @param {Object} provider - 實作 send / close 的 Provider
+   */
+  setProvider(provider) {
+    this._provider = provider;
+  }
+
+  // ==================== 裝置 Token ====================
+
+  /**
+   * 註冊裝置 Token（同一 Token 改由目前使用者持有）
+   * @param {string} userId - 使用者 ID
+   * @param {Object} device - { token, environment }
+   * @returns {Promise<Object>} 裝置資料
+   */
+  async registerDevice(userId, { token, environment = 'production' }) {
+    const { data, error } = await supabase
+      .from('device_tokens')
+      .upsert(
+        {
+          user_id: userId,
+          token,
+          platform: 'ios',
+          environment,
+          last_seen_at: new Date().toISOString(),
+        },
+        { onConflict: 'token' }
+      )
+      .select('token, platform, environment, created_at, last_seen_at')
+      .single();
+
+    if (error) {
+      log.db.error('upsert', 'device_tokens', error);
+      throw Errors.internal('註冊裝置失敗');
+    }
+
+    return data;
+  }
+
+  /**
+   * 移除裝置 Token（登出時呼叫）
+   * @param {string} userId - 使用者 ID
+   * @param {string} token - 裝置 Token
+   */
+  async unregisterDevice(userId, token) {
+    const { error } = await supabase
+      .from('device_tokens')
+      .delete()
+      .eq('user_id', userId)
+      .eq('token', token);
+
+    if (error) {
+      log.db.error('delete', 'device_tokens', error);
+      throw Errors.internal('移除裝置失敗');
+    }
+
+    return { success: true };
+  }
+
+  // ==================== 關注區域 ====================
+
+  /**
+   * 取得使用者的關注區域
+   * @param {string} userId - 使用者 ID
+   * @returns {Promise<Array>} 關注區域列表
+   */
+  async getWatchAreas(userId) {
+    const { data, error } = await supabase.rpc('get_watch_areas', { p_user_id: userId });
+
+    if (error) {
+      log.db.error('rpc', 'get_watch_areas', error);
+      throw Errors.internal('查詢關注區域失敗');
+    }
+
+    return (data || []).map(area => this._formatWatchArea(area));
+  }
+
+  /**
+   * 設定關注區域（住家 / 公司 / 目前位置各一筆）
+   * @param {string} userId - 使用者 ID
+   * @param {string} kind - 'HOME' | 'WORK' | 'CURRENT'
+   * @param {Object} area - { center, radius_meters }
+   * @returns {Promise<Object>} 關注區域
+   */
+  async setWatchArea(userId, kind, { center, radius_meters }) {
+    const { data, error } = await supabase.rpc('upsert_watch_area', {
+      p_user_id: userId,
+      p_kind: kind,
+      p_lng: center.lng,
+      p_lat: center.lat,
+      p_radius_meters: radius_meters,
+    });
+
+    if (error || !data || data.length === 0) {
+      log.db.error('rpc', 'upsert_watch_area', error || { message: 'no row returned' });
+      throw Errors.internal('設定關注區域失敗');
+    }
+
+    return this._formatWatchArea(data[0]);
+  }
+
+  /**
+   * 刪除關注區域
+   * @param {string} userId - 使用者 ID
+   * @param {string} kind - 'HOME' | 'WORK' | 'CURRENT'
+   */
+  async deleteWatchArea(userId, kind) {
+    const { data, error } = await supabase
+      .from('watch_areas')
+      .delete()
+      .eq('user_id', userId)
+      .eq('kind', kind)
+      .select('id');
+
+    if (error) {
+      log.db.error('delete', 'watch_areas', error);
+      throw Errors.internal('刪除關注區域失敗');
+    }
+
+    if (!data || data.length === 0) {
+      throw Errors.notFound('關注區域不存在');
+    }
+
+    return { success: true };
+  }
+
+  // ==================== 推播偏好 ====================
+
+  /**
+   * 取得推播偏好（未設定時回傳預設值）
+   * @param {string} userId - 使用者 ID
+   * @returns {Promise<Object>} 推播偏好
+   */
+  async getPreferences(userId) {
+    const { data, error } = await supabase
+      .from('push_preferences')
+      .select('nearby_asks_enabled, quiet_start, quiet_end, timezone, max_per_hour')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      log.db.error('select', 'push_preferences', error);
+      throw Errors.internal('查詢推播設定失敗');
+    }
+
+    return this._formatPreferences(data);
+  }
+
+  /**
+   * 更新推播偏好
+   * @param {string} userId - 使用者 ID
+   * @param {Object} updates - { nearby_asks_enabled, quiet_start, quiet_end, timezone, max_per_hour }
+   * @returns {Promise<Object>} 更新後的推播偏好
+   */
+  async updatePreferences(userId, updates) {
+    if (updates.timezone && !this._isValidTimezone(updates.timezone)) {
+      throw Errors.invalidArgument(`不支援的時區: ${updates.timezone}`);
+    }
+
+    const current = await this.getPreferences(userId);
+    const next = { ...current, ...updates };
+
+    if ((next.quiet_start === null) !== (next.quiet_end === null)) {
+      throw Errors.invalidArgument('quiet_start 與 quiet_end 必須同時設定或同時清除');
+    }
+
+    const { data, error } = await supabase
+      .from('push_preferences')
+      .upsert({ user_id: userId, ...next, updated_at: new Date().toISOString() }, { onConflict: 'user_id' })
+      .select('nearby_asks_enabled, quiet_start, quiet_end, timezone, max_per_hour')
+      .single();
+
+    if (error) {
+      log.db.error('upsert', 'push_preferences', error);
+      throw Errors.internal('更新推播設定失敗');
+    }
+
+    return this._formatPreferences(data);
+  }
+
+  // ==================== 附近新詢問推播 ====================
+
+  /**
+   * 掛載詢問生命週期事件（詢問建立後推播給附近的使用者）
+   * @param {EventEmitter} askLifecycle - askLifecycleService
+   */
+  attachAskEvents(askLifecycle) {
+    if (this._askEventsAttached) return;
+    this._askEventsAttached = true;
+
+    askLifecycle.on(AskEvents.CREATED, event => {
+      this.fanOutAsk(event).catch(err =>
+        log.error('Nearby ask push failed', { askId: event.askId, error: err.message })
+      );
+    });
+  }
+
+  /**
+   * 推播新詢問給關注區域與詢問範圍相交的使用者
+   * 每位使用者每則詢問只處理一次（push_deliveries 唯一約束），多個實例同時執行也不會重複推播
+   * @param {Object} event - AskEvents.CREATED payload { askId, userId, title, question }
+   * @param {Date} now - 目前時間（測試用）
+   * @returns {Promise<Object>} 推播摘要 { targets, sent, quiet_hours, rate_limited, no_device, failed }
+   */
+  async fanOutAsk(event, now = new Date()) {
+    const summary = { targets: 0, sent: 0, quiet_hours: 0, rate_limited: 0, no_device: 0, failed: 0 };
+
+    const { data: targets, error } = await supabase.rpc('find_ask_push_targets', {
+      p_ask_id: event.askId,
+      p_current_max_age_hours: CURRENT_AREA_MAX_AGE_HOURS,
+      p_limit: MAX_TARGETS_PER_ASK,
+    });
+
+    if (error) {
+      log.db.error('rpc', 'find_ask_push_targets', error);
+      return summary;
+    }
+
+    summary.targets = (targets || []).length;
+    if (summary.targets === 0) return summary;
+
+    const userIds = targets.map(target => target.user_id);
+    const [preferencesByUser, devicesByUser] = await Promise.all([
+      this._getPreferencesByUser(userIds),
+      this._getDevicesByUser(userIds),
+    ]);
+
+    const notification = this._buildAskNotification(event);
+
+    for (const target of targets) {
+      const claimed = await this._claimDelivery(target.user_id, event.askId);
+      if (!claimed) continue;
+
+      const status = await this._deliver(
+        target,
+        preferencesByUser.get(target.user_id) || DEFAULT_PREFERENCES,
+        devicesByUser.get(target.user_id) || [],
+        { ...notification, data: { ...notification.data, distance_meters: Math.round(target.distance_meters) } },
+        now
+      );
+
+      summary[status.toLowerCase()]++;
+    }
+
+    log.info('Nearby ask push finished', { askId: event.askId, ...summary });
+    return summary;
+  }
+
+  // ==================== Private Methods ====================
+
+  /**
+   * 對單一使用者套用勿擾與頻率限制後發送，並記錄結果
+   * @returns {Promise<string>} DeliveryStatus
+   */
+  async _deliver(target, preferences, devices, notification, now) {
+    let status;
+    let deviceCount = 0;
+
+    if (devices.length === 0) {
+      status = DeliveryStatus.NO_DEVICE;
+    } else if (this._isQuietHours(preferences, now)) {
+      status = DeliveryStatus.QUIET_HOURS;
+    } else if (await this._countRecentSent(target.user_id, now) >= preferences.max_per_hour) {
+      status = DeliveryStatus.RATE_LIMITED;
+    } else {
+      deviceCount = await this._sendToDevices(devices, notification);
+      status = deviceCount > 0 ? DeliveryStatus.SENT : DeliveryStatus.FAILED;
+    }
+
+    const { error } = await supabase
+      .from('push_deliveries')
+      .update({ status, device_count: deviceCount })
+      .eq('user_id', target.user_id)
+      .eq('ask_id', notification.data.ask_id);
+
+    if (error) {
+      log.db.error('update', 'push_deliveries', error);
+    }
+
+    return status;
+  }
+
+  /**
+   * 發送到使用者的所有裝置，並移除已失效的 Token
+   * @returns {Promise<number>} 成功發送的裝置數
+   */
+  async _sendToDevices(devices, notification) {
+    let delivered = 0;
+    const invalidTokens = [];
+
+    for (const device of devices) {
+      const result = await this.provider.send(device, notification);
+      if (result.ok) {
+        delivered++;
+      } else if (result.invalidToken) {
+        invalidTokens.push(device.token);
+      } else {
+        log.warn('Push send failed', { provider: this.provider.name, reason: result.reason });
+      }
+    }
+
+    if (invalidTokens.length > 0) {
+      const { error } = await supabase.from('device_tokens').delete().in('token', invalidTokens);
+      if (error) {
+        log.db.error('delete', 'device_tokens', error);
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * 佔用發送紀錄，已存在代表其他程序處理過
+   */
+  async _claimDelivery(userId, askId) {
+    const { data, error } = await supabase
+      .from('push_deliveries')
+      .upsert(
+        { user_id: userId, ask_id: askId, status: DeliveryStatus.PENDING },
+        { onConflict: 'user_id,ask_id', ignoreDuplicates: true }
+      )
+      .select('id');
+
+    if (error) {
+      log.db.error('insert', 'push_deliveries', error);
+      return false;
+    }
+
+    return (data || []).length > 0;
+  }
+
+  async _countRecentSent(userId, now) {
+    const since = new Date(now.getTime() - RATE_LIMIT_WINDOW_MS).toISOString();
+    const { count, error } = await supabase
+      .from('push_deliveries')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('status', DeliveryStatus.SENT)
+      .gte('created_at', since);
+
+    if (error) {
+      log.db.error('count', 'push_deliveries', error);
+      // 無法確認頻率時保守處理，不發送
+      return Infinity;
+    }
+
+    return count || 0;
+  }
+
+  async _getPreferencesByUser(userIds) {
+    const { data, error } = await supabase
+      .from('push_preferences')
+      .select('user_id, nearby_asks_enabled, quiet_start, quiet_end, timezone, max_per_hour')
+      .in('user_id', userIds);
+
+    if (error) {
+      log.db.error('select', 'push_preferences', error);
+    }
+
+    return new Map((data || []).map(row => [row.user_id, this._formatPreferences(row)]));
+  }
+
+  async _getDevicesByUser(userIds) {
+    const { data, error } = await supabase
+      .from('device_tokens')
+      .select('user_id, token, environment')
+      .in('user_id', userIds);
+
+    if (error) {
+      log.db.error('select', 'device_tokens', error);
+    }
+
+    const devicesByUser = new Map();
+    for (const device of data || []) {
+      if (!devicesByUser.has(device.user_id)) devicesByUser.set(device.user_id, []);
+      devicesByUser.get(device.user_id).push(device);
+    }
+    return devicesByUser;
+  }
+
+  /**
+   * 判斷目前是否落在使用者的勿擾時段（依使用者時區，可跨午夜）
+   * @param {Object} preferences - 推播偏好
+   * @param {Date} now - 目前時間
+   * @returns {boolean}
+   */
+  _isQuietHours(preferences, now) {
+    const { quiet_start, quiet_end, timezone } = preferences;
+    if (!quiet_start || !quiet_end) return false;
+
+    const start = this._toMinutes(quiet_start);
+    const end = this._toMinutes(quiet_end);
+    if (start === end) return false;
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this._isValidTimezone(timezone) ? timezone : DEFAULT_PREFERENCES.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now);
+    const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+    const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+    const current = hour * 60 + minute;
+
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  _toMinutes(time) {
+    const [hour, minute] = time.split(':').map(value => parseInt(value, 10));
+    return hour * 60 + minute;
+  }
+
+  _isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  _buildAskNotification(event) {
+    const text = event.title || event.question || '';
+    const body = text.length > PUSH_BODY_MAX_LENGTH
+      ? `${text.slice(0, PUSH_BODY_MAX_LENGTH - 1)}…`
+      : text;
+
+    return {
+      title: '附近有新的詢問',
+      body,
+      threadId: 'nearby-asks',
+      data: { type: 'ASK_NEARBY', ask_id: event.askId },
+    };
+  }
+
+  _formatWatchArea(area) {
+    return {
+      kind: area.kind,
+      center: { lat: area.lat, lng: area.lng },
+      radius_meters: area.radius_meters,
+      updated_at: area.updated_at,
+    };
+  }
+
+  /**
+   * TIME 欄位以 HH:MM 回傳
+   */
+  _formatPreferences(row) {
+    const preferences = { ...DEFAULT_PREFERENCES, ...(row || {}) };
+    delete preferences.user_id;
+
+    return {
+      ...preferences,
+      quiet_start: preferences.quiet_start ? preferences.quiet_start.slice(0, 5) : null,
+      quiet_end: preferences.quiet_end ? preferences.quiet_end.slice(0, 5) : null,
+    };
+  }
+}
+
+module.exports = new PushService();
+module.exports.DeliveryStatus = DeliveryStatus;
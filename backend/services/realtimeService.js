@@ -0,0 +1,388 @@
+/**
+ * 即時更新 Service 層
+ * 以 Server-Sent Events 推送地圖範圍與詳情頁的變動，取代客戶端輪詢
+ * 每個連線訂閱一個地圖範圍與最多 MAX_SUBSCRIBED_IDS 筆紀錄 / 詢問 ID，事件在伺服器端依範圍與 ID 過濾
+ * 連線只保存在本程序記憶體中：多個實例時，客戶端只會收到同一實例上發生的事件
+ *
+ * 事件：
+ *   record.created      範圍內新增紀錄（含落在範圍內的圖片標點）
+ *   ask.created / ask.resolved / ask.reopened / ask.extended / ask.expired
+ *                       範圍內或已訂閱的詢問狀態變動
+ *   reply.created       已訂閱的紀錄 / 詢問有新回覆
+ *   like.updated        已訂閱的紀錄 / 詢問（含其回覆）按讚數變動
+ */
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { log } = require('../utils/logger');
+const { AskEvents } = require('./askLifecycleService');
+const blockService = require('./blockService');
+
+// 每位使用者同時保持的連線數，超過時關閉最舊的連線（網路切換時舊連線可能還沒斷）
+const MAX_CONNECTIONS_PER_USER = 5;
+
+// 單一連線可訂閱的紀錄 / 詢問 ID 數量上限
+const MAX_SUBSCRIBED_IDS = 50;
+
+// 心跳間隔，避免代理伺服器因閒置關閉連線
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// 轉送給客戶端的詢問生命週期事件
+const FORWARDED_ASK_EVENTS = [
+  AskEvents.CREATED,
+  AskEvents.RESOLVED,
+  AskEvents.REOPENED,
+  AskEvents.EXTENDED,
+  AskEvents.EXPIRED,
+];
+
+const StreamEvents = {
+  READY: 'ready',
+  RECORD_CREATED: 'record.created',
+  REPLY_CREATED: 'reply.created',
+  LIKE_UPDATED: 'like.updated',
+};
+
+class RealtimeService {
+  constructor() {
+    this._connections = new Map();
+    this._eventId = 0;
+    this._heartbeat = null;
+  }
+
+  /**
+   * 建立 SSE 連線
+   * @param {string} userId - 使用者 ID
+   * @param {Object} res - Express response
+   * @param {Object} subscription - { bounds, recordIds, askIds }
+   * @returns {Promise<Object>} 連線
+   */
+  async connect(userId, res, subscription) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // 關閉 nginx 等代理的回應緩衝
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const connection = {
+      id: crypto.randomUUID(),
+      userId,
+      res,
+      bounds: null,
+      recordIds: new Set(),
+      askIds: new Set(),
+      hiddenUserIds: new Set(),
+    };
+
+    this._evictOldConnections(userId);
+    this._connections.set(connection.id, connection);
+    this._startHeartbeat();
+
+    res.on('close', () => this.disconnect(connection.id));
+
+    await this._applySubscription(connection, subscription);
+
+    this._send(connection, StreamEvents.READY, {
+      stream_id: connection.id,
+      subscription: this._formatSubscription(connection),
+    });
+
+    log.info('Realtime stream connected', { streamId: connection.id, userId });
+
+    return connection;
+  }
+
+  /**
+   * 更新連線的訂閱（地圖移動或切換詳情頁時不需重新連線）
+   * @param {string} streamId - 連線 ID
+   * @param {string} userId - 使用者 ID（只能更新自己的連線）
+   * @param {Object} subscription - { bounds, recordIds, askIds }
+   * @returns {Promise<Object|null>} 更新後的訂閱，找不到連線時為 null
+   */
+  async updateSubscription(streamId, userId, subscription) {
+    const connection = this._connections.get(streamId);
+    if (!connection || connection.userId !== userId) return null;
+
+    await this._applySubscription(connection, subscription);
+
+    return this._formatSubscription(connection);
+  }
+
+  /**
+   * 關閉連線
+   * @param {string} streamId - 連線 ID
+   */
+  disconnect(streamId) {
+    const connection = this._connections.get(streamId);
+    if (!connection) return;
+
+    this._connections.delete(streamId);
+    if (!connection.res.writableEnded) {
+      connection.res.end();
+    }
+
+    if (this._connections.size === 0) {
+      this._stopHeartbeat();
+    }
+  }
+
+  /**
+   * 掛載詢問生命週期事件（新增、解決、重新開啟、延長、到期）
+   * @param {EventEmitter} askLifecycle - askLifecycleService
+   */
+  attachAskEvents(askLifecycle) {
+    if (this._askEventsAttached) return;
+    this._askEventsAttached = true;
+
+    for (const event of FORWARDED_ASK_EVENTS) {
+      askLifecycle.on(event, payload => {
+        this._publishAskEvent(event, payload).catch(err =>
+          log.error('Realtime ask event failed', { event, askId: payload.askId, error: err.message })
+        );
+      });
+    }
+  }
+
+  /**
+   * 推送新紀錄給地圖範圍涵蓋其圖片的連線
+   * @param {Object} record - 建立的紀錄 { id, user_id, description, main_image_url, created_at }
+   */
+  async publishRecordCreated(record) {
+    if (this._connections.size === 0) return;
+
+    try {
+      const { data: images, error } = await supabase.rpc('get_record_images_with_location', {
+        p_record_id: record.id,
+      });
+
+      if (error) {
+        log.db.error('get_record_images_with_location', 'image_media', error);
+        return;
+      }
+
+      const points = (images || [])
+        .filter(img => img.lat !== null && img.lng !== null)
+        .map(img => ({
+          image_id: img.id,
+          record_id: record.id,
+          thumbnail_public_url: img.thumbnail_public_url,
+          lat: img.lat,
+          lng: img.lng,
+          display_order: img.display_order,
+          created_at: record.created_at,
+        }));
+
+      for (const connection of this._connections.values()) {
+        if (connection.hiddenUserIds.has(record.user_id)) continue;
+
+        // 只送出落在該連線範圍內的標點
+        const visiblePoints = points.filter(point => this._inBounds(connection.bounds, point));
+        if (visiblePoints.length === 0) continue;
+
+        this._send(connection, StreamEvents.RECORD_CREATED, {
+          id: record.id,
+          user_id: record.user_id,
+          description: record.description,
+          main_image_url: record.main_image_url,
+          created_at: record.created_at,
+          points: visiblePoints,
+        });
+      }
+    } catch (err) {
+      log.error('Realtime record event failed', { recordId: record.id, error: err.message });
+    }
+  }
+
+  /**
+   * 推送新回覆給訂閱該紀錄 / 詢問的連線
+   * @param {Object} reply - 回覆（routes/replies.js 的 enrichReply 格式）
+   */
+  publishReplyCreated(reply) {
+    // user_has_liked 依檢視者而定，推送時不帶
+    const { user_has_liked, ...payload } = reply;
+
+    this._broadcast(StreamEvents.REPLY_CREATED, payload, connection =>
+      !connection.hiddenUserIds.has(reply.user_id) && this._isSubscribedTo(connection, reply)
+    );
+  }
+
+  /**
+   * 推送按讚數變動給訂閱該紀錄 / 詢問的連線（回覆的按讚推送給訂閱其所屬紀錄 / 詢問的連線）
+   * @param {string} targetType - 'record' | 'ask' | 'reply'
+   * @param {string} targetId - 目標 ID
+   * @param {number} likeCount - 變動後的按讚數
+   */
+  async publishLikeUpdated(targetType, targetId, likeCount) {
+    if (this._connections.size === 0) return;
+
+    try {
+      let parent = { record_id: null, ask_id: null };
+
+      if (targetType === 'record') {
+        parent.record_id = targetId;
+      } else if (targetType === 'ask') {
+        parent.ask_id = targetId;
+      } else {
+        const { data: reply } = await supabase
+          .from('replies')
+          .select('record_id, ask_id')
+          .eq('id', targetId)
+          .single();
+
+        if (!reply) return;
+        parent = reply;
+      }
+
+      this._broadcast(StreamEvents.LIKE_UPDATED, {
+        target_type: targetType,
+        target_id: targetId,
+        record_id: parent.record_id,
+        ask_id: parent.ask_id,
+        like_count: likeCount,
+      }, connection => this._isSubscribedTo(connection, parent));
+    } catch (err) {
+      log.error('Realtime like event failed', { targetType, targetId, error: err.message });
+    }
+  }
+
+  /**
+   * 目前的連線數
+   */
+  get connectionCount() {
+    return this._connections.size;
+  }
+
+  // ==================== Private Methods ====================
+
+  async _publishAskEvent(event, payload) {
+    if (this._connections.size === 0) return;
+
+    const ask = await this._getAskSummary(event, payload);
+    if (!ask) return;
+
+    this._broadcast(event, ask, connection =>
+      !connection.hiddenUserIds.has(ask.user_id) &&
+      (connection.askIds.has(ask.id) || this._inBounds(connection.bounds, ask.center))
+    );
+  }
+
+  /**
+   * 組合詢問事件的內容；CREATED 事件已帶有中心點，其他事件需查詢
+   */
+  async _getAskSummary(event, payload) {
+    if (event === AskEvents.CREATED) {
+      return {
+        id: payload.askId,
+        user_id: payload.userId,
+        title: payload.title,
+        question: payload.question,
+        center: payload.center,
+        radius_meters: payload.radiusMeters,
+        status: 'ACTIVE',
+        expires_at: payload.expiresAt,
+      };
+    }
+
+    const { data, error } = await supabase.rpc('get_ask_detail_with_coords', { p_ask_id: payload.askId });
+
+    if (error || !data || data.length === 0) {
+      if (error) log.db.error('get_ask_detail_with_coords', 'asks', error);
+      return null;
+    }
+
+    const ask = data[0];
+    return {
+      id: ask.id,
+      user_id: ask.user_id,
+      title: ask.title || null,
+      question: ask.question,
+      center: { lat: ask.lat, lng: ask.lng },
+      radius_meters: ask.radius_meters,
+      status: ask.status,
+      expires_at: ask.expires_at,
+      accepted_reply_id: ask.accepted_reply_id || null,
+    };
+  }
+
+  async _applySubscription(connection, { bounds = null, recordIds = [], askIds = [] } = {}) {
+    connection.bounds = bounds;
+    connection.recordIds = new Set(recordIds.slice(0, MAX_SUBSCRIBED_IDS));
+    connection.askIds = new Set(askIds.slice(0, MAX_SUBSCRIBED_IDS));
+
+    // 每次更新訂閱時重新讀取封鎖名單，讓封鎖 / 解除封鎖在下一次移動地圖後生效
+    connection.hiddenUserIds = new Set(await blockService.getHiddenUserIds(connection.userId));
+  }
+
+  _formatSubscription(connection) {
+    const { bounds } = connection;
+
+    return {
+      bounds: bounds
+        ? { min_lat: bounds.minLat, max_lat: bounds.maxLat, min_lng: bounds.minLng, max_lng: bounds.maxLng }
+        : null,
+      record_ids: [...connection.recordIds],
+      ask_ids: [...connection.askIds],
+    };
+  }
+
+  _isSubscribedTo(connection, { record_id, ask_id }) {
+    return (record_id && connection.recordIds.has(record_id)) ||
+      (ask_id && connection.askIds.has(ask_id));
+  }
+
+  _inBounds(bounds, point) {
+    if (!bounds || !point) return false;
+    return point.lat >= bounds.minLat && point.lat <= bounds.maxLat &&
+      point.lng >= bounds.minLng && point.lng <= bounds.maxLng;
+  }
+
+  _broadcast(event, data, filter) {
+    for (const connection of this._connections.values()) {
+      if (filter(connection)) {
+        this._send(connection, event, data);
+      }
+    }
+  }
+
+  _send(connection, event, data) {
+    if (connection.res.writableEnded) return;
+
+    this._eventId += 1;
+    connection.res.write(`id: ${this._eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  _evictOldConnections(userId) {
+    const own = [...this._connections.values()].filter(connection => connection.userId === userId);
+
+    // Map 依建立順序排列，前面的是最舊的連線
+    for (const connection of own.slice(0, Math.max(0, own.length - MAX_CONNECTIONS_PER_USER + 1))) {
+      this.disconnect(connection.id);
+    }
+  }
+
+  _startHeartbeat() {
+    if (this._heartbeat) return;
+
+    this._heartbeat = setInterval(() => {
+      for (const connection of this._connections.values()) {
+        if (!connection.res.writableEnded) {
+          connection.res.write(': ping\n\n');
+        }
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // 心跳不應阻止程序結束
+    this._heartbeat.unref();
+  }
+
+  _stopHeartbeat() {
+    if (!this._heartbeat) return;
+    clearInterval(this._heartbeat);
+    this._heartbeat = null;
+  }
+}
+
+module.exports = new RealtimeService();
+module.exports.StreamEvents = StreamEvents;
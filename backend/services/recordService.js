@@ -4,9 +4,22 @@
  */
 const supabase = require('../config/supabase');
 const { Errors } = require('../utils/errorCodes');
-const { isValidCoordinate } = require('../utils/geo');
-const { deleteObjects } = require('../utils/r2Helpers');
+const { isValidCoordinate, distanceMeters } = require('../utils/geo');
+const { deleteObjects, getImageObjectKeys } = require('../utils/r2Helpers');
 const { log } = require('../utils/logger');
+const blockService = require('./blockService');
+const tagService = require('./tagService');
+const geocodingService = require('./geocodingService');
+const realtimeService = require('./realtimeService');
+
+// EXIF 座標與客戶端宣告座標的容許誤差（公尺）
+const EXIF_LOCATION_TOLERANCE_METERS = parseInt(process.env.EXIF_LOCATION_TOLERANCE_METERS, 10) || 100;
+
+// 超出容許誤差時的處理：'flag' 標記後照常建立，'reject' 拒絕建立
+const EXIF_MISMATCH_POLICY = process.env.EXIF_MISMATCH_POLICY === 'reject' ? 'reject' : 'flag';
+
+// EXIF 拍攝時間與客戶端宣告時間的容許誤差（秒）
+const EXIF_TIME_TOLERANCE_SECONDS = 5 * 60;
 
 class RecordService {
   /**
@@ -21,13 +34,22 @@ class RecordService {
     this._validateCreateInput(description, images);
 
     // 驗證 upload_id 歸屬（安全性檢查）
-    await this._verifyImageOwnership(userId, images);
+    const pendingImages = await this._verifyImageOwnership(userId, images);
+
+    // 以伺服器擷取的 EXIF 驗證客戶端宣告的座標與拍攝時間
+    const verifications = this._verifyImageLocations(images, pendingImages);
+
+    // 建立紀錄並關聯所有圖片（單一交易）
+    const record = await this._createRecordWithImages(userId, description, images, verifications);
+
+    // 解析描述中的 #標籤
+    const tags = await tagService.syncRecordTags(record.id, description);
 
-    // 建立 Record 記錄
-    const record = await this._insertRecord(userId, description, images);
+    // 背景反查圖片地址（不延遲回應）
+    this._geocodeImagesInBackground(record.id);
 
-    // 更新所有圖片的狀態和關聯
-    await this._updateImagesForRecord(record.id, images);
+    // 推送給地圖範圍涵蓋新圖片的即時更新連線（不延遲回應）
+    realtimeService.publishRecordCreated(record);
 
     return {
       id: record.id,
@@ -37,18 +59,23 @@ class RecordService {
       media_count: record.media_count,
       like_count: record.like_count || 0,
       view_count: record.view_count || 0,
+      tags,
       created_at: record.created_at,
       updated_at: record.updated_at,
+      location_verification: images.map(img => ({
+        upload_id: img.upload_id,
+        ...verifications.get(img.upload_id),
+      })),
     };
   }
 
   /**
    * 取得地圖範圍內的紀錄圖片
-   * @param {Object} bounds - { minLat, maxLat, minLng, maxLng, startDate, endDate }
+   * @param {Object} bounds - { minLat, maxLat, minLng, maxLng, startDate, endDate, viewerId, tag, city, district }
    * @returns {Promise<Array>} 圖片陣列
    */
   async getMapRecords(bounds) {
-    const { minLat, maxLat, minLng, maxLng, startDate, endDate } = bounds;
+    const { minLat, maxLat, minLng, maxLng, startDate, endDate, viewerId, tag, city, district } = bounds;
 
     // 使用 RPC 進行空間查詢
     const rpcParams = {
@@ -59,17 +86,34 @@ class RecordService {
     };
     if (startDate) rpcParams.p_start_date = startDate;
     if (endDate) rpcParams.p_end_date = endDate;
+    // 排除檢視者封鎖 / 靜音的使用者
+    if (viewerId) rpcParams.p_viewer_id = viewerId;
+    if (tag) rpcParams.p_tag = tag;
+    if (city) rpcParams.p_city = city;
+    if (district) rpcParams.p_district = district;
 
     const { data, error } = await supabase.rpc('get_record_images_in_bounds', rpcParams);
 
     if (error) {
       // 如果 RPC 不存在，使用基本查詢
       console.warn('RPC not available, using basic query');
-      const { data: images, error: queryError } = await supabase
-        .from('image_media')
-        .select('id, record_id, thumbnail_public_url, display_order, uploaded_at')
-        .eq('status', 'COMPLETED')
-        .not('record_id', 'is', null);
+      const hiddenUserIds = await blockService.getHiddenUserIds(viewerId);
+      let query = blockService.excludeUsers(
+        supabase
+          .from('image_media')
+          .select('id, record_id, thumbnail_public_url, display_order, uploaded_at')
+          .eq('status', 'COMPLETED')
+          .not('record_id', 'is', null),
+        'user_id',
+        hiddenUserIds
+      );
+      if (tag) {
+        query = query.in('record_id', await tagService.getTaggedIds(tag, 'record_id'));
+      }
+      if (city) query = query.eq('city', city);
+      if (district) query = query.eq('district', district);
+
+      const { data: images, error: queryError } = await query;
 
       if (queryError) throw Errors.internal('查詢失敗');
 
@@ -106,8 +150,11 @@ class RecordService {
       throw Errors.notFound('找不到此紀錄');
     }
 
-    // 取得關聯圖片
-    const images = await this._getRecordImages(recordId);
+    // 取得關聯圖片與標籤
+    const [images, tags] = await Promise.all([
+      this._getRecordImages(recordId),
+      tagService.getTags({ recordId }),
+    ]);
 
     // 檢查當前用戶是否已點讚
     const userHasLiked = await this._checkUserLiked(recordId, currentUserId, 'record');
@@ -127,6 +174,7 @@ class RecordService {
       updated_at: record.updated_at,
       author: record.users,
       images: images,
+      tags,
       user_has_liked: userHasLiked,
     };
   }
@@ -144,17 +192,18 @@ class RecordService {
     // 驗證擁有權
     await this._verifyOwnership(recordId, userId);
 
-    // 更新描述（如果提供）
-    if (description !== undefined) {
-      await supabase
-        .from('records')
-        .update({ description, updated_at: new Date().toISOString() })
-        .eq('id', recordId);
+    // 描述與圖片同步在同一個交易中完成
+    const hasImages = Array.isArray(sortedImages);
+    if (hasImages || description) {
+      await this._syncImages(recordId, userId, description, hasImages ? sortedImages : null);
+    }
+
+    if (description) {
+      await tagService.syncRecordTags(recordId, description);
     }
 
-    // 處理圖片同步
-    if (sortedImages && Array.isArray(sortedImages)) {
-      await this._syncImages(recordId, userId, sortedImages);
+    if (hasImages) {
+      this._geocodeImagesInBackground(recordId);
     }
 
     return { success: true };
@@ -173,12 +222,10 @@ class RecordService {
     // 取得關聯圖片用於清理 R2
     const { data: images } = await supabase
       .from('image_media')
-      .select('original_public_url, thumbnail_public_url')
+      .select('original_public_url, thumbnail_public_url, medium_public_url, webp_public_url')
       .eq('record_id', recordId);
 
-    const keysToDelete = (images || []).flatMap(img =>
-      [img.original_public_url, img.thumbnail_public_url].filter(Boolean)
-    );
+    const keysToDelete = (images || []).flatMap(getImageObjectKeys);
 
     // 刪除 Record
     const { error: deleteError } = await supabase
@@ -233,7 +280,7 @@ class RecordService {
     const uploadIds = images.map(img => img.upload_id);
     const { data: pendingImages, error: checkError } = await supabase
       .from('image_media')
-      .select('id')
+      .select('id, processed_at, exif_lat, exif_lng, exif_captured_at')
       .in('id', uploadIds)
       .eq('user_id', userId)
       .eq('status', 'PENDING');
@@ -245,76 +292,163 @@ class RecordService {
     if (!pendingImages || pendingImages.length !== uploadIds.length) {
       throw Errors.permissionDenied('部分圖片不屬於當前用戶或狀態不正確');
     }
+
+    // 未經伺服器處理的圖片沒有 EXIF 可比對，也尚未移除 EXIF
+    const unprocessed = pendingImages.filter(img => !img.processed_at).map(img => img.id);
+    if (unprocessed.length > 0) {
+      throw Errors.invalidArgument('圖片尚未處理完成，請先呼叫 POST /upload/:upload_id/complete', {
+        upload_ids: unprocessed,
+      });
+    }
+
+    return pendingImages;
   }
 
   /**
-   * 插入紀錄
+   * 比對 EXIF 與客戶端宣告的座標 / 拍攝時間
+   * 沒有 EXIF GPS 的圖片（例如截圖）保留客戶端宣告的座標，並標記 location_unverified
+   * @param {Array} images - 客戶端送出的圖片
+   * @param {Array} pendingImages - 資料庫中的圖片（含 EXIF 欄位）
+   * @returns {Map} upload_id → { location_source, location_unverified, location_mismatch, location_mismatch_meters, captured_at_mismatch }
    */
-  async _insertRecord(userId, description, images) {
-    const firstImage = images.find(img => img.display_order === 0) || images[0];
+  _verifyImageLocations(images, pendingImages) {
+    const exifById = new Map(pendingImages.map(row => [row.id, row]));
+    const verifications = new Map();
+    const mismatches = [];
+    const unverified = [];
 
-    const { data: record, error: recordError } = await supabase
-      .from('records')
-      .insert({
-        user_id: userId,
-        description,
-        main_image_url: firstImage.thumbnail_public_url || null,
-        media_count: images.length,
-      })
-      .select()
-      .single();
+    for (const img of images) {
+      const exif = exifById.get(img.upload_id) || {};
+      const claimedSource = img.location_source === 'manual' ? 'manual' : 'client';
+
+      const result = {
+        location_source: claimedSource,
+        location_unverified: false,
+        location_mismatch: false,
+        location_mismatch_meters: null,
+        captured_at_mismatch: false,
+      };
+
+      if (Number.isFinite(exif.exif_lat) && Number.isFinite(exif.exif_lng)) {
+        const distance = distanceMeters(img.location, { lat: exif.exif_lat, lng: exif.exif_lng });
+
+        if (distance <= EXIF_LOCATION_TOLERANCE_METERS) {
+          result.location_source = 'exif';
+        } else {
+          result.location_mismatch = true;
+          result.location_mismatch_meters = Math.round(distance);
+          mismatches.push({ upload_id: img.upload_id, distance_meters: result.location_mismatch_meters });
+        }
+      } else {
+        result.location_unverified = true;
+        unverified.push(img.upload_id);
+      }
 
-    if (recordError) {
-      console.error('Failed to create record:', recordError);
-      throw Errors.internal('建立紀錄失敗');
+      // 客戶端未提供拍攝時間時以 EXIF 補上
+      if (exif.exif_captured_at) {
+        if (!img.captured_at) {
+          img.captured_at = exif.exif_captured_at;
+        } else {
+          const diffSeconds = Math.abs(new Date(img.captured_at) - new Date(exif.exif_captured_at)) / 1000;
+          result.captured_at_mismatch = diffSeconds > EXIF_TIME_TOLERANCE_SECONDS;
+        }
+      }
+
+      verifications.set(img.upload_id, result);
     }
 
-    return record;
+    if (unverified.length > 0) {
+      log.info('Record image location has no EXIF GPS, using client location', { upload_ids: unverified });
+    }
+
+    if (mismatches.length > 0) {
+      log.warn('Record image location mismatches EXIF', { policy: EXIF_MISMATCH_POLICY, mismatches });
+
+      if (EXIF_MISMATCH_POLICY === 'reject') {
+        throw Errors.invalidArgument('圖片座標與照片 EXIF 定位不符', {
+          tolerance_meters: EXIF_LOCATION_TOLERANCE_METERS,
+          mismatches,
+        });
+      }
+    }
+
+    return verifications;
   }
 
   /**
-   * 更新圖片狀態和關聯
+   * 未附座標的新圖片以 EXIF GPS 作為座標（編輯紀錄時座標為選填）
+   * 紀錄模式所有圖片都必須有座標，沒有 EXIF GPS 可用時拒絕
+   * @param {Array} images - 客戶端送出的新圖片
+   * @param {Array} pendingImages - 資料庫中的圖片（含 EXIF 欄位）
    */
-  async _updateImagesForRecord(recordId, images) {
+  _fillLocationsFromExif(images, pendingImages) {
+    const exifById = new Map(pendingImages.map(row => [row.id, row]));
+    const missing = [];
+
     for (const img of images) {
-      const { lat, lng } = img.location;
+      if (img.location) continue;
+
+      const exif = exifById.get(img.upload_id) || {};
+      if (Number.isFinite(exif.exif_lat) && Number.isFinite(exif.exif_lng)) {
+        img.location = { lat: exif.exif_lat, lng: exif.exif_lng };
+      } else {
+        missing.push(img.upload_id);
+      }
+    }
+
+    if (missing.length > 0) {
+      throw Errors.invalidArgument('紀錄模式所有圖片都必須包含有效的 GPS 座標', { upload_ids: missing });
+    }
+  }
 
-      log.db.query('update', 'image_media', {
+  /**
+   * 建立紀錄並關聯圖片
+   * 由 create_record_with_images RPC 在單一交易中完成，任一步驟失敗皆不會留下半成品
+   */
+  async _createRecordWithImages(userId, description, images, verifications) {
+    const { data: record, error } = await supabase.rpc('create_record_with_images', {
+      p_user_id: userId,
+      p_description: description,
+      p_images: images.map(img => ({
         upload_id: img.upload_id,
-        lat,
-        lng,
-        address: img.address,
-      });
+        location: img.location,
+        captured_at: img.captured_at || null,
+        display_order: img.display_order || 0,
+        address: img.address || null,
+        ...verifications.get(img.upload_id),
+      })),
+    });
 
-      // 使用 RPC 呼叫來更新 PostGIS 欄位
-      const { error: updateError } = await supabase.rpc('update_image_with_location', {
-        p_image_id: img.upload_id,
-        p_record_id: recordId,
-        p_lng: lng,
-        p_lat: lat,
-        p_captured_at: img.captured_at || null,
-        p_display_order: img.display_order || 0,
-        p_address: img.address || null,
-      });
+    if (error) {
+      log.db.error('create_record_with_images', 'records', error);
+      throw this._mapImageRpcError(error, '建立紀錄失敗');
+    }
 
-      if (updateError) {
-        log.db.error('update_image_with_location', 'image_media', updateError);
-        log.warn('Falling back to basic update WITHOUT location');
+    return record;
+  }
 
-        // 基本更新（不含 PostGIS location）
-        await supabase
-          .from('image_media')
-          .update({
-            record_id: recordId,
-            status: 'COMPLETED',
-            captured_at: img.captured_at || null,
-            display_order: img.display_order || 0,
-            address: img.address || null,
-          })
-          .eq('id', img.upload_id);
-      } else {
-        log.debug('Successfully updated image with location via RPC');
-      }
+  /**
+   * 背景反查紀錄圖片的地址（失敗時只記錄，由 geocode:backfill 補齊）
+   */
+  _geocodeImagesInBackground(recordId) {
+    geocodingService.geocodeRecordImages(recordId).catch(err => {
+      log.error('Record geocoding failed', { recordId, error: err.message });
+    });
+  }
+
+  /**
+   * 將圖片 RPC 的 SQLSTATE 轉為 API 錯誤
+   */
+  _mapImageRpcError(error, fallbackMessage) {
+    switch (error.code) {
+      case 'P0002':
+        return Errors.notFound('找不到此紀錄');
+      case '42501':
+        return Errors.permissionDenied('部分圖片不屬於當前用戶或狀態不正確');
+      case '22023':
+        return Errors.invalidArgument('圖片列表不正確');
+      default:
+        return Errors.internal(fallbackMessage);
     }
   }
 
@@ -345,6 +479,11 @@ class RecordService {
       captured_at: img.captured_at,
       display_order: img.display_order,
       address: img.address || null,
+      city: img.city || null,
+      district: img.district || null,
+      location_source: img.location_source || null,
+      location_unverified: img.location_unverified || false,
+      location_mismatch: img.location_mismatch || false,
       location: (img.lng !== null && img.lat !== null)
         ? { lng: img.lng, lat: img.lat }
         : null,
@@ -402,89 +541,61 @@ class RecordService {
   }
 
   /**
-   * 同步圖片（Snapshot Sync）
+   * 同步描述與圖片（Snapshot Sync）
+   * 刪除、關聯、排序、首圖與圖片數量由 sync_record_images RPC 在單一交易中完成
+   * R2 檔案在交易提交後才刪除，資料庫失敗時不會遺失仍被引用的圖片
    */
-  async _syncImages(recordId, userId, sortedImages) {
-    // 1. 取得現有圖片
-    const { data: currentImages } = await supabase
-      .from('image_media')
-      .select('id, original_public_url, thumbnail_public_url')
-      .eq('record_id', recordId);
-
-    const currentImageIds = new Set((currentImages || []).map(img => img.id));
-    const existingImageIds = new Set();
+  async _syncImages(recordId, userId, description, sortedImages) {
+    let images = null;
 
-    // 2. 分類圖片
-    for (const img of sortedImages) {
-      if (img.type === 'EXISTING') {
-        existingImageIds.add(img.image_id);
+    if (sortedImages) {
+      if (sortedImages.length === 0) {
+        throw Errors.invalidArgument('至少需要一張圖片');
       }
-    }
-
-    // 3. 刪除移除的圖片
-    const toDelete = [...currentImageIds].filter(id => !existingImageIds.has(id));
-
-    if (toDelete.length > 0) {
-      const imagesToDelete = currentImages.filter(img => toDelete.includes(img.id));
-      const keysToDelete = imagesToDelete.flatMap(img =>
-        [img.original_public_url, img.thumbnail_public_url].filter(Boolean)
-      );
-
-      await supabase.from('image_media').delete().in('id', toDelete);
 
-      deleteObjects(keysToDelete).catch(err => {
-        console.error('Failed to delete R2 objects:', err);
-      });
-    }
+      if (sortedImages.length > 10) {
+        throw Errors.resourceExhausted('紀錄模式最多 10 張圖片', { limit: 10 });
+      }
 
-    // 4. 處理新增圖片
-    for (const img of sortedImages) {
-      if (img.type === 'NEW') {
-        await supabase
-          .from('image_media')
-          .update({
-            record_id: recordId,
-            status: 'COMPLETED',
-          })
-          .eq('id', img.upload_id)
-          .eq('user_id', userId)
-          .eq('status', 'PENDING');
+      // 新圖片同樣以 EXIF 驗證；未附座標時改用 EXIF GPS，兩者皆無則拒絕
+      const newImages = sortedImages.filter(img => img.type === 'NEW');
+      let verifications = new Map();
+      if (newImages.length > 0) {
+        const pendingImages = await this._verifyImageOwnership(userId, newImages);
+        this._fillLocationsFromExif(newImages, pendingImages);
+        verifications = this._verifyImageLocations(newImages, pendingImages);
       }
+
+      images = sortedImages.map(img => (img.type === 'EXISTING'
+        ? { type: 'EXISTING', image_id: img.image_id }
+        : {
+          type: 'NEW',
+          upload_id: img.upload_id,
+          location: img.location,
+          captured_at: img.captured_at || null,
+          ...verifications.get(img.upload_id),
+        }));
     }
 
-    // 5. 更新所有圖片順序
-    for (let i = 0; i < sortedImages.length; i++) {
-      const img = sortedImages[i];
-      const imageId = img.type === 'EXISTING' ? img.image_id : img.upload_id;
+    const { data, error } = await supabase.rpc('sync_record_images', {
+      p_record_id: recordId,
+      p_user_id: userId,
+      p_description: description ?? null,
+      p_sorted_images: images,
+    });
 
-      await supabase
-        .from('image_media')
-        .update({ display_order: i })
-        .eq('id', imageId);
+    if (error) {
+      log.db.error('sync_record_images', 'records', error);
+      throw this._mapImageRpcError(error, '更新紀錄失敗');
     }
 
-    // 6. 更新首圖和圖片數量
-    const firstImage = sortedImages[0];
-    let mainImageUrl = null;
+    const keysToDelete = (data?.removed_images || []).flatMap(getImageObjectKeys);
 
-    if (firstImage) {
-      const imageId = firstImage.type === 'EXISTING' ? firstImage.image_id : firstImage.upload_id;
-      const { data: firstImg } = await supabase
-        .from('image_media')
-        .select('thumbnail_public_url')
-        .eq('id', imageId)
-        .single();
-      mainImageUrl = firstImg?.thumbnail_public_url;
+    if (keysToDelete.length > 0) {
+      deleteObjects(keysToDelete).catch(err => {
+        log.external.error('R2', 'deleteObjects', err);
+      });
     }
-
-    await supabase
-      .from('records')
-      .update({
-        main_image_url: mainImageUrl,
-        media_count: sortedImages.length,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', recordId);
   }
 }
 
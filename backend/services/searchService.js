@@ -0,0 +1,238 @@
+/**
+ * 搜尋 Service 層
+ * 以 pg_trgm 比對紀錄、詢問、回覆與使用者，依相關度與新舊排序
+ */
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+const blockService = require('./blockService');
+
+// API type 參數 → 結果的 type
+const SearchTypes = {
+  records: 'record',
+  asks: 'ask',
+  replies: 'reply',
+  users: 'user',
+};
+
+// Offset 分頁的上限，避免深度翻頁造成大量排序
+const MAX_SEARCH_OFFSET = 500;
+
+// 新舊分數：0.5 / (1 + 經過天數 / 30)，與 search_content RPC 相同
+const RECENCY_WEIGHT = 0.5;
+const RECENCY_SCALE_SECONDS = 30 * 24 * 60 * 60;
+
+const AUTHOR_JOIN = 'users:user_id (id, display_name, avatar_url)';
+
+class SearchService {
+  /**
+   * 搜尋
+   * @param {Object} params - { q, type, bounds, city, district, viewerId }，bounds 為 { minLat, maxLat, minLng, maxLng } 或 null
+   * @param {Object} pagination - { limit, cursor }，cursor 為搜尋結果的 next_cursor
+   * @returns {Promise<Object>} { items, next_cursor }
+   */
+  async search({ q, type = null, bounds = null, city = null, district = null, viewerId = null }, { limit, cursor }) {
+    const { offset, asOf } = cursor ? this._decodeCursor(cursor) : { offset: 0, asOf: new Date().toISOString() };
+    const types = type ? [SearchTypes[type]] : null;
+
+    let { data: rows, error } = await supabase.rpc('search_content', {
+      p_query: q,
+      p_types: types,
+      p_min_lng: bounds ? bounds.minLng : null,
+      p_min_lat: bounds ? bounds.minLat : null,
+      p_max_lng: bounds ? bounds.maxLng : null,
+      p_max_lat: bounds ? bounds.maxLat : null,
+      p_viewer_id: viewerId,
+      p_as_of: asOf,
+      p_limit: limit + 1,
+      p_offset: offset,
+      p_city: city,
+      p_district: district,
+    });
+
+    if (error) {
+      log.db.error('search_content', 'records', error);
+
+      // 基本查詢只做子字串比對，無法套用範圍與行政區，有這些條件時不能退回
+      if (bounds || city || district) {
+        throw Errors.internal('搜尋失敗');
+      }
+      rows = await this._searchFallback(q, types, viewerId, { limit, offset, asOf });
+    }
+
+    const page = (rows || []).slice(0, limit);
+    const hasMore = (rows || []).length > limit && offset + limit < MAX_SEARCH_OFFSET;
+    const items = await this._hydrate(page);
+
+    return {
+      items,
+      next_cursor: hasMore ? this._encodeCursor(offset + limit, asOf) : null,
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  /**
+   * 搜尋游標：[offset, asOf]，asOf 固定新舊分數的基準時間
+   */
+  _encodeCursor(offset, asOf) {
+    return Buffer.from(JSON.stringify([offset, asOf])).toString('base64url');
+  }
+
+  _decodeCursor(cursor) {
+    try {
+      const [offset, asOf] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!Number.isInteger(offset) || offset < 0 || offset > MAX_SEARCH_OFFSET || Number.isNaN(Date.parse(asOf))) {
+        throw new Error('invalid cursor');
+      }
+      return { offset, asOf: new Date(asOf).toISOString() };
+    } catch (err) {
+      throw Errors.invalidArgument('cursor 格式不正確');
+    }
+  }
+
+  _recencyScore(createdAt, asOf) {
+    const ageSeconds = Math.max((new Date(asOf) - new Date(createdAt)) / 1000, 0);
+    return RECENCY_WEIGHT / (1 + ageSeconds / RECENCY_SCALE_SECONDS);
+  }
+
+  /**
+   * 基本查詢：各類型以 ILIKE 比對主要欄位，命中即得 1 分，再加上新舊分數
+   */
+  async _searchFallback(q, types, viewerId, { limit, offset, asOf }) {
+    const pattern = `%${q.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    const hiddenUserIds = await blockService.getHiddenUserIds(viewerId);
+    const wants = searchType => !types || types.includes(searchType);
+    const take = offset + limit + 1;
+
+    const sources = [
+      { type: 'record', table: 'records', column: 'description', authorColumn: 'user_id' },
+      { type: 'ask', table: 'asks', column: 'question', authorColumn: 'user_id' },
+      { type: 'reply', table: 'replies', column: 'content', authorColumn: 'user_id' },
+      { type: 'user', table: 'users', column: 'display_name', authorColumn: 'id' },
+    ].filter(source => wants(source.type));
+
+    const results = await Promise.all(sources.map(source =>
+      blockService.excludeUsers(
+        supabase.from(source.table).select('id, created_at').ilike(source.column, pattern),
+        source.authorColumn,
+        hiddenUserIds
+      )
+        .order('created_at', { ascending: false })
+        .limit(take)
+    ));
+
+    const rows = [];
+    results.forEach(({ data, error }, index) => {
+      if (error) {
+        log.db.error('select', sources[index].table, error);
+        throw Errors.internal('搜尋失敗');
+      }
+      for (const row of data || []) {
+        rows.push({
+          item_type: sources[index].type,
+          item_id: row.id,
+          score: 1 + this._recencyScore(row.created_at, asOf),
+          lng: null,
+          lat: null,
+          created_at: row.created_at,
+        });
+      }
+    });
+
+    return rows
+      .sort((a, b) => b.score - a.score || (a.item_id < b.item_id ? 1 : -1))
+      .slice(offset, take);
+  }
+
+  /**
+   * 依類型批次取得資料並保留排序
+   */
+  async _hydrate(rows) {
+    const idsByType = (searchType) => rows.filter(row => row.item_type === searchType).map(row => row.item_id);
+    const fetch = (table, fields, ids) => ids.length === 0
+      ? Promise.resolve({ data: [] })
+      : supabase.from(table).select(fields).in('id', ids);
+
+    const [records, asks, replies, users] = await Promise.all([
+      fetch('records', `id, user_id, description, main_image_url, like_count, created_at, ${AUTHOR_JOIN}`, idsByType('record')),
+      fetch('asks', `id, user_id, title, question, main_image_url, radius_meters, status, like_count, created_at, ${AUTHOR_JOIN}`, idsByType('ask')),
+      fetch('replies', `id, user_id, record_id, ask_id, parent_reply_id, content, like_count, created_at, ${AUTHOR_JOIN}`, idsByType('reply')),
+      fetch('users', 'id, display_name, avatar_url, bio', idsByType('user')),
+    ]);
+
+    const byKey = new Map();
+    const collect = (searchType, result) => {
+      if (result.error) {
+        log.db.error('select', searchType, result.error);
+        throw Errors.internal('搜尋失敗');
+      }
+      for (const row of result.data || []) byKey.set(`${searchType}:${row.id}`, row);
+    };
+    collect('record', records);
+    collect('ask', asks);
+    collect('reply', replies);
+    collect('user', users);
+
+    // 資料在排序與讀取之間被刪除時略過
+    return rows
+      .filter(row => byKey.has(`${row.item_type}:${row.item_id}`))
+      .map(row => this._formatItem(row, byKey.get(`${row.item_type}:${row.item_id}`)));
+  }
+
+  _formatItem(row, data) {
+    const location = row.lat !== null && row.lng !== null ? { lat: row.lat, lng: row.lng } : null;
+    const base = { type: row.item_type, id: data.id, score: row.score };
+
+    switch (row.item_type) {
+      case 'record':
+        return {
+          ...base,
+          user_id: data.user_id,
+          author: data.users || null,
+          description: data.description,
+          main_image_url: data.main_image_url,
+          location,
+          like_count: data.like_count || 0,
+          created_at: data.created_at,
+        };
+      case 'ask':
+        return {
+          ...base,
+          user_id: data.user_id,
+          author: data.users || null,
+          title: data.title || null,
+          question: data.question,
+          main_image_url: data.main_image_url,
+          center: location,
+          radius_meters: data.radius_meters,
+          status: data.status,
+          like_count: data.like_count || 0,
+          created_at: data.created_at,
+        };
+      case 'reply':
+        return {
+          ...base,
+          user_id: data.user_id,
+          author: data.users || null,
+          record_id: data.record_id,
+          ask_id: data.ask_id,
+          parent_reply_id: data.parent_reply_id || null,
+          content: data.content,
+          location,
+          like_count: data.like_count || 0,
+          created_at: data.created_at,
+        };
+      default:
+        return {
+          ...base,
+          display_name: data.display_name,
+          avatar_url: data.avatar_url,
+          bio: data.bio || null,
+        };
+    }
+  }
+}
+
+module.exports = new SearchService();
+module.exports.SearchTypes = SearchTypes;
@@ -0,0 +1,275 @@
+/**
+ * #標籤 Service 層
+ * 處理紀錄 / 詢問的標籤同步、依標籤瀏覽與熱門標籤
+ */
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+const { applyCursor, buildPage } = require('../middleware/validate');
+const { extractHashtags, normalizeTag } = require('../utils/hashtags');
+const blockService = require('./blockService');
+
+// 熱門標籤預設時間窗與上限
+const DEFAULT_TRENDING_HOURS = 24;
+const DEFAULT_TRENDING_LIMIT = 10;
+
+class TagService {
+  /**
+   * 依紀錄描述同步標籤（標籤失敗不影響紀錄本身）
+   * @param {string} recordId - 紀錄 ID
+   * @param {string} description - 紀錄描述
+   * @returns {Promise<string[]>} 標籤
+   */
+  async syncRecordTags(recordId, description) {
+    return this._syncTags({ recordId }, extractHashtags(description));
+  }
+
+  /**
+   * 依詢問內容同步標籤（標籤失敗不影響詢問本身）
+   * @param {string} askId - 詢問 ID
+   * @param {string} question - 詢問內容
+   * @returns {Promise<string[]>} 標籤
+   */
+  async syncAskTags(askId, question) {
+    return this._syncTags({ askId }, extractHashtags(question));
+  }
+
+  /**
+   * 取得紀錄或詢問的標籤
+   * @param {Object} target - { recordId } 或 { askId }
+   * @returns {Promise<string[]>}
+   */
+  async getTags({ recordId = null, askId = null }) {
+    const { data, error } = await supabase
+      .from('content_tags')
+      .select('tags:tag_id (name)')
+      .eq(recordId ? 'record_id' : 'ask_id', recordId || askId);
+
+    if (error) {
+      log.db.error('select', 'content_tags', error);
+      return [];
+    }
+
+    return (data || []).map(row => row.tags?.name).filter(Boolean);
+  }
+
+  /**
+   * 取得含指定標籤的紀錄或詢問 ID（地圖基本查詢的標籤篩選）
+   * @param {string} tag - 正規化後的標籤
+   * @param {string} column - 'record_id' 或 'ask_id'
+   * @returns {Promise<string[]>}
+   */
+  async getTaggedIds(tag, column) {
+    const { data, error } = await supabase
+      .from('content_tags')
+      .select(`${column}, tags!inner (name)`)
+      .eq('tags.name', tag)
+      .not(column, 'is', null);
+
+    if (error) {
+      log.db.error('select', 'content_tags', error);
+      return [];
+    }
+
+    return (data || []).map(row => row[column]);
+  }
+
+  /**
+   * 正規化路徑上的標籤（可帶 #）
+   * @param {string} tag - 原始標籤
+   * @returns {string} 正規化後的標籤
+   */
+  parseTag(tag) {
+    const normalized = normalizeTag(tag);
+    if (!normalized) {
+      throw Errors.invalidArgument('標籤格式不正確');
+    }
+    return normalized;
+  }
+
+  /**
+   * 取得含指定標籤的紀錄與詢問（新到舊）
+   * @param {string} tag - 正規化後的標籤
+   * @param {Object} options - { bounds, viewerId }
+   * @param {Object} pagination - parsePagination 的結果
+   * @returns {Promise<Object>} { tag, items, next_cursor }
+   */
+  async getTaggedContent(tag, { bounds = null, viewerId = null } = {}, pagination) {
+    const { limit, cursor } = pagination;
+
+    let { data: rows, error } = await supabase.rpc('get_tagged_content', {
+      p_tag: tag,
+      p_min_lng: bounds ? bounds.minLng : null,
+      p_min_lat: bounds ? bounds.minLat : null,
+      p_max_lng: bounds ? bounds.maxLng : null,
+      p_max_lat: bounds ? bounds.maxLat : null,
+      p_viewer_id: viewerId,
+      p_limit: limit + 1,
+      p_cursor_created_at: cursor?.createdAt ?? null,
+      p_cursor_id: cursor?.id ?? null,
+    });
+
+    if (error) {
+      log.db.error('get_tagged_content', 'content_tags', error);
+
+      // 基本查詢分別查詢後合併，無法套用範圍與取得座標，有範圍條件時不能退回
+      if (bounds) {
+        throw Errors.internal('查詢標籤內容失敗');
+      }
+      rows = await this._getTaggedFallback(tag, viewerId, pagination);
+    }
+
+    const { items, next_cursor } = buildPage(rows, limit);
+    const authorsById = await this._getAuthors(items);
+
+    return {
+      tag,
+      items: items.map(row => this._formatTaggedItem(row, authorsById.get(row.user_id) || null)),
+      next_cursor,
+    };
+  }
+
+  /**
+   * 取得熱門標籤
+   * @param {Object} options - { bounds, hours, limit }
+   * @returns {Promise<Object>} { tags, window_hours }
+   */
+  async getTrending({ bounds = null, hours = DEFAULT_TRENDING_HOURS, limit = DEFAULT_TRENDING_LIMIT } = {}) {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase.rpc('get_trending_tags', {
+      p_since: since,
+      p_min_lng: bounds ? bounds.minLng : null,
+      p_min_lat: bounds ? bounds.minLat : null,
+      p_max_lng: bounds ? bounds.maxLng : null,
+      p_max_lat: bounds ? bounds.maxLat : null,
+      p_limit: limit,
+    });
+
+    if (error) {
+      log.db.error('get_trending_tags', 'content_tags', error);
+      throw Errors.internal('查詢熱門標籤失敗');
+    }
+
+    return {
+      tags: (data || []).map(row => ({
+        tag: row.tag,
+        use_count: Number(row.use_count) || 0,
+        user_count: Number(row.user_count) || 0,
+        last_used_at: row.last_used_at,
+      })),
+      window_hours: hours,
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  async _syncTags({ recordId = null, askId = null }, tags) {
+    const { error } = await supabase.rpc('set_content_tags', {
+      p_record_id: recordId,
+      p_ask_id: askId,
+      p_tags: tags,
+    });
+
+    if (error) {
+      log.db.error('set_content_tags', 'content_tags', error);
+    }
+
+    return tags;
+  }
+
+  async _getTaggedFallback(tag, viewerId, pagination) {
+    const { limit } = pagination;
+
+    const { data: links, error } = await supabase
+      .from('content_tags')
+      .select('record_id, ask_id, tags!inner (name)')
+      .eq('tags.name', tag);
+
+    if (error) {
+      log.db.error('select', 'content_tags', error);
+      throw Errors.internal('查詢標籤內容失敗');
+    }
+
+    const recordIds = (links || []).map(link => link.record_id).filter(Boolean);
+    const askIds = (links || []).map(link => link.ask_id).filter(Boolean);
+    const hiddenUserIds = await blockService.getHiddenUserIds(viewerId);
+
+    const query = (table, fields, ids) => {
+      if (ids.length === 0) return Promise.resolve({ data: [] });
+
+      return applyCursor(
+        blockService.excludeUsers(supabase.from(table).select(fields).in('id', ids), 'user_id', hiddenUserIds),
+        pagination
+      );
+    };
+
+    const [recordsResult, asksResult] = await Promise.all([
+      query('records', 'id, user_id, description, main_image_url, like_count, created_at', recordIds),
+      query('asks', 'id, user_id, title, question, main_image_url, radius_meters, status, like_count, created_at', askIds),
+    ]);
+
+    if (recordsResult.error || asksResult.error) {
+      log.db.error('select', 'tagged content', recordsResult.error || asksResult.error);
+      throw Errors.internal('查詢標籤內容失敗');
+    }
+
+    return [
+      ...(recordsResult.data || []).map(row => ({ ...row, item_type: 'record' })),
+      ...(asksResult.data || []).map(row => ({ ...row, item_type: 'ask' })),
+    ]
+      .sort((a, b) => this._compareDesc(a, b))
+      .slice(0, limit + 1);
+  }
+
+  /**
+   * 依 (created_at, id) 新到舊排序
+   * 先比較毫秒時間值，相同時再比較字串（保留微秒）
+   */
+  _compareDesc(a, b) {
+    const diff = new Date(b.created_at).getTime() - new Date(a.created_at).getTime();
+    if (diff !== 0) return diff;
+    if (a.created_at !== b.created_at) return a.created_at < b.created_at ? 1 : -1;
+    return a.id < b.id ? 1 : (a.id > b.id ? -1 : 0);
+  }
+
+  async _getAuthors(items) {
+    const userIds = [...new Set(items.map(item => item.user_id))];
+    if (userIds.length === 0) return new Map();
+
+    const { data: users } = await supabase
+      .from('users')
+      .select('id, display_name, avatar_url')
+      .in('id', userIds);
+
+    return new Map((users || []).map(user => [user.id, user]));
+  }
+
+  _formatTaggedItem(row, author) {
+    const location = row.lat !== null && row.lat !== undefined ? { lat: row.lat, lng: row.lng } : null;
+    const base = {
+      type: row.item_type,
+      id: row.id,
+      user_id: row.user_id,
+      author,
+      main_image_url: row.main_image_url,
+      like_count: row.like_count || 0,
+      created_at: row.created_at,
+    };
+
+    if (row.item_type === 'record') {
+      return { ...base, description: row.description, location };
+    }
+
+    return {
+      ...base,
+      title: row.title || null,
+      question: row.question,
+      center: location,
+      radius_meters: row.radius_meters,
+      status: row.status,
+    };
+  }
+}
+
+module.exports = new TagService();
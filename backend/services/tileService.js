@@ -0,0 +1,67 @@
+/**
+ * 向量圖磚 Service 層
+ * 透過 PostGIS ST_AsMVT 產生 Mapbox Vector Tiles
+ */
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { Errors } = require('../utils/errorCodes');
+const { log } = require('../utils/logger');
+
+class TileService {
+  /**
+   * 取得單一圖磚
+   * @param {string} layer - 'records' 或 'asks'
+   * @param {number} z - 縮放等級
+   * @param {number} x - 圖磚 X
+   * @param {number} y - 圖磚 Y
+   * @param {Object} filters - { startDate, endDate, tag, city, district }
+   * @returns {Promise<Object>} { buffer, etag }
+   */
+  async getTile(layer, z, x, y, filters = {}) {
+    const { startDate, endDate, tag, city, district } = filters;
+
+    // 圖磚座標必須落在該縮放等級的範圍內
+    const maxIndex = 2 ** z;
+    if (x >= maxIndex || y >= maxIndex) {
+      throw Errors.invalidArgument(`縮放等級 ${z} 的圖磚座標必須小於 ${maxIndex}`);
+    }
+
+    const rpcParams = {
+      p_layer: layer,
+      p_z: z,
+      p_x: x,
+      p_y: y,
+    };
+    if (startDate) rpcParams.p_start_date = startDate;
+    if (endDate) rpcParams.p_end_date = endDate;
+    if (tag) rpcParams.p_tag = tag;
+    if (city) rpcParams.p_city = city;
+    if (district) rpcParams.p_district = district;
+
+    const { data, error } = await supabase.rpc('get_map_tile', rpcParams);
+
+    if (error) {
+      log.db.error('get_map_tile', layer, error);
+      throw Errors.internal('產生圖磚失敗');
+    }
+
+    const buffer = Buffer.from(data || '', 'base64');
+
+    return {
+      buffer,
+      etag: this._computeEtag(buffer),
+    };
+  }
+
+  // ==================== Private Methods ====================
+
+  /**
+   * 以內容雜湊產生 ETag，內容不變時 CDN 可直接回 304
+   */
+  _computeEtag(buffer) {
+    const hash = crypto.createHash('sha1').update(buffer).digest('base64url');
+    return `"${hash}"`;
+  }
+}
+
+module.exports = new TileService();
@@ -0,0 +1,234 @@
+/**
+ * 孤兒上傳清理 Service（系統框架 6.1）
+ * 清除超過時限仍為 PENDING 的 image_media，連同 R2 檔案，並寫入 cleanup_logs
+ * R2 刪除失敗時 cleanup_logs 保留完整物件 Key，下次執行時重試
+ * 可在伺服器內定時執行，也可透過 scripts/cleanup-pending-uploads.js 手動執行
+ */
+const supabaseAdmin = require('../config/supabaseAdmin');
+const {
+  PRESIGNED_UPLOAD_EXPIRES,
+  deleteObjects,
+  getImageObjectKeys,
+} = require('../utils/r2Helpers');
+const { log } = require('../utils/logger');
+
+// PENDING 超過 1 小時視為放棄（不得短於 Presigned URL 有效時間）
+const DEFAULT_MAX_AGE_SECONDS = 60 * 60;
+
+// 每次最多處理的筆數，避免單次執行過久
+const DEFAULT_BATCH_LIMIT = 200;
+
+// 預設每小時執行一次
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+const CleanupReasons = {
+  PENDING_TIMEOUT: 'PENDING_TIMEOUT',
+  PENDING_TIMEOUT_R2_FAILED: 'PENDING_TIMEOUT_R2_FAILED',
+  PENDING_TIMEOUT_R2_RETRIED: 'PENDING_TIMEOUT_R2_RETRIED',
+};
+
+class UploadJanitorService {
+  constructor() {
+    this._timer = null;
+    this._running = false;
+  }
+
+  /**
+   * 啟動定時清理
+   * @param {number} intervalMs - 執行間隔（毫秒）
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => {
+      this.run().catch(err => log.error('Upload janitor run failed', { error: err.message }));
+    }, intervalMs);
+
+    this._timer.unref();
+
+    log.info('Upload janitor started', { intervalMs });
+  }
+
+  /**
+   * 停止定時清理
+   */
+  stop() {
+    if (!this._timer) return;
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * 執行一次清理
+   * @param {Object} options - { dryRun, maxAgeSeconds, limit }
+   * @returns {Promise<Object>} 清理摘要 { dry_run, cutoff, scanned, deleted, r2_failed, r2_retried, images }
+   */
+  async run(options = {}) {
+    const {
+      dryRun = false,
+      maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS,
+      limit = DEFAULT_BATCH_LIMIT,
+    } = options;
+
+    if (this._running) {
+      log.warn('Upload janitor already running, skipped');
+      return null;
+    }
+    this._running = true;
+
+    try {
+      const ageSeconds = Math.max(maxAgeSeconds, PRESIGNED_UPLOAD_EXPIRES);
+      const cutoff = new Date(Date.now() - ageSeconds * 1000).toISOString();
+
+      const { data: candidates, error: queryError } = await supabaseAdmin
+        .from('image_media')
+        .select('id, user_id, client_key, original_public_url, thumbnail_public_url, medium_public_url, webp_public_url, uploaded_at')
+        .eq('status', 'PENDING')
+        .lt('uploaded_at', cutoff)
+        .order('uploaded_at', { ascending: true })
+        .limit(limit);
+
+      if (queryError) {
+        log.db.error('select', 'image_media', queryError);
+        throw new Error(`查詢 PENDING 圖片失敗: ${queryError.message}`);
+      }
+
+      const summary = {
+        dry_run: dryRun,
+        cutoff,
+        scanned: (candidates || []).length,
+        deleted: 0,
+        r2_failed: 0,
+        r2_retried: 0,
+        images: (candidates || []).map(img => ({
+          id: img.id,
+          user_id: img.user_id,
+          client_key: img.client_key,
+          uploaded_at: img.uploaded_at,
+          keys: getImageObjectKeys(img),
+        })),
+      };
+
+      if (dryRun) {
+        log.info('Upload janitor finished', { ...summary, images: undefined });
+        return summary;
+      }
+
+      // 先重試先前 R2 刪除失敗的物件（資料列已刪除，只剩 cleanup_logs 記得這些 Key）
+      const retry = await this._retryFailedDeletes(limit);
+      summary.r2_retried = retry.retried;
+      summary.r2_failed += retry.failed;
+
+      if (summary.scanned === 0) {
+        log.info('Upload janitor finished', { ...summary, images: undefined });
+        return summary;
+      }
+
+      // 先以 status = PENDING 為條件刪除資料列，避免誤刪剛好被提交的圖片
+      const { data: deletedRows, error: deleteError } = await supabaseAdmin
+        .from('image_media')
+        .delete()
+        .in('id', candidates.map(img => img.id))
+        .eq('status', 'PENDING')
+        .select('id');
+
+      if (deleteError) {
+        log.db.error('delete', 'image_media', deleteError);
+        throw new Error(`刪除 PENDING 圖片失敗: ${deleteError.message}`);
+      }
+
+      const deletedIds = new Set((deletedRows || []).map(row => row.id));
+      const deletedImages = summary.images.filter(img => deletedIds.has(img.id));
+      const logs = [];
+
+      for (const img of deletedImages) {
+        let reason = CleanupReasons.PENDING_TIMEOUT;
+
+        try {
+          await deleteObjects(img.keys);
+        } catch (err) {
+          log.external.error('R2', 'deleteObjects', err);
+          reason = CleanupReasons.PENDING_TIMEOUT_R2_FAILED;
+          summary.r2_failed++;
+        }
+
+        logs.push({
+          deleted_image_id: img.id,
+          deleted_user_id: img.user_id,
+          client_key: img.client_key,
+          object_keys: img.keys,
+          reason,
+        });
+      }
+
+      if (logs.length > 0) {
+        const { error: logError } = await supabaseAdmin.from('cleanup_logs').insert(logs);
+        if (logError) {
+          log.db.error('insert', 'cleanup_logs', logError);
+          // 日誌寫入失敗時至少留下 R2 刪除失敗的 Key，供人工清理
+          const failedLogs = logs.filter(entry => entry.reason === CleanupReasons.PENDING_TIMEOUT_R2_FAILED);
+          if (failedLogs.length > 0) {
+            log.error('Upload janitor lost R2 retry entries', { entries: failedLogs });
+          }
+        }
+      }
+
+      summary.deleted = deletedImages.length;
+      summary.images = deletedImages;
+
+      log.info('Upload janitor finished', { ...summary, images: undefined });
+      return summary;
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /**
+   * 重試 cleanup_logs 中 R2 刪除失敗的物件，成功後標記為 PENDING_TIMEOUT_R2_RETRIED
+   * @param {number} limit - 最多重試的筆數
+   * @returns {Promise<Object>} { retried, failed }
+   */
+  async _retryFailedDeletes(limit) {
+    const { data: entries, error: queryError } = await supabaseAdmin
+      .from('cleanup_logs')
+      .select('id, object_keys')
+      .eq('reason', CleanupReasons.PENDING_TIMEOUT_R2_FAILED)
+      .not('object_keys', 'is', null)
+      .order('deleted_at', { ascending: true })
+      .limit(limit);
+
+    if (queryError) {
+      log.db.error('select', 'cleanup_logs', queryError);
+      throw new Error(`查詢 R2 刪除失敗的清理日誌失敗: ${queryError.message}`);
+    }
+
+    const result = { retried: 0, failed: 0 };
+
+    for (const entry of entries || []) {
+      try {
+        await deleteObjects(entry.object_keys);
+      } catch (err) {
+        log.external.error('R2', 'deleteObjects', err);
+        result.failed++;
+        continue;
+      }
+
+      const { error: updateError } = await supabaseAdmin
+        .from('cleanup_logs')
+        .update({ reason: CleanupReasons.PENDING_TIMEOUT_R2_RETRIED })
+        .eq('id', entry.id);
+
+      if (updateError) {
+        log.db.error('update', 'cleanup_logs', updateError);
+        continue;
+      }
+
+      result.retried++;
+    }
+
+    return result;
+  }
+}
+
+module.exports = new UploadJanitorService();
+module.exports.CleanupReasons = CleanupReasons;
@@ -0,0 +1,144 @@
+/**
+ * 管理後台（routes/admin.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  waitFor,
+  createUser,
+  adminLogin,
+  createRecord,
+} = require('./harness');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('admin', () => {
+  let server;
+  let alice;
+  let bob;
+  let cookie;
+  let record;
+  let report;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('adm-alice'), createUser('adm-bob')]);
+    record = await createRecord(alice);
+    report = expectStatus(
+      await request('POST', '/api/v1/reports', {
+        user: bob,
+        body: { record_id: record.id, reason_category: 'INAPPROPRIATE', reason: '不當內容' },
+      }),
+      201
+    );
+  });
+
+  after(() => server?.close());
+
+  it('GET /admin/login serves the login page', async () => {
+    const res = await request('GET', '/admin/login');
+    assert.match(expectStatus(res, 200), /Raibu 管理後台/);
+  });
+
+  it('POST /admin/api/login checks the secret', async () => {
+    expectStatus(await request('POST', '/admin/api/login', { body: { secret: 'wrong' } }), 401);
+    cookie = await adminLogin();
+    assert.match(cookie, /^admin_token=/);
+  });
+
+  it('admin pages redirect without a session', async () => {
+    for (const path of ['/admin', '/admin/api/stats', '/admin/api/reports']) {
+      const res = await request('GET', path);
+      assert.equal(res.status, 302, path);
+      assert.equal(res.headers.get('location'), '/admin/login');
+    }
+  });
+
+  it('GET /admin serves the dashboard', async () => {
+    const res = await request('GET', '/admin', { headers: { Cookie: cookie } });
+    assert.match(expectStatus(res, 200), /<html/);
+  });
+
+  it('GET /admin/api/stats counts reports by status', async () => {
+    const body = expectStatus(await request('GET', '/admin/api/stats', { headers: { Cookie: cookie } }), 200);
+    for (const status of ['PENDING', 'REVIEWED', 'RESOLVED', 'DISMISSED']) {
+      assert.equal(typeof body[status], 'number');
+    }
+    assert.ok(body.PENDING >= 1);
+  });
+
+  it('GET /admin/api/reports lists reports', async () => {
+    const body = expectStatus(
+      await request('GET', '/admin/api/reports', { headers: { Cookie: cookie }, query: { status: 'PENDING', limit: 100 } }),
+      200
+    );
+    const found = body.data.find(item => item.id === report.id);
+    assert.ok(found);
+    assert.equal(found.reporter.id, bob.id);
+    assert.equal(found.target.type, 'record');
+
+    const invalid = await request('GET', '/admin/api/reports', { headers: { Cookie: cookie }, query: { limit: 0 } });
+    expectStatus(invalid, 400);
+  });
+
+  it('PATCH /admin/api/reports/:id validates the request', async () => {
+    const invalid = await request('PATCH', `/admin/api/reports/${report.id}`, {
+      headers: { Cookie: cookie },
+      body: { status: 'PENDING' },
+    });
+    expectStatus(invalid, 400);
+
+    const missing = await request('PATCH', `/admin/api/reports/${MISSING_ID}`, {
+      headers: { Cookie: cookie },
+      body: { status: 'RESOLVED' },
+    });
+    expectStatus(missing, 404);
+  });
+
+  it('PATCH /admin/api/reports/:id removes the content and notifies', async () => {
+    const res = await request('PATCH', `/admin/api/reports/${report.id}`, {
+      headers: { Cookie: cookie },
+      body: { status: 'RESOLVED', admin_notes: '已下架', action: 'remove_content' },
+    });
+    const body = expectStatus(res, 200);
+    assert.equal(body.ok, true);
+    assert.equal(body.data.status, 'RESOLVED');
+
+    expectError(await request('GET', `/api/v1/records/${record.id}`), 404, 'NOT_FOUND');
+
+    await waitFor(async () => {
+      const feed = expectStatus(await request('GET', '/api/v1/notifications', { user: bob }), 200);
+      assert.ok(feed.notifications.some(item => item.type === 'REPORT_REVIEWED'));
+    });
+    await waitFor(async () => {
+      const feed = expectStatus(await request('GET', '/api/v1/notifications', { user: alice }), 200);
+      assert.ok(feed.notifications.some(item => item.type === 'CONTENT_REMOVED'));
+    });
+  });
+
+  it('PATCH /admin/api/users/:userId/ban bans and unbans', async () => {
+    const banned = await request('PATCH', `/admin/api/users/${bob.id}/ban`, {
+      headers: { Cookie: cookie },
+      body: { ban: true, reason: '測試' },
+    });
+    assert.deepEqual(expectStatus(banned, 200), { ok: true, is_banned: true });
+    expectError(await request('GET', '/api/v1/users/me', { user: bob }), 403, 'ACCOUNT_BANNED');
+
+    const unbanned = await request('PATCH', `/admin/api/users/${bob.id}/ban`, {
+      headers: { Cookie: cookie },
+      body: { ban: false },
+    });
+    assert.deepEqual(expectStatus(unbanned, 200), { ok: true, is_banned: false });
+    expectStatus(await request('GET', '/api/v1/users/me', { user: bob }), 200);
+  });
+
+  it('GET /admin/logout clears the session', async () => {
+    const res = await request('GET', '/admin/logout', { headers: { Cookie: cookie } });
+    assert.equal(res.status, 302);
+    assert.match(res.headers.get('set-cookie'), /Max-Age=0/);
+  });
+});
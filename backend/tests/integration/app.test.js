@@ -0,0 +1,45 @@
+/**
+ * 共用行為：Health Check、404 與 JSON 解析錯誤（app.js、middleware/errorHandler.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, expectStatus, expectError } = require('./harness');
+
+describe('app', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server?.close());
+
+  it('GET / returns health and endpoint list', async () => {
+    const body = expectStatus(await request('GET', '/'), 200);
+    assert.equal(body.status, 'ok');
+    assert.equal(body.endpoints.records, '/api/v1/records');
+  });
+
+  it('unknown path returns NOT_FOUND', async () => {
+    expectError(await request('GET', '/api/v1/does-not-exist'), 404, 'NOT_FOUND');
+  });
+
+  it('malformed JSON returns INVALID_ARGUMENT', async () => {
+    // request() 只送出合法 JSON，這裡直接送出截斷的內容（JSON 在認證之前解析）
+    const response = await fetch(`${server.baseUrl}/api/v1/likes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"record_id":',
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, 'INVALID_ARGUMENT');
+  });
+
+  it('missing token returns UNAUTHENTICATED', async () => {
+    expectError(await request('GET', '/api/v1/users/me'), 401, 'UNAUTHENTICATED');
+  });
+
+  it('invalid token returns UNAUTHENTICATED', async () => {
+    expectError(await request('GET', '/api/v1/users/me', { token: 'not-a-jwt' }), 401, 'UNAUTHENTICATED');
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * 模組 C：詢問模式 API（routes/asks.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RUN_ID,
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  randomLocation,
+  boundsAround,
+  createUpload,
+  createProcessedUpload,
+  createAsk,
+  createReply,
+  waitFor,
+} = require('./harness');
+// harness 設定環境變數後才載入，才會連到本機開發環境
+const supabaseAdmin = require('../../config/supabaseAdmin');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('asks', () => {
+  let server;
+  let alice;
+  let bob;
+  const center = randomLocation();
+  let ask;
+  let ownReply;
+  let answer;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('ask-alice'), createUser('ask-bob')]);
+  });
+
+  after(() => server?.close());
+
+  it('POST /asks creates an active ask', async () => {
+    ask = await createAsk(alice, { center, question: `這裡現在人多嗎？ #ask${RUN_ID}`, radius_meters: 300 });
+
+    assert.equal(ask.user_id, alice.id);
+    assert.equal(ask.status, 'ACTIVE');
+    assert.equal(ask.radius_meters, 300);
+    assert.deepEqual(ask.center, center);
+    assert.deepEqual(ask.tags, [`ask${RUN_ID}`]);
+    assert.ok(new Date(ask.expires_at) > new Date());
+  });
+
+  it('POST /asks validates the body', async () => {
+    expectError(await request('POST', '/api/v1/asks', { body: { center, question: 'x' } }), 401, 'UNAUTHENTICATED');
+
+    const noCenter = await request('POST', '/api/v1/asks', { user: alice, body: { question: 'x' } });
+    expectError(noCenter, 400, 'INVALID_ARGUMENT');
+
+    const tooWide = await request('POST', '/api/v1/asks', {
+      user: alice,
+      body: { center, question: 'x', radius_meters: 50000 },
+    });
+    expectError(tooWide, 400, 'INVALID_ARGUMENT');
+  });
+
+  it('POST /asks only accepts processed images', async () => {
+    const pending = await createUpload(alice);
+    const unprocessed = await request('POST', '/api/v1/asks', {
+      user: alice,
+      body: { center, question: 'x', images: [{ upload_id: pending.upload_id }] },
+    });
+    const error = expectError(unprocessed, 400, 'INVALID_ARGUMENT');
+    assert.deepEqual(error.details.upload_ids, [pending.upload_id]);
+
+    const processed = await createProcessedUpload(alice);
+    const res = await request('POST', '/api/v1/asks', {
+      user: alice,
+      body: { center, question: 'x', images: [{ upload_id: processed.upload_id }] },
+    });
+    assert.equal(expectStatus(res, 201).main_image_url, processed.thumbnail_public_url);
+  });
+
+  it('GET /asks/map returns asks inside the bounds', async () => {
+    const body = expectStatus(await request('GET', '/api/v1/asks/map', { query: boundsAround(center) }), 200);
+    const found = body.asks.find(item => item.id === ask.id);
+    assert.ok(found);
+    assert.deepEqual(found.center, center);
+
+    expectError(await request('GET', '/api/v1/asks/map', { query: { min_lat: 'north' } }), 400, 'INVALID_ARGUMENT');
+  });
+
+  it('GET /asks/map follows the ask lifecycle instead of a fixed 48 hours', async () => {
+    const mapCenter = randomLocation();
+    const [extended, expired, resolved] = await Promise.all([
+      createAsk(alice, { center: mapCenter }),
+      createAsk(alice, { center: mapCenter }),
+      createAsk(alice, { center: mapCenter }),
+    ]);
+    const threeDaysAgo = new Date(Date.now() - 72 * 60 * 60 * 1000).toISOString();
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+    // 建立超過 48 小時但已延長的詢問仍在地圖上；已過期或已解決的詢問則不顯示
+    await supabaseAdmin
+      .from('asks')
+      .update({ created_at: threeDaysAgo, extended_at: threeDaysAgo, expires_at: tomorrow })
+      .eq('id', extended.id);
+    await supabaseAdmin
+      .from('asks')
+      .update({ status: 'EXPIRED', expired_at: new Date().toISOString() })
+      .eq('id', expired.id);
+    expectStatus(
+      await request('PATCH', `/api/v1/asks/${resolved.id}`, { user: alice, body: { status: 'RESOLVED' } }),
+      200
+    );
+
+    const body = expectStatus(await request('GET', '/api/v1/asks/map', { query: boundsAround(mapCenter) }), 200);
+    const ids = body.asks.map(item => item.id);
+    assert.ok(ids.includes(extended.id));
+    assert.ok(!ids.includes(expired.id));
+    assert.ok(!ids.includes(resolved.id));
+  });
+
+  it('GET /asks/:id returns the detail', async () => {
+    const body = expectStatus(await request('GET', `/api/v1/asks/${ask.id}`, { user: bob }), 200);
+
+    assert.equal(body.id, ask.id);
+    assert.equal(body.author.id, alice.id);
+    assert.equal(body.can_extend, true);
+    assert.equal(body.accepted_reply, null);
+    assert.equal(body.user_has_liked, false);
+
+    expectError(await request('GET', `/api/v1/asks/${MISSING_ID}`), 404, 'NOT_FOUND');
+  });
+
+  it('PATCH /asks/:id updates the title', async () => {
+    const res = await request('PATCH', `/api/v1/asks/${ask.id}`, { user: alice, body: { title: '人潮' } });
+    assert.equal(expectStatus(res, 200).success, true);
+
+    const detail = expectStatus(await request('GET', `/api/v1/asks/${ask.id}`), 200);
+    assert.equal(detail.title, '人潮');
+  });
+
+  it('PATCH /asks/:id is limited to the author and validated', async () => {
+    expectError(
+      await request('PATCH', `/api/v1/asks/${ask.id}`, { user: bob, body: { title: 'x' } }),
+      403,
+      'PERMISSION_DENIED'
+    );
+    expectError(
+      await request('PATCH', `/api/v1/asks/${ask.id}`, { user: alice, body: { status: 'EXPIRED' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('POST /asks/:id/extend extends once', async () => {
+    expectError(await request('POST', `/api/v1/asks/${ask.id}/extend`, { user: bob }), 403, 'PERMISSION_DENIED');
+
+    const body = expectStatus(await request('POST', `/api/v1/asks/${ask.id}/extend`, { user: alice }), 200);
+    assert.equal(body.status, 'ACTIVE');
+    assert.ok(body.extended_at);
+    assert.ok(new Date(body.expires_at) > new Date(ask.expires_at));
+
+    expectError(await request('POST', `/api/v1/asks/${ask.id}/extend`, { user: alice }), 400, 'INVALID_ARGUMENT');
+  });
+
+  it('POST /asks/:id/accept resolves the ask', async () => {
+    ownReply = await createReply(alice, { ask_id: ask.id }, '自己補充');
+    answer = await createReply(bob, { ask_id: ask.id }, '人不多');
+
+    expectError(await request('POST', `/api/v1/asks/${ask.id}/accept`, { user: alice, body: {} }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('POST', `/api/v1/asks/${ask.id}/accept`, { user: alice, body: { reply_id: ownReply.id } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', `/api/v1/asks/${ask.id}/accept`, { user: alice, body: { reply_id: MISSING_ID } }),
+      404,
+      'NOT_FOUND'
+    );
+    expectError(
+      await request('POST', `/api/v1/asks/${ask.id}/accept`, { user: bob, body: { reply_id: answer.id } }),
+      403,
+      'PERMISSION_DENIED'
+    );
+
+    const body = expectStatus(
+      await request('POST', `/api/v1/asks/${ask.id}/accept`, { user: alice, body: { reply_id: answer.id } }),
+      200
+    );
+    assert.deepEqual(body, { success: true, status: 'RESOLVED', accepted_reply_id: answer.id });
+
+    const detail = expectStatus(await request('GET', `/api/v1/asks/${ask.id}`), 200);
+    assert.equal(detail.status, 'RESOLVED');
+    assert.equal(detail.accepted_reply_id, answer.id);
+    assert.equal(detail.accepted_reply.id, answer.id);
+    assert.equal(detail.can_extend, false);
+  });
+
+  it('POST /asks/:id/accept rejects threaded child replies', async () => {
+    const threaded = await createAsk(alice);
+    const parent = await createReply(bob, { ask_id: threaded.id }, '先回一下');
+    const child = await createReply(bob, { ask_id: threaded.id, parent_reply_id: parent.id }, '補充');
+
+    expectError(
+      await request('POST', `/api/v1/asks/${threaded.id}/accept`, { user: alice, body: { reply_id: child.id } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+
+    const detail = expectStatus(await request('GET', `/api/v1/asks/${threaded.id}`), 200);
+    assert.equal(detail.status, 'ACTIVE');
+    assert.equal(detail.accepted_reply_id, null);
+  });
+
+  it('GET /replies pins the accepted answer first', async () => {
+    const body = expectStatus(await request('GET', '/api/v1/replies', { query: { ask_id: ask.id } }), 200);
+    assert.deepEqual(body.replies.map(reply => reply.id), [answer.id, ownReply.id]);
+    assert.deepEqual(body.replies.map(reply => reply.is_accepted), [true, false]);
+
+    // 置頂的回答不參與分頁，也不會在下一頁重複出現
+    const first = expectStatus(
+      await request('GET', '/api/v1/replies', { query: { ask_id: ask.id, limit: 1 } }),
+      200
+    );
+    assert.deepEqual(first.replies.map(reply => reply.id), [answer.id, ownReply.id]);
+    assert.equal(first.next_cursor, null);
+  });
+
+  it('GET /users/:id counts accepted answers', async () => {
+    const body = expectStatus(await request('GET', `/api/v1/users/${bob.id}`), 200);
+    assert.equal(body.total_accepted_answers, 1);
+  });
+
+  it('PATCH /asks/:id reopens a resolved ask and unaccepts the answer', async () => {
+    const res = await request('PATCH', `/api/v1/asks/${ask.id}`, { user: alice, body: { status: 'ACTIVE' } });
+    expectStatus(res, 200);
+
+    const detail = expectStatus(await request('GET', `/api/v1/asks/${ask.id}`), 200);
+    assert.equal(detail.status, 'ACTIVE');
+    assert.equal(detail.accepted_reply_id, null);
+    assert.equal(detail.accepted_reply, null);
+
+    const replies = expectStatus(await request('GET', '/api/v1/replies', { query: { ask_id: ask.id } }), 200);
+    assert.deepEqual(replies.replies.map(reply => reply.id), [ownReply.id, answer.id]);
+    assert.ok(replies.replies.every(reply => reply.is_accepted === false));
+
+    const stats = expectStatus(await request('GET', `/api/v1/users/${bob.id}`), 200);
+    assert.equal(stats.total_accepted_answers, 0);
+  });
+
+  it('DELETE /asks/:id removes the ask', async () => {
+    expectError(await request('DELETE', `/api/v1/asks/${ask.id}`, { user: bob }), 403, 'PERMISSION_DENIED');
+    expectError(await request('DELETE', `/api/v1/asks/${MISSING_ID}`, { user: alice }), 404, 'NOT_FOUND');
+
+    assert.equal(expectStatus(await request('DELETE', `/api/v1/asks/${ask.id}`, { user: alice }), 200).success, true);
+    expectError(await request('GET', `/api/v1/asks/${ask.id}`), 404, 'NOT_FOUND');
+  });
+
+  it('DELETE /asks/:id removes every variant of the ask and reply images', async () => {
+    const [askImage, replyImage] = await Promise.all([createProcessedUpload(alice), createProcessedUpload(bob)]);
+    const res = await request('POST', '/api/v1/asks', {
+      user: alice,
+      body: { center, question: 'x', images: [{ upload_id: askImage.upload_id }] },
+    });
+    const withImages = expectStatus(res, 201);
+    const reply = await request('POST', '/api/v1/replies', {
+      user: bob,
+      body: { ask_id: withImages.id, content: '', images: [{ upload_id: replyImage.upload_id }] },
+    });
+    expectStatus(reply, 201);
+
+    expectStatus(await request('DELETE', `/api/v1/asks/${withImages.id}`, { user: alice }), 200);
+
+    // R2 清理不會延遲回應
+    const urls = [askImage, replyImage].flatMap(image => [
+      image.original_public_url,
+      image.thumbnail_public_url,
+      image.medium_public_url,
+      image.webp_public_url,
+    ]);
+    await waitFor(async () => {
+      for (const url of urls) {
+        assert.equal((await fetch(url)).status, 404, url);
+      }
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * 模組 B：紀錄圖片 EXIF 比對的 reject 政策（services/recordService.js）
+ * 政策與容許誤差在載入 recordService 時讀取，因此獨立成一個測試檔（node --test 每個檔案各自一個行程）
+ */
+process.env.EXIF_MISMATCH_POLICY = 'reject';
+process.env.EXIF_LOCATION_TOLERANCE_METERS = '50';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  randomLocation,
+  northOf,
+  gpsExif,
+  createProcessedUpload,
+  createRecord,
+} = require('./harness');
+
+describe('records with EXIF_MISMATCH_POLICY=reject', () => {
+  let server;
+  let alice;
+  const location = randomLocation();
+
+  before(async () => {
+    server = await startServer();
+    alice = await createUser('exif-alice');
+  });
+
+  after(() => server?.close());
+
+  async function createWith(upload, claimed) {
+    return request('POST', '/api/v1/records', {
+      user: alice,
+      body: { description: 'EXIF 政策', images: [{ upload_id: upload.upload_id, location: claimed }] },
+    });
+  }
+
+  it('POST /records rejects locations beyond the configured tolerance', async () => {
+    const upload = await createProcessedUpload(alice, { exif: gpsExif(location) });
+
+    // 80 公尺在預設 100 公尺內，但超出設定的 50 公尺
+    const error = expectError(await createWith(upload, northOf(location, 80)), 400, 'INVALID_ARGUMENT');
+    assert.equal(error.details.tolerance_meters, 50);
+    assert.deepEqual(error.details.mismatches.map(item => item.upload_id), [upload.upload_id]);
+
+    // 被拒絕的圖片仍可用正確的座標重新建立
+    const record = expectStatus(await createWith(upload, northOf(location, 30)), 201);
+    assert.equal(record.location_verification[0].location_source, 'exif');
+  });
+
+  it('POST /records keeps images without EXIF GPS as unverified', async () => {
+    const upload = await createProcessedUpload(alice);
+    const record = expectStatus(await createWith(upload, location), 201);
+
+    assert.equal(record.location_verification[0].location_source, 'client');
+    assert.equal(record.location_verification[0].location_unverified, true);
+  });
+
+  it('PATCH /records/:id rejects new images beyond the tolerance', async () => {
+    const record = await createRecord(alice, { location });
+    const detail = expectStatus(await request('GET', `/api/v1/records/${record.id}`), 200);
+    const upload = await createProcessedUpload(alice, { exif: gpsExif(location) });
+
+    const res = await request('PATCH', `/api/v1/records/${record.id}`, {
+      user: alice,
+      body: {
+        sorted_images: [
+          { type: 'EXISTING', image_id: detail.images[0].id },
+          { type: 'NEW', upload_id: upload.upload_id, location: northOf(location, 200) },
+        ],
+      },
+    });
+    expectError(res, 400, 'INVALID_ARGUMENT');
+
+    const unchanged = expectStatus(await request('GET', `/api/v1/records/${record.id}`), 200);
+    assert.equal(unchanged.images.length, 1);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * 模組 F：追蹤動態 API（routes/feed.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  createRecord,
+  createAsk,
+} = require('./harness');
+
+describe('feed', () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+  let record;
+  let ask;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob, carol] = await Promise.all([
+      createUser('feed-alice'),
+      createUser('feed-bob'),
+      createUser('feed-carol'),
+    ]);
+    record = await createRecord(alice);
+    ask = await createAsk(alice);
+    // 未追蹤的使用者內容不應出現在動態中
+    await createRecord(carol);
+
+    expectStatus(await request('POST', `/api/v1/users/${alice.id}/follow`, { user: bob }), 200);
+  });
+
+  after(() => server?.close());
+
+  it('GET /feed requires authentication', async () => {
+    expectError(await request('GET', '/api/v1/feed'), 401, 'UNAUTHENTICATED');
+  });
+
+  it('GET /feed merges records and asks from followed users', async () => {
+    const body = expectStatus(await request('GET', '/api/v1/feed', { user: bob }), 200);
+    assert.deepEqual(
+      body.items.map(item => [item.type, item.id]),
+      [['ask', ask.id], ['record', record.id]]
+    );
+    assert.equal(body.items[0].author.id, alice.id);
+    assert.deepEqual(body.items[0].center, ask.center);
+    assert.equal(body.next_cursor, null);
+  });
+
+  it('GET /feed paginates with a cursor', async () => {
+    const first = expectStatus(await request('GET', '/api/v1/feed', { user: bob, query: { limit: 1 } }), 200);
+    assert.equal(first.items[0].id, ask.id);
+    assert.ok(first.next_cursor);
+
+    const second = expectStatus(
+      await request('GET', '/api/v1/feed', { user: bob, query: { limit: 1, cursor: first.next_cursor } }),
+      200
+    );
+    assert.equal(second.items[0].id, record.id);
+
+    expectError(await request('GET', '/api/v1/feed', { user: bob, query: { cursor: 'bogus' } }), 400, 'INVALID_ARGUMENT');
+  });
+
+  it('GET /feed is empty for users who follow nobody', async () => {
+    const body = expectStatus(await request('GET', '/api/v1/feed', { user: carol }), 200);
+    assert.deepEqual(body, { items: [], next_cursor: null });
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * 反查地址（services/geocodingService.js、services/geocodingProviders）
+ * Provider 以 setProvider 替換為測試用的 stub，不呼叫外部服務
+ */
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  RUN_ID,
+  startServer,
+  request,
+  expectStatus,
+  waitFor,
+  createUser,
+  randomLocation,
+  createProcessedUpload,
+} = require('./harness');
+// harness 設定環境變數後才載入，才會連到本機開發環境
+const supabaseAdmin = require('../../config/supabaseAdmin');
+const geocodingService = require('../../services/geocodingService');
+const {
+  createGeocodingProvider,
+  NominatimGeocodingProvider,
+  BoundaryGeocodingProvider,
+  ChainGeocodingProvider,
+} = require('../../services/geocodingProviders');
+
+/**
+ * 記錄呼叫次數的 stub Provider
+ * @param {Object|null|Function} result - reverse 的結果，函式時每次呼叫取值（可拋出錯誤）
+ */
+function stubProvider(result, name = 'stub') {
+  const provider = {
+    name,
+    calls: 0,
+    async reverse() {
+      provider.calls += 1;
+      return typeof result === 'function' ? result() : result;
+    },
+    async close() {},
+  };
+  return provider;
+}
+
+function failingProvider(name = 'failing') {
+  return stubProvider(() => {
+    throw new Error('timeout');
+  }, name);
+}
+
+/**
+ * 以環境變數建立 Provider，結束後還原
+ */
+function withEnv(env, fn) {
+  const previous = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+describe('geocoding providers', () => {
+  describe('nominatim', () => {
+    const nominatim = new NominatimGeocodingProvider({ baseUrl: 'http://nominatim.invalid', userAgent: 'raibu-test' });
+
+    it('parses special municipalities as city + suburb', () => {
+      const result = nominatim._parseAddress({
+        address: { city: '臺北市', suburb: '大安區', road: '忠孝東路四段', house_number: '1' },
+      });
+      assert.deepEqual(result, { city: '臺北市', district: '大安區', street: '忠孝東路四段1號' });
+    });
+
+    it('parses counties as county + town or county-administered city', () => {
+      assert.deepEqual(
+        nominatim._parseAddress({ address: { county: '新竹縣', town: '竹北市', road: '光明六路' } }),
+        { city: '新竹縣', district: '竹北市', street: '光明六路' }
+      );
+      assert.deepEqual(
+        nominatim._parseAddress({ address: { county: '彰化縣', city: '彰化市', road: '中山路二段', house_number: '416號' } }),
+        { city: '彰化縣', district: '彰化市', street: '中山路二段416號' }
+      );
+    });
+  });
+
+  describe('boundaries', () => {
+    let filePath;
+    let boundaries;
+
+    before(() => {
+      // 一個三角形與一個 MultiPolygon（含洞的正方形）
+      const collection = {
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            properties: { COUNTYNAME: '測試市', TOWNNAME: '三角區' },
+            geometry: { type: 'Polygon', coordinates: [[[120, 23], [121, 23], [120, 24], [120, 23]]] },
+          },
+          {
+            type: 'Feature',
+            properties: { COUNTYNAME: '測試縣', TOWNNAME: '方形鄉' },
+            geometry: {
+              type: 'MultiPolygon',
+              coordinates: [[
+                [[122, 23], [123, 23], [123, 24], [122, 24], [122, 23]],
+                [[122.4, 23.4], [122.6, 23.4], [122.6, 23.6], [122.4, 23.6], [122.4, 23.4]],
+              ]],
+            },
+          },
+        ],
+      };
+      filePath = path.join(os.tmpdir(), `raibu-boundaries-${RUN_ID}.geojson`);
+      fs.writeFileSync(filePath, JSON.stringify(collection));
+      boundaries = new BoundaryGeocodingProvider({ filePath });
+    });
+
+    after(() => fs.rmSync(filePath, { force: true }));
+
+    it('finds the area containing the point', async () => {
+      assert.deepEqual(await boundaries.reverse(23.2, 120.2), { city: '測試市', district: '三角區', street: null });
+      assert.deepEqual(await boundaries.reverse(23.1, 122.1), { city: '測試縣', district: '方形鄉', street: null });
+    });
+
+    it('returns null outside every polygon, including inside the bounding box and holes', async () => {
+      // 在三角形外框內、但在斜邊外側
+      assert.equal(await boundaries.reverse(23.9, 120.9), null);
+      assert.equal(await boundaries.reverse(23.5, 122.5), null);
+      assert.equal(await boundaries.reverse(25, 121.5), null);
+    });
+  });
+
+  describe('chain', () => {
+    it('takes each field from the first provider that has it and stops once complete', async () => {
+      const areas = stubProvider({ city: '臺北市', district: '大安區', street: null }, 'areas');
+      const streets = stubProvider({ city: '台北市', district: null, street: '忠孝東路四段1號' }, 'streets');
+      const unused = stubProvider({ city: '新北市', district: '板橋區', street: '文化路一段' }, 'unused');
+      const chain = new ChainGeocodingProvider([areas, streets, unused]);
+
+      assert.equal(chain.name, 'areas+streets+unused');
+      assert.deepEqual(await chain.reverse(25.04, 121.54), { city: '臺北市', district: '大安區', street: '忠孝東路四段1號' });
+      assert.equal(unused.calls, 0);
+    });
+
+    it('marks results as incomplete when a provider failed and fields are missing', async () => {
+      const areas = stubProvider({ city: '臺北市', district: '大安區', street: null });
+      const chain = new ChainGeocodingProvider([areas, failingProvider()]);
+
+      assert.deepEqual(await chain.reverse(25.04, 121.54), {
+        city: '臺北市',
+        district: '大安區',
+        street: null,
+        incomplete: true,
+      });
+    });
+
+    it('throws when nothing matched and a provider failed, and returns null when nothing matched', async () => {
+      await assert.rejects(new ChainGeocodingProvider([stubProvider(null), failingProvider()]).reverse(25, 121), /timeout/);
+      assert.equal(await new ChainGeocodingProvider([stubProvider(null), stubProvider(null)]).reverse(25, 121), null);
+    });
+  });
+
+  describe('configuration', () => {
+    it('fails when the boundaries provider has no GeoJSON path', () => {
+      withEnv({ GEOCODING_PROVIDER: 'boundaries', GEOCODING_BOUNDARIES_PATH: '' }, () => {
+        assert.throws(() => createGeocodingProvider(), /GEOCODING_BOUNDARIES_PATH/);
+      });
+      withEnv({ GEOCODING_PROVIDER: 'nominatim,unknown' }, () => {
+        assert.throws(() => createGeocodingProvider(), /unknown/);
+      });
+    });
+
+    it('disables geocoding only when explicitly set to none', () => {
+      withEnv({ GEOCODING_PROVIDER: 'none' }, () => {
+        assert.equal(createGeocodingProvider().enabled, false);
+      });
+      withEnv({ GEOCODING_PROVIDER: 'nominatim' }, () => {
+        assert.equal(createGeocodingProvider().enabled, true);
+      });
+    });
+  });
+});
+
+describe('geocodingService', () => {
+  let server;
+  let alice;
+
+  before(async () => {
+    server = await startServer();
+    alice = await createUser('geocode-alice');
+  });
+
+  beforeEach(() => geocodingService.setProvider(null));
+
+  after(() => {
+    geocodingService.setProvider(null);
+    return server?.close();
+  });
+
+  function cacheKeyOf({ lat, lng }) {
+    return `${lat.toFixed(4)},${lng.toFixed(4)}`;
+  }
+
+  async function findCache(location) {
+    const { data, error } = await supabaseAdmin
+      .from('geocode_cache')
+      .select('address, city, district, created_at')
+      .eq('cache_key', cacheKeyOf(location))
+      .maybeSingle();
+    assert.ifError(error);
+    return data;
+  }
+
+  it('caches results and looks them up again after the TTL', async () => {
+    const location = randomLocation();
+    const provider = stubProvider({ city: '台中市', district: '西屯區', street: '臺灣大道三段99號' });
+    geocodingService.setProvider(provider);
+
+    const expected = { address: '臺中市西屯區臺灣大道三段99號', city: '臺中市', district: '西屯區' };
+    assert.deepEqual(await geocodingService.reverseGeocode(location.lat, location.lng), expected);
+    assert.deepEqual(await geocodingService.reverseGeocode(location.lat, location.lng), expected);
+    assert.equal(provider.calls, 1);
+    assert.equal((await findCache(location)).address, expected.address);
+
+    // 快取超過 90 天後重新反查
+    const { error } = await supabaseAdmin
+      .from('geocode_cache')
+      .update({ created_at: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000).toISOString() })
+      .eq('cache_key', cacheKeyOf(location));
+    assert.ifError(error);
+
+    await geocodingService.reverseGeocode(location.lat, location.lng);
+    assert.equal(provider.calls, 2);
+  });
+
+  it('caches not-found results', async () => {
+    const location = randomLocation();
+    const provider = stubProvider(null);
+    geocodingService.setProvider(provider);
+
+    assert.equal(await geocodingService.reverseGeocode(location.lat, location.lng), null);
+    assert.equal(await geocodingService.reverseGeocode(location.lat, location.lng), null);
+    assert.equal(provider.calls, 1);
+
+    const cached = await findCache(location);
+    assert.deepEqual([cached.address, cached.city, cached.district], [null, null, null]);
+  });
+
+  it('does not cache partial results when a provider failed', async () => {
+    const location = randomLocation();
+    const areas = stubProvider({ city: '高雄市', district: '苓雅區', street: null });
+    geocodingService.setProvider(new ChainGeocodingProvider([areas, failingProvider()]));
+
+    const result = await geocodingService.reverseGeocode(location.lat, location.lng);
+    assert.deepEqual(result, { address: '高雄市苓雅區', city: '高雄市', district: '苓雅區', incomplete: true });
+    assert.equal(await findCache(location), null);
+
+    await geocodingService.reverseGeocode(location.lat, location.lng);
+    assert.equal(areas.calls, 2);
+  });
+
+  async function createRecordWithAddress(address) {
+    const location = randomLocation();
+    const upload = await createProcessedUpload(alice);
+    const res = await request('POST', '/api/v1/records', {
+      user: alice,
+      body: { description: `反查 ${RUN_ID}`, images: [{ upload_id: upload.upload_id, location, address }] },
+    });
+    return { recordId: expectStatus(res, 201).id, imageId: upload.upload_id };
+  }
+
+  async function findImage(id) {
+    const { data, error } = await supabaseAdmin
+      .from('image_media')
+      .select('address, city, district, geocoded_at')
+      .eq('id', id)
+      .single();
+    assert.ifError(error);
+    return data;
+  }
+
+  it('keeps the client address when the result has no street', async () => {
+    geocodingService.setProvider(stubProvider({ city: '臺南市', district: '中西區', street: null }));
+    const { imageId } = await createRecordWithAddress('臺南市中西區民生路二段1號');
+
+    await waitFor(async () => {
+      const image = await findImage(imageId);
+      assert.ok(image.geocoded_at);
+      assert.equal(image.address, '臺南市中西區民生路二段1號');
+      assert.equal(image.city, '臺南市');
+      assert.equal(image.district, '中西區');
+    });
+  });
+
+  it('replaces the client address with a street-level result', async () => {
+    geocodingService.setProvider(stubProvider({ city: '臺南市', district: '中西區', street: '永福路二段2號' }));
+    const { imageId } = await createRecordWithAddress('舊地址');
+
+    await waitFor(async () => {
+      assert.equal((await findImage(imageId)).address, '臺南市中西區永福路二段2號');
+    });
+  });
+
+  it('leaves rows pending when a provider failed and fields are missing', async () => {
+    const areas = stubProvider({ city: '嘉義市', district: '東區', street: null });
+    geocodingService.setProvider(new ChainGeocodingProvider([areas, failingProvider()]));
+    const { imageId } = await createRecordWithAddress(null);
+
+    await waitFor(async () => {
+      assert.deepEqual(await findImage(imageId), { address: '嘉義市東區', city: '嘉義市', district: '東區', geocoded_at: null });
+    });
+  });
+
+  // 放在最後：背景反查結束前不會再替換 Provider
+  it('leaves rows and client addresses untouched when geocoding is disabled', async () => {
+    geocodingService.setProvider(new ChainGeocodingProvider([]));
+    const { recordId, imageId } = await createRecordWithAddress('客戶端地址');
+
+    assert.equal(await geocodingService.geocodeRecordImages(recordId), 1);
+    assert.deepEqual(await findImage(imageId), { address: '客戶端地址', city: null, district: null, geocoded_at: null });
+    await assert.rejects(geocodingService.backfill({ limit: 1 }), /GEOCODING_PROVIDER=none/);
+  });
+});
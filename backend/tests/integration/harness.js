@@ -0,0 +1,374 @@
+/**
+ * 整合測試 Harness
+ * 在測試行程內啟動 Express app（app.js），連線到本機開發環境的 Gateway、PostgREST 與 MinIO（npm run local:up）
+ * 每次執行以隨機 RUN_ID 建立使用者與內容，並使用隨機的地圖範圍，不需要清空資料庫
+ * 必須在 require 任何後端模組之前載入，才能以本機環境的設定覆蓋 .env
+ */
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { signJwt } = require('../../local-dev/jwt');
+const { ErrorCodes } = require('../../utils/errorCodes');
+
+// 與 docker-compose.local.yml 相同的本機設定，可用 TEST_* 環境變數覆蓋
+const GATEWAY_URL = (process.env.TEST_SUPABASE_URL || 'http://localhost:54321').replace(/\/+$/, '');
+const STORAGE_URL = (process.env.TEST_R2_ENDPOINT || 'http://localhost:9000').replace(/\/+$/, '');
+const JWT_SECRET = process.env.LOCAL_JWT_SECRET || 'raibu-local-development-jwt-secret-change-me';
+const ADMIN_SECRET = 'raibu-integration-admin';
+
+// 前置檢查的逾時（毫秒）
+const PREFLIGHT_TIMEOUT_MS = 3000;
+
+// 本次執行的識別碼：使用者 email、顯示名稱與標籤都會帶上，避免與其他執行互相影響
+const RUN_ID = crypto.randomBytes(4).toString('hex');
+
+function serviceRoleKey() {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({ iss: 'raibu-local', role: 'service_role', iat: now, exp: now + 60 * 60 }, JWT_SECRET);
+}
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'silent',
+  SUPABASE_URL: GATEWAY_URL,
+  SUPABASE_KEY: serviceRoleKey(),
+  SUPABASE_SERVICE_ROLE_KEY: serviceRoleKey(),
+  R2_ENDPOINT: STORAGE_URL,
+  R2_PUBLIC_ENDPOINT: STORAGE_URL,
+  R2_ACCESS_KEY_ID: 'raibu-local',
+  R2_SECRET_ACCESS_KEY: 'raibu-local-secret',
+  R2_BUCKET_NAME: 'raibu',
+  R2_PUBLIC_URL: `${STORAGE_URL}/raibu`,
+  R2_CDN_URL: '',
+  ADMIN_SECRET,
+  PUSH_PROVIDER: 'log',
+  GEOCODING_PROVIDER: 'none',
+});
+
+let baseUrl = null;
+
+/**
+ * 確認本機開發環境已啟動（Gateway 與 MinIO）
+ */
+async function assertLocalStack() {
+  const checks = [
+    ['Gateway', `${GATEWAY_URL}/health`],
+    ['MinIO', `${STORAGE_URL}/minio/health/live`],
+  ];
+
+  for (const [name, url] of checks) {
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(PREFLIGHT_TIMEOUT_MS) });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (err) {
+      throw new Error(`無法連線到本機開發環境的 ${name}（${url}: ${err.message}），請先執行 npm run local:up`);
+    }
+  }
+}
+
+/**
+ * 啟動 app 並監聽隨機埠
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+async function startServer() {
+  await assertLocalStack();
+
+  const app = require('../../app');
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    listening.on('error', reject);
+  });
+
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    close: () => new Promise((resolve) => {
+      // 即時更新（SSE）等長連線不會自行結束
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+/**
+ * 發送請求到測試中的 app
+ * @param {string} method - HTTP 方法
+ * @param {string} path - 完整路徑（例如 /api/v1/records）
+ * @param {Object} options - { user, token, body, query, headers }
+ * @returns {Promise<Object>} { status, headers, body }，JSON 回應會解析為物件
+ */
+async function request(method, path, options = {}) {
+  assert.ok(baseUrl, 'startServer() 尚未執行');
+
+  const url = new URL(path, baseUrl);
+  for (const [key, value] of Object.entries(options.query || {})) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+  }
+
+  const token = options.token || options.user?.token;
+  const headers = {
+    ...(options.body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...options.headers,
+  };
+
+  const response = await fetch(url, {
+    method,
+    headers,
+    body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+    redirect: 'manual',
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  let body;
+  if (contentType.includes('application/json')) {
+    body = await response.json();
+  } else if (contentType.startsWith('text/')) {
+    body = await response.text();
+  } else {
+    body = Buffer.from(await response.arrayBuffer());
+  }
+
+  return { status: response.status, headers: response.headers, body };
+}
+
+/**
+ * 驗證回應狀態碼（失敗時附上回應內容）
+ */
+function expectStatus(res, status) {
+  assert.equal(res.status, status, `預期 ${status}，實際 ${res.status}: ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+/**
+ * 驗證錯誤回應（utils/errorCodes.js 的格式）
+ * @param {Object} res - request() 的結果
+ * @param {number} status - HTTP 狀態碼
+ * @param {string} code - ErrorCodes 的鍵
+ */
+function expectError(res, status, code) {
+  assert.ok(code in ErrorCodes || code === 'ACCOUNT_BANNED', `未知的錯誤代碼 ${code}`);
+  expectStatus(res, status);
+  assert.equal(res.body?.error?.code, code, `預期錯誤代碼 ${code}: ${JSON.stringify(res.body)}`);
+  assert.equal(typeof res.body.error.message, 'string');
+  return res.body.error;
+}
+
+/**
+ * 重試直到斷言通過（通知、地址反查等背景寫入不會延遲回應）
+ * @param {Function} fn - 回傳結果或拋出 AssertionError 的 async 函數
+ * @param {Object} options - { timeout, interval }（毫秒）
+ */
+async function waitFor(fn, { timeout = 3000, interval = 100 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (Date.now() >= deadline) throw err;
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+}
+
+/**
+ * 透過本機 Gateway 建立使用者並取得 Token（handle_new_user 觸發器會建立 public.users）
+ * @param {string} name - 使用者代稱，會加上 RUN_ID
+ * @returns {Promise<Object>} { id, email, displayName, token }
+ */
+async function createUser(name) {
+  const email = `${name}-${RUN_ID}@integration.test`;
+  const displayName = `${name}_${RUN_ID}`;
+
+  const response = await fetch(`${GATEWAY_URL}/auth/v1/local/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, display_name: displayName }),
+  });
+
+  const body = await response.json();
+  assert.equal(response.status, 200, `建立測試使用者失敗: ${JSON.stringify(body)}`);
+
+  return { id: body.user.id, email, displayName, token: body.access_token };
+}
+
+/**
+ * 以管理者密碼登入後台，回傳 Cookie
+ */
+async function adminLogin() {
+  const res = await request('POST', '/admin/api/login', { body: { secret: ADMIN_SECRET } });
+  expectStatus(res, 200);
+  return res.headers.get('set-cookie').split(';')[0];
+}
+
+/**
+ * 隨機產生台灣本島範圍內的座標，讓各測試檔的地圖查詢互不重疊
+ */
+function randomLocation() {
+  return {
+    lat: Number((22.5 + Math.random() * 2.5).toFixed(6)),
+    lng: Number((120.2 + Math.random() * 1.5).toFixed(6)),
+  };
+}
+
+/**
+ * 往北移動指定公尺數的座標（1 緯度約 111,195 公尺）
+ */
+function northOf(point, meters) {
+  return { lat: Number((point.lat + meters / 111195).toFixed(6)), lng: point.lng };
+}
+
+/**
+ * 以座標為中心的查詢範圍（min_lat / max_lat / min_lng / max_lng）
+ * @param {Object} center - { lat, lng }
+ * @param {number} delta - 半邊長（度）
+ */
+function boundsAround(center, delta = 0.005) {
+  return {
+    min_lat: center.lat - delta,
+    max_lat: center.lat + delta,
+    min_lng: center.lng - delta,
+    max_lng: center.lng + delta,
+  };
+}
+
+/**
+ * 產生純色測試圖片
+ * @param {string} format - sharp 輸出格式（jpeg、png 等）
+ * @param {Object} options - { width, height, exif }，exif 會以 sharp withExif() 寫入
+ */
+function createImage(format, { width = 640, height = 480, exif } = {}) {
+  let image = sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } },
+  })[format]();
+  if (exif) {
+    image = image.withExif(exif);
+  }
+  return image.toBuffer();
+}
+
+/**
+ * 產生含 GPS 定位的 EXIF（createImage 的 exif 選項）
+ * @param {Object} location - { lat, lng }，限北半球、東半球
+ */
+function gpsExif(location) {
+  const toRational = (value) => {
+    const degrees = Math.floor(value);
+    const minutes = Math.floor((value - degrees) * 60);
+    const seconds = Math.round(((value - degrees) * 60 - minutes) * 60 * 1000);
+    return `${degrees}/1 ${minutes}/1 ${seconds}/1000`;
+  };
+
+  return {
+    IFD3: {
+      GPSLatitudeRef: 'N',
+      GPSLatitude: toRational(location.lat),
+      GPSLongitudeRef: 'E',
+      GPSLongitude: toRational(location.lng),
+    },
+  };
+}
+
+/**
+ * 以 Presigned URL 上傳原圖
+ */
+async function putObject(url, buffer, contentType) {
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': contentType },
+    body: buffer,
+  });
+  assert.equal(response.status, 200, `上傳失敗：${await response.text()}`);
+}
+
+/**
+ * 建立 PENDING 狀態的上傳（不實際上傳檔案，尚未處理的圖片不能關聯到紀錄 / 詢問 / 回覆）
+ * @returns {Promise<Object>} upload_credentials 中的單筆憑證
+ */
+async function createUpload(user, fileType = 'image/jpeg') {
+  const clientKey = crypto.randomUUID();
+  const res = await request('POST', '/api/v1/upload/request', {
+    user,
+    body: { image_requests: [{ client_key: clientKey, fileType }] },
+  });
+  return expectStatus(res, 200).upload_credentials[clientKey];
+}
+
+/**
+ * 上傳 JPEG 並完成伺服器處理（建立紀錄 / 詢問 / 回覆時可直接使用）
+ * @param {Object} user - createUser 的結果
+ * @param {Object} options - createImage 的選項（例如 exif）
+ * @returns {Promise<Object>} 上傳憑證與處理結果
+ */
+async function createProcessedUpload(user, options = {}) {
+  const upload = await createUpload(user);
+  await putObject(upload.original_upload_url, await createImage('jpeg', options), 'image/jpeg');
+
+  const res = await request('POST', `/api/v1/upload/${upload.upload_id}/complete`, { user });
+  return { ...upload, ...expectStatus(res, 200) };
+}
+
+/**
+ * 建立紀錄標點（一張圖片）
+ * @param {Object} user - createUser 的結果
+ * @param {Object} options - { location, description }
+ */
+async function createRecord(user, { location = randomLocation(), description = `integration record ${RUN_ID}` } = {}) {
+  const upload = await createProcessedUpload(user);
+  const res = await request('POST', '/api/v1/records', {
+    user,
+    body: { description, images: [{ upload_id: upload.upload_id, location }] },
+  });
+  return expectStatus(res, 201);
+}
+
+/**
+ * 建立詢問標點
+ * @param {Object} user - createUser 的結果
+ * @param {Object} options - { center, question, radius_meters }
+ */
+async function createAsk(user, { center = randomLocation(), question = `integration ask ${RUN_ID}`, radius_meters } = {}) {
+  const res = await request('POST', '/api/v1/asks', {
+    user,
+    body: { center, question, ...(radius_meters ? { radius_meters } : {}) },
+  });
+  return expectStatus(res, 201);
+}
+
+/**
+ * 建立回覆
+ * @param {Object} user - createUser 的結果
+ * @param {Object} target - { record_id } 或 { ask_id }，可附 parent_reply_id
+ * @param {string} content - 回覆內容
+ */
+async function createReply(user, target, content = `integration reply ${RUN_ID}`) {
+  const res = await request('POST', '/api/v1/replies', { user, body: { ...target, content } });
+  return expectStatus(res, 201);
+}
+
+module.exports = {
+  RUN_ID,
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  waitFor,
+  createUser,
+  adminLogin,
+  randomLocation,
+  northOf,
+  boundsAround,
+  createImage,
+  gpsExif,
+  putObject,
+  createUpload,
+  createProcessedUpload,
+  createRecord,
+  createAsk,
+  createReply,
+};
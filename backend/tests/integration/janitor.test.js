@@ -0,0 +1,181 @@
+/**
+ * 後台任務：孤兒上傳清理（services/uploadJanitorService.js）
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  createUser,
+  createImage,
+  putObject,
+  createUpload,
+} = require('./harness');
+// harness 設定環境變數後才載入，才會連到本機開發環境
+const supabaseAdmin = require('../../config/supabaseAdmin');
+const uploadJanitor = require('../../services/uploadJanitorService');
+const { CleanupReasons } = require('../../services/uploadJanitorService');
+const { PRESIGNED_UPLOAD_EXPIRES, getImageObjectKeys } = require('../../utils/r2Helpers');
+
+// 早於任何正常上傳，確保排在清理批次的最前面
+const LONG_AGO = '2000-01-01T00:00:00.000Z';
+
+describe('upload janitor', () => {
+  let server;
+  let alice;
+
+  before(async () => {
+    server = await startServer();
+    alice = await createUser('janitor-alice');
+  });
+
+  after(() => server?.close());
+
+  afterEach(() => {
+    // 還原競態測試對 supabaseAdmin.from 的替換
+    delete supabaseAdmin.from;
+  });
+
+  /**
+   * 建立已上傳原圖的 PENDING 圖片，並把 uploaded_at 改到指定時間
+   */
+  async function createStaleUpload(uploadedAt = LONG_AGO) {
+    const upload = await createUpload(alice);
+    await putObject(upload.original_upload_url, await createImage('jpeg'), 'image/jpeg');
+
+    const { error } = await supabaseAdmin
+      .from('image_media')
+      .update({ uploaded_at: uploadedAt })
+      .eq('id', upload.upload_id);
+    assert.ifError(error);
+
+    return upload;
+  }
+
+  async function findImage(id) {
+    const { data, error } = await supabaseAdmin
+      .from('image_media')
+      .select('id, status')
+      .eq('id', id)
+      .maybeSingle();
+    assert.ifError(error);
+    return data;
+  }
+
+  async function findLogs(imageId) {
+    const { data, error } = await supabaseAdmin
+      .from('cleanup_logs')
+      .select('deleted_image_id, deleted_user_id, client_key, object_keys, reason')
+      .eq('deleted_image_id', imageId);
+    assert.ifError(error);
+    return data;
+  }
+
+  it('dry run lists stale uploads without deleting them', async () => {
+    const upload = await createStaleUpload();
+
+    const summary = await uploadJanitor.run({ dryRun: true });
+
+    assert.equal(summary.dry_run, true);
+    assert.equal(summary.deleted, 0);
+    assert.ok(summary.images.some(img => img.id === upload.upload_id));
+    assert.ok(await findImage(upload.upload_id));
+    assert.equal((await fetch(upload.original_public_url)).status, 200);
+    assert.deepEqual(await findLogs(upload.upload_id), []);
+  });
+
+  it('only cleans uploads older than the cutoff, never shorter than the presigned URL lifetime', async () => {
+    const stale = await createStaleUpload();
+    // 仍在 Presigned URL 有效期間內的上傳，即使 maxAgeSeconds 更短也不能清除
+    const recent = await createStaleUpload(
+      new Date(Date.now() - (PRESIGNED_UPLOAD_EXPIRES / 2) * 1000).toISOString()
+    );
+
+    const summary = await uploadJanitor.run({ maxAgeSeconds: 1 });
+
+    assert.ok(new Date(summary.cutoff) <= new Date(Date.now() - PRESIGNED_UPLOAD_EXPIRES * 1000));
+    const deletedIds = summary.images.map(img => img.id);
+    assert.ok(deletedIds.includes(stale.upload_id));
+    assert.ok(!deletedIds.includes(recent.upload_id));
+    assert.equal(await findImage(stale.upload_id), null);
+    assert.ok(await findImage(recent.upload_id));
+  });
+
+  it('writes a cleanup log with every object key and removes the files from R2', async () => {
+    const upload = await createStaleUpload();
+
+    const summary = await uploadJanitor.run();
+    const image = summary.images.find(img => img.id === upload.upload_id);
+    assert.ok(image);
+
+    const [entry] = await findLogs(upload.upload_id);
+    assert.equal(entry.reason, CleanupReasons.PENDING_TIMEOUT);
+    assert.equal(entry.deleted_user_id, alice.id);
+    assert.equal(entry.client_key, image.client_key);
+    assert.deepEqual(entry.object_keys, image.keys);
+    assert.equal((await fetch(upload.original_public_url)).status, 404);
+  });
+
+  it('keeps an upload committed while the run is in progress', async () => {
+    const upload = await createStaleUpload();
+    const originalFrom = supabaseAdmin.from.bind(supabaseAdmin);
+
+    // 在查詢候選圖片之後、刪除之前把圖片提交，模擬與建立紀錄的競態
+    supabaseAdmin.from = table => {
+      const query = originalFrom(table);
+      if (table !== 'image_media') return query;
+      delete supabaseAdmin.from;
+
+      const select = query.select.bind(query);
+      query.select = (...args) => {
+        const builder = select(...args);
+        const then = builder.then.bind(builder);
+        builder.then = (onFulfilled, onRejected) => then(async result => {
+          const { error } = await originalFrom('image_media')
+            .update({ status: 'COMPLETED' })
+            .eq('id', upload.upload_id);
+          assert.ifError(error);
+          return result;
+        }).then(onFulfilled, onRejected);
+        return builder;
+      };
+      return query;
+    };
+
+    const summary = await uploadJanitor.run();
+
+    assert.ok(!summary.images.some(img => img.id === upload.upload_id));
+    assert.equal((await findImage(upload.upload_id)).status, 'COMPLETED');
+    assert.equal((await fetch(upload.original_public_url)).status, 200);
+    assert.deepEqual(await findLogs(upload.upload_id), []);
+
+    await supabaseAdmin.from('image_media').delete().eq('id', upload.upload_id);
+  });
+
+  it('retries R2 deletes that failed on a previous run', async () => {
+    const upload = await createStaleUpload();
+    const { data: row, error: selectError } = await supabaseAdmin
+      .from('image_media')
+      .select('id, client_key, original_public_url, thumbnail_public_url, medium_public_url, webp_public_url')
+      .eq('id', upload.upload_id)
+      .single();
+    assert.ifError(selectError);
+
+    // 模擬上次執行已刪除資料列、但 R2 刪除失敗
+    await supabaseAdmin.from('image_media').delete().eq('id', upload.upload_id);
+    const { error: insertError } = await supabaseAdmin.from('cleanup_logs').insert({
+      deleted_image_id: row.id,
+      deleted_user_id: alice.id,
+      client_key: row.client_key,
+      object_keys: getImageObjectKeys(row),
+      reason: CleanupReasons.PENDING_TIMEOUT_R2_FAILED,
+    });
+    assert.ifError(insertError);
+
+    const summary = await uploadJanitor.run();
+
+    assert.ok(summary.r2_retried >= 1);
+    assert.equal((await fetch(upload.original_public_url)).status, 404);
+    const [entry] = await findLogs(upload.upload_id);
+    assert.equal(entry.reason, CleanupReasons.PENDING_TIMEOUT_R2_RETRIED);
+  });
+});
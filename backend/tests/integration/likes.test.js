@@ -0,0 +1,152 @@
+/**
+ * 模組 D：愛心 API（routes/likes.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  createRecord,
+  createAsk,
+  createReply,
+} = require('./harness');
+// harness 設定環境變數後才載入，才會連到本機開發環境
+const supabaseAdmin = require('../../config/supabaseAdmin');
+const likeReconciler = require('../../services/likeReconcilerService');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('likes', () => {
+  let server;
+  let alice;
+  let bob;
+  let record;
+  let ask;
+  let reply;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('like-alice'), createUser('like-bob')]);
+    [record, ask] = await Promise.all([createRecord(alice), createAsk(alice)]);
+    reply = await createReply(alice, { record_id: record.id });
+  });
+
+  after(() => server?.close());
+
+  it('POST /likes toggles a record like', async () => {
+    const liked = expectStatus(await request('POST', '/api/v1/likes', { user: bob, body: { record_id: record.id } }), 200);
+    assert.deepEqual(liked, { success: true, action: 'liked', like_count: 1 });
+
+    const detail = expectStatus(await request('GET', `/api/v1/records/${record.id}`, { user: bob }), 200);
+    assert.equal(detail.user_has_liked, true);
+    assert.equal(detail.like_count, 1);
+
+    const unliked = expectStatus(await request('POST', '/api/v1/likes', { user: bob, body: { record_id: record.id } }), 200);
+    assert.deepEqual(unliked, { success: true, action: 'unliked', like_count: 0 });
+  });
+
+  it('POST /likes supports asks and replies', async () => {
+    const askLike = expectStatus(await request('POST', '/api/v1/likes', { user: bob, body: { ask_id: ask.id } }), 200);
+    assert.equal(askLike.action, 'liked');
+    assert.equal(askLike.like_count, 1);
+
+    const replyLike = expectStatus(await request('POST', '/api/v1/likes', { user: bob, body: { reply_id: reply.id } }), 200);
+    assert.equal(replyLike.action, 'liked');
+    assert.equal(replyLike.like_count, 1);
+
+    const thread = expectStatus(
+      await request('GET', '/api/v1/replies', { user: bob, query: { record_id: record.id } }),
+      200
+    );
+    assert.equal(thread.replies[0].user_has_liked, true);
+  });
+
+  it('POST /likes requires exactly one target', async () => {
+    expectError(await request('POST', '/api/v1/likes', { body: { record_id: record.id } }), 401, 'UNAUTHENTICATED');
+    expectError(await request('POST', '/api/v1/likes', { user: bob, body: {} }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('POST', '/api/v1/likes', { user: bob, body: { record_id: record.id, ask_id: ask.id } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('PUT and DELETE /likes/:type/:id are idempotent', async () => {
+    const path = `/api/v1/likes/record/${record.id}`;
+
+    expectError(await request('PUT', path), 401, 'UNAUTHENTICATED');
+    expectError(await request('PUT', `/api/v1/likes/point/${record.id}`, { user: bob }), 400, 'INVALID_ARGUMENT');
+    expectError(await request('PUT', `/api/v1/likes/record/${MISSING_ID}`, { user: bob }), 404, 'NOT_FOUND');
+
+    const liked = expectStatus(await request('PUT', path, { user: bob }), 200);
+    assert.deepEqual(liked, { success: true, liked: true, changed: true, like_count: 1 });
+    const again = expectStatus(await request('PUT', path, { user: bob }), 200);
+    assert.deepEqual(again, { success: true, liked: true, changed: false, like_count: 1 });
+
+    const unliked = expectStatus(await request('DELETE', path, { user: bob }), 200);
+    assert.deepEqual(unliked, { success: true, liked: false, changed: true, like_count: 0 });
+    const none = expectStatus(await request('DELETE', path, { user: bob }), 200);
+    assert.deepEqual(none, { success: true, liked: false, changed: false, like_count: 0 });
+  });
+
+  it('PUT /likes/:type/:id keeps the count exact under concurrent requests', async () => {
+    const path = `/api/v1/likes/record/${record.id}`;
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => request('PUT', path, { user: alice }))
+    );
+
+    const bodies = results.map(res => expectStatus(res, 200));
+    assert.equal(bodies.filter(body => body.changed).length, 1);
+
+    const detail = expectStatus(await request('GET', `/api/v1/records/${record.id}`), 200);
+    assert.equal(detail.like_count, 1);
+  });
+
+  it('GET /likes/:type/:id/users lists who liked', async () => {
+    const body = expectStatus(await request('GET', `/api/v1/likes/ask/${ask.id}/users`), 200);
+    assert.deepEqual(body.users.map(user => user.id), [bob.id]);
+    assert.ok(body.users[0].liked_at);
+
+    expectError(await request('GET', `/api/v1/likes/ask/${MISSING_ID}/users`), 404, 'NOT_FOUND');
+  });
+
+  it('GET /users/me/likes lists liked content', async () => {
+    const body = expectStatus(await request('GET', '/api/v1/users/me/likes', { user: bob }), 200);
+    const types = body.items.map(item => `${item.type}:${item.id}`);
+    assert.deepEqual(types, [`reply:${reply.id}`, `ask:${ask.id}`]);
+
+    const asks = expectStatus(
+      await request('GET', '/api/v1/users/me/likes', { user: bob, query: { type: 'ask' } }),
+      200
+    );
+    assert.deepEqual(asks.items.map(item => item.id), [ask.id]);
+    assert.equal(asks.items[0].like_count, 1);
+  });
+
+  it('reconciler recomputes drifted counts from likes', async () => {
+    await supabaseAdmin.from('asks').update({ like_count: 42 }).eq('id', ask.id);
+
+    const preview = await likeReconciler.run({ dryRun: true });
+    const drift = preview.targets.find(target => target.target_id === ask.id);
+    assert.deepEqual(drift, { target_type: 'ask', target_id: ask.id, stored_count: 42, actual_count: 1 });
+
+    await likeReconciler.run();
+    const detail = expectStatus(await request('GET', `/api/v1/asks/${ask.id}`), 200);
+    assert.equal(detail.like_count, 1);
+  });
+
+  it('POST /likes is blocked when the author blocked the user', async () => {
+    expectStatus(await request('POST', `/api/v1/users/${bob.id}/block`, { user: alice, body: { type: 'BLOCK' } }), 200);
+
+    const res = await request('POST', '/api/v1/likes', { user: bob, body: { record_id: record.id } });
+    expectError(res, 403, 'PERMISSION_DENIED');
+    expectError(await request('PUT', `/api/v1/likes/record/${record.id}`, { user: bob }), 403, 'PERMISSION_DENIED');
+
+    // 封鎖前的愛心仍可取消
+    const unliked = expectStatus(await request('POST', '/api/v1/likes', { user: bob, body: { ask_id: ask.id } }), 200);
+    assert.equal(unliked.action, 'unliked');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * 地圖群集與活動熱度 API（routes/map.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RUN_ID,
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  randomLocation,
+  boundsAround,
+  createRecord,
+} = require('./harness');
+
+describe('map', () => {
+  let server;
+  let alice;
+  let location;
+  let records;
+  const tag = `map${RUN_ID}`;
+
+  before(async () => {
+    server = await startServer();
+    alice = await createUser('map-alice');
+    location = randomLocation();
+    const description = `同一個路口 #${tag}`;
+    records = [
+      await createRecord(alice, { location, description }),
+      await createRecord(alice, { location, description }),
+    ];
+  });
+
+  after(() => server?.close());
+
+  it('GET /map/clusters groups nearby records at low zoom', async () => {
+    const res = await request('GET', '/api/v1/map/clusters', {
+      query: { ...boundsAround(location), tag, zoom: 10 },
+    });
+    const body = expectStatus(res, 200);
+    assert.equal(body.zoom, 10);
+    assert.equal(body.clustered, true);
+    assert.equal(body.records.clusters.length, 1);
+    assert.equal(body.records.clusters[0].count, 2);
+    assert.deepEqual(body.records.points, []);
+  });
+
+  it('GET /map/clusters returns individual points at high zoom', async () => {
+    const res = await request('GET', '/api/v1/map/clusters', {
+      query: { ...boundsAround(location), tag, zoom: 18 },
+    });
+    const body = expectStatus(res, 200);
+    assert.equal(body.clustered, false);
+    assert.deepEqual(body.records.clusters, []);
+    assert.deepEqual(
+      body.records.points.map(point => point.record_id).sort(),
+      records.map(record => record.id).sort()
+    );
+  });
+
+  it('GET /map/clusters validates the query', async () => {
+    expectError(
+      await request('GET', '/api/v1/map/clusters', { query: boundsAround(location) }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('GET', '/api/v1/map/clusters', { query: { ...boundsAround(location), zoom: 23 } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('GET /map/heatmap counts activity per cell', async () => {
+    const res = await request('GET', '/api/v1/map/heatmap', { query: { ...boundsAround(location), resolution: 7 } });
+    const body = expectStatus(res, 200);
+    assert.equal(res.headers.get('cache-control'), 'public, max-age=60');
+    assert.equal(body.resolution, 7);
+    assert.ok(new Date(body.from) < new Date(body.to));
+    assert.ok(body.totals.record_images >= 2);
+
+    const cell = body.cells.find(item =>
+      item.bounds.min_lat <= location.lat && location.lat <= item.bounds.max_lat &&
+      item.bounds.min_lng <= location.lng && location.lng <= item.bounds.max_lng
+    );
+    assert.ok(cell);
+    assert.ok(cell.record_images >= 2);
+  });
+
+  it('GET /map/heatmap validates the query', async () => {
+    const bounds = boundsAround(location);
+
+    expectError(await request('GET', '/api/v1/map/heatmap', { query: { min_lat: location.lat } }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('GET', '/api/v1/map/heatmap', { query: { ...bounds, resolution: 9 } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('GET', '/api/v1/map/heatmap', { query: { ...bounds, from: '2026-01-02', to: '2026-01-01' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    // 格子數量超過上限
+    expectError(
+      await request('GET', '/api/v1/map/heatmap', {
+        query: { min_lat: 21.9, max_lat: 25.3, min_lng: 120, max_lng: 122, resolution: 8 },
+      }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+});
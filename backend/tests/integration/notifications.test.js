@@ -0,0 +1,126 @@
+/**
+ * 模組 N：站內通知 API（routes/notifications.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  waitFor,
+  createUser,
+  createRecord,
+  createAsk,
+  createReply,
+} = require('./harness');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('notifications', () => {
+  let server;
+  let alice;
+  let bob;
+  let record;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('ntf-alice'), createUser('ntf-bob')]);
+    record = await createRecord(alice);
+  });
+
+  after(() => server?.close());
+
+  async function getFeed(user, query = {}) {
+    return expectStatus(await request('GET', '/api/v1/notifications', { user, query }), 200);
+  }
+
+  it('likes and replies notify the author', async () => {
+    expectStatus(await request('POST', '/api/v1/likes', { user: bob, body: { record_id: record.id } }), 200);
+    const reply = await createReply(bob, { record_id: record.id }, '拍得真好');
+
+    const feed = await waitFor(async () => {
+      const result = await getFeed(alice);
+      assert.equal(result.notifications.length, 2);
+      return result;
+    });
+
+    assert.equal(feed.unread_count, 2);
+    const replied = feed.notifications.find(item => item.type === 'REPLY');
+    const liked = feed.notifications.find(item => item.type === 'LIKE');
+    assert.equal(replied.type, 'REPLY');
+    assert.equal(replied.reply_id, reply.id);
+    assert.equal(liked.type, 'LIKE');
+    assert.equal(liked.record_id, record.id);
+    assert.equal(liked.actor_count, 1);
+    assert.equal(liked.is_read, false);
+  });
+
+  it('accepting an answer notifies the replier', async () => {
+    const ask = await createAsk(alice);
+    const answer = await createReply(bob, { ask_id: ask.id }, '現在沒排隊');
+    expectStatus(
+      await request('POST', `/api/v1/asks/${ask.id}/accept`, { user: alice, body: { reply_id: answer.id } }),
+      200
+    );
+
+    await waitFor(async () => {
+      const feed = await getFeed(bob);
+      const accepted = feed.notifications.find(item => item.type === 'ANSWER_ACCEPTED');
+      assert.ok(accepted);
+      assert.equal(accepted.ask_id, ask.id);
+      assert.equal(accepted.reply_id, answer.id);
+    });
+  });
+
+  it('GET /notifications supports unread_only and pagination', async () => {
+    const page = await getFeed(alice, { limit: 1 });
+    assert.equal(page.notifications.length, 1);
+    assert.ok(page.next_cursor);
+
+    const next = await getFeed(alice, { limit: 1, cursor: page.next_cursor });
+    assert.notEqual(next.notifications[0].id, page.notifications[0].id);
+
+    expectError(await request('GET', '/api/v1/notifications'), 401, 'UNAUTHENTICATED');
+    expectError(
+      await request('GET', '/api/v1/notifications', { user: alice, query: { unread_only: 'yes' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('POST /notifications/read marks selected notifications', async () => {
+    const { notifications } = await getFeed(alice);
+
+    const body = expectStatus(
+      await request('POST', '/api/v1/notifications/read', { user: alice, body: { ids: [notifications[0].id, MISSING_ID] } }),
+      200
+    );
+    assert.deepEqual(body, { success: true, updated: 1, unread_count: notifications.length - 1 });
+
+    const unread = await getFeed(alice, { unread_only: 'true' });
+    assert.ok(unread.notifications.every(item => item.id !== notifications[0].id));
+  });
+
+  it('POST /notifications/read marks everything', async () => {
+    const body = expectStatus(await request('POST', '/api/v1/notifications/read', { user: alice, body: { all: true } }), 200);
+    assert.equal(body.unread_count, 0);
+
+    const unread = await getFeed(alice, { unread_only: 'true' });
+    assert.deepEqual(unread.notifications, []);
+  });
+
+  it('POST /notifications/read validates the body', async () => {
+    expectError(await request('POST', '/api/v1/notifications/read', { user: alice, body: {} }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('POST', '/api/v1/notifications/read', { user: alice, body: { ids: [MISSING_ID], all: true } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', '/api/v1/notifications/read', { user: alice, body: { ids: ['not-a-uuid'] } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+});
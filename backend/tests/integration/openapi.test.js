@@ -0,0 +1,107 @@
+/**
+ * API 規格：OpenAPI 文件與回應驗證（utils/openapi.js、middleware/contract.js）
+ */
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, expectStatus, expectError } = require('./harness');
+const express = require('express');
+const Joi = require('joi');
+const { operation } = require('../../middleware/contract');
+
+describe('openapi', () => {
+  let server;
+  let document;
+
+  before(async () => {
+    server = await startServer();
+    document = expectStatus(await request('GET', '/api/v1/openapi.json'), 200);
+  });
+
+  after(() => server?.close());
+
+  it('GET /openapi.json describes every route', () => {
+    assert.equal(document.openapi, '3.0.3');
+    assert.ok(document.paths['/api/v1/records/{id}'].get);
+    assert.ok(document.paths['/api/v1/users/{userId}/followers'].get);
+    assert.ok(document.paths['/api/v1/tiles/{layer}/{z}/{x}/{y}.mvt'].get);
+
+    const operationIds = new Set();
+    for (const [path, methods] of Object.entries(document.paths)) {
+      for (const [method, spec] of Object.entries(methods)) {
+        assert.ok(spec.summary, `${method.toUpperCase()} ${path} 缺少 summary`);
+        assert.ok(!operationIds.has(spec.operationId), `重複的 operationId ${spec.operationId}`);
+        operationIds.add(spec.operationId);
+      }
+    }
+  });
+
+  it('GET /openapi.json includes parameters, bodies and security', () => {
+    const detail = document.paths['/api/v1/records/{id}'].get;
+    assert.deepEqual(detail.parameters, [
+      { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } },
+    ]);
+    assert.deepEqual(detail.security, [{}, { bearerAuth: [] }]);
+
+    const create = document.paths['/api/v1/records'].post;
+    assert.deepEqual(create.security, [{ bearerAuth: [] }]);
+    assert.ok(create.requestBody.content['application/json'].schema.required.includes('images'));
+    assert.ok(create.responses[201]);
+    assert.ok(create.responses[401]);
+
+    const heatmap = document.paths['/api/v1/map/heatmap'].get;
+    assert.ok(heatmap.parameters.some(param => param.name === 'min_lat' && param.in === 'query' && param.required));
+    assert.equal(heatmap.security, undefined);
+
+    assert.ok(document.components.schemas.ErrorResponse);
+  });
+});
+
+describe('contract', () => {
+  let app;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // 以獨立的 app 驗證 operation() 的行為（不需要資料庫）
+    app = express();
+    app.get('/item/:id', operation({
+      summary: 'test',
+      params: Joi.object({ id: Joi.string().uuid().required() }),
+      responses: { 200: Joi.object({ ok: Joi.boolean().required() }) },
+    }), (req, res) => {
+      res.status(Number(req.query.status) || 200).json(req.query.bad ? { ok: 'yes' } : { ok: true });
+    });
+
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server?.close());
+
+  async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('validates requests', async () => {
+    expectError(await get('/item/not-a-uuid'), 400, 'INVALID_ARGUMENT');
+  });
+
+  it('passes responses that match the schema', async () => {
+    assert.deepEqual(expectStatus(await get(`/item/${crypto.randomUUID()}`), 200), { ok: true });
+  });
+
+  it('rejects responses that do not match the schema', async () => {
+    const error = expectError(await get(`/item/${crypto.randomUUID()}?bad=1`), 500, 'INTERNAL');
+    assert.equal(error.details.status, 200);
+    assert.ok(error.details.errors.some(message => message.includes('ok')));
+  });
+
+  it('rejects undeclared status codes', async () => {
+    const error = expectError(await get(`/item/${crypto.randomUUID()}?status=202`), 500, 'INTERNAL');
+    assert.equal(error.details.status, 202);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * 模組 P：推播設定 API（routes/push.js）
+ */
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  randomLocation,
+} = require('./harness');
+
+describe('push', () => {
+  let server;
+  let alice;
+  const deviceToken = crypto.randomBytes(32).toString('hex');
+
+  before(async () => {
+    server = await startServer();
+    alice = await createUser('push-alice');
+  });
+
+  after(() => server?.close());
+
+  it('POST /push/devices registers a device token', async () => {
+    const res = await request('POST', '/api/v1/push/devices', {
+      user: alice,
+      body: { token: deviceToken, environment: 'sandbox' },
+    });
+    const device = expectStatus(res, 201);
+    assert.equal(device.token, deviceToken);
+    assert.equal(device.platform, 'ios');
+    assert.equal(device.environment, 'sandbox');
+
+    // 重複註冊只更新 last_seen_at
+    expectStatus(await request('POST', '/api/v1/push/devices', { user: alice, body: { token: deviceToken } }), 201);
+  });
+
+  it('POST /push/devices validates the token', async () => {
+    expectError(await request('POST', '/api/v1/push/devices', { body: { token: deviceToken } }), 401, 'UNAUTHENTICATED');
+    expectError(await request('POST', '/api/v1/push/devices', { user: alice, body: {} }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('POST', '/api/v1/push/devices', { user: alice, body: { token: 'not-hex' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', '/api/v1/push/devices', { user: alice, body: { token: deviceToken, environment: 'staging' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('DELETE /push/devices/:token removes the device', async () => {
+    const body = expectStatus(await request('DELETE', `/api/v1/push/devices/${deviceToken}`, { user: alice }), 200);
+    assert.equal(body.success, true);
+  });
+
+  it('PUT /push/watch-areas/:kind upserts a watch area', async () => {
+    const center = randomLocation();
+    const res = await request('PUT', '/api/v1/push/watch-areas/Home', {
+      user: alice,
+      body: { center, radius_meters: 500 },
+    });
+    const area = expectStatus(res, 200);
+    assert.equal(area.kind, 'HOME');
+    assert.deepEqual(area.center, center);
+    assert.equal(area.radius_meters, 500);
+
+    const updated = expectStatus(
+      await request('PUT', '/api/v1/push/watch-areas/home', { user: alice, body: { center } }),
+      200
+    );
+    assert.equal(updated.radius_meters, 1000);
+
+    const list = expectStatus(await request('GET', '/api/v1/push/watch-areas', { user: alice }), 200);
+    assert.deepEqual(list.watch_areas.map(item => item.kind), ['HOME']);
+  });
+
+  it('PUT /push/watch-areas/:kind validates the request', async () => {
+    const center = randomLocation();
+
+    expectError(
+      await request('PUT', '/api/v1/push/watch-areas/school', { user: alice, body: { center } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(await request('PUT', '/api/v1/push/watch-areas/work', { user: alice, body: {} }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('PUT', '/api/v1/push/watch-areas/work', { user: alice, body: { center, radius_meters: 50 } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('DELETE /push/watch-areas/:kind removes a watch area', async () => {
+    const body = expectStatus(await request('DELETE', '/api/v1/push/watch-areas/home', { user: alice }), 200);
+    assert.deepEqual(body, { success: true });
+
+    expectError(await request('DELETE', '/api/v1/push/watch-areas/home', { user: alice }), 404, 'NOT_FOUND');
+  });
+
+  it('GET /push/preferences returns defaults', async () => {
+    const body = expectStatus(await request('GET', '/api/v1/push/preferences', { user: alice }), 200);
+    assert.equal(body.nearby_asks_enabled, true);
+    assert.equal(body.quiet_start, null);
+    assert.equal(body.timezone, 'Asia/Taipei');
+    assert.equal(body.max_per_hour, 3);
+  });
+
+  it('PATCH /push/preferences updates preferences', async () => {
+    const res = await request('PATCH', '/api/v1/push/preferences', {
+      user: alice,
+      body: { quiet_start: '23:00', quiet_end: '07:30', max_per_hour: 5, timezone: 'Asia/Tokyo' },
+    });
+    const body = expectStatus(res, 200);
+    assert.equal(body.quiet_start, '23:00');
+    assert.equal(body.quiet_end, '07:30');
+    assert.equal(body.max_per_hour, 5);
+    assert.equal(body.timezone, 'Asia/Tokyo');
+
+    const cleared = expectStatus(
+      await request('PATCH', '/api/v1/push/preferences', { user: alice, body: { quiet_start: null, quiet_end: null } }),
+      200
+    );
+    assert.equal(cleared.quiet_start, null);
+    assert.equal(cleared.max_per_hour, 5);
+  });
+
+  it('PATCH /push/preferences validates the request', async () => {
+    expectError(await request('PATCH', '/api/v1/push/preferences', { user: alice, body: {} }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('PATCH', '/api/v1/push/preferences', { user: alice, body: { quiet_start: '25:00', quiet_end: '07:00' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('PATCH', '/api/v1/push/preferences', { user: alice, body: { quiet_start: '23:00' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('PATCH', '/api/v1/push/preferences', { user: alice, body: { timezone: 'Mars/Olympus' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * 模組 B：紀錄模式 API（routes/records.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RUN_ID,
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  randomLocation,
+  northOf,
+  boundsAround,
+  gpsExif,
+  createUpload,
+  createProcessedUpload,
+  createRecord,
+} = require('./harness');
+// harness 設定環境變數後才載入，才會連到本機開發環境
+const supabaseAdmin = require('../../config/supabaseAdmin');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('records', () => {
+  let server;
+  let alice;
+  let bob;
+  const location = randomLocation();
+  let record;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('rec-alice'), createUser('rec-bob')]);
+  });
+
+  after(() => server?.close());
+
+  it('POST /records creates a record with tags', async () => {
+    record = await createRecord(alice, { location, description: `第一筆紀錄 #rec${RUN_ID}` });
+
+    assert.equal(record.user_id, alice.id);
+    assert.equal(record.media_count, 1);
+    assert.equal(record.like_count, 0);
+    assert.deepEqual(record.tags, [`rec${RUN_ID}`]);
+    assert.equal(record.location_verification.length, 1);
+    assert.equal(record.location_verification[0].location_mismatch, false);
+  });
+
+  it('POST /records requires authentication', async () => {
+    const res = await request('POST', '/api/v1/records', { body: { description: 'x', images: [] } });
+    expectError(res, 401, 'UNAUTHENTICATED');
+  });
+
+  it('POST /records validates the body', async () => {
+    const noImages = await request('POST', '/api/v1/records', { user: alice, body: { description: 'x', images: [] } });
+    expectError(noImages, 400, 'INVALID_ARGUMENT');
+
+    const upload = await createUpload(alice);
+    const noLocation = await request('POST', '/api/v1/records', {
+      user: alice,
+      body: { description: 'x', images: [{ upload_id: upload.upload_id }] },
+    });
+    expectError(noLocation, 400, 'INVALID_ARGUMENT');
+  });
+
+  it('POST /records rejects uploads owned by another user', async () => {
+    const upload = await createUpload(bob);
+    const res = await request('POST', '/api/v1/records', {
+      user: alice,
+      body: { description: 'x', images: [{ upload_id: upload.upload_id, location }] },
+    });
+    expectError(res, 403, 'PERMISSION_DENIED');
+  });
+
+  it('POST /records rejects uploads that were not processed', async () => {
+    const upload = await createUpload(alice);
+    const res = await request('POST', '/api/v1/records', {
+      user: alice,
+      body: { description: 'x', images: [{ upload_id: upload.upload_id, location }] },
+    });
+    const error = expectError(res, 400, 'INVALID_ARGUMENT');
+    assert.deepEqual(error.details.upload_ids, [upload.upload_id]);
+  });
+
+  it('POST /records verifies image locations against EXIF', async () => {
+    const [matching, mismatched, withoutGps] = await Promise.all([
+      createProcessedUpload(alice, { exif: gpsExif(location) }),
+      createProcessedUpload(alice, { exif: gpsExif(location) }),
+      createProcessedUpload(alice),
+    ]);
+    assert.ok(Math.abs(matching.exif.location.lat - location.lat) < 0.0001);
+
+    // 預設容許 100 公尺；超出時預設只標記、照常建立
+    const res = await request('POST', '/api/v1/records', {
+      user: alice,
+      body: {
+        description: 'EXIF 比對',
+        images: [
+          { upload_id: matching.upload_id, location: northOf(location, 60), display_order: 0 },
+          { upload_id: mismatched.upload_id, location: northOf(location, 500), display_order: 1 },
+          { upload_id: withoutGps.upload_id, location, display_order: 2 },
+        ],
+      },
+    });
+    const verified = expectStatus(res, 201);
+    const [exif, flagged, client] = verified.location_verification;
+
+    assert.equal(exif.location_source, 'exif');
+    assert.equal(exif.location_unverified, false);
+    assert.equal(exif.location_mismatch, false);
+
+    assert.equal(flagged.location_source, 'client');
+    assert.equal(flagged.location_mismatch, true);
+    assert.ok(Math.abs(flagged.location_mismatch_meters - 500) < 5);
+
+    assert.equal(client.location_source, 'client');
+    assert.equal(client.location_unverified, true);
+    assert.equal(client.location_mismatch, false);
+
+    const detail = expectStatus(await request('GET', `/api/v1/records/${verified.id}`), 200);
+    assert.deepEqual(
+      detail.images.map(image => [image.location_source, image.location_unverified, image.location_mismatch]),
+      [['exif', false, false], ['client', false, true], ['client', true, false]]
+    );
+  });
+
+  it('GET /records/map returns images inside the bounds', async () => {
+    const body = expectStatus(await request('GET', '/api/v1/records/map', { query: boundsAround(location) }), 200);
+    assert.ok(body.images.some(image => image.record_id === record.id));
+
+    const tagged = await request('GET', '/api/v1/records/map', {
+      query: { ...boundsAround(location), tag: `#rec${RUN_ID}` },
+    });
+    assert.ok(expectStatus(tagged, 200).images.some(image => image.record_id === record.id));
+
+    const otherTag = await request('GET', '/api/v1/records/map', {
+      query: { ...boundsAround(location), tag: `none${RUN_ID}` },
+    });
+    assert.equal(expectStatus(otherTag, 200).images.length, 0);
+  });
+
+  it('GET /records/map requires all bounds', async () => {
+    const res = await request('GET', '/api/v1/records/map', { query: { min_lat: location.lat } });
+    expectError(res, 400, 'INVALID_ARGUMENT');
+  });
+
+  it('GET /records/:id returns the detail', async () => {
+    const body = expectStatus(await request('GET', `/api/v1/records/${record.id}`, { user: bob }), 200);
+
+    assert.equal(body.id, record.id);
+    assert.equal(body.author.id, alice.id);
+    assert.equal(body.images.length, 1);
+    assert.deepEqual(body.tags, [`rec${RUN_ID}`]);
+    assert.equal(body.user_has_liked, false);
+  });
+
+  it('GET /records/:id returns NOT_FOUND for unknown records', async () => {
+    expectError(await request('GET', `/api/v1/records/${MISSING_ID}`), 404, 'NOT_FOUND');
+  });
+
+  it('PATCH /records/:id updates the description', async () => {
+    const res = await request('PATCH', `/api/v1/records/${record.id}`, {
+      user: alice,
+      body: { description: `已更新 #upd${RUN_ID}` },
+    });
+    assert.equal(expectStatus(res, 200).success, true);
+
+    const detail = expectStatus(await request('GET', `/api/v1/records/${record.id}`), 200);
+    assert.equal(detail.description, `已更新 #upd${RUN_ID}`);
+    assert.deepEqual(detail.tags, [`upd${RUN_ID}`]);
+  });
+
+  it('PATCH /records/:id is limited to the author', async () => {
+    const res = await request('PATCH', `/api/v1/records/${record.id}`, { user: bob, body: { description: 'hijack' } });
+    expectError(res, 403, 'PERMISSION_DENIED');
+  });
+
+  it('PATCH /records/:id validates sorted_images', async () => {
+    const res = await request('PATCH', `/api/v1/records/${record.id}`, {
+      user: alice,
+      body: { sorted_images: [{ type: 'EXISTING' }] },
+    });
+    expectError(res, 400, 'INVALID_ARGUMENT');
+  });
+
+  it('PATCH /records/:id uses EXIF GPS for new images without a location', async () => {
+    const target = await createRecord(alice, { location, description: `編輯座標 ${RUN_ID}` });
+    const before = expectStatus(await request('GET', `/api/v1/records/${target.id}`), 200);
+    const existing = before.images.map(image => ({ type: 'EXISTING', image_id: image.id }));
+
+    // 沒有座標也沒有 EXIF GPS：拒絕，原有圖片不變
+    const withoutGps = await createProcessedUpload(alice);
+    const rejected = await request('PATCH', `/api/v1/records/${target.id}`, {
+      user: alice,
+      body: { sorted_images: [...existing, { type: 'NEW', upload_id: withoutGps.upload_id }] },
+    });
+    assert.deepEqual(expectError(rejected, 400, 'INVALID_ARGUMENT').details.upload_ids, [withoutGps.upload_id]);
+
+    const exifLocation = northOf(location, 200);
+    const withGps = await createProcessedUpload(alice, { exif: gpsExif(exifLocation) });
+    const res = await request('PATCH', `/api/v1/records/${target.id}`, {
+      user: alice,
+      body: { sorted_images: [...existing, { type: 'NEW', upload_id: withGps.upload_id, location: null }] },
+    });
+    expectStatus(res, 200);
+
+    const after = expectStatus(await request('GET', `/api/v1/records/${target.id}`), 200);
+    assert.equal(after.media_count, 2);
+    const added = after.images.find(image => !before.images.some(old => old.id === image.id));
+    assert.equal(added.location_source, 'exif');
+    assert.equal(added.location_unverified, false);
+    assert.ok(Math.abs(added.location.lat - exifLocation.lat) < 1e-5);
+    assert.ok(Math.abs(added.location.lng - exifLocation.lng) < 1e-5);
+  });
+
+  it('POST /records uses an upload only once under concurrent requests', async () => {
+    const upload = await createProcessedUpload(alice);
+    const description = `並發建立 ${upload.upload_id}`;
+    const body = { description, images: [{ upload_id: upload.upload_id, location }] };
+
+    const results = await Promise.all([
+      request('POST', '/api/v1/records', { user: alice, body }),
+      request('POST', '/api/v1/records', { user: alice, body }),
+    ]);
+    assert.deepEqual(results.map(res => res.status).sort(), [201, 403]);
+
+    const { data: created } = await supabaseAdmin.from('records').select('id').eq('description', description);
+    assert.equal(created.length, 1);
+  });
+
+  it('create_record_with_images rolls back when any upload_id is invalid', async () => {
+    const upload = await createProcessedUpload(alice);
+    const description = `回滾 ${upload.upload_id}`;
+
+    const { error } = await supabaseAdmin.rpc('create_record_with_images', {
+      p_user_id: alice.id,
+      p_description: description,
+      p_images: [
+        { upload_id: upload.upload_id, location },
+        { upload_id: MISSING_ID, location },
+      ],
+    });
+    assert.equal(error?.code, '42501');
+
+    const { data: created } = await supabaseAdmin.from('records').select('id').eq('description', description);
+    assert.equal(created.length, 0);
+
+    const { data: image } = await supabaseAdmin
+      .from('image_media')
+      .select('status, record_id')
+      .eq('id', upload.upload_id)
+      .single();
+    assert.deepEqual(image, { status: 'PENDING', record_id: null });
+
+    // 未被使用的圖片仍可建立紀錄
+    const res = await request('POST', '/api/v1/records', {
+      user: alice,
+      body: { description, images: [{ upload_id: upload.upload_id, location }] },
+    });
+    expectStatus(res, 201);
+  });
+
+  it('sync_record_images rolls back when any upload_id is invalid', async () => {
+    const target = await createRecord(alice, { location, description: `同步回滾 ${RUN_ID}` });
+    const before = expectStatus(await request('GET', `/api/v1/records/${target.id}`), 200);
+    const upload = await createProcessedUpload(alice);
+
+    // 未列出 EXISTING 圖片：若沒有回滾，原有圖片會被移除
+    const { error } = await supabaseAdmin.rpc('sync_record_images', {
+      p_record_id: target.id,
+      p_user_id: alice.id,
+      p_description: '不應寫入',
+      p_sorted_images: [
+        { type: 'NEW', upload_id: upload.upload_id, location },
+        { type: 'NEW', upload_id: MISSING_ID, location },
+      ],
+    });
+    assert.equal(error?.code, '42501');
+
+    const after = expectStatus(await request('GET', `/api/v1/records/${target.id}`), 200);
+    assert.equal(after.description, before.description);
+    assert.deepEqual(after.images.map(image => image.id), before.images.map(image => image.id));
+    assert.equal(after.media_count, 1);
+
+    const { data: image } = await supabaseAdmin
+      .from('image_media')
+      .select('status, record_id')
+      .eq('id', upload.upload_id)
+      .single();
+    assert.deepEqual(image, { status: 'PENDING', record_id: null });
+  });
+
+  it('DELETE /records/:id is limited to the author', async () => {
+    expectError(await request('DELETE', `/api/v1/records/${record.id}`, { user: bob }), 403, 'PERMISSION_DENIED');
+    expectError(await request('DELETE', `/api/v1/records/${MISSING_ID}`, { user: alice }), 404, 'NOT_FOUND');
+  });
+
+  it('DELETE /records/:id removes the record', async () => {
+    const body = expectStatus(await request('DELETE', `/api/v1/records/${record.id}`, { user: alice }), 200);
+    assert.equal(body.success, true);
+
+    expectError(await request('GET', `/api/v1/records/${record.id}`), 404, 'NOT_FOUND');
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * 模組 D：回覆 API（routes/replies.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  createUpload,
+  createProcessedUpload,
+  createRecord,
+  createAsk,
+  createReply,
+  randomLocation,
+  northOf,
+  waitFor,
+} = require('./harness');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('replies', () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+  let record;
+  let thread;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob, carol] = await Promise.all([
+      createUser('rep-alice'),
+      createUser('rep-bob'),
+      createUser('rep-carol'),
+    ]);
+    record = await createRecord(alice);
+  });
+
+  after(() => server?.close());
+
+  it('POST /replies creates a reply with mentions', async () => {
+    thread = await createReply(bob, { record_id: record.id }, `@${carol.displayName} 你看這個`);
+
+    assert.equal(thread.record_id, record.id);
+    assert.equal(thread.user_id, bob.id);
+    assert.equal(thread.parent_reply_id, null);
+    assert.equal(thread.author.id, bob.id);
+    assert.deepEqual(thread.mentions.map(user => user.id), [carol.id]);
+    assert.equal(thread.user_has_liked, false);
+  });
+
+  it('POST /replies attaches replies to the top-level thread', async () => {
+    const child = await createReply(alice, { record_id: record.id, parent_reply_id: thread.id }, '謝謝');
+    const grandchild = await createReply(carol, { record_id: record.id, parent_reply_id: child.id }, '+1');
+
+    assert.equal(child.parent_reply_id, thread.id);
+    assert.equal(grandchild.parent_reply_id, thread.id);
+  });
+
+  it('POST /replies validates the target and content', async () => {
+    expectError(await request('POST', '/api/v1/replies', { body: { record_id: record.id, content: 'x' } }), 401, 'UNAUTHENTICATED');
+    expectError(await request('POST', '/api/v1/replies', { user: bob, body: { content: 'x' } }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('POST', '/api/v1/replies', { user: bob, body: { record_id: record.id, ask_id: MISSING_ID, content: 'x' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', '/api/v1/replies', { user: bob, body: { record_id: record.id, content: '   ' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+
+    // 每個不合法的欄位都會列在 details.fields
+    const invalid = expectError(
+      await request('POST', '/api/v1/replies', { user: bob, body: { record_id: 'not-a-uuid', content: 1 } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    assert.deepEqual(invalid.details.fields.map(field => field.field).sort(), ['content', 'record_id']);
+
+    expectError(
+      await request('POST', '/api/v1/replies', {
+        user: bob,
+        body: { record_id: record.id, parent_reply_id: MISSING_ID, content: 'x' },
+      }),
+      404,
+      'NOT_FOUND'
+    );
+  });
+
+  it('POST /replies returns NOT_FOUND for a missing record or ask', async () => {
+    const missingRecord = expectError(
+      await request('POST', '/api/v1/replies', { user: bob, body: { record_id: MISSING_ID, content: 'x' } }),
+      404,
+      'NOT_FOUND'
+    );
+    assert.equal(missingRecord.message, '找不到此紀錄');
+
+    const missingAsk = expectError(
+      await request('POST', '/api/v1/replies', { user: bob, body: { ask_id: MISSING_ID, content: 'x' } }),
+      404,
+      'NOT_FOUND'
+    );
+    assert.equal(missingAsk.message, '找不到此詢問');
+  });
+
+  it('POST /replies rejects images owned by another user', async () => {
+    const upload = await createUpload(alice);
+    const res = await request('POST', '/api/v1/replies', {
+      user: bob,
+      body: { record_id: record.id, content: '', images: [{ upload_id: upload.upload_id }] },
+    });
+    expectError(res, 403, 'PERMISSION_DENIED');
+  });
+
+  it('POST /replies rejects images that were not processed', async () => {
+    const upload = await createUpload(bob);
+    const res = await request('POST', '/api/v1/replies', {
+      user: bob,
+      body: { record_id: record.id, content: '', images: [{ upload_id: upload.upload_id }] },
+    });
+    const error = expectError(res, 400, 'INVALID_ARGUMENT');
+    assert.deepEqual(error.details.upload_ids, [upload.upload_id]);
+  });
+
+  it('POST /replies is blocked when the author blocked the replier', async () => {
+    const carolRecord = await createRecord(carol);
+    expectStatus(await request('POST', `/api/v1/users/${alice.id}/block`, { user: carol, body: {} }), 200);
+
+    const res = await request('POST', '/api/v1/replies', {
+      user: alice,
+      body: { record_id: carolRecord.id, content: 'hi' },
+    });
+    expectError(res, 403, 'PERMISSION_DENIED');
+  });
+
+  it('GET /replies returns threads with nested replies', async () => {
+    const body = expectStatus(await request('GET', '/api/v1/replies', { query: { record_id: record.id } }), 200);
+
+    assert.equal(body.replies.length, 1);
+    assert.equal(body.replies[0].id, thread.id);
+    assert.equal(body.replies[0].reply_count, 2);
+    assert.deepEqual(body.replies[0].mentions.map(user => user.id), [carol.id]);
+    assert.equal(body.next_cursor, null);
+  });
+
+  it('GET /replies paginates top-level replies', async () => {
+    await createReply(carol, { record_id: record.id }, '第二串');
+
+    const first = expectStatus(
+      await request('GET', '/api/v1/replies', { query: { record_id: record.id, limit: 1 } }),
+      200
+    );
+    assert.equal(first.replies.length, 1);
+    assert.ok(first.next_cursor);
+
+    const second = expectStatus(
+      await request('GET', '/api/v1/replies', { query: { record_id: record.id, limit: 1, cursor: first.next_cursor } }),
+      200
+    );
+    assert.equal(second.replies.length, 1);
+    assert.notEqual(second.replies[0].id, first.replies[0].id);
+    assert.equal(second.next_cursor, null);
+  });
+
+  it('GET /replies hides users the viewer blocked', async () => {
+    expectStatus(await request('POST', `/api/v1/users/${bob.id}/block`, { user: alice, body: { type: 'MUTE' } }), 200);
+
+    const body = expectStatus(
+      await request('GET', '/api/v1/replies', { user: alice, query: { record_id: record.id } }),
+      200
+    );
+    assert.ok(body.replies.every(reply => reply.user_id !== bob.id));
+
+    expectStatus(await request('DELETE', `/api/v1/users/${bob.id}/block`, { user: alice }), 200);
+  });
+
+  it('GET /replies validates the query', async () => {
+    expectError(await request('GET', '/api/v1/replies'), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('GET', '/api/v1/replies', { query: { record_id: record.id, cursor: 'garbage' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('GET', '/api/v1/replies', { query: { record_id: record.id, limit: 1000 } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('DELETE /replies/:id is limited to the author', async () => {
+    expectError(await request('DELETE', `/api/v1/replies/${thread.id}`, { user: alice }), 403, 'PERMISSION_DENIED');
+    expectError(await request('DELETE', `/api/v1/replies/${MISSING_ID}`, { user: bob }), 404, 'NOT_FOUND');
+
+    const body = expectStatus(await request('DELETE', `/api/v1/replies/${thread.id}`, { user: bob }), 200);
+    assert.equal(body.success, true);
+  });
+
+  it('DELETE /replies/:id removes every image variant', async () => {
+    const upload = await createProcessedUpload(bob);
+    const res = await request('POST', '/api/v1/replies', {
+      user: bob,
+      body: { record_id: record.id, content: '', images: [{ upload_id: upload.upload_id }] },
+    });
+    const reply = expectStatus(res, 201);
+
+    expectStatus(await request('DELETE', `/api/v1/replies/${reply.id}`, { user: bob }), 200);
+
+    // R2 清理不會延遲回應
+    const urls = [upload.original_public_url, upload.thumbnail_public_url, upload.medium_public_url, upload.webp_public_url];
+    await waitFor(async () => {
+      for (const url of urls) {
+        assert.equal((await fetch(url)).status, 404, url);
+      }
+    });
+  });
+});
+
+describe('replies on asks', () => {
+  let server;
+  let alice;
+  let bob;
+  const center = randomLocation();
+  let ask;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('onsite-alice'), createUser('onsite-bob')]);
+    ask = await createAsk(alice, { center, radius_meters: 300 });
+  });
+
+  after(() => server?.close());
+
+  async function replyWith(body) {
+    const res = await request('POST', '/api/v1/replies', { user: bob, body: { ask_id: ask.id, content: '現場', ...body } });
+    return expectStatus(res, 201);
+  }
+
+  async function imageAt(location, capturedAt = new Date().toISOString()) {
+    const upload = await createProcessedUpload(bob);
+    return { upload_id: upload.upload_id, location, captured_at: capturedAt };
+  }
+
+  it('POST /replies marks replies from inside the radius as onsite', async () => {
+    assert.equal((await replyWith({ current_location: northOf(center, 200) })).is_onsite, true);
+    assert.equal((await replyWith({ current_location: northOf(center, 1000) })).is_onsite, false);
+    assert.equal((await replyWith({})).is_onsite, false);
+  });
+
+  it('POST /replies allows a small tolerance beyond the radius', async () => {
+    assert.equal((await replyWith({ current_location: northOf(center, 315) })).is_onsite, true);
+    assert.equal((await replyWith({ current_location: northOf(center, 400) })).is_onsite, false);
+  });
+
+  it('POST /replies uses image locations and reports the distance', async () => {
+    const reply = await replyWith({ images: [await imageAt(northOf(center, 100))] });
+
+    assert.equal(reply.is_onsite, true);
+    assert.equal(reply.images[0].is_stale_capture, false);
+    assert.ok(Math.abs(reply.images[0].distance_to_ask_meters - 100) < 5);
+  });
+
+  it('POST /replies ignores photos taken before the ask was created', async () => {
+    const before = new Date(new Date(ask.created_at).getTime() - 60 * 60 * 1000).toISOString();
+    const reply = await replyWith({ images: [await imageAt(northOf(center, 100), before)] });
+
+    assert.equal(reply.is_onsite, false);
+    assert.equal(reply.images[0].is_stale_capture, true);
+  });
+
+  it('POST /replies never marks record replies as onsite', async () => {
+    const record = await createRecord(alice, { location: center });
+    const reply = await createReply(bob, { record_id: record.id });
+    assert.equal(reply.is_onsite, false);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * 檢舉 API（routes/reports.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  adminLogin,
+  createRecord,
+} = require('./harness');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('reports', () => {
+  let server;
+  let alice;
+  let bob;
+  let record;
+  let report;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('rpt-alice'), createUser('rpt-bob')]);
+    record = await createRecord(alice);
+  });
+
+  after(() => server?.close());
+
+  it('POST /reports creates a report', async () => {
+    const res = await request('POST', '/api/v1/reports', {
+      user: bob,
+      body: { record_id: record.id, reason_category: 'SPAM', reason: ' 廣告 ' },
+    });
+    report = expectStatus(res, 201);
+    assert.equal(report.success, true);
+    assert.ok(report.id);
+  });
+
+  it('POST /reports validates the request', async () => {
+    const body = { record_id: record.id, reason_category: 'SPAM', reason: '廣告' };
+
+    expectError(await request('POST', '/api/v1/reports', { body }), 401, 'UNAUTHENTICATED');
+    expectError(await request('POST', '/api/v1/reports', { user: bob, body }), 400, 'INVALID_ARGUMENT');
+    expectError(await request('POST', '/api/v1/reports', { user: alice, body }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('POST', '/api/v1/reports', { user: bob, body: { ...body, reason_category: 'BORING' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', '/api/v1/reports', { user: bob, body: { ...body, reason: '  ' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', '/api/v1/reports', { user: bob, body: { reason_category: 'SPAM', reason: 'x' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', '/api/v1/reports', { user: bob, body: { ...body, record_id: MISSING_ID } }),
+      404,
+      'NOT_FOUND'
+    );
+  });
+
+  it('GET /reports/check reports whether the user has reported', async () => {
+    const reported = expectStatus(
+      await request('GET', '/api/v1/reports/check', { user: bob, query: { record_id: record.id } }),
+      200
+    );
+    assert.deepEqual(reported, { has_reported: true, report_id: report.id });
+
+    const notReported = expectStatus(
+      await request('GET', '/api/v1/reports/check', { user: alice, query: { record_id: record.id } }),
+      200
+    );
+    assert.deepEqual(notReported, { has_reported: false, report_id: null });
+
+    expectError(await request('GET', '/api/v1/reports/check', { user: bob }), 400, 'INVALID_ARGUMENT');
+  });
+
+  it('DELETE /reports/:report_id withdraws a pending report', async () => {
+    expectError(await request('DELETE', `/api/v1/reports/${report.id}`, { user: alice }), 403, 'PERMISSION_DENIED');
+    expectError(await request('DELETE', `/api/v1/reports/${MISSING_ID}`, { user: bob }), 404, 'NOT_FOUND');
+
+    const body = expectStatus(await request('DELETE', `/api/v1/reports/${report.id}`, { user: bob }), 200);
+    assert.equal(body.success, true);
+  });
+
+  it('DELETE /reports/:report_id rejects reviewed reports', async () => {
+    const created = expectStatus(
+      await request('POST', '/api/v1/reports', {
+        user: bob,
+        body: { record_id: record.id, reason_category: 'OTHER', reason: '再次檢舉' },
+      }),
+      201
+    );
+
+    const cookie = await adminLogin();
+    expectStatus(
+      await request('PATCH', `/admin/api/reports/${created.id}`, {
+        headers: { Cookie: cookie },
+        body: { status: 'DISMISSED' },
+      }),
+      200
+    );
+
+    expectError(await request('DELETE', `/api/v1/reports/${created.id}`, { user: bob }), 400, 'INVALID_ARGUMENT');
+  });
+});
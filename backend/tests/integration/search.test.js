@@ -0,0 +1,94 @@
+/**
+ * 模組 S：搜尋 API（routes/search.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RUN_ID,
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  randomLocation,
+  boundsAround,
+  createRecord,
+  createAsk,
+  createReply,
+} = require('./harness');
+
+describe('search', () => {
+  let server;
+  let alice;
+  let location;
+  let record;
+  let ask;
+  let reply;
+  const keyword = `kw${RUN_ID}`;
+
+  before(async () => {
+    server = await startServer();
+    alice = await createUser('srch-alice');
+    location = randomLocation();
+    record = await createRecord(alice, { location, description: `巷口的 ${keyword} 咖啡` });
+    ask = await createAsk(alice, { question: `${keyword} 今天有開嗎？` });
+    reply = await createReply(alice, { record_id: record.id }, `${keyword} 推薦拿鐵`);
+  });
+
+  after(() => server?.close());
+
+  async function search(query) {
+    return expectStatus(await request('GET', '/api/v1/search', { query }), 200);
+  }
+
+  it('GET /search matches records, asks and replies', async () => {
+    const body = await search({ q: keyword });
+    const found = body.items.map(item => `${item.type}:${item.id}`).sort();
+    assert.deepEqual(found, [`ask:${ask.id}`, `record:${record.id}`, `reply:${reply.id}`].sort());
+    assert.equal(body.next_cursor, null);
+  });
+
+  it('GET /search filters by type', async () => {
+    const body = await search({ q: keyword, type: 'asks' });
+    assert.deepEqual(body.items.map(item => item.id), [ask.id]);
+    assert.equal(body.items[0].type, 'ask');
+  });
+
+  it('GET /search finds users by display name', async () => {
+    const body = await search({ q: alice.displayName, type: 'users' });
+    assert.ok(body.items.some(item => item.type === 'user' && item.id === alice.id));
+  });
+
+  it('GET /search restricts results to the bounds', async () => {
+    const inside = await search({ q: keyword, type: 'records', ...boundsAround(location) });
+    assert.deepEqual(inside.items.map(item => item.id), [record.id]);
+
+    const elsewhere = await search({ q: keyword, type: 'records', ...boundsAround({ lat: 0, lng: 0 }) });
+    assert.deepEqual(elsewhere.items, []);
+  });
+
+  it('GET /search paginates with a cursor', async () => {
+    const first = await search({ q: keyword, limit: 2 });
+    assert.equal(first.items.length, 2);
+    assert.ok(first.next_cursor);
+
+    const second = await search({ q: keyword, limit: 2, cursor: first.next_cursor });
+    assert.equal(second.items.length, 1);
+    assert.ok(first.items.every(item => item.id !== second.items[0].id));
+  });
+
+  it('GET /search validates the query', async () => {
+    expectError(await request('GET', '/api/v1/search'), 400, 'INVALID_ARGUMENT');
+    expectError(await request('GET', '/api/v1/search', { query: { q: '  ' } }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('GET', '/api/v1/search', { query: { q: keyword, type: 'tags' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('GET', '/api/v1/search', { query: { q: keyword, min_lat: location.lat } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+});
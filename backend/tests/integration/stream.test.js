@@ -0,0 +1,196 @@
+/**
+ * 模組 S：即時更新 API（routes/stream.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  randomLocation,
+  boundsAround,
+  createRecord,
+} = require('./harness');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+const EVENT_TIMEOUT_MS = 3000;
+
+/**
+ * 建立 SSE 連線並逐一讀取事件
+ * @returns {Promise<Object>} { status, nextEvent(name), close }
+ */
+async function openStream(baseUrl, user, query = {}) {
+  const controller = new AbortController();
+  const url = new URL('/api/v1/stream', baseUrl);
+  for (const [key, value] of Object.entries(query)) {
+    url.searchParams.set(key, value);
+  }
+
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${user.token}`, Accept: 'text/event-stream' },
+    signal: controller.signal,
+  });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  async function readEvent() {
+    for (;;) {
+      const boundary = buffer.indexOf('\n\n');
+      if (boundary !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        // 心跳是註解行，沒有 event 欄位
+        const fields = Object.fromEntries(
+          frame.split('\n')
+            .filter(line => !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()])
+        );
+        if (fields.event) {
+          return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+        }
+        continue;
+      }
+
+      const { value, done } = await reader.read();
+      if (done) throw new Error('連線已中斷');
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return {
+    status: response.status,
+    contentType: response.headers.get('content-type'),
+
+    /**
+     * 等待下一個指定名稱的事件（略過其他事件）
+     */
+    async nextEvent(name) {
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`等待 ${name} 事件逾時`)), EVENT_TIMEOUT_MS);
+      });
+
+      try {
+        return await Promise.race([
+          (async () => {
+            for (;;) {
+              const event = await readEvent();
+              if (event.event === name) return event;
+            }
+          })(),
+          timeout,
+        ]);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    close() {
+      controller.abort();
+    },
+  };
+}
+
+describe('stream', () => {
+  let server;
+  let alice;
+  let bob;
+  let location;
+  let stream;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('sse-alice'), createUser('sse-bob')]);
+    location = randomLocation();
+  });
+
+  after(() => {
+    stream?.close();
+    server?.close();
+  });
+
+  it('GET /stream requires authentication', async () => {
+    expectError(await request('GET', '/api/v1/stream'), 401, 'UNAUTHENTICATED');
+    expectError(
+      await request('GET', '/api/v1/stream', { user: alice, query: { record_ids: 'not-a-uuid' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('GET /stream sends a ready event with the subscription', async () => {
+    const bounds = boundsAround(location);
+    stream = await openStream(server.baseUrl, alice, bounds);
+    assert.equal(stream.status, 200);
+    assert.match(stream.contentType, /^text\/event-stream/);
+
+    const ready = await stream.nextEvent('ready');
+    assert.ok(ready.data.stream_id);
+    assert.deepEqual(ready.data.subscription, { bounds, record_ids: [], ask_ids: [] });
+    stream.id = ready.data.stream_id;
+  });
+
+  it('pushes record.created for records inside the bounds', async () => {
+    const record = await createRecord(bob, { location });
+
+    const event = await stream.nextEvent('record.created');
+    assert.equal(event.data.id, record.id);
+    assert.equal(event.data.user_id, bob.id);
+    assert.equal(event.data.points.length, 1);
+  });
+
+  it('PUT /stream/:streamId replaces the subscription', async () => {
+    const record = await createRecord(alice);
+
+    const res = await request('PUT', `/api/v1/stream/${stream.id}`, {
+      user: alice,
+      body: { record_ids: [record.id] },
+    });
+    const body = expectStatus(res, 200);
+    assert.deepEqual(body, {
+      stream_id: stream.id,
+      subscription: { bounds: null, record_ids: [record.id], ask_ids: [] },
+    });
+
+    expectStatus(await request('POST', '/api/v1/likes', { user: bob, body: { record_id: record.id } }), 200);
+    const liked = await stream.nextEvent('like.updated');
+    assert.deepEqual(liked.data, {
+      target_type: 'record',
+      target_id: record.id,
+      record_id: record.id,
+      ask_id: null,
+      like_count: 1,
+    });
+
+    const reply = expectStatus(
+      await request('POST', '/api/v1/replies', { user: bob, body: { record_id: record.id, content: '即時回覆' } }),
+      201
+    );
+    const replied = await stream.nextEvent('reply.created');
+    assert.equal(replied.data.id, reply.id);
+    assert.equal(replied.data.user_has_liked, undefined);
+  });
+
+  it('PUT /stream/:streamId only updates own streams', async () => {
+    expectError(
+      await request('PUT', `/api/v1/stream/${stream.id}`, { user: bob, body: {} }),
+      404,
+      'NOT_FOUND'
+    );
+    expectError(
+      await request('PUT', `/api/v1/stream/${MISSING_ID}`, { user: alice, body: {} }),
+      404,
+      'NOT_FOUND'
+    );
+    expectError(
+      await request('PUT', '/api/v1/stream/not-a-uuid', { user: alice, body: {} }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * 模組 T：#標籤 API（routes/tags.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RUN_ID,
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  randomLocation,
+  boundsAround,
+  createRecord,
+  createAsk,
+} = require('./harness');
+
+describe('tags', () => {
+  let server;
+  let alice;
+  let bob;
+  let location;
+  let record;
+  let ask;
+  const tag = `tag${RUN_ID}`;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('tag-alice'), createUser('tag-bob')]);
+    location = randomLocation();
+    record = await createRecord(alice, { location, description: `夜市 #${tag}` });
+    ask = await createAsk(bob, { center: location, question: `#${tag.toUpperCase()} 人多嗎？` });
+  });
+
+  after(() => server?.close());
+
+  it('GET /tags/trending ranks tags inside the bounds', async () => {
+    const res = await request('GET', '/api/v1/tags/trending', { query: { ...boundsAround(location), hours: 1 } });
+    const body = expectStatus(res, 200);
+    assert.equal(body.window_hours, 1);
+
+    const trending = body.tags.find(item => item.tag === tag);
+    assert.ok(trending);
+    assert.equal(trending.use_count, 2);
+    assert.equal(trending.user_count, 2);
+    assert.ok(trending.last_used_at);
+
+    const elsewhere = expectStatus(
+      await request('GET', '/api/v1/tags/trending', { query: boundsAround({ lat: 0, lng: 0 }) }),
+      200
+    );
+    assert.ok(elsewhere.tags.every(item => item.tag !== tag));
+  });
+
+  it('GET /tags/trending validates the query', async () => {
+    expectError(await request('GET', '/api/v1/tags/trending', { query: { hours: 169 } }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('GET', '/api/v1/tags/trending', { query: { min_lat: location.lat } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('GET /tags/:tag lists tagged records and asks', async () => {
+    const body = expectStatus(await request('GET', `/api/v1/tags/%23${tag.toUpperCase()}`), 200);
+    assert.equal(body.tag, tag);
+    assert.deepEqual(
+      body.items.map(item => [item.type, item.id]),
+      [['ask', ask.id], ['record', record.id]]
+    );
+    assert.equal(body.items[0].author.id, bob.id);
+    assert.equal(body.next_cursor, null);
+  });
+
+  it('GET /tags/:tag paginates and filters by bounds', async () => {
+    const first = expectStatus(await request('GET', `/api/v1/tags/${tag}`, { query: { limit: 1 } }), 200);
+    assert.equal(first.items[0].id, ask.id);
+    assert.ok(first.next_cursor);
+
+    const second = expectStatus(
+      await request('GET', `/api/v1/tags/${tag}`, { query: { limit: 1, cursor: first.next_cursor } }),
+      200
+    );
+    assert.equal(second.items[0].id, record.id);
+
+    const elsewhere = expectStatus(
+      await request('GET', `/api/v1/tags/${tag}`, { query: boundsAround({ lat: 0, lng: 0 }) }),
+      200
+    );
+    assert.deepEqual(elsewhere.items, []);
+  });
+
+  it('GET /tags/:tag validates the tag', async () => {
+    expectError(await request('GET', '/api/v1/tags/%23'), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('GET', `/api/v1/tags/${tag}`, { query: { min_lat: location.lat } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+});
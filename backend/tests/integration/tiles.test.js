@@ -0,0 +1,88 @@
+/**
+ * 向量圖磚 API（routes/tiles.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RUN_ID,
+  startServer,
+  request,
+  expectError,
+  createUser,
+  randomLocation,
+  createRecord,
+  createAsk,
+} = require('./harness');
+// harness 設定環境變數後才載入，才會連到本機開發環境
+const supabaseAdmin = require('../../config/supabaseAdmin');
+
+const ZOOM = 15;
+
+/**
+ * 經緯度轉換為 XYZ 圖磚座標
+ */
+function tileFor({ lat, lng }, z) {
+  const n = 2 ** z;
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: Math.floor((lng + 180) / 360 * n),
+    y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n),
+  };
+}
+
+describe('tiles', () => {
+  let server;
+  let tilePath;
+  let askTilePath;
+  let ask;
+  const tag = `tile${RUN_ID}`;
+
+  before(async () => {
+    server = await startServer();
+    const alice = await createUser('tile-alice');
+    const location = randomLocation();
+    await createRecord(alice, { location, description: `圖磚測試 #${tag}` });
+    const { x, y } = tileFor(location, ZOOM);
+    tilePath = `/api/v1/tiles/records/${ZOOM}/${x}/${y}.mvt`;
+
+    const center = randomLocation();
+    ask = await createAsk(alice, { center, question: `圖磚詢問 #${tag}` });
+    const askTile = tileFor(center, ZOOM);
+    askTilePath = `/api/v1/tiles/asks/${ZOOM}/${askTile.x}/${askTile.y}.mvt`;
+  });
+
+  after(() => server?.close());
+
+  it('GET /tiles/:layer/:z/:x/:y.mvt returns a vector tile', async () => {
+    const res = await request('GET', tilePath, { query: { tag } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/vnd.mapbox-vector-tile');
+    assert.equal(res.headers.get('cache-control'), 'public, max-age=60, s-maxage=300');
+    assert.ok(Buffer.isBuffer(res.body));
+    assert.ok(res.body.length > 0);
+
+    const etag = res.headers.get('etag');
+    assert.ok(etag);
+
+    const cached = await request('GET', tilePath, { query: { tag }, headers: { 'If-None-Match': etag } });
+    assert.equal(cached.status, 304);
+  });
+
+  it('GET /tiles/:layer/:z/:x/:y.mvt returns 204 for an empty tile', async () => {
+    const res = await request('GET', tilePath, { query: { tag: `none${RUN_ID}` } });
+    assert.equal(res.status, 204);
+  });
+
+  it('GET /tiles/asks/:z/:x/:y.mvt only includes active asks', async () => {
+    assert.equal((await request('GET', askTilePath, { query: { tag } })).status, 200);
+
+    await supabaseAdmin.from('asks').update({ status: 'EXPIRED' }).eq('id', ask.id);
+    assert.equal((await request('GET', askTilePath, { query: { tag } })).status, 204);
+  });
+
+  it('GET /tiles/:layer/:z/:x/:y.mvt validates the tile address', async () => {
+    expectError(await request('GET', `/api/v1/tiles/users/${ZOOM}/0/0.mvt`), 400, 'INVALID_ARGUMENT');
+    expectError(await request('GET', '/api/v1/tiles/asks/2/4/0.mvt'), 400, 'INVALID_ARGUMENT');
+    expectError(await request('GET', '/api/v1/tiles/asks/23/0/0.mvt'), 400, 'INVALID_ARGUMENT');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * 模組 A：圖片上傳 API（routes/upload.js）
+ * 圖片實際上傳到本機 MinIO，再由伺服器處理
+ */
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  createImage,
+  putObject,
+  createUpload,
+} = require('./harness');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('upload', () => {
+  let server;
+  let alice;
+  let bob;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('upl-alice'), createUser('upl-bob')]);
+  });
+
+  after(() => server?.close());
+
+  it('POST /upload/request issues presigned credentials', async () => {
+    const keys = [crypto.randomUUID(), crypto.randomUUID()];
+    const res = await request('POST', '/api/v1/upload/request', {
+      user: alice,
+      body: { image_requests: keys.map(key => ({ client_key: key, fileType: 'image/jpeg' })) },
+    });
+    const { upload_credentials } = expectStatus(res, 200);
+
+    assert.deepEqual(Object.keys(upload_credentials).sort(), [...keys].sort());
+    for (const credential of Object.values(upload_credentials)) {
+      assert.ok(credential.upload_id);
+      assert.match(credential.original_upload_url, /X-Amz-Signature=/);
+      assert.match(credential.thumbnail_upload_url, /X-Amz-Signature=/);
+      assert.match(credential.original_public_url, /\.jpg$/);
+    }
+  });
+
+  it('POST /upload/request validates the request', async () => {
+    const image = { client_key: 'a', fileType: 'image/jpeg' };
+
+    expectError(await request('POST', '/api/v1/upload/request', { body: { image_requests: [image] } }), 401, 'UNAUTHENTICATED');
+    expectError(await request('POST', '/api/v1/upload/request', { user: alice, body: {} }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('POST', '/api/v1/upload/request', { user: alice, body: { image_requests: [] } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', '/api/v1/upload/request', {
+        user: alice,
+        body: { image_requests: [{ client_key: 'a', fileType: 'image/gif' }] },
+      }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', '/api/v1/upload/request', {
+        user: alice,
+        body: { image_requests: Array.from({ length: 11 }, (_, i) => ({ ...image, client_key: `k${i}` })) },
+      }),
+      429,
+      'RESOURCE_EXHAUSTED'
+    );
+  });
+
+  it('POST /upload/:upload_id/complete processes the uploaded image', async () => {
+    const upload = await createUpload(alice);
+    await putObject(upload.original_upload_url, await createImage('jpeg'), 'image/jpeg');
+
+    const res = await request('POST', `/api/v1/upload/${upload.upload_id}/complete`, { user: alice });
+    const body = expectStatus(res, 200);
+    assert.equal(body.upload_id, upload.upload_id);
+    assert.equal(body.content_type, 'image/jpeg');
+    assert.equal(body.width, 640);
+    assert.equal(body.height, 480);
+    assert.ok(body.byte_size > 0);
+    assert.ok(body.medium_public_url);
+    assert.ok(body.webp_public_url);
+    assert.ok(body.processed_at);
+    assert.equal(body.exif.location, null);
+
+    // 重複呼叫直接回傳處理結果
+    const again = expectStatus(await request('POST', `/api/v1/upload/${upload.upload_id}/complete`, { user: alice }), 200);
+    assert.deepEqual(again, body);
+  });
+
+  it('POST /upload/:upload_id/complete rejects invalid uploads', async () => {
+    const pending = await createUpload(alice);
+    expectError(
+      await request('POST', `/api/v1/upload/${pending.upload_id}/complete`, { user: alice }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+    expectError(
+      await request('POST', `/api/v1/upload/${pending.upload_id}/complete`, { user: bob }),
+      403,
+      'PERMISSION_DENIED'
+    );
+    expectError(
+      await request('POST', `/api/v1/upload/${MISSING_ID}/complete`, { user: alice }),
+      404,
+      'NOT_FOUND'
+    );
+
+    // 宣告為 JPEG 但實際是 PNG
+    const mismatched = await createUpload(alice);
+    await putObject(mismatched.original_upload_url, await createImage('png'), 'image/jpeg');
+    expectError(
+      await request('POST', `/api/v1/upload/${mismatched.upload_id}/complete`, { user: alice }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+
+  it('POST /upload/avatar issues an avatar upload URL', async () => {
+    const body = expectStatus(await request('POST', '/api/v1/upload/avatar', { user: alice, body: {} }), 200);
+    assert.ok(body.upload_id);
+    assert.match(body.upload_url, /X-Amz-Signature=/);
+    assert.ok(body.public_url);
+
+    await putObject(body.upload_url, await createImage('jpeg', { width: 128, height: 128 }), 'image/jpeg');
+    assert.match(body.public_url, /\.jpg$/);
+
+    // 依宣告的 file_type 簽發
+    const png = expectStatus(
+      await request('POST', '/api/v1/upload/avatar', { user: alice, body: { file_type: 'image/png' } }),
+      200
+    );
+    assert.match(png.public_url, /\.png$/);
+    await putObject(png.upload_url, await createImage('png', { width: 128, height: 128 }), 'image/png');
+
+    expectError(
+      await request('POST', '/api/v1/upload/avatar', { user: alice, body: { file_type: 'image/gif' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * 模組 E：使用者 API（routes/users.js）
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startServer,
+  request,
+  expectStatus,
+  expectError,
+  createUser,
+  createRecord,
+  createAsk,
+  createReply,
+} = require('./harness');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('users', () => {
+  let server;
+  let alice;
+  let bob;
+  let records;
+  let ask;
+
+  before(async () => {
+    server = await startServer();
+    [alice, bob] = await Promise.all([createUser('usr-alice'), createUser('usr-bob')]);
+    records = [await createRecord(alice), await createRecord(alice)];
+    ask = await createAsk(alice);
+  });
+
+  after(() => server?.close());
+
+  it('GET /users/me returns the profile with stats', async () => {
+    expectError(await request('GET', '/api/v1/users/me'), 401, 'UNAUTHENTICATED');
+
+    const body = expectStatus(await request('GET', '/api/v1/users/me', { user: alice }), 200);
+    assert.equal(body.id, alice.id);
+    assert.equal(body.display_name, alice.displayName);
+    assert.equal(body.total_records, 2);
+    assert.equal(body.total_asks, 1);
+    assert.equal(body.is_banned, false);
+  });
+
+  it('PATCH /users/me updates the profile', async () => {
+    expectError(await request('PATCH', '/api/v1/users/me', { user: alice, body: {} }), 400, 'INVALID_ARGUMENT');
+
+    const res = await request('PATCH', '/api/v1/users/me', { user: alice, body: { bio: '喜歡拍夕陽' } });
+    assert.equal(expectStatus(res, 200).success, true);
+
+    const profile = expectStatus(await request('GET', `/api/v1/users/${alice.id}`), 200);
+    assert.equal(profile.bio, '喜歡拍夕陽');
+  });
+
+  it('GET /users/me/records paginates', async () => {
+    const first = expectStatus(await request('GET', '/api/v1/users/me/records', { user: alice, query: { limit: 1 } }), 200);
+    assert.equal(first.records.length, 1);
+    assert.equal(first.records[0].id, records[1].id);
+    assert.ok(first.next_cursor);
+
+    const second = expectStatus(
+      await request('GET', '/api/v1/users/me/records', { user: alice, query: { limit: 1, cursor: first.next_cursor } }),
+      200
+    );
+    assert.equal(second.records[0].id, records[0].id);
+    assert.equal(second.next_cursor, null);
+
+    expectError(await request('GET', '/api/v1/users/me/records', { user: alice, query: { limit: 0 } }), 400, 'INVALID_ARGUMENT');
+  });
+
+  it('GET /users/me/asks returns asks with coordinates', async () => {
+    const body = expectStatus(await request('GET', '/api/v1/users/me/asks', { user: alice }), 200);
+    assert.equal(body.asks.length, 1);
+    assert.equal(body.asks[0].id, ask.id);
+    assert.deepEqual(body.asks[0].center, ask.center);
+  });
+
+  it('GET /users/me/mentions lists replies mentioning the user', async () => {
+    const reply = await createReply(bob, { record_id: records[0].id }, `@${alice.displayName} 好看`);
+
+    const body = expectStatus(await request('GET', '/api/v1/users/me/mentions', { user: alice }), 200);
+    assert.equal(body.mentions.length, 1);
+    assert.equal(body.mentions[0].reply.id, reply.id);
+    assert.equal(body.mentions[0].reply.author.id, bob.id);
+  });
+
+  it('GET /users/:userId returns another profile', async () => {
+    const body = expectStatus(await request('GET', `/api/v1/users/${alice.id}`, { user: bob }), 200);
+    assert.equal(body.id, alice.id);
+    assert.equal(body.total_records, 2);
+    assert.equal(body.is_following, false);
+    assert.equal(body.is_blocked, false);
+
+    expectError(await request('GET', `/api/v1/users/${MISSING_ID}`), 404, 'NOT_FOUND');
+  });
+
+  it('GET /users/:userId/records and /asks list public content', async () => {
+    const recordPage = expectStatus(await request('GET', `/api/v1/users/${alice.id}/records`), 200);
+    assert.deepEqual(recordPage.records.map(record => record.id), [records[1].id, records[0].id]);
+
+    const askPage = expectStatus(await request('GET', `/api/v1/users/${alice.id}/asks`), 200);
+    assert.deepEqual(askPage.asks.map(item => item.id), [ask.id]);
+  });
+
+  it('POST and DELETE /users/:userId/follow manage follows', async () => {
+    expectError(await request('POST', `/api/v1/users/${bob.id}/follow`, { user: bob }), 400, 'INVALID_ARGUMENT');
+    expectError(await request('POST', `/api/v1/users/${MISSING_ID}/follow`, { user: bob }), 404, 'NOT_FOUND');
+
+    const followed = expectStatus(await request('POST', `/api/v1/users/${alice.id}/follow`, { user: bob }), 200);
+    assert.deepEqual(followed, { success: true, following: true, follower_count: 1 });
+
+    const profile = expectStatus(await request('GET', `/api/v1/users/${alice.id}`, { user: bob }), 200);
+    assert.equal(profile.is_following, true);
+    assert.equal(profile.follower_count, 1);
+
+    const followers = expectStatus(await request('GET', `/api/v1/users/${alice.id}/followers`), 200);
+    assert.deepEqual(followers.users.map(user => user.id), [bob.id]);
+
+    const following = expectStatus(await request('GET', `/api/v1/users/${bob.id}/following`), 200);
+    assert.deepEqual(following.users.map(user => user.id), [alice.id]);
+
+    const unfollowed = expectStatus(await request('DELETE', `/api/v1/users/${alice.id}/follow`, { user: bob }), 200);
+    assert.deepEqual(unfollowed, { success: true, following: false, follower_count: 0 });
+  });
+
+  it('POST and DELETE /users/:userId/block manage blocks', async () => {
+    expectError(await request('POST', `/api/v1/users/${bob.id}/block`, { user: bob, body: {} }), 400, 'INVALID_ARGUMENT');
+    expectError(
+      await request('POST', `/api/v1/users/${alice.id}/block`, { user: bob, body: { type: 'IGNORE' } }),
+      400,
+      'INVALID_ARGUMENT'
+    );
+
+    const muted = expectStatus(
+      await request('POST', `/api/v1/users/${alice.id}/block`, { user: bob, body: { type: 'MUTE' } }),
+      200
+    );
+    assert.equal(muted.success, true);
+    assert.equal(muted.type, 'MUTE');
+
+    const blocks = expectStatus(await request('GET', '/api/v1/users/me/blocks', { user: bob, query: { type: 'MUTE' } }), 200);
+    assert.ok(blocks.blocks.some(block => block.user.id === alice.id));
+    expectError(await request('GET', '/api/v1/users/me/blocks', { user: bob, query: { type: 'HIDE' } }), 400, 'INVALID_ARGUMENT');
+
+    const profile = expectStatus(await request('GET', `/api/v1/users/${alice.id}`, { user: bob }), 200);
+    assert.equal(profile.is_muted, true);
+
+    // 靜音的使用者不顯示內容
+    const hidden = expectStatus(await request('GET', `/api/v1/users/${alice.id}/records`, { user: bob }), 200);
+    assert.deepEqual(hidden, { records: [], next_cursor: null });
+
+    const removed = expectStatus(await request('DELETE', `/api/v1/users/${alice.id}/block`, { user: bob }), 200);
+    assert.equal(removed.success, true);
+  });
+});
@@ -1,29 +0,0 @@
-const { request } = require('./helpers');
-
-async function testLikes() {
-  console.log('🧪 Testing Likes API...');
-
-  try {
-    // 1. Setup: Create a temporary record or ask to like
-    // For simplicity, we'll try to like a dummy UUID and expect a 404 or use a known ID if possible.
-    // In this test, we'll just test the endpoint structure.
-    
-    console.log('\n--- 1. Like a Record ---');
-    const likeRecordRes = await request('/likes/record/00000000-0000-0000-0000-000000000000', {
-      method: 'POST'
-    });
-    console.log('Status (Expected 404 if not found):', likeRecordRes.status);
-
-    console.log('\n--- 2. Like an Ask ---');
-    const likeAskRes = await request('/likes/ask/00000000-0000-0000-0000-000000000000', {
-      method: 'POST'
-    });
-    console.log('Status (Expected 404 if not found):', likeAskRes.status);
-
-    console.log('\n🎉 Likes API Test Completed!');
-  } catch (error) {
-    console.error('💥 Test execution error:', error);
-  }
-}
-
-testLikes();
@@ -1,3 +1,6 @@
+-- NOTE: superseded by rpc_functions.sql sections 3 and 4 (which add p_viewer_id);
+-- do not run this file after them, or the overloads will be ambiguous.
+
 -- Update get_record_images_in_bounds to support optional time filtering
 -- Parameters p_start_date and p_end_date are optional (NULL = no filter)
 
@@ -0,0 +1,82 @@
+/**
+ * EXIF 解析工具函數
+ * 從 sharp metadata().exif 的原始區塊取出 GPS、拍攝時間、方向與相機型號
+ */
+const exifReader = require('exif-reader');
+const { isValidCoordinate } = require('./geo');
+
+/**
+ * 解析 EXIF 區塊
+ * @param {Buffer|undefined} exifBuffer - sharp metadata().exif
+ * @returns {Object} { location, captured_at, orientation, camera_model }，無法解析的欄位為 null
+ */
+function parseExif(exifBuffer) {
+  const empty = { location: null, captured_at: null, orientation: null, camera_model: null };
+  if (!exifBuffer) return empty;
+
+  let tags;
+  try {
+    tags = exifReader(exifBuffer);
+  } catch (err) {
+    return empty;
+  }
+
+  const image = tags.Image || {};
+  const photo = tags.Photo || {};
+
+  return {
+    location: parseGpsLocation(tags.GPSInfo),
+    captured_at: parseCapturedAt(photo.DateTimeOriginal, photo.OffsetTimeOriginal),
+    orientation: Number.isInteger(image.Orientation) ? image.Orientation : null,
+    camera_model: [image.Make, image.Model].filter(Boolean).join(' ').trim() || null,
+  };
+}
+
+/**
+ * 將 GPS 度分秒轉為十進位座標
+ * @param {Object|undefined} gps - GPSInfo 區塊
+ * @returns {Object|null} { lat, lng }
+ */
+function parseGpsLocation(gps) {
+  if (!gps || !Array.isArray(gps.GPSLatitude) || !Array.isArray(gps.GPSLongitude)) {
+    return null;
+  }
+
+  const toDecimal = ([deg = 0, min = 0, sec = 0]) => deg + min / 60 + sec / 3600;
+
+  let lat = toDecimal(gps.GPSLatitude);
+  let lng = toDecimal(gps.GPSLongitude);
+  if (gps.GPSLatitudeRef === 'S') lat = -lat;
+  if (gps.GPSLongitudeRef === 'W') lng = -lng;
+
+  // 部分相機在未定位時寫入 0,0
+  if ((lat === 0 && lng === 0) || !isValidCoordinate(lat, lng)) {
+    return null;
+  }
+
+  return { lat, lng };
+}
+
+/**
+ * 取得拍攝時間
+ * DateTimeOriginal 為當地時間（exif-reader 以 UTC 解讀），須搭配 OffsetTimeOriginal 才能換算
+ * 沒有時區資訊時無法得知實際時間點，回傳 null
+ * @param {Date|undefined} dateTime - DateTimeOriginal
+ * @param {string|undefined} offset - OffsetTimeOriginal，例如 '+08:00'
+ * @returns {string|null} ISO 8601 時間
+ */
+function parseCapturedAt(dateTime, offset) {
+  if (!(dateTime instanceof Date) || Number.isNaN(dateTime.getTime())) return null;
+
+  const match = typeof offset === 'string' && offset.match(/^([+-])(\d{2}):(\d{2})$/);
+  if (!match) return null;
+
+  const sign = match[1] === '-' ? -1 : 1;
+  const offsetMinutes = sign * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10));
+
+  return new Date(dateTime.getTime() - offsetMinutes * 60 * 1000).toISOString();
+}
+
+module.exports = {
+  parseExif,
+};
@@ -81,16 +81,12 @@ function isValidCoordinate(lat, lng) {
 }
 
 /**
- * 判斷座標是否在指定範圍內（含容許誤差）
- * 用於 Geo-fencing 判定
+ * 計算兩點間的地表距離（Haversine 公式）
  * @param {object} point - { lat, lng }
  * @param {object} center - { lat, lng }
- * @param {number} radiusMeters - 範圍半徑（公尺）
- * @param {number} toleranceMeters - 容許誤差（公尺），預設 30
- * @returns {boolean}
+ * @returns {number} 距離（公尺）
  */
-function isWithinRadius(point, center, radiusMeters, toleranceMeters = 30) {
-  // 使用 Haversine 公式計算距離
+function distanceMeters(point, center) {
   const R = 6371000; // 地球半徑（公尺）
   const dLat = toRad(point.lat - center.lat);
   const dLng = toRad(point.lng - center.lng);
@@ -99,15 +95,191 @@ function isWithinRadius(point, center, radiusMeters, toleranceMeters = 30) {
     Math.cos(toRad(center.lat)) * Math.cos(toRad(point.lat)) *
     Math.sin(dLng / 2) * Math.sin(dLng / 2);
   const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c;
-  
-  return distance <= (radiusMeters + toleranceMeters);
+  return R * c;
+}
+
+/**
+ * 判斷座標是否在指定範圍內（含容許誤差）
+ * 用於 Geo-fencing 判定
+ * @param {object} point - { lat, lng }
+ * @param {object} center - { lat, lng }
+ * @param {number} radiusMeters - 範圍半徑（公尺）
+ * @param {number} toleranceMeters - 容許誤差（公尺），預設 30
+ * @returns {boolean}
+ */
+function isWithinRadius(point, center, radiusMeters, toleranceMeters = 30) {
+  return distanceMeters(point, center) <= (radiusMeters + toleranceMeters);
 }
 
 function toRad(deg) {
   return deg * (Math.PI / 180);
 }
 
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * 將座標編碼為 Geohash
+ * 用於伺服器端地圖群集的格網分組
+ * @param {number} lat - 緯度
+ * @param {number} lng - 經度
+ * @param {number} precision - Geohash 長度，預設 7
+ * @returns {string} Geohash 字串
+ */
+function encodeGeohash(lat, lng, precision = 7) {
+  let latMin = -90, latMax = 90;
+  let lngMin = -180, lngMax = 180;
+  let hash = '';
+  let bit = 0;
+  let ch = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lngMin + lngMax) / 2;
+      if (lng >= mid) {
+        ch = (ch << 1) | 1;
+        lngMin = mid;
+      } else {
+        ch = ch << 1;
+        lngMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (lat >= mid) {
+        ch = (ch << 1) | 1;
+        latMin = mid;
+      } else {
+        ch = ch << 1;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bit === 5) {
+      hash += GEOHASH_BASE32.charAt(ch);
+      bit = 0;
+      ch = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * 解碼 Geohash 為格子範圍
+ * @param {string} hash - Geohash 字串
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+function decodeGeohashBounds(hash) {
+  let latMin = -90, latMax = 90;
+  let lngMin = -180, lngMax = 180;
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = GEOHASH_BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid geohash: ${hash}`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const isSet = (value >> bit) & 1;
+      if (evenBit) {
+        const mid = (lngMin + lngMax) / 2;
+        if (isSet) lngMin = mid; else lngMax = mid;
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (isSet) latMin = mid; else latMax = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { minLat: latMin, maxLat: latMax, minLng: lngMin, maxLng: lngMax };
+}
+
+/**
+ * 取得指定長度 Geohash 格子的經緯度尺寸
+ * @param {number} precision - Geohash 長度
+ * @returns {Object} { latSize, lngSize }（度）
+ */
+function geohashCellSize(precision) {
+  const bits = precision * 5;
+  return {
+    latSize: 180 / 2 ** Math.floor(bits / 2),
+    lngSize: 360 / 2 ** Math.ceil(bits / 2),
+  };
+}
+
+/**
+ * 列出與範圍相交的所有 Geohash 格子
+ * @param {Object} bounds - { minLat, maxLat, minLng, maxLng }
+ * @param {number} precision - Geohash 長度
+ * @returns {string[]} Geohash 陣列
+ */
+function geohashesInBounds({ minLat, maxLat, minLng, maxLng }, precision) {
+  const { latSize, lngSize } = geohashCellSize(precision);
+  const hashes = [];
+
+  // 從範圍所在的格子起點開始，以格子中心編碼避免落在邊界上
+  const latStart = Math.floor((minLat + 90) / latSize) * latSize - 90;
+  const lngStart = Math.floor((minLng + 180) / lngSize) * lngSize - 180;
+
+  for (let lat = latStart; lat < maxLat || lat === latStart; lat += latSize) {
+    for (let lng = lngStart; lng < maxLng || lng === lngStart; lng += lngSize) {
+      hashes.push(encodeGeohash(
+        Math.min(lat + latSize / 2, 90),
+        Math.min(lng + lngSize / 2, 180),
+        precision
+      ));
+    }
+  }
+
+  return hashes;
+}
+
+/**
+ * 判斷座標是否落在 GeoJSON Polygon / MultiPolygon 內（射線法，內環視為挖空）
+ * 用於離線行政區反查
+ * @param {number} lat - 緯度
+ * @param {number} lng - 經度
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+function isPointInGeometry(lat, lng, geometry) {
+  if (!geometry) return false;
+
+  const polygons = geometry.type === 'MultiPolygon'
+    ? geometry.coordinates
+    : geometry.type === 'Polygon' ? [geometry.coordinates] : [];
+
+  return polygons.some(([outer, ...holes]) =>
+    isPointInRing(lat, lng, outer) && !holes.some(hole => isPointInRing(lat, lng, hole))
+  );
+}
+
+function isPointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 正規化行政區名稱：全形轉半形、去除空白、「台」統一為「臺」（與內政部行政區名稱一致）
+ * @param {string} name - 縣市或鄉鎮市區名稱
+ * @returns {string|null}
+ */
+function normalizeAreaName(name) {
+  if (!name || typeof name !== 'string') return null;
+  const normalized = name.normalize('NFKC').replace(/\s+/g, '').replace(/台/g, '臺');
+  return normalized || null;
+}
+
 module.exports = {
   makePointSQL,
   makeEnvelopeSQL,
@@ -116,5 +288,12 @@ module.exports = {
   extractLngSQL,
   extractLatSQL,
   isValidCoordinate,
+  distanceMeters,
   isWithinRadius,
+  encodeGeohash,
+  decodeGeohashBounds,
+  geohashCellSize,
+  geohashesInBounds,
+  isPointInGeometry,
+  normalizeAreaName,
 };
@@ -0,0 +1,62 @@
+/**
+ * #標籤解析工具函數
+ */
+
+// 單則內容最多解析的標籤數量
+const MAX_TAGS_PER_CONTENT = 10;
+
+// 標籤最長字元數
+const MAX_TAG_LENGTH = 30;
+
+// # 或全形 ＃ 後接非空白字元；前方不能緊接文字或 /（避免網址錨點、HTML 實體被當成標籤）
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_#＃&/])[#＃]([^\s#＃]{1,60})/gu;
+
+// 標籤後方緊接的標點不屬於標籤
+const TRAILING_PUNCTUATION = /[.,!?;:'"，。！？；：、）)」』】\]]+$/u;
+
+/**
+ * 正規化標籤：全形轉半形、英文轉小寫、去除開頭的 #
+ * @param {string} tag - 原始標籤
+ * @returns {string|null} 正規化後的標籤，無效時為 null
+ */
+function normalizeTag(tag) {
+  if (!tag || typeof tag !== 'string') return null;
+
+  const normalized = tag
+    .normalize('NFKC')
+    .replace(/^#+/, '')
+    .replace(TRAILING_PUNCTUATION, '')
+    .toLowerCase();
+
+  if (!normalized || normalized.length > MAX_TAG_LENGTH || /[\s#]/.test(normalized)) {
+    return null;
+  }
+
+  return normalized;
+}
+
+/**
+ * 從內容擷取 #標籤（正規化並去除重複，保留出現順序）
+ * @param {string} content - 紀錄描述或詢問內容
+ * @returns {string[]} 標籤陣列
+ */
+function extractHashtags(content) {
+  if (!content || typeof content !== 'string') return [];
+
+  const tags = new Set();
+
+  for (const match of content.matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeTag(match[1]);
+    if (tag) tags.add(tag);
+    if (tags.size >= MAX_TAGS_PER_CONTENT) break;
+  }
+
+  return [...tags];
+}
+
+module.exports = {
+  MAX_TAGS_PER_CONTENT,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  extractHashtags,
+};
@@ -0,0 +1,36 @@
+/**
+ * @提及解析工具函數
+ */
+
+// 單則回覆最多解析的提及數量
+const MAX_MENTIONS_PER_REPLY = 10;
+
+// @ 後接非空白字元；display_name 最長 50 字元（與 userSchemas 一致）
+const MENTION_PATTERN = /(^|[^\w@])@([^\s@]{1,50})/gu;
+
+// 名稱後方緊接的標點不屬於名稱
+const TRAILING_PUNCTUATION = /[.,!?;:，。！？；：、）)」』】\]]+$/u;
+
+/**
+ * 從內容擷取被提及的 display_name（去除重複，保留出現順序）
+ * @param {string} content - 回覆內容
+ * @returns {string[]} display_name 陣列
+ */
+function extractMentions(content) {
+  if (!content || typeof content !== 'string') return [];
+
+  const names = new Set();
+
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(TRAILING_PUNCTUATION, '');
+    if (name) names.add(name);
+    if (names.size >= MAX_MENTIONS_PER_REPLY) break;
+  }
+
+  return [...names];
+}
+
+module.exports = {
+  MAX_MENTIONS_PER_REPLY,
+  extractMentions,
+};
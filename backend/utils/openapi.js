@@ -0,0 +1,335 @@
+/**
+ * OpenAPI 文件產生器
+ * 走訪各路由模組，依 operation() 宣告的 Joi Schema（middleware/contract.js）產生 OpenAPI 3 文件
+ */
+const Joi = require('joi');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { errorResponse } = require('./responseSchemas');
+
+const OPENAPI_VERSION = '3.0.3';
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Joi 字串規則 → JSON Schema format
+const STRING_FORMATS = {
+  guid: 'uuid',
+  isoDate: 'date-time',
+  uri: 'uri',
+  email: 'email',
+};
+
+// ==================== Joi → JSON Schema ====================
+
+/**
+ * 將 Joi Schema 轉為 OpenAPI 使用的 JSON Schema
+ * @param {Joi.Schema} schema - Joi Schema
+ * @returns {Object} JSON Schema
+ */
+function toJsonSchema(schema) {
+  return convert(schema.describe());
+}
+
+function convert(desc) {
+  const flags = desc.flags || {};
+  const rules = Object.fromEntries((desc.rules || []).map(rule => [rule.name, rule.args || {}]));
+  let result;
+
+  switch (desc.type) {
+    case 'object':
+      result = convertObject(desc);
+      if (rules.min) result.minProperties = rules.min.limit;
+      break;
+
+    case 'array':
+      result = { type: 'array' };
+      if (desc.items && desc.items.length > 0) {
+        result.items = desc.items.length === 1
+          ? convert(desc.items[0])
+          : { oneOf: desc.items.map(convert) };
+      }
+      if (rules.min) result.minItems = rules.min.limit;
+      if (rules.max) result.maxItems = rules.max.limit;
+      if (rules.length) result.minItems = result.maxItems = rules.length.limit;
+      if (rules.unique) result.uniqueItems = true;
+      break;
+
+    case 'string':
+      result = { type: 'string' };
+      for (const [rule, format] of Object.entries(STRING_FORMATS)) {
+        if (rules[rule]) result.format = format;
+      }
+      if (rules.min) result.minLength = rules.min.limit;
+      if (rules.max) result.maxLength = rules.max.limit;
+      if (rules.length) result.minLength = result.maxLength = rules.length.limit;
+      if (rules.hex) result.pattern = '^[0-9a-fA-F]*$';
+      if (rules.pattern) result.pattern = regexSource(rules.pattern.regex);
+      break;
+
+    case 'number':
+      result = { type: rules.integer ? 'integer' : 'number' };
+      if (rules.min) result.minimum = rules.min.limit;
+      if (rules.max) result.maximum = rules.max.limit;
+      if (rules.greater) {
+        result.minimum = rules.greater.limit;
+        result.exclusiveMinimum = true;
+      }
+      if (rules.less) {
+        result.maximum = rules.less.limit;
+        result.exclusiveMaximum = true;
+      }
+      break;
+
+    case 'boolean':
+      result = { type: 'boolean' };
+      break;
+
+    case 'date':
+      result = { type: 'string', format: 'date-time' };
+      break;
+
+    case 'alternatives':
+      result = { oneOf: (desc.matches || []).filter(match => match.schema).map(match => convert(match.schema)) };
+      break;
+
+    default:
+      result = {};
+  }
+
+  applyValues(result, desc);
+
+  if (flags.description) result.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== 'function') result.default = flags.default;
+
+  return result;
+}
+
+function convertObject(desc) {
+  const result = { type: 'object' };
+  const keys = desc.keys || {};
+  const properties = {};
+  const required = [];
+
+  for (const [name, child] of Object.entries(keys)) {
+    // forbidden 欄位不出現在文件中
+    if (child.flags?.presence === 'forbidden') continue;
+
+    properties[name] = convert(child);
+    if (child.flags?.presence === 'required') {
+      required.push(name);
+    }
+  }
+
+  if (Object.keys(properties).length > 0) result.properties = properties;
+  if (required.length > 0) result.required = required;
+
+  // 欄位之間的關係（and / xor / or）以說明文字呈現
+  const relations = (desc.dependencies || []).map(dep => `${dep.rel}(${dep.peers.join(', ')})`);
+  if (relations.length > 0) result['x-field-relations'] = relations;
+
+  return result;
+}
+
+/**
+ * valid() / allow() 的值：valid 轉為 enum，allow(null) 轉為 nullable
+ */
+function applyValues(result, desc) {
+  const values = desc.allow || [];
+  const nonNull = values.filter(value => value !== null);
+
+  if (values.includes(null)) result.nullable = true;
+
+  if (desc.flags?.only) {
+    result.enum = nonNull;
+  } else if (nonNull.length > 0 && result.type === 'string' && nonNull.every(value => value === '')) {
+    // allow('') 只放寬最小長度
+    delete result.minLength;
+  }
+}
+
+function regexSource(regex) {
+  const match = /^\/(.*)\/[a-z]*$/s.exec(regex);
+  return match ? match[1] : regex;
+}
+
+// ==================== Document ====================
+
+/**
+ * 產生 OpenAPI 文件
+ * @param {Object} options - { info, servers, mounts: [{ path, router }] }
+ * @returns {Object} OpenAPI 文件
+ */
+function buildDocument({ info, servers = [], mounts }) {
+  const paths = {};
+  const missing = [];
+
+  for (const { path: basePath, router } of mounts) {
+    const tag = basePath.split('/').filter(Boolean).pop();
+
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const { route } = layer;
+      const handlers = route.stack.map(routeLayer => routeLayer.handle);
+      const spec = handlers.find(handle => handle.operation)?.operation;
+      const fullPath = joinPath(basePath, route.path);
+
+      for (const method of HTTP_METHODS.filter(m => route.methods[m])) {
+        if (!spec) {
+          missing.push(`${method.toUpperCase()} ${fullPath}`);
+          continue;
+        }
+
+        paths[toOpenApiPath(fullPath)] = {
+          ...paths[toOpenApiPath(fullPath)],
+          [method]: buildOperation(method, fullPath, tag, spec, handlers),
+        };
+      }
+    }
+  }
+
+  // 每個路由都必須宣告 operation()，避免文件與實作脫節
+  if (missing.length > 0) {
+    throw new Error(`以下路由缺少 operation() 宣告：${missing.join(', ')}`);
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info,
+    servers,
+    tags: [...new Set(mounts.map(({ path }) => path.split('/').filter(Boolean).pop()))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: {
+        ErrorResponse: toJsonSchema(errorResponse),
+      },
+    },
+  };
+}
+
+function buildOperation(method, fullPath, tag, spec, handlers) {
+  const operation = {
+    operationId: spec.operationId || toOperationId(method, fullPath),
+    tags: [tag],
+    summary: spec.summary,
+  };
+
+  if (spec.description) operation.description = spec.description;
+
+  // 認證方式由路由上的中間件決定
+  if (handlers.includes(requireAuth)) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (handlers.includes(optionalAuth)) {
+    operation.security = [{}, { bearerAuth: [] }];
+  }
+
+  const parameters = [
+    ...toParameters(spec.params, 'path', fullPath),
+    ...toParameters(spec.query, 'query'),
+  ];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (spec.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: toJsonSchema(spec.body) } },
+    };
+  }
+
+  operation.responses = {};
+  for (const [status, entry] of Object.entries(spec.responses || {})) {
+    operation.responses[status] = toResponse(entry);
+  }
+  if (operation.security && operation.security.length === 1) {
+    operation.responses[401] = errorRef('未登入或 Token 無效');
+  }
+  operation.responses.default = errorRef('錯誤（格式見 ErrorResponse）');
+
+  return operation;
+}
+
+function toParameters(schema, location, fullPath = '') {
+  const pathParams = location === 'path' ? pathParamNames(fullPath) : [];
+
+  if (!schema) {
+    // 未宣告 params schema 時仍需列出路徑參數
+    return pathParams.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+  }
+
+  const jsonSchema = toJsonSchema(schema);
+  const required = new Set(jsonSchema.required || []);
+
+  return Object.entries(jsonSchema.properties || {}).map(([name, property]) => {
+    const { description, ...rest } = property;
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || required.has(name),
+      schema: rest,
+    };
+    if (description) parameter.description = description;
+    return parameter;
+  });
+}
+
+/**
+ * responses 的值可以是 Joi Schema（JSON 回應）、null（無內容），
+ * 或 { description, contentType, schema }（非 JSON 回應）
+ */
+function toResponse(entry) {
+  if (entry === null) {
+    return { description: '無內容' };
+  }
+
+  if (Joi.isSchema(entry)) {
+    return {
+      description: entry.describe().flags?.description || '成功',
+      content: { 'application/json': { schema: toJsonSchema(entry) } },
+    };
+  }
+
+  const response = { description: entry.description || '成功' };
+  if (entry.contentType) {
+    response.content = {
+      [entry.contentType]: { schema: entry.schema ? toJsonSchema(entry.schema) : { type: 'string', format: 'binary' } },
+    };
+  }
+  return response;
+}
+
+function errorRef(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+  };
+}
+
+function joinPath(basePath, routePath) {
+  return routePath === '/' ? basePath : `${basePath}${routePath}`;
+}
+
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParamNames(path) {
+  return [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+}
+
+/**
+ * 依方法與路徑產生 operationId，如 GET /api/v1/users/:userId/followers → getUsersUserIdFollowers
+ */
+function toOperationId(method, fullPath) {
+  const words = fullPath
+    .replace(/^\/api\/v\d+/, '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+  return method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+module.exports = {
+  toJsonSchema,
+  buildDocument,
+};
@@ -4,10 +4,14 @@
 const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const r2 = require('../config/r2');
+const { presignClient } = require('../config/r2');
 
 const BUCKET_NAME = process.env.R2_BUCKET_NAME;
 const CDN_BASE_URL = process.env.R2_CDN_URL || process.env.R2_PUBLIC_URL;
 
+// 上傳用 Presigned URL 有效秒數（15 分鐘）
+const PRESIGNED_UPLOAD_EXPIRES = 900;
+
 /**
  * 生成用於上傳的 Presigned URL (PUT)
  * @param {string} key - R2 物件 Key
@@ -15,13 +19,13 @@ const CDN_BASE_URL = process.env.R2_CDN_URL || process.env.R2_PUBLIC_URL;
  * @param {number} expiresIn - 有效秒數，預設 900 (15 分鐘)
  * @returns {Promise<string>} Presigned URL
  */
-async function generatePresignedUploadUrl(key, contentType, expiresIn = 900) {
+async function generatePresignedUploadUrl(key, contentType, expiresIn = PRESIGNED_UPLOAD_EXPIRES) {
   const command = new PutObjectCommand({
     Bucket: BUCKET_NAME,
     Key: key,
     ContentType: contentType,
   });
-  return await getSignedUrl(r2, command, { expiresIn });
+  return await getSignedUrl(presignClient, command, { expiresIn });
 }
 
 /**
@@ -35,7 +39,38 @@ async function generatePresignedDownloadUrl(key, expiresIn = 3600) {
     Bucket: BUCKET_NAME,
     Key: key,
   });
-  return await getSignedUrl(r2, command, { expiresIn });
+  return await getSignedUrl(presignClient, command, { expiresIn });
+}
+
+/**
+ * 下載 R2 物件內容
+ * @param {string} key - R2 物件 Key
+ * @returns {Promise<Buffer>} 物件內容
+ */
+async function getObjectBuffer(key) {
+  const command = new GetObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+  });
+  const response = await r2.send(command);
+  return Buffer.from(await response.Body.transformToByteArray());
+}
+
+/**
+ * 上傳（覆寫）R2 物件
+ * @param {string} key - R2 物件 Key
+ * @param {Buffer} body - 物件內容
+ * @param {string} contentType - MIME 類型
+ * @returns {Promise<void>}
+ */
+async function putObject(key, body, contentType) {
+  const command = new PutObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+    Body: body,
+    ContentType: contentType,
+  });
+  await r2.send(command);
 }
 
 /**
@@ -76,11 +111,50 @@ function getPublicUrl(key) {
   return `${baseUrl}/${keyPath}`;
 }
 
+/**
+ * 從公開 URL 反推 R2 物件 Key（getPublicUrl 的反向操作）
+ * @param {string} url - 公開 URL
+ * @returns {string|null} R2 Key
+ */
+function getKeyFromPublicUrl(url) {
+  if (!url) return null;
+
+  if (CDN_BASE_URL) {
+    const baseUrl = CDN_BASE_URL.endsWith('/') ? CDN_BASE_URL : `${CDN_BASE_URL}/`;
+    if (url.startsWith(baseUrl)) {
+      return url.slice(baseUrl.length);
+    }
+  }
+
+  // 未設定 CDN 時 getPublicUrl 直接回傳 key
+  if (!/^https?:\/\//.test(url)) {
+    return url.startsWith('/') ? url.slice(1) : url;
+  }
+
+  return new URL(url).pathname.slice(1);
+}
+
+/**
+ * 取得圖片所有版本在 R2 上的物件 Key
+ * @param {Object} image - 含 *_public_url 欄位的 image_media
+ * @returns {string[]} R2 Key 陣列
+ */
+function getImageObjectKeys(image) {
+  return [
+    image.original_public_url,
+    image.thumbnail_public_url,
+    image.medium_public_url,
+    image.webp_public_url,
+  ]
+    .map(getKeyFromPublicUrl)
+    .filter(Boolean);
+}
+
 /**
  * 生成上傳用的 R2 Key
  * @param {string} userId - 使用者 ID
  * @param {string} uploadId - 上傳 ID (UUID)
- * @param {string} type - 'original' 或 'thumbnail'
+ * @param {string} type - 'original'、'thumbnail'、'medium' 或 'webp'
  * @param {string} extension - 檔案副檔名
  * @returns {string} R2 Key
  */
@@ -91,10 +165,11 @@ function generateImageKey(userId, uploadId, type, extension = 'jpg') {
 /**
  * 生成頭貼用的 R2 Key
  * @param {string} uploadId - 上傳 ID (UUID)
+ * @param {string} extension - 檔案副檔名
  * @returns {string} R2 Key
  */
-function generateAvatarKey(uploadId) {
-  return `avatars/${uploadId}.jpg`;
+function generateAvatarKey(uploadId, extension = 'jpg') {
+  return `avatars/${uploadId}.${extension}`;
 }
 
 /**
@@ -103,7 +178,7 @@ function generateAvatarKey(uploadId) {
  * @returns {object} { userId, uploadId, type, extension }
  */
 function parseImageKey(key) {
-  const regex = /images\/([^/]+)\/([^_]+)_(original|thumbnail)\.(\w+)/;
+  const regex = /images\/([^/]+)\/([^_]+)_(original|thumbnail|medium|webp)\.(\w+)/;
   const match = key.match(regex);
   if (!match) return null;
   return {
@@ -115,11 +190,16 @@ function parseImageKey(key) {
 }
 
 module.exports = {
+  PRESIGNED_UPLOAD_EXPIRES,
   generatePresignedUploadUrl,
   generatePresignedDownloadUrl,
+  getObjectBuffer,
+  putObject,
   deleteObject,
   deleteObjects,
   getPublicUrl,
+  getKeyFromPublicUrl,
+  getImageObjectKeys,
   generateImageKey,
   generateAvatarKey,
   parseImageKey,
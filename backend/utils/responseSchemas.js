@@ -0,0 +1,611 @@
+/**
+ * API 回應 Schema
+ * 與 middleware/validate.js 的請求 Schema 對應，由 operation() 宣告在各路由上
+ * 測試環境會以這些 Schema 驗證實際回應（middleware/contract.js），並用來產生 OpenAPI 文件
+ *
+ * 物件允許額外欄位：新增欄位不影響既有客戶端，缺少或型別改變的欄位才視為不符
+ */
+const Joi = require('joi');
+const { ErrorCodes } = require('./errorCodes');
+
+// ==================== Shared ====================
+
+const object = keys => Joi.object(keys).unknown(true);
+
+const uuid = Joi.string().uuid();
+const timestamp = Joi.string().isoDate();
+const count = Joi.number().integer().min(0);
+const text = Joi.string().allow('');
+const url = Joi.string().allow(null, '');
+const nextCursor = Joi.string().allow(null).required().description('下一頁游標，沒有更多資料時為 null');
+
+const coordinate = object({
+  lat: Joi.number().required(),
+  lng: Joi.number().required(),
+});
+
+const author = object({
+  id: uuid.required(),
+  display_name: Joi.string().allow(null, ''),
+  avatar_url: url,
+}).allow(null);
+
+const success = object({
+  success: Joi.boolean().valid(true).required(),
+});
+
+const tags = Joi.array().items(Joi.string());
+
+const askStatus = Joi.string().valid('ACTIVE', 'RESOLVED', 'EXPIRED');
+
+/**
+ * 錯誤回應（所有 4xx / 5xx）
+ */
+const errorResponse = Joi.object({
+  error: Joi.object({
+    code: Joi.string().valid(...Object.values(ErrorCodes), 'ACCOUNT_BANNED').required(),
+    message: Joi.string().required(),
+    details: Joi.any(),
+  }).required(),
+}).description('錯誤');
+
+// ==================== Records ====================
+
+const recordImage = object({
+  id: uuid.required(),
+  original_public_url: url,
+  thumbnail_public_url: url,
+  display_order: Joi.number().integer(),
+  location: coordinate.allow(null),
+  location_source: Joi.string().valid('exif', 'client', 'manual').allow(null),
+  location_unverified: Joi.boolean(),
+  location_mismatch: Joi.boolean(),
+});
+
+const recordSummary = object({
+  id: uuid.required(),
+  user_id: uuid.required(),
+  description: text.required(),
+  main_image_url: url,
+  media_count: count.allow(null),
+  like_count: count.required(),
+  view_count: count,
+  created_at: timestamp.required(),
+  updated_at: timestamp.allow(null),
+});
+
+const mapImage = object({
+  record_id: uuid.required(),
+  lat: Joi.number().required(),
+  lng: Joi.number().required(),
+  thumbnail_public_url: url,
+  created_at: timestamp,
+});
+
+const recordResponses = {
+  created: recordSummary.keys({
+    tags: tags.required(),
+    location_verification: Joi.array().items(object({})),
+  }).description('建立的紀錄'),
+
+  detail: recordSummary.keys({
+    author,
+    images: Joi.array().items(recordImage).required(),
+    tags: tags.required(),
+    user_has_liked: Joi.boolean().required(),
+  }).description('紀錄詳情'),
+
+  mapImages: Joi.object({
+    images: Joi.array().items(mapImage).required(),
+  }).description('範圍內的紀錄圖片'),
+};
+
+// ==================== Asks ====================
+
+const askSummary = object({
+  id: uuid.required(),
+  center: coordinate.required(),
+  radius_meters: Joi.number().required(),
+  title: Joi.string().allow(null, ''),
+  question: text.required(),
+  main_image_url: url,
+  status: askStatus.required(),
+  created_at: timestamp.required(),
+});
+
+const askMapItem = askSummary.keys({
+  author_avatar_url: url,
+});
+
+const acceptedReply = object({
+  id: uuid.required(),
+  user_id: uuid.required(),
+  content: text.required(),
+  is_onsite: Joi.boolean(),
+  like_count: count,
+  created_at: timestamp.required(),
+  author,
+}).allow(null);
+
+const askResponses = {
+  created: askSummary.keys({
+    user_id: uuid.required(),
+    tags: tags.required(),
+    like_count: count.required(),
+    view_count: count,
+    expires_at: timestamp.allow(null),
+    updated_at: timestamp.allow(null),
+  }).description('建立的詢問'),
+
+  detail: askSummary.keys({
+    user_id: uuid.required(),
+    like_count: count.required(),
+    view_count: count,
+    expires_at: timestamp.allow(null),
+    can_extend: Joi.boolean(),
+    accepted_reply_id: uuid.allow(null),
+    accepted_reply: acceptedReply,
+    author,
+    images: Joi.array().items(object({})),
+    tags: tags.required(),
+    user_has_liked: Joi.boolean().required(),
+  }).description('詢問詳情'),
+
+  map: Joi.object({
+    asks: Joi.array().items(askMapItem).required(),
+  }).description('範圍內的詢問'),
+
+  extended: object({
+    success: Joi.boolean().valid(true).required(),
+    status: askStatus.required(),
+    expires_at: timestamp.required(),
+    extended_at: timestamp.required(),
+  }).description('延長後的狀態'),
+
+  accepted: object({
+    success: Joi.boolean().valid(true).required(),
+    status: Joi.string().valid('RESOLVED').required(),
+    accepted_reply_id: uuid.required(),
+  }).description('採納結果'),
+};
+
+// ==================== Replies ====================
+
+const reply = object({
+  id: uuid.required(),
+  record_id: uuid.allow(null),
+  ask_id: uuid.allow(null),
+  parent_reply_id: uuid.allow(null),
+  user_id: uuid.required(),
+  content: text.required(),
+  mentions: Joi.array().items(object({ id: uuid.required(), display_name: Joi.string() })),
+  is_onsite: Joi.boolean(),
+  is_accepted: Joi.boolean(),
+  like_count: count.required(),
+  created_at: timestamp.required(),
+  author,
+  images: Joi.array().items(object({})),
+  user_has_liked: Joi.boolean(),
+});
+
+const replyResponses = {
+  created: reply.description('建立的回覆'),
+
+  list: Joi.object({
+    replies: Joi.array().items(reply.keys({
+      replies: Joi.array().items(reply).required(),
+      reply_count: count.required(),
+    })).required(),
+    next_cursor: nextCursor,
+  }).description('回覆串（第一層分頁，子回覆附在 replies）'),
+
+  deleted: success.keys({
+    message: Joi.string(),
+  }).description('刪除結果'),
+};
+
+// ==================== Likes ====================
+
+const likeResponses = {
+  toggled: object({
+    success: Joi.boolean().valid(true).required(),
+    action: Joi.string().valid('liked', 'unliked').required(),
+    like_count: count,
+  }).description('按讚結果'),
+
+  state: object({
+    success: Joi.boolean().valid(true).required(),
+    liked: Joi.boolean().required(),
+    changed: Joi.boolean().required(),
+    like_count: count.required(),
+  }).description('愛心狀態'),
+
+  users: Joi.object({
+    users: Joi.array().items(object({
+      id: uuid.required(),
+      display_name: Joi.string().allow(null, ''),
+      avatar_url: url,
+      liked_at: timestamp.required(),
+    })).required(),
+    next_cursor: nextCursor,
+  }).description('按讚的使用者'),
+
+  mine: Joi.object({
+    items: Joi.array().items(object({
+      type: Joi.string().valid('record', 'ask', 'reply').required(),
+      id: uuid.required(),
+      user_id: uuid.required(),
+      author,
+      like_count: count.required(),
+      created_at: timestamp.required(),
+      liked_at: timestamp.required(),
+    })).required(),
+    next_cursor: nextCursor,
+  }).description('我按讚的內容'),
+};
+
+// ==================== Reports ====================
+
+const reportResponses = {
+  created: object({
+    success: Joi.boolean().valid(true).required(),
+    id: uuid.required(),
+    created_at: timestamp.required(),
+  }).description('建立的檢舉'),
+
+  check: object({
+    has_reported: Joi.boolean().required(),
+    report_id: uuid.allow(null).required(),
+  }).description('是否已檢舉'),
+
+  deleted: success.keys({
+    message: Joi.string(),
+  }).description('撤回結果'),
+};
+
+// ==================== Users ====================
+
+const userStats = {
+  total_records: count.required(),
+  total_asks: count.required(),
+  total_views: count.required(),
+  total_likes: count.required(),
+  total_accepted_answers: count.required(),
+  follower_count: count.required(),
+  following_count: count.required(),
+};
+
+const userProfile = object({
+  id: uuid.required(),
+  display_name: Joi.string().allow(null, ''),
+  avatar_url: url,
+  bio: Joi.string().allow(null, ''),
+  created_at: timestamp,
+  ...userStats,
+});
+
+const userListItem = object({
+  id: uuid.required(),
+  display_name: Joi.string().allow(null, ''),
+  avatar_url: url,
+  followed_at: timestamp.required(),
+});
+
+const userResponses = {
+  me: userProfile.keys({
+    is_banned: Joi.boolean().required(),
+    ban_reason: Joi.string().allow(null, ''),
+    banned_at: timestamp.allow(null),
+  }).description('目前使用者'),
+
+  profile: userProfile.keys({
+    is_following: Joi.boolean().required(),
+    is_blocked: Joi.boolean().required(),
+    is_muted: Joi.boolean().required(),
+  }).description('使用者資訊'),
+
+  records: Joi.object({
+    records: Joi.array().items(recordSummary).required(),
+    next_cursor: nextCursor,
+  }).description('使用者的紀錄'),
+
+  asks: Joi.object({
+    asks: Joi.array().items(askSummary.keys({
+      user_id: uuid.required(),
+      like_count: count.required(),
+    })).required(),
+    next_cursor: nextCursor,
+  }).description('使用者的詢問'),
+
+  mentions: Joi.object({
+    mentions: Joi.array().items(object({
+      id: uuid.required(),
+      created_at: timestamp.required(),
+      reply: object({
+        id: uuid.required(),
+        record_id: uuid.allow(null),
+        ask_id: uuid.allow(null),
+        content: text.required(),
+        created_at: timestamp.required(),
+        author,
+      }).allow(null),
+    })).required(),
+    next_cursor: nextCursor,
+  }).description('提及我的回覆'),
+
+  users: Joi.object({
+    users: Joi.array().items(userListItem).required(),
+    next_cursor: nextCursor,
+  }).description('使用者列表'),
+
+  follow: object({
+    success: Joi.boolean().valid(true).required(),
+    following: Joi.boolean().required(),
+    follower_count: count.required(),
+  }).description('追蹤狀態'),
+
+  block: object({
+    success: Joi.boolean().valid(true).required(),
+    type: Joi.string().valid('BLOCK', 'MUTE').required(),
+    created_at: timestamp.required(),
+  }).description('封鎖狀態'),
+
+  blocks: Joi.object({
+    blocks: Joi.array().items(object({
+      user: author.required(),
+      type: Joi.string().valid('BLOCK', 'MUTE').required(),
+      created_at: timestamp.required(),
+    })).required(),
+    next_cursor: nextCursor,
+  }).description('封鎖 / 靜音列表'),
+};
+
+// ==================== Map & Tiles ====================
+
+const cluster = object({
+  id: Joi.string().required(),
+  count: count.required(),
+  center: coordinate.required(),
+  thumbnail_url: url,
+  latest_created_at: timestamp.allow(null),
+});
+
+const heatmapMetrics = {
+  record_images: count.required(),
+  asks: count.required(),
+  replies: count.required(),
+  likes: count.required(),
+  views: count.required(),
+};
+
+const mapResponses = {
+  clusters: Joi.object({
+    zoom: Joi.number().integer().required(),
+    clustered: Joi.boolean().required(),
+    records: Joi.object({
+      clusters: Joi.array().items(cluster).required(),
+      points: Joi.array().items(mapImage).required(),
+    }).required(),
+    asks: Joi.object({
+      clusters: Joi.array().items(cluster).required(),
+      points: Joi.array().items(askMapItem).required(),
+    }).required(),
+  }).description('叢集與單點'),
+
+  heatmap: Joi.object({
+    resolution: Joi.number().integer().required(),
+    from: timestamp.required(),
+    to: timestamp.required(),
+    cells: Joi.array().items(object({
+      cell: Joi.string().required(),
+      center: coordinate.required(),
+      bounds: object({
+        min_lat: Joi.number().required(),
+        max_lat: Joi.number().required(),
+        min_lng: Joi.number().required(),
+        max_lng: Joi.number().required(),
+      }).required(),
+      ...heatmapMetrics,
+    })).required(),
+    totals: Joi.object(heatmapMetrics).required(),
+  }).description('活動熱度格子'),
+};
+
+const tileResponses = {
+  tile: {
+    description: 'Mapbox Vector Tile',
+    contentType: 'application/vnd.mapbox-vector-tile',
+  },
+};
+
+// ==================== Feed / Search / Tags ====================
+
+const contentItem = object({
+  type: Joi.string().valid('record', 'ask').required(),
+  id: uuid.required(),
+  user_id: uuid.required(),
+  author,
+  main_image_url: url,
+  like_count: count,
+  created_at: timestamp.required(),
+});
+
+const feedResponses = {
+  feed: Joi.object({
+    items: Joi.array().items(contentItem).required(),
+    next_cursor: nextCursor,
+  }).description('追蹤對象的動態'),
+};
+
+const searchResponses = {
+  results: object({
+    items: Joi.array().items(object({
+      type: Joi.string().valid('record', 'ask', 'reply', 'user').required(),
+      id: uuid.required(),
+      score: Joi.number().required(),
+    })).required(),
+    next_cursor: nextCursor,
+  }).description('搜尋結果'),
+};
+
+const tagResponses = {
+  trending: Joi.object({
+    tags: Joi.array().items(object({
+      tag: Joi.string().required(),
+      use_count: count.required(),
+      user_count: count.required(),
+      last_used_at: timestamp.required(),
+    })).required(),
+    window_hours: Joi.number().required(),
+  }).description('熱門標籤'),
+
+  content: Joi.object({
+    tag: Joi.string().required(),
+    items: Joi.array().items(contentItem).required(),
+    next_cursor: nextCursor,
+  }).description('標籤下的紀錄與詢問'),
+};
+
+// ==================== Notifications / Push ====================
+
+const notification = object({
+  id: uuid.required(),
+  type: Joi.string().required(),
+  record_id: uuid.allow(null),
+  ask_id: uuid.allow(null),
+  reply_id: uuid.allow(null),
+  actors: Joi.array().items(author).required(),
+  actor_count: count.required(),
+  message: Joi.string().required(),
+  data: Joi.object().unknown(true).required(),
+  is_read: Joi.boolean().required(),
+  read_at: timestamp.allow(null),
+  created_at: timestamp.required(),
+});
+
+const notificationResponses = {
+  list: Joi.object({
+    notifications: Joi.array().items(notification).required(),
+    unread_count: count.required(),
+    next_cursor: nextCursor,
+  }).description('通知列表'),
+
+  read: object({
+    success: Joi.boolean().valid(true).required(),
+    updated: count.required(),
+    unread_count: count.required(),
+  }).description('標記已讀結果'),
+};
+
+const watchArea = object({
+  kind: Joi.string().required(),
+  center: coordinate.required(),
+  radius_meters: Joi.number().required(),
+  updated_at: timestamp,
+});
+
+const pushResponses = {
+  device: object({
+    token: Joi.string().required(),
+    platform: Joi.string().required(),
+    environment: Joi.string().required(),
+    created_at: timestamp,
+    last_seen_at: timestamp,
+  }).description('已註冊的裝置'),
+
+  watchArea: watchArea.description('關注區域'),
+
+  watchAreas: Joi.object({
+    watch_areas: Joi.array().items(watchArea).required(),
+  }).description('關注區域列表'),
+
+  preferences: object({
+    nearby_asks_enabled: Joi.boolean().required(),
+    quiet_start: Joi.string().allow(null),
+    quiet_end: Joi.string().allow(null),
+    timezone: Joi.string().required(),
+    max_per_hour: count.required(),
+  }).description('推播偏好'),
+};
+
+// ==================== Stream ====================
+
+const streamResponses = {
+  events: {
+    description: 'Server-Sent Events（ready、record.created、like.updated 等事件）',
+    contentType: 'text/event-stream',
+  },
+
+  subscription: Joi.object({
+    stream_id: uuid.required(),
+    subscription: Joi.object({
+      bounds: object({
+        min_lat: Joi.number().required(),
+        max_lat: Joi.number().required(),
+        min_lng: Joi.number().required(),
+        max_lng: Joi.number().required(),
+      }).allow(null).required(),
+      record_ids: Joi.array().items(uuid).required(),
+      ask_ids: Joi.array().items(uuid).required(),
+    }).required(),
+  }).description('更新後的訂閱'),
+};
+
+// ==================== Upload ====================
+
+const uploadResponses = {
+  credentials: Joi.object({
+    upload_credentials: Joi.object().pattern(Joi.string(), object({
+      upload_id: uuid.required(),
+      original_upload_url: Joi.string().required(),
+      thumbnail_upload_url: Joi.string().required(),
+      original_public_url: Joi.string().required(),
+      thumbnail_public_url: Joi.string().required(),
+    })).required(),
+  }).description('以 client_key 為 key 的上傳憑證'),
+
+  completed: object({
+    upload_id: uuid.required(),
+    content_type: Joi.string().required(),
+    width: count.required(),
+    height: count.required(),
+    byte_size: count.required(),
+    original_public_url: Joi.string().required(),
+    thumbnail_public_url: url,
+    medium_public_url: url,
+    webp_public_url: url,
+    processed_at: timestamp.required(),
+    exif: object({
+      location: coordinate.allow(null),
+      captured_at: timestamp.allow(null),
+    }).allow(null),
+  }).description('處理完成的圖片'),
+
+  avatar: object({
+    upload_id: uuid.required(),
+    upload_url: Joi.string().required(),
+    public_url: Joi.string().required(),
+  }).description('頭像上傳網址'),
+};
+
+// ==================== Exports ====================
+
+module.exports = {
+  errorResponse,
+  success,
+  recordResponses,
+  askResponses,
+  replyResponses,
+  likeResponses,
+  reportResponses,
+  userResponses,
+  mapResponses,
+  tileResponses,
+  feedResponses,
+  searchResponses,
+  tagResponses,
+  notificationResponses,
+  pushResponses,
+  streamResponses,
+  uploadResponses,
+};